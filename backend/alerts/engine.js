@@ -0,0 +1,180 @@
+// Evaluates alert rules against new and re-moderated reviews and delivers each match to the rule's channels
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { ALERT_CONFIG } = require('../config');
+const alertStore = require('../db/alerts');
+const reviewStore = require('../db/reviews');
+const { assertPublicWebhook } = require('./webhookUrl');
+
+const CONDITION_TYPES = ['rating_below', 'category_below', 'keyword', 'flagged'];
+const DELIVERY_CHANNELS = ['inbox', 'webhook', 'email'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns why the review matches the rule, or null when it doesn't. Unrated reviews never match a rating rule
+function matchRule(rule, review) {
+    switch (rule.conditionType) {
+        case 'rating_below':
+            return review.rating !== null && review.rating < rule.threshold
+                ? `Rating ${review.rating.toFixed(1)} is below ${rule.threshold}`
+                : null;
+        case 'category_below': {
+            const category = review.reviewCategory.find(cat => cat.category === rule.category);
+            return category && category.rating !== null && category.rating < rule.threshold
+                ? `${rule.category} scored ${category.rating} which is below ${rule.threshold}`
+                : null;
+        }
+        case 'keyword':
+            return new RegExp(`\\b${escapeRegExp(rule.keyword)}\\b`, 'i').test(review.publicReview || '')
+                ? `Review mentions "${rule.keyword}"`
+                : null;
+        case 'flagged':
+            return review.moderationState === 'flagged' ? 'Review was flagged for a second look' : null;
+        default:
+            return null;
+    }
+}
+
+function buildMessage(rule, review, reason) {
+    return {
+        title: `${rule.name}: ${review.guestName || 'A guest'} at ${review.listingName || 'an unknown property'}`,
+        body: `${reason}.\n\n"${review.publicReview || '(no review text)'}"`,
+        payload: {
+            event: 'review.alert',
+            rule: { id: rule.id, name: rule.name, conditionType: rule.conditionType },
+            reason,
+            review: {
+                id: review.id,
+                guestName: review.guestName,
+                listingId: review.listingId,
+                listingName: review.listingName,
+                channel: review.channel,
+                rating: review.rating,
+                reviewCategory: review.reviewCategory,
+                publicReview: review.publicReview,
+                submittedAt: review.submittedAt,
+                moderationState: review.moderationState
+            },
+            sentAt: new Date().toISOString()
+        }
+    };
+}
+
+let transporter = null;
+function getTransporter() {
+    if (!ALERT_CONFIG.smtpHost) throw new Error('SMTP is not configured, set SMTP_HOST');
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: ALERT_CONFIG.smtpHost,
+            port: ALERT_CONFIG.smtpPort,
+            secure: ALERT_CONFIG.smtpSecure,
+            auth: ALERT_CONFIG.smtpUser ? { user: ALERT_CONFIG.smtpUser, pass: ALERT_CONFIG.smtpPassword } : undefined,
+            connectionTimeout: ALERT_CONFIG.timeout
+        });
+    }
+    return transporter;
+}
+
+// Each sender throws on failure, deliver() records the outcome
+const senders = {
+    inbox: async (rule, message, review) => {
+        alertStore.createNotification({ ruleId: rule.id, reviewId: review ? review.id : null, title: message.title, body: message.body });
+        return null;
+    },
+    webhook: async (rule, message) => {
+        await assertPublicWebhook(rule.webhookUrl);
+        // Redirects aren't followed, they could lead to an address the check above would refuse
+        await axios.post(rule.webhookUrl, message.payload, { timeout: ALERT_CONFIG.timeout, maxRedirects: 0 });
+        return rule.webhookUrl;
+    },
+    email: async (rule, message) => {
+        await getTransporter().sendMail({
+            from: ALERT_CONFIG.emailFrom,
+            to: rule.emailTo,
+            subject: message.title,
+            text: message.body
+        });
+        return rule.emailTo;
+    }
+};
+
+const channelTarget = (rule, channel) => ({ webhook: rule.webhookUrl, email: rule.emailTo }[channel] || null);
+
+// Sends the message on every channel of the rule, one failing channel doesn't stop the others
+async function deliver(rule, message, { eventId, review } = {}) {
+    const results = [];
+    for (const channel of rule.channels) {
+        try {
+            await senders[channel](rule, message, review);
+            alertStore.recordDelivery({ ruleId: rule.id, eventId, channel, target: channelTarget(rule, channel), status: 'sent' });
+            results.push({ channel, status: 'sent' });
+        } catch (error) {
+            console.error(`Alert "${rule.name}" ${channel} delivery failed:`, error.message);
+            alertStore.recordDelivery({
+                ruleId: rule.id, eventId, channel, target: channelTarget(rule, channel), status: 'failed', error: error.message
+            });
+            results.push({ channel, status: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+async function evaluateRules() {
+    let fired = 0;
+    for (const rule of alertStore.listRules({ enabledOnly: true })) {
+        for (const review of reviewStore.getReviewsByIds(alertStore.getCandidateReviewIds(rule))) {
+            const reason = matchRule(rule, review);
+            if (!reason) continue;
+
+            // The unique (rule, review) event is claimed before delivering, so a review alerts once per rule
+            const eventId = alertStore.recordEvent(rule.id, review.id);
+            if (!eventId) continue;
+
+            fired++;
+            await deliver(rule, buildMessage(rule, review, reason), { eventId, review });
+        }
+    }
+    if (fired > 0) console.log(`Alert rules matched ${fired} review(s)`);
+    return fired;
+}
+
+// One evaluation at a time, a trigger while one runs queues a single follow-up pass
+let running = null;
+let rerun = false;
+function evaluateAlerts() {
+    if (running) {
+        rerun = true;
+        return running;
+    }
+    running = evaluateRules().finally(() => {
+        running = null;
+        if (rerun) {
+            rerun = false;
+            evaluateAlerts();
+        }
+    });
+    return running;
+}
+
+// Fire-and-forget form for sync, import and moderation hooks
+function triggerAlerts() {
+    evaluateAlerts().catch(error => console.error('Alert evaluation failed:', error.message));
+}
+
+// Sends a sample message on every channel of the rule, logged like a real delivery
+function sendTestAlert(rule) {
+    return deliver(rule, {
+        title: `${rule.name}: test alert`,
+        body: 'This is a test of the alert rule, no review triggered it.',
+        payload: { event: 'review.alert.test', rule: { id: rule.id, name: rule.name }, sentAt: new Date().toISOString() }
+    });
+}
+
+module.exports = {
+    CONDITION_TYPES,
+    DELIVERY_CHANNELS,
+    matchRule,
+    evaluateAlerts,
+    triggerAlerts,
+    sendTestAlert
+};
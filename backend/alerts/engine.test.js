@@ -0,0 +1,69 @@
+const db = require('../db');
+const alertStore = require('../db/alerts');
+const reviewStore = require('../db/reviews');
+const { evaluateAlerts } = require('./engine');
+const fixtures = require('../test/fixtures');
+
+// Rules only look at reviews that changed after they were created, timestamps need to move on between steps
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const review = (externalId, fields) => fixtures.review(externalId, {
+    publicReview: 'Lovely stay, spotless flat.',
+    guestName: `Guest ${externalId}`,
+    listingName: 'Soho Loft',
+    ...fields
+});
+
+const alertedGuests = () => alertStore.getNotifications().map(notification => notification.title).sort();
+
+let rule;
+beforeAll(async () => {
+    reviewStore.upsertReviews([
+        review(1),
+        review(2, { rating: 4, publicReview: 'Dirty and noisy.' }),
+        review(3)
+    ]);
+    await tick();
+    rule = alertStore.createRule({ name: 'Low rating', conditionType: 'rating_below', threshold: 6, channels: ['inbox'] });
+    await tick();
+});
+
+test('reviews from before the rule are left alone', async () => {
+    expect(await evaluateAlerts()).toBe(0);
+});
+
+test('a resync with the same content does not make older reviews candidates', () => {
+    reviewStore.upsertReviews([review(1), review(2, { rating: 4, publicReview: 'Dirty and noisy.' }), review(3)]);
+    expect(alertStore.getCandidateReviewIds(rule)).toEqual([]);
+});
+
+test('re-analysing with a changed lexicon does not make older reviews candidates', () => {
+    db.prepare('UPDATE reviews SET analyzed_with = NULL').run();
+    expect(reviewStore.analyzePendingReviews()).toBe(3);
+    expect(alertStore.getCandidateReviewIds(rule)).toEqual([]);
+});
+
+test('an older review resynced with a lower rating or new text is evaluated again', async () => {
+    reviewStore.upsertReviews([
+        review(1, { rating: 3 }),
+        review(3, { publicReview: 'Lovely stay, spotless flat. Update: the boiler broke.' })
+    ]);
+
+    const candidates = reviewStore.getReviewsByIds(alertStore.getCandidateReviewIds(rule));
+    expect(candidates.map(found => found.guestName)).toEqual(['Guest 1', 'Guest 3']);
+
+    expect(await evaluateAlerts()).toBe(1);
+    expect(alertedGuests()).toEqual(['Low rating: Guest 1 at Soho Loft']);
+});
+
+test('a review alerts a rule only once', async () => {
+    reviewStore.upsertReviews([review(1, { rating: 2 })]);
+    expect(await evaluateAlerts()).toBe(0);
+    expect(alertedGuests()).toHaveLength(1);
+});
+
+test('getReviewsByIds returns reviews in id order and skips missing ids', () => {
+    const ids = alertStore.getCandidateReviewIds({ ...rule, id: -1 });
+    expect(reviewStore.getReviewsByIds([...ids].reverse().concat(999)).map(found => found.id)).toEqual(ids);
+    expect(reviewStore.getReviewsByIds([])).toEqual([]);
+});
@@ -0,0 +1,92 @@
+// Alert webhooks are POSTed from the server, so their URLs must not reach the server's own network:
+// loopback, private, link-local (cloud metadata at 169.254.169.254) and other non-public addresses are refused.
+// The host is checked when a rule is saved and its resolved addresses again before each delivery
+const dns = require('dns').promises;
+const net = require('net');
+const { ALERT_CONFIG } = require('../config');
+
+const PRIVATE_IPV4 = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+];
+
+const ipv4ToInt = (address) => address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+function isPrivateIPv4(address) {
+    const value = ipv4ToInt(address);
+    return PRIVATE_IPV4.some(([base, bits]) => {
+        const size = 2 ** (32 - bits);
+        return Math.floor(value / size) === Math.floor(ipv4ToInt(base) / size);
+    });
+}
+
+// Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and IPv4-mapped private addresses
+function isPrivateIPv6(address) {
+    const lower = address.toLowerCase();
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateIPv4(mapped[1]);
+    // URL parsing writes mapped addresses in hex, [::ffff:10.0.0.1] becomes ::ffff:a00:1
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+        const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+        return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    if (lower === '::' || lower === '::1') return true;
+    return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+function isPrivateAddress(address) {
+    const version = net.isIP(address);
+    if (version === 4) return isPrivateIPv4(address);
+    if (version === 6) return isPrivateIPv6(address);
+    return false;
+}
+
+// Returns why the URL can't be used as an alert webhook, or null. Hostnames are checked again on delivery
+function checkWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch (error) {
+        return 'webhookUrl must be a valid URL.';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'webhookUrl must be an http(s) URL.';
+    }
+    if (ALERT_CONFIG.allowPrivateWebhooks) return null;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+        return 'webhookUrl must point to a public address, not a local or private network.';
+    }
+    return null;
+}
+
+// Resolves the webhook's host and throws when any of its addresses is private, so a public name that
+// resolves to an internal address (or is changed to) is refused before anything is sent
+async function assertPublicWebhook(webhookUrl) {
+    const invalid = checkWebhookUrl(webhookUrl);
+    if (invalid) throw new Error(invalid);
+    if (ALERT_CONFIG.allowPrivateWebhooks) return;
+
+    const host = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+        throw new Error(`webhook host ${host} resolves to a private address (${blocked.address})`);
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    checkWebhookUrl,
+    assertPublicWebhook
+};
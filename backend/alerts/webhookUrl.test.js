@@ -0,0 +1,76 @@
+const dns = require('dns').promises;
+const { ALERT_CONFIG } = require('../config');
+const { isPrivateAddress, checkWebhookUrl, assertPublicWebhook } = require('./webhookUrl');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    ALERT_CONFIG.allowPrivateWebhooks = false;
+});
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '::', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254'
+    ])('%s is private', (address) => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8'])('%s is public', (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    test('accepts public http(s) URLs', () => {
+        expect(checkWebhookUrl('https://hooks.example.com/reviews')).toBeNull();
+        expect(checkWebhookUrl('http://93.184.216.34:8080/hook')).toBeNull();
+    });
+
+    test('refuses other protocols and unparseable URLs', () => {
+        expect(checkWebhookUrl('file:///etc/passwd')).toBe('webhookUrl must be an http(s) URL.');
+        expect(checkWebhookUrl('gopher://example.com')).toBe('webhookUrl must be an http(s) URL.');
+        expect(checkWebhookUrl('not a url')).toBe('webhookUrl must be a valid URL.');
+    });
+
+    test.each([
+        'http://localhost:5057/hooks',
+        'http://api.localhost/hooks',
+        'http://127.0.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]:8080/',
+        'http://[::ffff:10.0.0.1]/',
+        'http://2130706433/',
+        'http://0x7f.1/',
+        'https://192.168.0.10/hook'
+    ])('refuses %s', (url) => {
+        expect(checkWebhookUrl(url)).toBe('webhookUrl must point to a public address, not a local or private network.');
+    });
+
+    test('private addresses can be allowed for local testing', () => {
+        ALERT_CONFIG.allowPrivateWebhooks = true;
+        expect(checkWebhookUrl('http://localhost:5057/hooks/test')).toBeNull();
+        expect(checkWebhookUrl('ftp://localhost/')).toBe('webhookUrl must be an http(s) URL.');
+    });
+});
+
+describe('assertPublicWebhook', () => {
+    test('passes when every resolved address is public', async () => {
+        jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        await expect(assertPublicWebhook('https://hooks.example.com/reviews')).resolves.toBeUndefined();
+    });
+
+    test('refuses a public name that resolves to a private address', async () => {
+        jest.spyOn(dns, 'lookup').mockResolvedValue([
+            { address: '93.184.216.34', family: 4 },
+            { address: '169.254.169.254', family: 4 }
+        ]);
+        await expect(assertPublicWebhook('https://metadata.example.com/'))
+            .rejects.toThrow('webhook host metadata.example.com resolves to a private address (169.254.169.254)');
+    });
+
+    test('refuses private literals without a lookup', async () => {
+        const lookup = jest.spyOn(dns, 'lookup');
+        await expect(assertPublicWebhook('http://10.0.0.5/')).rejects.toThrow('public address');
+        expect(lookup).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,129 @@
+// Local sentiment scoring and theme tagging for review text, driven entirely by a lexicon file
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TEXT_ANALYSIS_CONFIG } = require('../config');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+// Scores at or beyond these count as positive / negative, anything in between is neutral
+const SENTIMENT_THRESHOLD = 0.2;
+// How many words back a negator still flips a sentiment word ("not very clean")
+const NEGATION_WINDOW = 3;
+// A negator right before a theme term is a complaint on its own ("no wifi", "no hot water")
+const MISSING_SCORE = -2;
+
+// Sentences and contrasting clauses are scored separately so "great flat but broken heating"
+// tags heating as negative instead of averaging it out
+const CLAUSE_BREAK = /[.!?;,\n]+|\b(?:but|however|although|though|except|apart from|unfortunately)\b/i;
+
+const tokenize = (text) => (String(text).toLowerCase().replace(/’/g, "'").match(/[a-z0-9']+/g) || []);
+
+function loadLexicon(lexiconPath = TEXT_ANALYSIS_CONFIG.lexiconPath || path.join(__dirname, 'lexicon.json')) {
+    const source = fs.readFileSync(lexiconPath, 'utf8');
+    const lexicon = JSON.parse(source);
+    if (!lexicon.sentiment || !lexicon.sentiment.words || !lexicon.themes) {
+        throw new Error(`Lexicon ${lexiconPath} needs sentiment.words and themes`);
+    }
+
+    return {
+        words: lexicon.sentiment.words,
+        negators: new Set(lexicon.sentiment.negators || []),
+        intensifiers: lexicon.sentiment.intensifiers || {},
+        themes: Object.entries(lexicon.themes).map(([key, theme]) => ({
+            key,
+            label: theme.label || key,
+            // Terms are matched as token sequences, so "check-in" and "check in" are the same term
+            terms: theme.terms.map(tokenize).filter(tokens => tokens.length > 0)
+        })),
+        // Stored with each analysed review, a lexicon edit changes it and triggers re-analysis
+        fingerprint: crypto.createHash('sha1').update(source).digest('hex').slice(0, 12)
+    };
+}
+
+let lexicon = null;
+// Loaded on first use so a broken lexicon file is reported where it's used rather than at require time
+function getLexicon() {
+    if (!lexicon) lexicon = loadLexicon();
+    return lexicon;
+}
+
+const matchesAt = (tokens, index, term) => term.every((token, offset) => tokens[index + offset] === token);
+
+function scoreClause(tokens, { words, negators, intensifiers }) {
+    let score = 0;
+    tokens.forEach((token, index) => {
+        if (words[token] === undefined) return;
+
+        let value = words[token];
+        const previous = tokens[index - 1];
+        if (intensifiers[previous]) value *= intensifiers[previous];
+        if (tokens.slice(Math.max(0, index - NEGATION_WINDOW), index).some(word => negators.has(word))) value = -value;
+        score += value;
+    });
+    return score;
+}
+
+// Themes mentioned in a clause, each at most once, negated when a negator directly precedes any of its terms
+function findThemes(tokens, { themes, negators }) {
+    return themes.reduce((found, theme) => {
+        const positions = [];
+        tokens.forEach((token, index) => {
+            if (theme.terms.some(term => matchesAt(tokens, index, term))) positions.push(index);
+        });
+        if (positions.length > 0) {
+            found.push({ theme: theme.key, negated: positions.some(index => negators.has(tokens[index - 1])) });
+        }
+        return found;
+    }, []);
+}
+
+const toLabel = (score) => score >= SENTIMENT_THRESHOLD
+    ? 'positive'
+    : score <= -SENTIMENT_THRESHOLD ? 'negative' : 'neutral';
+
+// Returns { sentiment: { score, label }, themes: [{ theme, sentiment, mentions }] }, score is -1..1 and
+// mentions counts the clauses naming the theme.
+// A theme is negative when any clause mentioning it is, so one complaint isn't hidden by praise elsewhere
+function analyzeText(text, activeLexicon = getLexicon()) {
+    const clauses = String(text || '').split(CLAUSE_BREAK).map(tokenize).filter(tokens => tokens.length > 0);
+    if (clauses.length === 0) return { sentiment: null, themes: [] };
+
+    let total = 0;
+    const themes = new Map();
+    clauses.forEach(tokens => {
+        const mentions = findThemes(tokens, activeLexicon);
+        const clauseScore = scoreClause(tokens, activeLexicon) + (mentions.some(m => m.negated) ? MISSING_SCORE : 0);
+        total += clauseScore;
+
+        mentions.forEach(({ theme }) => {
+            const entry = themes.get(theme) || { theme, positive: 0, negative: 0, mentions: 0 };
+            entry.mentions++;
+            if (clauseScore > 0) entry.positive++;
+            if (clauseScore < 0) entry.negative++;
+            themes.set(theme, entry);
+        });
+    });
+
+    const score = Number(Math.tanh(total / 6).toFixed(2));
+    return {
+        sentiment: { score, label: toLabel(score) },
+        themes: [...themes.values()].map(({ theme, positive, negative, mentions }) => ({
+            theme,
+            sentiment: negative > 0 ? 'negative' : positive > 0 ? 'positive' : 'neutral',
+            mentions
+        }))
+    };
+}
+
+// Theme keys and labels for filter dropdowns
+function getThemes() {
+    return getLexicon().themes.map(({ key, label }) => ({ key, label }));
+}
+
+module.exports = {
+    SENTIMENTS,
+    loadLexicon,
+    getLexicon,
+    analyzeText,
+    getThemes
+};
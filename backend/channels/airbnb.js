@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { CHANNEL_EXPORTS } = require('../config');
+const { normalizeRating, toReviewRating, toSubmittedAt } = require('./utils');
+
+// Airbnb review export (JSON array), one record per review:
+// {
+//   "id": "1048573920", "listing_id": "52731904", "listing_name": "...",
+//   "reviewer_name": "...", "role": "guest", "overall_rating": 5,
+//   "comments": "...", "created_at": "2024-12-01T10:00:00Z",
+//   "category_ratings": { "cleanliness": 5, "accuracy": 4, "checkin": 5, ... }
+// }
+
+// Airbnb's category keys mapped onto the dashboard's names
+const CATEGORY_NAMES = {
+    cleanliness: 'cleanliness',
+    accuracy: 'accuracy',
+    checkin: 'check_in',
+    communication: 'communication',
+    location: 'location',
+    value: 'value'
+};
+
+// Airbnb rates overall and per category on 1-5 stars
+const RATING_SCALE = 5;
+
+function mapCategories(record) {
+    return Object.entries(record.category_ratings || {})
+        .map(([key, rating]) => ({
+            category: CATEGORY_NAMES[key] || key,
+            rating: normalizeRating(rating, RATING_SCALE)
+        }))
+        .filter(cat => cat.rating !== null);
+}
+
+function normalize(record) {
+    const reviewCategory = mapCategories(record);
+    return {
+        source: 'airbnb',
+        channel: 'airbnb',
+        externalId: record.id,
+        type: record.role === 'host' ? 'host-to-guest' : 'guest-to-host',
+        status: 'published',
+        ...toReviewRating(record.overall_rating, reviewCategory, RATING_SCALE),
+        publicReview: record.comments,
+        reviewCategory,
+        submittedAt: toSubmittedAt(record.created_at),
+        guestName: record.reviewer_name,
+        listingName: record.listing_name,
+        listingExternalId: record.listing_id,
+        raw: record
+    };
+}
+
+// Accepts the parsed JSON array, or an object wrapping it in `reviews`
+function parseExport(payload) {
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const records = Array.isArray(data) ? data : (data && data.reviews);
+    if (!Array.isArray(records)) {
+        throw new Error('Airbnb export must be a JSON array of reviews');
+    }
+    return records;
+}
+
+// The whole export is one page, newest first like the API adapters
+async function* fetchPages() {
+    const records = parseExport(fs.readFileSync(CHANNEL_EXPORTS.airbnb, 'utf8'));
+    yield records.sort((a, b) =>
+        String(toSubmittedAt(b.created_at)).localeCompare(String(toSubmittedAt(a.created_at))));
+}
+
+module.exports = {
+    channel: 'airbnb',
+    displayName: 'Airbnb',
+    dataSource: 'airbnb_export',
+    isConfigured: () => Boolean(CHANNEL_EXPORTS.airbnb),
+    fetchPages,
+    normalize,
+    mapCategories,
+    parseExport
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { CHANNEL_EXPORTS } = require('../config');
+const { normalizeRating, toReviewRating, toSubmittedAt, parseCsv } = require('./utils');
+
+// Booking.com extranet review export (CSV), with the columns:
+// Reservation number, Review date, Guest name, Property name, Review score,
+// Positive review, Negative review, Staff, Cleanliness, Location, Facilities, Comfort, Value for money
+
+// Booking.com scores overall and per category on 1-10
+const RATING_SCALE = 10;
+
+// Booking.com's score columns mapped onto the dashboard's category names
+const CATEGORY_COLUMNS = {
+    'Staff': 'staff',
+    'Cleanliness': 'cleanliness',
+    'Location': 'location',
+    'Facilities': 'amenities',
+    'Comfort': 'comfort',
+    'Value for money': 'value',
+    'Free WiFi': 'wifi'
+};
+
+function mapCategories(record) {
+    return Object.entries(CATEGORY_COLUMNS)
+        .map(([column, category]) => ({ category, rating: normalizeRating(record[column], RATING_SCALE) }))
+        .filter(cat => cat.rating !== null);
+}
+
+function normalize(record) {
+    const reviewCategory = mapCategories(record);
+    // Booking.com splits the text into liked/disliked, keep both so nothing the guest wrote is lost
+    const publicReview = [record['Positive review'], record['Negative review']]
+        .filter(text => text && text.trim())
+        .join(' ');
+
+    return {
+        source: 'booking',
+        channel: 'booking',
+        externalId: record['Reservation number'],
+        type: 'guest-to-host',
+        status: 'published',
+        ...toReviewRating(record['Review score'], reviewCategory, RATING_SCALE),
+        publicReview,
+        reviewCategory,
+        submittedAt: toSubmittedAt(record['Review date']),
+        guestName: record['Guest name'],
+        listingName: record['Property name'],
+        raw: record
+    };
+}
+
+// Accepts the CSV text straight from the extranet, or rows that were already parsed into objects
+function parseExport(payload) {
+    const records = typeof payload === 'string' ? parseCsv(payload) : payload;
+    if (!Array.isArray(records)) {
+        throw new Error('Booking.com export must be CSV text or an array of rows');
+    }
+    const missingId = records.find(record => !record['Reservation number']);
+    if (missingId) {
+        throw new Error("Booking.com export rows need a 'Reservation number' column");
+    }
+    return records;
+}
+
+// The whole export is one page, newest first like the API adapters
+async function* fetchPages() {
+    const records = parseExport(fs.readFileSync(CHANNEL_EXPORTS.booking, 'utf8'));
+    yield records.sort((a, b) =>
+        String(toSubmittedAt(b['Review date'])).localeCompare(String(toSubmittedAt(a['Review date']))));
+}
+
+module.exports = {
+    channel: 'booking',
+    displayName: 'Booking.com',
+    dataSource: 'booking_export',
+    isConfigured: () => Boolean(CHANNEL_EXPORTS.booking),
+    fetchPages,
+    normalize,
+    mapCategories,
+    parseExport
+};
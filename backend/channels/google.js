@@ -0,0 +1,118 @@
+const axios = require('axios');
+const { GOOGLE_PLACES_CONFIG } = require('../config');
+const integrations = require('../db/integrations');
+const { toReviewRating, toSubmittedAt } = require('./utils');
+
+const QUOTA_PROVIDER = 'google_places';
+
+// Dashboard settings take precedence over the environment defaults
+function getGoogleSettings() {
+    const stored = integrations.getSettings('google');
+    return {
+        enabled: stored.enabled !== undefined ? stored.enabled : Boolean(GOOGLE_PLACES_CONFIG.apiKey),
+        apiKey: stored.apiKey || GOOGLE_PLACES_CONFIG.apiKey,
+        dailyQuota: stored.dailyQuota || GOOGLE_PLACES_CONFIG.dailyQuota,
+        refreshHours: stored.refreshHours || GOOGLE_PLACES_CONFIG.refreshHours
+    };
+}
+
+// Google only gives an overall 1-5 star rating, there are no category scores
+const RATING_SCALE = 5;
+
+function mapCategories() {
+    return [];
+}
+
+// Raw records are Places Details reviews with the place and listing they were fetched for attached,
+// the listing id links them to the mapped listing even when another listing has the same name
+function normalize(record) {
+    return {
+        source: 'google',
+        channel: 'google',
+        // A Google account can only leave one review per place, edits keep the same author but change `time`
+        externalId: `${record.placeId}:${record.author_url || record.author_name}`,
+        type: 'guest-to-host',
+        status: 'published',
+        ...toReviewRating(record.rating, [], RATING_SCALE),
+        publicReview: record.text,
+        reviewCategory: mapCategories(record),
+        submittedAt: toSubmittedAt(record.time ? record.time * 1000 : null),
+        guestName: record.author_name,
+        listingId: record.listingId,
+        listingName: record.listingName,
+        raw: record
+    };
+}
+
+async function fetchPlaceReviews(placeId, apiKey) {
+    const response = await axios.get(`${GOOGLE_PLACES_CONFIG.baseURL}/details/json`, {
+        params: {
+            place_id: placeId,
+            fields: 'reviews',
+            reviews_sort: 'newest',
+            key: apiKey
+        },
+        timeout: GOOGLE_PLACES_CONFIG.timeout
+    });
+
+    const { status, result, error_message: errorMessage } = response.data || {};
+    if (status !== 'OK') {
+        throw new Error(`Places Details returned ${status}${errorMessage ? `: ${errorMessage}` : ''}`);
+    }
+    return (result && result.reviews) || [];
+}
+
+// One page per place that is due a refresh, stops for the day once the quota is spent.
+// A failing place is recorded and skipped so one bad place ID doesn't block the rest
+async function* fetchPages() {
+    const settings = getGoogleSettings();
+    const cutoff = new Date(Date.now() - settings.refreshHours * 60 * 60 * 1000).toISOString();
+    const duePlaces = integrations.getGooglePlacesDueBefore(cutoff);
+
+    for (let i = 0; i < duePlaces.length; i++) {
+        const place = duePlaces[i];
+        if (integrations.getQuotaUsage(QUOTA_PROVIDER) >= settings.dailyQuota) {
+            console.log(`Google Places daily quota of ${settings.dailyQuota} reached, ${duePlaces.length - i} place(s) deferred`);
+            return;
+        }
+
+        // Counted before the request goes out: Google bills every request it answers, error statuses included,
+        // and a failed place is marked fetched so it waits refreshHours before it is tried again
+        integrations.incrementQuotaUsage(QUOTA_PROVIDER);
+        let reviews;
+        try {
+            reviews = await fetchPlaceReviews(place.placeId, settings.apiKey);
+        } catch (error) {
+            console.error(`Google Places fetch failed for ${place.listingName}:`, error.message);
+            integrations.markGooglePlaceFetched(place.listingId, error.message);
+            continue;
+        }
+
+        integrations.markGooglePlaceFetched(place.listingId);
+        yield reviews.map(review => ({
+            ...review,
+            placeId: place.placeId,
+            listingId: place.listingId,
+            listingName: place.listingName
+        }));
+    }
+}
+
+function isConfigured() {
+    const settings = getGoogleSettings();
+    return Boolean(settings.enabled && settings.apiKey && integrations.getGooglePlaces().length > 0);
+}
+
+module.exports = {
+    channel: 'google',
+    displayName: 'Google',
+    dataSource: 'google_places',
+    // Pages are per place rather than newest first overall, so every run upserts everything it fetched
+    supportsIncremental: false,
+    isConfigured,
+    fetchPages,
+    normalize,
+    mapCategories,
+    getGoogleSettings,
+    getQuotaUsage: () => integrations.getQuotaUsage(QUOTA_PROVIDER)
+};
@@ -0,0 +1,88 @@
+const axios = require('axios');
+const db = require('../db');
+const integrations = require('../db/integrations');
+const listingStore = require('../db/listings');
+const reviewStore = require('../db/reviews');
+const google = require('./google');
+
+jest.mock('axios');
+
+// Two listings with the same name, a name-keyed mapping couldn't tell them apart
+let listings;
+beforeAll(() => {
+    listingStore.upsertListings([
+        { source: 'hostaway', externalId: 1, name: 'Soho Loft' },
+        { source: 'hostaway', externalId: 2, name: 'Soho Loft' },
+        { source: 'hostaway', externalId: 3, name: 'Camden Studio' }
+    ]);
+    listings = listingStore.getListings().sort((a, b) => a.id - b.id);
+    integrations.saveSettings('google', { enabled: true, apiKey: 'test-key', dailyQuota: 10 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const placeReviews = (text) => ({
+    data: { status: 'OK', result: { reviews: [{ author_name: 'Ana', author_url: 'https://g.co/ana', rating: 4, text, time: 1735689600 }] } }
+});
+
+const fetchAll = async () => {
+    const pages = [];
+    for await (const page of google.fetchPages()) pages.push(page);
+    return pages;
+};
+
+test('place mappings are keyed by listing id', () => {
+    integrations.setGooglePlace(listings[1].id, 'place-soho-2');
+    integrations.setGooglePlace(listings[2].id, 'place-camden');
+
+    expect(integrations.getGooglePlaces()).toEqual([
+        expect.objectContaining({ listingId: listings[2].id, listingName: 'Camden Studio', placeId: 'place-camden' }),
+        expect.objectContaining({ listingId: listings[1].id, listingName: 'Soho Loft', placeId: 'place-soho-2' })
+    ]);
+    expect(integrations.removeGooglePlace(listings[0].id)).toBe(false);
+});
+
+test('a failing place is recorded on its listing and the others are still fetched', async () => {
+    axios.get.mockImplementation((url, { params }) => (params.place_id === 'place-camden'
+        ? Promise.reject(new Error('socket hang up'))
+        : Promise.resolve(placeReviews('Great loft'))));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const pages = await fetchAll();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(pages).toHaveLength(1);
+    expect(google.getQuotaUsage()).toBe(2);
+
+    const failed = integrations.getGooglePlaces().find(place => place.placeId === 'place-camden');
+    expect(failed.lastError).toBe('socket hang up');
+});
+
+test('imported reviews link to the mapped listing, not the first with its name', async () => {
+    integrations.setGooglePlace(listings[1].id, 'place-soho-2-moved');
+    axios.get.mockResolvedValue(placeReviews('Lovely stay'));
+
+    const [page] = await fetchAll();
+    reviewStore.upsertReviews(page.map(google.normalize));
+    const [stored] = reviewStore.getReviewsForListing(listings[1].id);
+    expect(stored).toMatchObject({ channel: 'google', listingName: 'Soho Loft', publicReview: 'Lovely stay' });
+    expect(reviewStore.getReviewsForListing(listings[0].id)).toEqual([]);
+});
+
+test('a request Google answers with an error status still counts towards the quota', async () => {
+    integrations.setGooglePlace(listings[0].id, 'place-soho-1');
+    axios.get.mockResolvedValue({ data: { status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid.' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const before = google.getQuotaUsage();
+
+    expect(await fetchAll()).toEqual([]);
+    expect(google.getQuotaUsage()).toBe(before + 1);
+    const failed = integrations.getGooglePlaces().find(place => place.placeId === 'place-soho-1');
+    expect(failed.lastError).toBe('Places Details returned REQUEST_DENIED: The provided API key is invalid.');
+});
+
+test('a mapping goes with its listing', () => {
+    db.prepare('DELETE FROM listings WHERE id = ?').run(listings[2].id);
+    expect(integrations.getGooglePlaces().map(place => place.listingId)).toEqual([listings[0].id, listings[1].id]);
+});
@@ -0,0 +1,176 @@
+const { HOSTAWAY_CONFIG } = require('../config');
+const { createHttpClient } = require('../lib/httpClient');
+const { normalizeRating, toReviewRating, toSubmittedAt } = require('./utils');
+const mockReviews = require('./hostawayMockReviews');
+const mockListings = require('./hostawayMockListings');
+
+// Hostaway relays reviews from the OTAs it is connected to, channelId tells us where the guest booked
+const HOSTAWAY_CHANNEL_IDS = {
+    2000: 'direct',
+    2002: 'vrbo',
+    2005: 'booking',
+    2007: 'expedia',
+    2018: 'airbnb'
+};
+
+// Hostaway rates overall and per category on 0-10, its overall rating is often null
+const RATING_SCALE = 10;
+
+// Hostaway passes on some categories with the OTA's own spelling, these are folded into the dashboard's names
+const CATEGORY_NAMES = {
+    checkin: 'check_in',
+    check_in_experience: 'check_in',
+    value_for_money: 'value'
+};
+
+function mapCategories(review) {
+    return (review.reviewCategory || [])
+        .filter(cat => cat && cat.category)
+        .map(cat => ({
+            category: CATEGORY_NAMES[cat.category] || cat.category,
+            rating: normalizeRating(cat.rating, RATING_SCALE)
+        }))
+        .filter(cat => cat.rating !== null);
+}
+
+function normalize(review) {
+    const reviewCategory = mapCategories(review);
+    return {
+        source: 'hostaway',
+        channel: HOSTAWAY_CHANNEL_IDS[review.channelId] || 'hostaway',
+        externalId: review.id,
+        type: review.type,
+        status: review.status,
+        ...toReviewRating(review.rating, reviewCategory, RATING_SCALE),
+        publicReview: review.publicReview,
+        reviewCategory,
+        submittedAt: toSubmittedAt(review.submittedAt),
+        guestName: review.guestName,
+        listingName: review.listingName,
+        listingExternalId: review.listingMapId,
+        raw: review
+    };
+}
+
+function normalizeListing(listing) {
+    const photo = (listing.listingImages || [])[0];
+    return {
+        source: 'hostaway',
+        externalId: listing.id,
+        name: listing.name,
+        address: listing.address,
+        city: listing.city,
+        country: listing.country,
+        bedrooms: listing.bedroomsNumber,
+        bathrooms: listing.bathroomsNumber,
+        maxGuests: listing.personCapacity,
+        photoUrl: photo ? photo.url : listing.thumbnailUrl,
+        raw: listing
+    };
+}
+
+// Every Hostaway call goes through this client: it exchanges the API key for an access token, retries with
+// backoff, waits out rate limits and stops calling for a while once Hostaway keeps failing
+const client = createHttpClient({
+    service: 'Hostaway',
+    baseURL: HOSTAWAY_CONFIG.baseURL,
+    timeout: HOSTAWAY_CONFIG.timeout,
+    retries: HOSTAWAY_CONFIG.retries,
+    retryBaseMs: HOSTAWAY_CONFIG.retryBaseMs,
+    maxRetryDelayMs: HOSTAWAY_CONFIG.maxRetryDelayMs,
+    failureThreshold: HOSTAWAY_CONFIG.circuitFailureThreshold,
+    cooldownMs: HOSTAWAY_CONFIG.circuitCooldownSeconds * 1000,
+    cacheTtlMs: HOSTAWAY_CONFIG.cacheSeconds * 1000,
+    headers: { 'X-HOSTAWAY-ACCOUNT-ID': HOSTAWAY_CONFIG.accountId },
+    fetchToken: async ({ post }) => {
+        const data = await post('/accessTokens', new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: HOSTAWAY_CONFIG.accountId,
+            client_secret: HOSTAWAY_CONFIG.apiKey,
+            scope: 'general'
+        }).toString(), { 'Content-Type': 'application/x-www-form-urlencoded' });
+        if (!data || !data.access_token) throw new Error('no access_token in the token response');
+        return { token: data.access_token, expiresIn: data.expires_in };
+    }
+});
+
+async function fetchResultPage(resource, params, { cache = true } = {}) {
+    const data = await client.get(`/${resource}`, { params: { limit: HOSTAWAY_CONFIG.pageSize, ...params }, cache });
+    return (data && data.result) || [];
+}
+
+// Posts the manager's response, Hostaway relays it to the OTA the guest booked through.
+// Throws on any failure so the caller can record it against the reply, mock mode accepts it without sending it anywhere
+async function publishReply(review, body) {
+    if (HOSTAWAY_CONFIG.mockData) {
+        console.log(`Mock mode, reply to Hostaway review ${review.externalId} not sent`);
+        return null;
+    }
+    const data = await client.put(`/reviews/${review.externalId}/response`, { response: body });
+    return (data && data.result) || null;
+}
+
+// Hostaway's unified webhooks post { object, event, data } for every kind of object, only reviews are kept
+function parseWebhook(payload) {
+    return payload.object === 'review' && payload.data ? [payload.data] : [];
+}
+
+// Fetches a single page of reviews, newest first so incremental syncs can stop early.
+// Always fresh, a cached page could hide a review that arrived since; listings are cached as they rarely change
+function fetchReviewPage(offset) {
+    return fetchResultPage('reviews', { offset, sortBy: 'submittedAt', sortOrder: 'desc' }, { cache: false });
+}
+
+// Pages through the reviews endpoint until a short page, the sync engine stops early once it passes its cursor.
+// Mock mode yields the bundled reviews as a single page instead
+async function* fetchPages() {
+    if (HOSTAWAY_CONFIG.mockData) {
+        yield [...mockReviews].sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)));
+        return;
+    }
+
+    let offset = 0;
+    for (;;) {
+        const page = await fetchReviewPage(offset);
+        yield page;
+        if (page.length < HOSTAWAY_CONFIG.pageSize) return;
+        offset += HOSTAWAY_CONFIG.pageSize;
+    }
+}
+
+// Every listing on the account, synced before reviews so new reviews link straight away
+async function* fetchListings() {
+    if (HOSTAWAY_CONFIG.mockData) {
+        yield mockListings;
+        return;
+    }
+
+    let offset = 0;
+    for (;;) {
+        const page = await fetchResultPage('listings', { offset });
+        yield page;
+        if (page.length < HOSTAWAY_CONFIG.pageSize) return;
+        offset += HOSTAWAY_CONFIG.pageSize;
+    }
+}
+
+module.exports = {
+    channel: 'hostaway',
+    displayName: 'Hostaway',
+    // Getters so they always agree with what fetchPages and isConfigured read on each call
+    get dataSource() {
+        return HOSTAWAY_CONFIG.mockData ? 'mock_data' : 'hostaway_api';
+    },
+    get mockData() {
+        return HOSTAWAY_CONFIG.mockData;
+    },
+    isConfigured: () => HOSTAWAY_CONFIG.mockData || Boolean(HOSTAWAY_CONFIG.apiKey),
+    getHealth: client.getHealth,
+    fetchPages,
+    normalize,
+    mapCategories,
+    fetchListings,
+    normalizeListing,
+    publishReply,
+    parseWebhook
+};
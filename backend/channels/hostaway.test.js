@@ -0,0 +1,78 @@
+const mockReviews = require('./hostawayMockReviews');
+
+jest.mock('axios');
+
+// Loads the adapter with fresh config from the given environment, undefined values are left unset
+const loadAdapter = (env) => {
+    const previous = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+
+    apply(env);
+    let loaded;
+    jest.isolateModules(() => {
+        loaded = { adapter: require('./hostaway'), axios: require('axios'), config: require('../config') };
+    });
+    apply(previous);
+    return loaded;
+};
+
+const firstPage = async (adapter) => {
+    for await (const page of adapter.fetchPages()) return page;
+    return null;
+};
+
+const unreachable = () => Object.assign(new Error('connect ECONNREFUSED'), { isAxiosError: true, code: 'ECONNREFUSED' });
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test.each([undefined, 'false', '1', 'yes'])('HOSTAWAY_MOCK_DATA=%s calls the Hostaway API', async (value) => {
+    const { adapter, axios } = loadAdapter({ HOSTAWAY_MOCK_DATA: value });
+    axios.mockImplementation(async ({ url }) => (url === '/accessTokens'
+        ? { status: 200, data: { access_token: 'token', expires_in: 3600 }, headers: {} }
+        : { status: 200, data: { result: [{ id: 1 }] }, headers: {} }));
+
+    expect(adapter).toMatchObject({ mockData: false, dataSource: 'hostaway_api' });
+    expect(await firstPage(adapter)).toEqual([{ id: 1 }]);
+    expect(axios.mock.calls.map(([config]) => config.url)).toEqual(['/accessTokens', '/reviews']);
+});
+
+test('an unreachable API fails the fetch instead of falling back to mock reviews', async () => {
+    const { adapter, axios } = loadAdapter({ HOSTAWAY_MOCK_DATA: undefined, HOSTAWAY_RETRIES: '0' });
+    axios.mockRejectedValue(unreachable());
+
+    await expect(firstPage(adapter)).rejects.toMatchObject({ name: 'UpstreamError', code: 'unreachable' });
+    expect(axios).toHaveBeenCalledTimes(1);
+});
+
+test('HOSTAWAY_MOCK_DATA=true serves the bundled reviews without calling Hostaway', async () => {
+    const { adapter, axios } = loadAdapter({ HOSTAWAY_MOCK_DATA: 'true' });
+
+    expect(adapter).toMatchObject({ mockData: true, dataSource: 'mock_data' });
+    expect(adapter.isConfigured()).toBe(true);
+    const page = await firstPage(adapter);
+    expect(page).toHaveLength(mockReviews.length);
+    expect(await adapter.publishReply({ externalId: 7453 }, 'Thank you!')).toBeNull();
+    expect(axios).not.toHaveBeenCalled();
+});
+
+test('dataSource and mockData follow the config fetchPages reads', async () => {
+    const { adapter, axios, config } = loadAdapter({ HOSTAWAY_MOCK_DATA: undefined });
+    expect(adapter).toMatchObject({ mockData: false, dataSource: 'hostaway_api' });
+
+    config.HOSTAWAY_CONFIG.mockData = true;
+    expect(adapter).toMatchObject({ mockData: true, dataSource: 'mock_data' });
+    expect(adapter.isConfigured()).toBe(true);
+    expect(await firstPage(adapter)).toHaveLength(mockReviews.length);
+    expect(axios).not.toHaveBeenCalled();
+});
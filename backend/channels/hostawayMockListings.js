@@ -0,0 +1,15 @@
+// Mock listing data for sandbox environment, seeded alongside the mock reviews
+module.exports = [
+    {
+        id: 155613,
+        name: "2B N1 A - 29 Shoreditch Heights",
+        address: "29 Shoreditch High Street, London E1 6PN, UK",
+        city: "London",
+        country: "United Kingdom",
+        bedroomsNumber: 2,
+        bathroomsNumber: 1,
+        personCapacity: 4,
+        thumbnailUrl: null,
+        listingImages: []
+    }
+];
@@ -0,0 +1,20 @@
+// Mock review data for sandbox environment, only used when Hostaway returns nothing and the store is empty
+module.exports = [
+    {
+        id: 7453,
+        type: "guest-to-host",
+        status: "published",
+        rating: null,
+        publicReview: "Shane and family are wonderful! Would definitely host again. The property was immaculate and they followed all house rules perfectly. Communication was excellent throughout their stay.",
+        reviewCategory: [
+            { category: "cleanliness", rating: 9},
+            { category: "location", rating: 10},
+            { category: "amenities", rating: 9},
+            { category: "hospitality", rating: 10}
+        ],
+        submittedAt: "2024-11-28 16:20:12",
+        guestName: "Lisa Rodriguez",
+        listingMapId: 155613,
+        listingName: "2B N1 A - 29 Shoreditch Heights"
+    }
+];
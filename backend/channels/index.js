@@ -0,0 +1,47 @@
+// Channel adapter registry
+//
+// Every adapter exposes the same interface so the sync engine and import route don't care where reviews come from:
+//   channel        - source key stored with each review, also used in URLs (/api/sync/:channel)
+//   displayName    - label for the dashboard
+//   dataSource     - recorded as the sync state's lastSource after a successful fetch
+//   isConfigured() - whether the scheduled sync should run it
+//   fetchPages()   - async generator of raw review pages, newest first
+//   normalize(raw) - raw review -> normalised review shape (source, channel, externalId, rating, rawRating, ratingScale,
+//                    ratingSource, reviewCategory, ...), rating is null for unrated reviews (see utils.toReviewRating).
+//                    An optional listingId links the review to that listing instead of matching its listing by name
+//   mapCategories(raw) - raw category ratings -> [{ category, rating }] on the dashboard's 0-10 scale
+//   parseExport(payload) - optional, turns an uploaded export into raw reviews for manual imports
+//   publishReply(review, body) - optional, posts a manager response to the review on the channel
+//   parseWebhook(payload) - optional, raw reviews in an inbound webhook body when the channel has its own format
+//   supportsIncremental  - optional, false when pages aren't newest first so every sync runs in full mode
+//   getHealth()    - optional, circuit and rate-limit state of the adapter's API client (see lib/httpClient)
+//   mockData       - optional, true when the adapter serves bundled mock data instead of calling its API
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+    ['channel', 'fetchPages', 'normalize', 'mapCategories'].forEach(key => {
+        if (!adapter[key]) {
+            throw new Error(`Channel adapter is missing '${key}'`);
+        }
+    });
+    adapters.set(adapter.channel, adapter);
+}
+
+function getAdapter(channel) {
+    return adapters.get(channel) || null;
+}
+
+function listAdapters() {
+    return [...adapters.values()];
+}
+
+registerAdapter(require('./hostaway'));
+registerAdapter(require('./airbnb'));
+registerAdapter(require('./booking'));
+registerAdapter(require('./google'));
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters
+};
@@ -0,0 +1,108 @@
+// Shared helpers for channel adapters
+
+// Every rating is stored on the dashboard's 0-10 scale next to the channel's own value and scale
+const DASHBOARD_SCALE = 10;
+
+// Parses a channel rating, anything missing, non-numeric or outside 0..scale is treated as no rating
+function parseRating(value, scale) {
+    if (value === null || value === undefined || value === '') return null;
+    const rating = Number(value);
+    return isNaN(rating) || rating < 0 || rating > scale ? null : rating;
+}
+
+// Converts a rating from the channel's 0..scale onto the dashboard's 0-10 scale
+function normalizeRating(value, scale) {
+    const rating = parseRating(value, scale);
+    return rating === null ? null : Number((rating * DASHBOARD_SCALE / scale).toFixed(1));
+}
+
+// Average of the (already normalised) category ratings, null when none of them has a rating
+function calculateOverallRating(categories){
+    const rated = (categories || []).filter(cat => cat && typeof cat.rating === 'number');
+    if (rated.length === 0) return null;
+
+    const total = rated.reduce((sum, cat) => sum + cat.rating, 0);
+    return Number((total / rated.length).toFixed(1));
+}
+
+// The rating fields of a normalised review: rating (0-10), rawRating and ratingScale as the channel gave them,
+// and ratingSource saying whether the overall came from the channel or was averaged from its categories.
+// rawRating is only ever what the channel sent, so it is null when the score was averaged from categories.
+// A review with neither is unrated, every field except ratingScale is null rather than a made-up score
+function toReviewRating(overall, reviewCategory, scale) {
+    const rawRating = parseRating(overall, scale);
+    if (rawRating !== null) {
+        return { rating: normalizeRating(rawRating, scale), rawRating, ratingScale: scale, ratingSource: 'overall' };
+    }
+
+    const rating = calculateOverallRating(reviewCategory);
+    if (rating !== null) {
+        return { rating, rawRating: null, ratingScale: scale, ratingSource: 'categories' };
+    }
+    return { rating: null, rawRating: null, ratingScale: scale, ratingSource: null };
+}
+
+// Formats any parseable date as 'YYYY-MM-DD HH:mm:ss' (UTC), the format Hostaway uses for submittedAt.
+// Keeping one format means sync cursors and ORDER BY submitted_at compare correctly across channels
+function toSubmittedAt(value) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Minimal RFC 4180 CSV parser, returns one object per row keyed by the header line
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    const keys = header.map(key => key.replace(/^\uFEFF/, '').trim());
+    return records.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+}
+
+module.exports = {
+    DASHBOARD_SCALE,
+    normalizeRating,
+    calculateOverallRating,
+    toReviewRating,
+    toSubmittedAt,
+    parseCsv
+};
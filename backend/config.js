@@ -0,0 +1,105 @@
+require('dotenv').config();
+
+// Integer setting where 0 is a valid value, unset or unparseable falls back to the default
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+}
+
+// Hostaway API configuration, HOSTAWAY_BASE_URL can point at a local fake server for testing
+const HOSTAWAY_CONFIG = {
+    baseURL: process.env.HOSTAWAY_BASE_URL || 'https://api.hostaway.com/v1',
+    accountId: process.env.HOSTAWAY_ACCOUNT_ID || '61148',
+    apiKey: process.env.HOSTAWAY_API_KEY || 'f94377ebbbb479490bb3ec364649168dc443dda2e4830facaf5de2e74ccc9152',
+    pageSize: parseInt(process.env.HOSTAWAY_PAGE_SIZE, 10) || 100,
+    timeout: 10000,
+    // Serves the bundled mock reviews and listings instead of calling Hostaway, never switched on implicitly
+    mockData: process.env.HOSTAWAY_MOCK_DATA === 'true',
+    retries: intFromEnv('HOSTAWAY_RETRIES', 3),
+    retryBaseMs: 500,
+    maxRetryDelayMs: 30000,
+    circuitFailureThreshold: intFromEnv('HOSTAWAY_CIRCUIT_FAILURES', 5),
+    circuitCooldownSeconds: intFromEnv('HOSTAWAY_CIRCUIT_COOLDOWN_SECONDS', 60),
+    cacheSeconds: intFromEnv('HOSTAWAY_CACHE_SECONDS', 300)
+};
+
+// Export files for channels without a reviews API, each sync re-reads the file when the path is set
+const CHANNEL_EXPORTS = {
+    airbnb: process.env.AIRBNB_EXPORT_PATH || null,
+    booking: process.env.BOOKING_EXPORT_PATH || null
+};
+
+// Google Places defaults, the key, quota and refresh interval can be overridden from the dashboard
+const GOOGLE_PLACES_CONFIG = {
+    baseURL: process.env.GOOGLE_PLACES_BASE_URL || 'https://maps.googleapis.com/maps/api/place',
+    apiKey: process.env.GOOGLE_PLACES_API_KEY || null,
+    dailyQuota: parseInt(process.env.GOOGLE_PLACES_DAILY_QUOTA, 10) || 500,
+    refreshHours: parseFloat(process.env.GOOGLE_PLACES_REFRESH_HOURS) || 24,
+    timeout: 10000
+};
+
+// Background sync job configuration, an interval of 0 disables the scheduler. Incremental syncs only see
+// reviews newer than the cursor, so a scheduled run goes through every review again once the last full sync
+// is fullSyncHours old (0 disables this) to pick up older reviews that were edited since
+const SYNC_CONFIG = {
+    intervalMinutes: process.env.SYNC_INTERVAL_MINUTES !== undefined
+        ? parseFloat(process.env.SYNC_INTERVAL_MINUTES)
+        : 15,
+    fullSyncHours: process.env.SYNC_FULL_EVERY_HOURS !== undefined
+        ? parseFloat(process.env.SYNC_FULL_EVERY_HOURS)
+        : 24
+};
+
+// Dashboard logins, the admin account is created on first start when no users exist yet
+const AUTH_CONFIG = {
+    sessionHours: parseFloat(process.env.SESSION_TTL_HOURS) || 12,
+    adminEmail: process.env.ADMIN_EMAIL || null,
+    adminPassword: process.env.ADMIN_PASSWORD || null
+};
+
+// Review text analysis, LEXICON_PATH swaps in a custom sentiment and theme lexicon (see analysis/lexicon.json)
+const TEXT_ANALYSIS_CONFIG = {
+    lexiconPath: process.env.LEXICON_PATH || null
+};
+
+// Alert delivery, email needs SMTP_HOST. `npm run smtp-sink` and `npm run webhook-receiver` stand in for both locally
+const ALERT_CONFIG = {
+    smtpHost: process.env.SMTP_HOST || null,
+    smtpPort: parseInt(process.env.SMTP_PORT, 10) || 587,
+    smtpSecure: process.env.SMTP_SECURE === 'true',
+    smtpUser: process.env.SMTP_USER || null,
+    smtpPassword: process.env.SMTP_PASSWORD || null,
+    emailFrom: process.env.ALERT_EMAIL_FROM || 'Flex Living Reviews <alerts@flexliving.com>',
+    // webhooks to localhost and private networks are refused unless this is set, e.g. for the local webhook receiver
+    allowPrivateWebhooks: process.env.ALERT_ALLOW_PRIVATE_WEBHOOKS === 'true',
+    timeout: 10000
+};
+
+// Public address of the site, used for canonical URLs and the sitemap. Falls back to the request's host
+const SITE_CONFIG = {
+    publicUrl: process.env.PUBLIC_SITE_URL ? process.env.PUBLIC_SITE_URL.replace(/\/+$/, '') : null
+};
+
+// Inbound review webhooks. A channel only accepts webhooks once <CHANNEL>_WEBHOOK_SECRET is set
+// (e.g. HOSTAWAY_WEBHOOK_SECRET), failed events are retried with a doubling delay up to maxAttempts
+const WEBHOOK_CONFIG = {
+    secrets: Object.fromEntries(['hostaway', 'airbnb', 'booking', 'google']
+        .map(channel => [channel, process.env[`${channel.toUpperCase()}_WEBHOOK_SECRET`] || null])),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_DELAY_SECONDS, 10) || 30,
+    // how far a signed request's X-Webhook-Timestamp may be from the server clock
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    maxBodyBytes: '1mb'
+};
+
+module.exports = {
+    HOSTAWAY_CONFIG,
+    CHANNEL_EXPORTS,
+    GOOGLE_PLACES_CONFIG,
+    SYNC_CONFIG,
+    AUTH_CONFIG,
+    TEXT_ANALYSIS_CONFIG,
+    ALERT_CONFIG,
+    SITE_CONFIG,
+    WEBHOOK_CONFIG
+};
@@ -0,0 +1,190 @@
+const db = require('./index');
+
+function toRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        conditionType: row.condition_type,
+        threshold: row.threshold,
+        category: row.category,
+        keyword: row.keyword,
+        listingId: row.listing_id,
+        listingName: row.listing_name || null,
+        channels: JSON.parse(row.channels),
+        webhookUrl: row.webhook_url,
+        emailTo: row.email_to,
+        enabled: row.enabled === 1,
+        createdBy: row.created_by_email,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toDelivery(row) {
+    return {
+        id: row.id,
+        ruleId: row.rule_id,
+        ruleName: row.rule_name,
+        eventId: row.event_id,
+        reviewId: row.review_id,
+        channel: row.channel,
+        target: row.target,
+        status: row.status,
+        error: row.error,
+        attemptedAt: row.attempted_at
+    };
+}
+
+function toNotification(row) {
+    return {
+        id: row.id,
+        ruleId: row.rule_id,
+        reviewId: row.review_id,
+        title: row.title,
+        body: row.body,
+        read: row.read_at !== null,
+        readAt: row.read_at,
+        createdAt: row.created_at
+    };
+}
+
+const RULE_SELECT = `
+    SELECT alert_rules.*, listings.name AS listing_name
+    FROM alert_rules LEFT JOIN listings ON listings.id = alert_rules.listing_id
+`;
+
+function listRules({ enabledOnly = false } = {}) {
+    return db.prepare(`${RULE_SELECT} ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY alert_rules.name`)
+        .all()
+        .map(toRule);
+}
+
+function getRule(id) {
+    const row = db.prepare(`${RULE_SELECT} WHERE alert_rules.id = ?`).get(id);
+    return row ? toRule(row) : null;
+}
+
+const toRuleParams = (rule) => ({
+    name: rule.name,
+    conditionType: rule.conditionType,
+    threshold: rule.threshold ?? null,
+    category: rule.category || null,
+    keyword: rule.keyword || null,
+    listingId: rule.listingId || null,
+    channels: JSON.stringify(rule.channels),
+    webhookUrl: rule.webhookUrl || null,
+    emailTo: rule.emailTo || null,
+    enabled: rule.enabled === false ? 0 : 1
+});
+
+function createRule(rule, { user } = {}) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+        INSERT INTO alert_rules (
+            name, condition_type, threshold, category, keyword, listing_id, channels, webhook_url, email_to,
+            enabled, created_by_email, created_at, updated_at
+        ) VALUES (
+            @name, @conditionType, @threshold, @category, @keyword, @listingId, @channels, @webhookUrl, @emailTo,
+            @enabled, @email, @now, @now
+        )
+    `).run({ ...toRuleParams(rule), email: user ? user.email : null, now });
+    return getRule(result.lastInsertRowid);
+}
+
+// Replaces every field, the route merges partial updates with the stored rule first
+function updateRule(id, rule) {
+    db.prepare(`
+        UPDATE alert_rules SET
+            name = @name, condition_type = @conditionType, threshold = @threshold, category = @category,
+            keyword = @keyword, listing_id = @listingId, channels = @channels, webhook_url = @webhookUrl,
+            email_to = @emailTo, enabled = @enabled, updated_at = @now
+        WHERE id = @id
+    `).run({ ...toRuleParams(rule), id, now: new Date().toISOString() });
+    return getRule(id);
+}
+
+function deleteRule(id) {
+    return db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id).changes > 0;
+}
+
+// Ids of reviews in the rule's scope that arrived, changed (text or rating, e.g. on a resync) or were
+// moderated after the rule was created and haven't alerted for it yet, so a new rule doesn't fire for the whole
+// back catalogue but an older review edited into a match still does
+function getCandidateReviewIds(rule) {
+    return db.prepare(`
+        SELECT id FROM reviews
+        WHERE (created_at >= @since OR updated_at >= @since OR moderated_at >= @since)
+            AND (@listingId IS NULL OR listing_id = @listingId)
+            AND NOT EXISTS (SELECT 1 FROM alert_events WHERE rule_id = @ruleId AND review_id = reviews.id)
+        ORDER BY id
+    `).all({ since: rule.createdAt, listingId: rule.listingId, ruleId: rule.id }).map(row => row.id);
+}
+
+// Returns the new event id, or null when the review already alerted for this rule
+function recordEvent(ruleId, reviewId) {
+    const result = db.prepare('INSERT OR IGNORE INTO alert_events (rule_id, review_id, created_at) VALUES (?, ?, ?)')
+        .run(ruleId, reviewId, new Date().toISOString());
+    return result.changes > 0 ? result.lastInsertRowid : null;
+}
+
+function recordDelivery({ ruleId, eventId, channel, target, status, error }) {
+    db.prepare(`
+        INSERT INTO alert_deliveries (rule_id, event_id, channel, target, status, error, attempted_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(ruleId, eventId || null, channel, target || null, status, error || null, new Date().toISOString());
+}
+
+// Newest first, optionally for one rule
+function getDeliveries({ ruleId, limit = 50 } = {}) {
+    return db.prepare(`
+        SELECT alert_deliveries.*, alert_rules.name AS rule_name, alert_events.review_id
+        FROM alert_deliveries
+        JOIN alert_rules ON alert_rules.id = alert_deliveries.rule_id
+        LEFT JOIN alert_events ON alert_events.id = alert_deliveries.event_id
+        WHERE @ruleId IS NULL OR alert_deliveries.rule_id = @ruleId
+        ORDER BY alert_deliveries.attempted_at DESC, alert_deliveries.id DESC
+        LIMIT @limit
+    `).all({ ruleId: ruleId || null, limit }).map(toDelivery);
+}
+
+function createNotification({ ruleId, reviewId, title, body }) {
+    const result = db.prepare(`
+        INSERT INTO notifications (rule_id, review_id, title, body, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(ruleId || null, reviewId || null, title, body || null, new Date().toISOString());
+    return result.lastInsertRowid;
+}
+
+function getNotifications({ unreadOnly = false, limit = 50 } = {}) {
+    return db.prepare(`
+        SELECT * FROM notifications ${unreadOnly ? 'WHERE read_at IS NULL' : ''}
+        ORDER BY created_at DESC, id DESC LIMIT ?
+    `).all(limit).map(toNotification);
+}
+
+function countUnreadNotifications() {
+    return db.prepare('SELECT COUNT(*) AS count FROM notifications WHERE read_at IS NULL').get().count;
+}
+
+// Marks one notification read, or every unread one when no id is given
+function markNotificationsRead(id) {
+    const now = new Date().toISOString();
+    return id === undefined
+        ? db.prepare('UPDATE notifications SET read_at = ? WHERE read_at IS NULL').run(now).changes
+        : db.prepare('UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ?').run(now, id).changes;
+}
+
+module.exports = {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    getCandidateReviewIds,
+    recordEvent,
+    recordDelivery,
+    getDeliveries,
+    createNotification,
+    getNotifications,
+    countUnreadNotifications,
+    markNotificationsRead
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite file location, DATABASE_PATH lets deploys point this at a persistent volume
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'reviews.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Applies every migrations/*.sql file that hasn't been recorded yet, in filename order
+function runMigrations(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+    )`);
+
+    const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name));
+    const pending = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.sql') && !applied.has(file))
+        .sort();
+
+    pending.forEach(file => {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        db.transaction(() => {
+            db.exec(sql);
+            db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)')
+                .run(file, new Date().toISOString());
+        })();
+        console.log(`Applied migration ${file}`);
+    });
+}
+
+function openDatabase(dbPath = DB_PATH) {
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    runMigrations(db);
+    return db;
+}
+
+// Single shared connection, better-sqlite3 is synchronous so this is safe across requests
+const db = openDatabase();
+
+module.exports = db;
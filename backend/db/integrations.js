@@ -0,0 +1,96 @@
+const db = require('./index');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function getSettings(integration) {
+    const row = db.prepare('SELECT settings FROM integration_settings WHERE integration = ?').get(integration);
+    return row ? JSON.parse(row.settings) : {};
+}
+
+// Merges the given fields into the stored settings, null clears a field
+function saveSettings(integration, changes) {
+    const settings = { ...getSettings(integration), ...changes };
+    Object.keys(settings).forEach(key => {
+        if (settings[key] === null) delete settings[key];
+    });
+
+    db.prepare(`
+        INSERT INTO integration_settings (integration, settings, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (integration) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at
+    `).run(integration, JSON.stringify(settings), new Date().toISOString());
+    return settings;
+}
+
+function toPlace(row) {
+    return {
+        listingId: row.listing_id,
+        listingName: row.listing_name,
+        placeId: row.place_id,
+        lastFetchedAt: row.last_fetched_at,
+        lastError: row.last_error
+    };
+}
+
+const PLACE_SELECT = `
+    SELECT google_places.*, listings.name AS listing_name
+    FROM google_places JOIN listings ON listings.id = google_places.listing_id
+`;
+
+function getGooglePlaces() {
+    return db.prepare(`${PLACE_SELECT} ORDER BY listings.name, listings.id`).all().map(toPlace);
+}
+
+// Places never fetched come first, then the stalest, so a limited quota rotates fairly across listings
+function getGooglePlacesDueBefore(cutoff) {
+    return db.prepare(`
+        ${PLACE_SELECT}
+        WHERE last_fetched_at IS NULL OR last_fetched_at < ?
+        ORDER BY last_fetched_at IS NOT NULL, last_fetched_at
+    `).all(cutoff).map(toPlace);
+}
+
+function setGooglePlace(listingId, placeId) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO google_places (listing_id, place_id, created_at, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (listing_id) DO UPDATE SET
+            place_id = excluded.place_id,
+            last_fetched_at = CASE WHEN google_places.place_id = excluded.place_id THEN google_places.last_fetched_at END,
+            last_error = NULL,
+            updated_at = excluded.updated_at
+    `).run(listingId, placeId, now, now);
+}
+
+function removeGooglePlace(listingId) {
+    return db.prepare('DELETE FROM google_places WHERE listing_id = ?').run(listingId).changes > 0;
+}
+
+function markGooglePlaceFetched(listingId, error = null) {
+    const now = new Date().toISOString();
+    db.prepare('UPDATE google_places SET last_fetched_at = ?, last_error = ?, updated_at = ? WHERE listing_id = ?')
+        .run(now, error, now, listingId);
+}
+
+function getQuotaUsage(provider, day = today()) {
+    const row = db.prepare('SELECT requests FROM api_quota_usage WHERE provider = ? AND day = ?').get(provider, day);
+    return row ? row.requests : 0;
+}
+
+function incrementQuotaUsage(provider, day = today()) {
+    db.prepare(`
+        INSERT INTO api_quota_usage (provider, day, requests) VALUES (?, ?, 1)
+        ON CONFLICT (provider, day) DO UPDATE SET requests = requests + 1
+    `).run(provider, day);
+}
+
+module.exports = {
+    getSettings,
+    saveSettings,
+    getGooglePlaces,
+    getGooglePlacesDueBefore,
+    setGooglePlace,
+    removeGooglePlace,
+    markGooglePlaceFetched,
+    getQuotaUsage,
+    incrementQuotaUsage
+};
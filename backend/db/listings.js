@@ -0,0 +1,129 @@
+const db = require('./index');
+
+function toListing(row) {
+    return {
+        id: row.id,
+        source: row.source,
+        externalId: row.external_id,
+        name: row.name,
+        address: row.address,
+        city: row.city,
+        country: row.country,
+        bedrooms: row.bedrooms,
+        bathrooms: row.bathrooms,
+        maxGuests: row.max_guests,
+        photoUrl: row.photo_url,
+        syncedAt: row.synced_at
+    };
+}
+
+// Review counts and averages joined onto each listing
+const LISTING_WITH_STATS = `
+    SELECT listings.*,
+        COUNT(reviews.id) AS review_count,
+        COALESCE(SUM(reviews.moderation_state = 'approved'), 0) AS approved_count,
+        AVG(reviews.rating) AS average_rating
+    FROM listings
+    LEFT JOIN reviews ON reviews.listing_id = listings.id
+`;
+
+function toListingWithStats(row) {
+    return {
+        ...toListing(row),
+        reviewCount: row.review_count,
+        approvedCount: row.approved_count,
+        averageRating: row.average_rating === null ? null : Number(row.average_rating.toFixed(1))
+    };
+}
+
+// Listings for the public property index, counts and averages only cover approved reviews
+function getPublicListings() {
+    return db.prepare(`
+        SELECT listings.*, COUNT(reviews.id) AS approved_count, AVG(reviews.rating) AS average_rating,
+            MAX(reviews.moderated_at) AS last_approved_at
+        FROM listings
+        LEFT JOIN reviews ON reviews.listing_id = listings.id AND reviews.moderation_state = 'approved'
+        GROUP BY listings.id
+        ORDER BY listings.name
+    `).all().map(row => ({
+        ...toListing(row),
+        approvedCount: row.approved_count,
+        averageRating: row.average_rating === null ? null : Number(row.average_rating.toFixed(1)),
+        lastApprovedAt: row.last_approved_at
+    }));
+}
+
+const upsertStatement = db.prepare(`
+    INSERT INTO listings (
+        source, external_id, name, address, city, country, bedrooms, bathrooms, max_guests, photo_url,
+        raw, synced_at, created_at, updated_at
+    ) VALUES (
+        @source, @externalId, @name, @address, @city, @country, @bedrooms, @bathrooms, @maxGuests, @photoUrl,
+        @raw, @now, @now, @now
+    )
+    ON CONFLICT (source, external_id) DO UPDATE SET
+        name = excluded.name,
+        address = excluded.address,
+        city = excluded.city,
+        country = excluded.country,
+        bedrooms = excluded.bedrooms,
+        bathrooms = excluded.bathrooms,
+        max_guests = excluded.max_guests,
+        photo_url = excluded.photo_url,
+        raw = excluded.raw,
+        synced_at = excluded.synced_at,
+        updated_at = excluded.updated_at
+`);
+
+// Links reviews that arrived before their listing, by the channel's listing id first and then by exact name
+const linkReviewsStatement = db.prepare(`
+    UPDATE reviews SET listing_id = COALESCE(
+        (SELECT listings.id FROM listings
+            WHERE listings.source = reviews.source AND listings.external_id = reviews.listing_external_id),
+        (SELECT listings.id FROM listings WHERE listings.name = reviews.listing_name ORDER BY listings.id LIMIT 1)
+    )
+    WHERE listing_id IS NULL
+`);
+
+function linkReviewsToListings() {
+    return linkReviewsStatement.run().changes;
+}
+
+const upsertListings = db.transaction((listings) => {
+    const now = new Date().toISOString();
+    listings.forEach(listing => {
+        upsertStatement.run({
+            source: listing.source,
+            externalId: String(listing.externalId),
+            name: listing.name,
+            address: listing.address || null,
+            city: listing.city || null,
+            country: listing.country || null,
+            bedrooms: listing.bedrooms ?? null,
+            bathrooms: listing.bathrooms ?? null,
+            maxGuests: listing.maxGuests ?? null,
+            photoUrl: listing.photoUrl || null,
+            raw: listing.raw ? JSON.stringify(listing.raw) : null,
+            now
+        });
+    });
+    linkReviewsToListings();
+    return listings.length;
+});
+
+function getListings() {
+    return db.prepare(`${LISTING_WITH_STATS} GROUP BY listings.id ORDER BY listings.name`).all().map(toListingWithStats);
+}
+
+function getListingById(id) {
+    const row = db.prepare(`${LISTING_WITH_STATS} WHERE listings.id = ? GROUP BY listings.id`).get(id);
+    return row ? toListingWithStats(row) : null;
+}
+
+module.exports = {
+    upsertListings,
+    getListings,
+    getListingById,
+    getPublicListings,
+    linkReviewsToListings
+};
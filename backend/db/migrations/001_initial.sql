@@ -0,0 +1,33 @@
+-- Normalised reviews from every channel along with their moderation state
+CREATE TABLE reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel TEXT NOT NULL,
+    external_id TEXT NOT NULL,
+    type TEXT,
+    status TEXT,
+    rating REAL,
+    public_review TEXT,
+    categories TEXT NOT NULL DEFAULT '[]',
+    submitted_at TEXT,
+    guest_name TEXT,
+    listing_name TEXT,
+    approved INTEGER NOT NULL DEFAULT 0,
+    moderated_at TEXT,
+    raw TEXT,
+    synced_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (channel, external_id)
+);
+
+CREATE INDEX idx_reviews_listing_name ON reviews (listing_name);
+CREATE INDEX idx_reviews_submitted_at ON reviews (submitted_at);
+
+-- Last known sync position and outcome for each external source
+CREATE TABLE sync_state (
+    source TEXT PRIMARY KEY,
+    last_synced_at TEXT,
+    last_source TEXT,
+    last_error TEXT,
+    updated_at TEXT NOT NULL
+);
@@ -0,0 +1,20 @@
+-- Incremental sync position, the newest submittedAt seen for the source
+ALTER TABLE sync_state ADD COLUMN cursor TEXT;
+
+-- One row per sync job execution so the dashboard can report sync health
+CREATE TABLE sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    status TEXT NOT NULL,
+    pages INTEGER NOT NULL DEFAULT 0,
+    fetched INTEGER NOT NULL DEFAULT 0,
+    upserted INTEGER NOT NULL DEFAULT 0,
+    cursor_before TEXT,
+    cursor_after TEXT,
+    error TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+);
+
+CREATE INDEX idx_sync_runs_source_started ON sync_runs (source, started_at);
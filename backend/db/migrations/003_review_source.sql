@@ -0,0 +1,39 @@
+-- Separates the integration a review came through (source) from the channel the guest booked on,
+-- Hostaway relays Airbnb and Booking.com reviews so external ids are only unique per source
+CREATE TABLE reviews_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    external_id TEXT NOT NULL,
+    type TEXT,
+    status TEXT,
+    rating REAL,
+    public_review TEXT,
+    categories TEXT NOT NULL DEFAULT '[]',
+    submitted_at TEXT,
+    guest_name TEXT,
+    listing_name TEXT,
+    approved INTEGER NOT NULL DEFAULT 0,
+    moderated_at TEXT,
+    raw TEXT,
+    synced_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (source, external_id)
+);
+
+INSERT INTO reviews_new (
+    id, source, channel, external_id, type, status, rating, public_review, categories, submitted_at,
+    guest_name, listing_name, approved, moderated_at, raw, synced_at, created_at, updated_at
+)
+SELECT
+    id, channel, channel, external_id, type, status, rating, public_review, categories, submitted_at,
+    guest_name, listing_name, approved, moderated_at, raw, synced_at, created_at, updated_at
+FROM reviews;
+
+DROP TABLE reviews;
+ALTER TABLE reviews_new RENAME TO reviews;
+
+CREATE INDEX idx_reviews_listing_name ON reviews (listing_name);
+CREATE INDEX idx_reviews_submitted_at ON reviews (submitted_at);
+CREATE INDEX idx_reviews_channel ON reviews (channel);
@@ -0,0 +1,25 @@
+-- Per-integration settings edited from the dashboard, stored as a JSON object
+CREATE TABLE integration_settings (
+    integration TEXT PRIMARY KEY,
+    settings TEXT NOT NULL DEFAULT '{}',
+    updated_at TEXT NOT NULL
+);
+
+-- Which Google place each listing's reviews come from, and when it was last fetched. Keyed by the listing's id
+-- (listings is created in 005) so renaming a listing keeps its mapping and the mapping goes with the listing
+CREATE TABLE google_places (
+    listing_id INTEGER PRIMARY KEY REFERENCES listings (id) ON DELETE CASCADE,
+    place_id TEXT NOT NULL,
+    last_fetched_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Outbound requests per provider per UTC day, used to stay inside daily API quotas
+CREATE TABLE api_quota_usage (
+    provider TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider, day)
+);
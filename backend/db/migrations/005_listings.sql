@@ -0,0 +1,30 @@
+-- Properties synced from the PMS, reviews link to these by id instead of matching on listing name
+CREATE TABLE listings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    external_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    address TEXT,
+    city TEXT,
+    country TEXT,
+    bedrooms INTEGER,
+    bathrooms REAL,
+    max_guests INTEGER,
+    photo_url TEXT,
+    raw TEXT,
+    synced_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (source, external_id)
+);
+
+CREATE INDEX idx_listings_name ON listings (name);
+
+-- The channel's own listing id as received, and the resolved local listing
+ALTER TABLE reviews ADD COLUMN listing_external_id TEXT;
+ALTER TABLE reviews ADD COLUMN listing_id INTEGER REFERENCES listings (id);
+
+CREATE INDEX idx_reviews_listing_id ON reviews (listing_id);
+
+UPDATE reviews SET listing_external_id = CAST(json_extract(raw, '$.listingMapId') AS TEXT)
+WHERE source = 'hostaway' AND raw IS NOT NULL;
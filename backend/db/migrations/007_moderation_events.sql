@@ -0,0 +1,14 @@
+-- Every approval change, kept for brand compliance audits
+CREATE TABLE moderation_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    -- The email is copied so the trail still names the moderator after their account is deleted
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    user_email TEXT,
+    previous_state TEXT NOT NULL,
+    new_state TEXT NOT NULL,
+    reason TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_moderation_events_review_id ON moderation_events (review_id, created_at);
@@ -0,0 +1,14 @@
+-- Replaces the approved flag with an explicit moderation state, so a hidden review is no longer
+-- indistinguishable from one nobody has looked at yet (see lib/moderation.js for the transitions)
+ALTER TABLE reviews ADD COLUMN moderation_state TEXT NOT NULL DEFAULT 'pending'
+    CHECK (moderation_state IN ('pending', 'approved', 'hidden', 'flagged'));
+
+UPDATE reviews SET moderation_state = CASE
+    WHEN approved = 1 THEN 'approved'
+    WHEN moderated_at IS NOT NULL THEN 'hidden'
+    ELSE 'pending'
+END;
+
+ALTER TABLE reviews DROP COLUMN approved;
+
+CREATE INDEX idx_reviews_moderation_state ON reviews (moderation_state);
@@ -0,0 +1,17 @@
+-- Manager responses to guest reviews, one per review, published back to the channel the review came from
+CREATE TABLE review_replies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL UNIQUE REFERENCES reviews (id) ON DELETE CASCADE,
+    -- body is the text being edited, published_body what the channel and the property page show.
+    -- Editing a published reply makes it a draft again until it is republished
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+    published_body TEXT,
+    published_at TEXT,
+    published_by_email TEXT,
+    -- Set when the last publish attempt failed, cleared by the next successful one
+    publish_error TEXT,
+    updated_by_email TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
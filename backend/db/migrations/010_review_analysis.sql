@@ -0,0 +1,9 @@
+-- Sentiment and themes from analysis/analyzer.js. analyzed_with is the lexicon fingerprint the
+-- results came from, NULL means the review still needs analysing (new text or a changed lexicon)
+ALTER TABLE reviews ADD COLUMN sentiment_score REAL;
+ALTER TABLE reviews ADD COLUMN sentiment TEXT CHECK (sentiment IN ('positive', 'neutral', 'negative'));
+-- [{ theme, sentiment, mentions }], queried with json_each for the theme filter and statistics
+ALTER TABLE reviews ADD COLUMN themes TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE reviews ADD COLUMN analyzed_with TEXT;
+
+CREATE INDEX idx_reviews_sentiment ON reviews (sentiment);
@@ -0,0 +1,30 @@
+-- rating stays the 0-10 score every aggregate uses, raw_rating and rating_scale keep what the channel sent.
+-- rating_source is 'overall' or 'categories' (averaged from category scores), NULL for unrated reviews
+ALTER TABLE reviews ADD COLUMN raw_rating REAL;
+ALTER TABLE reviews ADD COLUMN rating_scale INTEGER;
+ALTER TABLE reviews ADD COLUMN rating_source TEXT CHECK (rating_source IN ('overall', 'categories'));
+
+UPDATE reviews SET rating_scale = CASE WHEN source IN ('airbnb', 'google') THEN 5 ELSE 10 END;
+
+-- Reviews whose channel sent no overall rating, their score (if any) was averaged from categories
+UPDATE reviews SET rating_source = 'categories'
+WHERE (source = 'hostaway' AND json_extract(raw, '$.rating') IS NULL)
+    OR (source = 'airbnb' AND COALESCE(json_extract(raw, '$.overall_rating'), '') = '')
+    OR (source = 'booking' AND COALESCE(json_extract(raw, '$."Review score"'), '') = '');
+
+-- Without categories either they used to get a made-up 7.5, they are unrated now
+UPDATE reviews SET rating = NULL, rating_source = NULL
+WHERE rating_source = 'categories' AND categories = '[]';
+
+UPDATE reviews SET rating_source = COALESCE(rating_source, 'overall') WHERE rating IS NOT NULL;
+
+-- raw_rating is only the overall the channel sent, read back from the raw record. Scores averaged from categories keep NULL
+UPDATE reviews SET raw_rating = CAST(CASE source
+    WHEN 'hostaway' THEN json_extract(raw, '$.rating')
+    WHEN 'airbnb' THEN json_extract(raw, '$.overall_rating')
+    WHEN 'booking' THEN json_extract(raw, '$."Review score"')
+    WHEN 'google' THEN json_extract(raw, '$.rating')
+END AS REAL)
+WHERE rating_source = 'overall';
+
+UPDATE reviews SET rating_source = NULL WHERE rating IS NULL;
@@ -0,0 +1,55 @@
+-- Alert rules managers define on the dashboard, see alerts/engine.js for how they are evaluated
+CREATE TABLE alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    condition_type TEXT NOT NULL CHECK (condition_type IN ('rating_below', 'category_below', 'keyword', 'flagged')),
+    threshold REAL,
+    category TEXT,
+    keyword TEXT,
+    -- NULL applies the rule to every property
+    listing_id INTEGER REFERENCES listings (id) ON DELETE CASCADE,
+    -- JSON array of 'inbox', 'webhook' and 'email'
+    channels TEXT NOT NULL DEFAULT '["inbox"]',
+    webhook_url TEXT,
+    email_to TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by_email TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- One row per rule and review that matched it, the unique key is what stops a review alerting twice
+CREATE TABLE alert_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+    review_id INTEGER NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    UNIQUE (rule_id, review_id)
+);
+
+-- Every delivery attempt, including test sends (event_id NULL)
+CREATE TABLE alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+    event_id INTEGER REFERENCES alert_events (id) ON DELETE CASCADE,
+    channel TEXT NOT NULL,
+    target TEXT,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT,
+    attempted_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_alert_deliveries_attempted_at ON alert_deliveries (attempted_at);
+
+-- The in-app inbox, shared by everyone on the dashboard
+CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER REFERENCES alert_rules (id) ON DELETE SET NULL,
+    review_id INTEGER REFERENCES reviews (id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    body TEXT,
+    read_at TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_notifications_created_at ON notifications (created_at);
@@ -0,0 +1,52 @@
+-- Full-text index over the searchable parts of a review, rowid is the review id.
+-- Kept in step with reviews and review_replies by the triggers below
+CREATE VIRTUAL TABLE review_search USING fts5(
+    review_text, guest, listing, category_names, reply_text,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Every indexed term with the number of reviews containing it, read for typo-tolerant matching
+CREATE VIRTUAL TABLE review_search_vocab USING fts5vocab(review_search, 'row');
+
+-- "respect_house_rules" is indexed as "respect house rules" so each word can be searched
+CREATE TRIGGER review_search_insert AFTER INSERT ON reviews BEGIN
+    INSERT INTO review_search (rowid, review_text, guest, listing, category_names, reply_text)
+    VALUES (
+        NEW.id, NEW.public_review, NEW.guest_name, NEW.listing_name,
+        (SELECT group_concat(replace(json_extract(value, '$.category'), '_', ' '), ' ') FROM json_each(NEW.categories)),
+        (SELECT body FROM review_replies WHERE review_id = NEW.id)
+    );
+END;
+
+CREATE TRIGGER review_search_update AFTER UPDATE OF public_review, guest_name, listing_name, categories ON reviews BEGIN
+    UPDATE review_search SET
+        review_text = NEW.public_review,
+        guest = NEW.guest_name,
+        listing = NEW.listing_name,
+        category_names = (SELECT group_concat(replace(json_extract(value, '$.category'), '_', ' '), ' ') FROM json_each(NEW.categories))
+    WHERE rowid = NEW.id;
+END;
+
+CREATE TRIGGER review_search_delete AFTER DELETE ON reviews BEGIN
+    DELETE FROM review_search WHERE rowid = OLD.id;
+END;
+
+-- Replies are searched by their current text, draft or published
+CREATE TRIGGER review_search_reply_insert AFTER INSERT ON review_replies BEGIN
+    UPDATE review_search SET reply_text = NEW.body WHERE rowid = NEW.review_id;
+END;
+
+CREATE TRIGGER review_search_reply_update AFTER UPDATE OF body ON review_replies BEGIN
+    UPDATE review_search SET reply_text = NEW.body WHERE rowid = NEW.review_id;
+END;
+
+CREATE TRIGGER review_search_reply_delete AFTER DELETE ON review_replies BEGIN
+    UPDATE review_search SET reply_text = NULL WHERE rowid = OLD.review_id;
+END;
+
+INSERT INTO review_search (rowid, review_text, guest, listing, category_names, reply_text)
+SELECT
+    reviews.id, reviews.public_review, reviews.guest_name, reviews.listing_name,
+    (SELECT group_concat(replace(json_extract(value, '$.category'), '_', ' '), ' ') FROM json_each(reviews.categories)),
+    review_replies.body
+FROM reviews LEFT JOIN review_replies ON review_replies.review_id = reviews.id;
@@ -0,0 +1,21 @@
+-- Review webhooks received from channels, stored before processing so failures can be retried and inspected.
+-- event_id is the channel's own event id, or a hash of the body when the channel doesn't send one
+CREATE TABLE webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT,
+    payload TEXT NOT NULL,
+    -- failed events are retried until they run out of attempts and become dead, a manual retry revives them
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    review_count INTEGER,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    received_at TEXT NOT NULL,
+    processed_at TEXT,
+    UNIQUE (channel, event_id)
+);
+
+CREATE INDEX idx_webhook_events_retry ON webhook_events (status, next_attempt_at);
+CREATE INDEX idx_webhook_events_received_at ON webhook_events (received_at);
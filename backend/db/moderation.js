@@ -0,0 +1,34 @@
+const db = require('./index');
+
+function toEvent(row) {
+    return {
+        id: row.id,
+        reviewId: row.review_id,
+        userId: row.user_id,
+        userEmail: row.user_email,
+        previousState: row.previous_state,
+        newState: row.new_state,
+        reason: row.reason,
+        createdAt: row.created_at
+    };
+}
+
+// Called inside the moderation transaction so the change and its audit entry are written together
+function recordModerationEvent({ reviewId, user, previousState, newState, reason, createdAt }) {
+    db.prepare(`
+        INSERT INTO moderation_events (review_id, user_id, user_email, previous_state, new_state, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(reviewId, user ? user.id : null, user ? user.email : null, previousState, newState, reason || null, createdAt);
+}
+
+// Newest first
+function getReviewHistory(reviewId) {
+    return db.prepare('SELECT * FROM moderation_events WHERE review_id = ? ORDER BY created_at DESC, id DESC')
+        .all(reviewId)
+        .map(toEvent);
+}
+
+module.exports = {
+    recordModerationEvent,
+    getReviewHistory
+};
@@ -0,0 +1,94 @@
+const db = require('./index');
+
+function toReply(row) {
+    return {
+        id: row.id,
+        reviewId: row.review_id,
+        body: row.body,
+        status: row.status,
+        publishedBody: row.published_body,
+        publishedAt: row.published_at,
+        publishedBy: row.published_by_email,
+        publishError: row.publish_error,
+        updatedBy: row.updated_by_email,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function getReply(reviewId) {
+    const row = db.prepare('SELECT * FROM review_replies WHERE review_id = ?').get(reviewId);
+    return row ? toReply(row) : null;
+}
+
+// Adds a `reply` to each review, null when nobody has written one
+function attachReplies(reviews) {
+    if (reviews.length === 0) return reviews;
+
+    const placeholders = reviews.map(() => '?').join(', ');
+    const replies = new Map(
+        db.prepare(`SELECT * FROM review_replies WHERE review_id IN (${placeholders})`)
+            .all(reviews.map(review => review.id))
+            .map(row => [row.review_id, toReply(row)])
+    );
+    return reviews.map(review => ({ ...review, reply: replies.get(review.id) || null }));
+}
+
+// What the public property page may show, drafts and unpublished edits stay in the dashboard
+function toPublicReply(reply) {
+    if (!reply || !reply.publishedBody) return null;
+    return { body: reply.publishedBody, publishedAt: reply.publishedAt };
+}
+
+// Saving text identical to what is already published keeps the reply published
+function saveDraft(reviewId, body, { user } = {}) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO review_replies (review_id, body, status, updated_by_email, created_at, updated_at)
+        VALUES (@reviewId, @body, 'draft', @email, @now, @now)
+        ON CONFLICT (review_id) DO UPDATE SET
+            body = excluded.body,
+            status = CASE WHEN review_replies.published_body = excluded.body THEN 'published' ELSE 'draft' END,
+            updated_by_email = excluded.updated_by_email,
+            updated_at = excluded.updated_at
+    `).run({ reviewId, body, email: user ? user.email : null, now });
+    return getReply(reviewId);
+}
+
+function markPublished(reviewId, { user } = {}) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        UPDATE review_replies
+        SET status = 'published', published_body = body, published_at = @now, published_by_email = @email,
+            publish_error = NULL, updated_at = @now
+        WHERE review_id = @reviewId
+    `).run({ reviewId, email: user ? user.email : null, now });
+    return getReply(reviewId);
+}
+
+function markPublishFailed(reviewId, error) {
+    db.prepare('UPDATE review_replies SET publish_error = ?, updated_at = ? WHERE review_id = ?')
+        .run(error, new Date().toISOString(), reviewId);
+    return getReply(reviewId);
+}
+
+// Throws away unpublished edits, a reply that was never published is removed entirely
+function discardDraft(reviewId) {
+    db.prepare('DELETE FROM review_replies WHERE review_id = ? AND published_body IS NULL').run(reviewId);
+    db.prepare(`
+        UPDATE review_replies
+        SET body = published_body, status = 'published', publish_error = NULL, updated_at = ?
+        WHERE review_id = ?
+    `).run(new Date().toISOString(), reviewId);
+    return getReply(reviewId);
+}
+
+module.exports = {
+    getReply,
+    attachReplies,
+    toPublicReply,
+    saveDraft,
+    markPublished,
+    markPublishFailed,
+    discardDraft
+};
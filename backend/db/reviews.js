@@ -0,0 +1,628 @@
+const db = require('./index');
+const moderationStore = require('./moderation');
+const replyStore = require('./replies');
+const searchIndex = require('./search');
+const { assertTransition } = require('../lib/moderation');
+const { analyzeText, getLexicon, getThemes } = require('../analysis/analyzer');
+
+// Maps a database row back to the normalised review shape the dashboard expects
+function toReview(row) {
+    return {
+        id: row.id,
+        externalId: row.external_id,
+        type: row.type,
+        status: row.status,
+        // 0-10 score used everywhere on the dashboard, null when the guest left no rating
+        rating: row.rating,
+        rawRating: row.raw_rating,
+        ratingScale: row.rating_scale,
+        ratingSource: row.rating_source,
+        unrated: row.rating === null,
+        publicReview: row.public_review,
+        reviewCategory: JSON.parse(row.categories),
+        submittedAt: row.submitted_at,
+        guestName: row.guest_name,
+        listingId: row.listing_id,
+        listingName: row.listing_name,
+        moderationState: row.moderation_state,
+        // Kept for clients that only know approved/not approved
+        approved: row.moderation_state === 'approved',
+        moderatedAt: row.moderated_at,
+        sentiment: row.sentiment ? { score: row.sentiment_score, label: row.sentiment } : null,
+        themes: JSON.parse(row.themes || '[]'),
+        channel: row.channel,
+        source: row.source
+    };
+}
+
+const upsertStatement = db.prepare(`
+    INSERT INTO reviews (
+        source, channel, external_id, type, status, rating, raw_rating, rating_scale, rating_source, public_review, categories,
+        submitted_at, guest_name, listing_name, listing_external_id, listing_id, raw, synced_at, created_at, updated_at
+    ) VALUES (
+        @source, @channel, @externalId, @type, @status, @rating, @rawRating, @ratingScale, @ratingSource, @publicReview, @categories,
+        @submittedAt, @guestName, @listingName, @listingExternalId,
+        COALESCE(
+            @listingId,
+            (SELECT id FROM listings WHERE source = @source AND external_id = @listingExternalId),
+            (SELECT id FROM listings WHERE name = @listingName ORDER BY id LIMIT 1)
+        ),
+        @raw, @now, @now, @now
+    )
+    ON CONFLICT (source, external_id) DO UPDATE SET
+        channel = excluded.channel,
+        type = excluded.type,
+        status = excluded.status,
+        rating = excluded.rating,
+        raw_rating = excluded.raw_rating,
+        rating_scale = excluded.rating_scale,
+        rating_source = excluded.rating_source,
+        public_review = excluded.public_review,
+        categories = excluded.categories,
+        submitted_at = excluded.submitted_at,
+        guest_name = excluded.guest_name,
+        listing_name = excluded.listing_name,
+        listing_external_id = excluded.listing_external_id,
+        listing_id = COALESCE(excluded.listing_id, reviews.listing_id),
+        analyzed_with = CASE WHEN reviews.public_review IS excluded.public_review THEN reviews.analyzed_with END,
+        raw = excluded.raw,
+        synced_at = excluded.synced_at,
+        -- Only moves when the review itself changed, a resync of the same content leaves it alone
+        updated_at = CASE
+            WHEN reviews.rating IS excluded.rating AND reviews.public_review IS excluded.public_review
+                AND reviews.categories IS excluded.categories AND reviews.status IS excluded.status
+                AND reviews.guest_name IS excluded.guest_name AND reviews.listing_name IS excluded.listing_name
+            THEN reviews.updated_at ELSE excluded.updated_at
+        END
+`);
+
+// Inserts new reviews and refreshes existing ones, moderation state is never overwritten by a sync
+const upsertReviews = db.transaction((reviews) => {
+    const now = new Date().toISOString();
+    reviews.forEach(review => {
+        upsertStatement.run({
+            source: review.source,
+            channel: review.channel,
+            externalId: String(review.externalId),
+            type: review.type || null,
+            status: review.status || null,
+            rating: review.rating ?? null,
+            rawRating: review.rawRating ?? null,
+            ratingScale: review.ratingScale ?? null,
+            ratingSource: review.ratingSource || null,
+            publicReview: review.publicReview || null,
+            categories: JSON.stringify(review.reviewCategory || []),
+            submittedAt: review.submittedAt || null,
+            guestName: review.guestName || null,
+            listingName: review.listingName || null,
+            listingExternalId: review.listingExternalId ? String(review.listingExternalId) : null,
+            listingId: review.listingId ?? null,
+            raw: review.raw ? JSON.stringify(review.raw) : null,
+            now
+        });
+    });
+    analyzePendingReviews();
+    return reviews.length;
+});
+
+// Scores every review whose text changed or was analysed with a different lexicon, returns how many were updated.
+// updated_at is left alone: a new lexicon changes no review, and alert rules treat updated_at as a review change
+const analyzePendingReviews = db.transaction(() => {
+    const lexicon = getLexicon();
+    const pending = db.prepare('SELECT id, public_review FROM reviews WHERE analyzed_with IS NOT ?').all(lexicon.fingerprint);
+    const update = db.prepare(`
+        UPDATE reviews SET sentiment_score = @score, sentiment = @label, themes = @themes, analyzed_with = @fingerprint
+        WHERE id = @id
+    `);
+
+    pending.forEach(row => {
+        const { sentiment, themes } = analyzeText(row.public_review, lexicon);
+        update.run({
+            id: row.id,
+            score: sentiment ? sentiment.score : null,
+            label: sentiment ? sentiment.label : null,
+            themes: JSON.stringify(themes),
+            fingerprint: lexicon.fingerprint
+        });
+    });
+    return pending.length;
+});
+
+// Builds a WHERE clause for the optional source/channel filters
+function whereSourceChannel({ source, channel }) {
+    const conditions = [];
+    if (source) conditions.push('source = @source');
+    if (channel) conditions.push('channel = @channel');
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+function getReviews({ source, channel } = {}) {
+    return db.prepare(`SELECT * FROM reviews ${whereSourceChannel({ source, channel })} ORDER BY submitted_at DESC`)
+        .all({ source, channel })
+        .map(toReview);
+}
+
+function countReviews({ source, channel } = {}) {
+    return db.prepare(`SELECT COUNT(*) AS count FROM reviews ${whereSourceChannel({ source, channel })}`)
+        .get({ source, channel }).count;
+}
+
+const ORDER_BY = {
+    'date-desc': 'submitted_at DESC, id DESC',
+    'date-asc': 'submitted_at ASC, id ASC',
+    // Unrated reviews go last either way, they are neither the best nor the worst
+    'rating-desc': 'rating IS NULL, rating DESC, submitted_at DESC, id DESC',
+    'rating-asc': 'rating IS NULL, rating ASC, submitted_at DESC, id DESC',
+    // Only meaningful in a ranked search query, see orderByFor()
+    'relevance': `${searchIndex.RANK}, submitted_at DESC, id DESC`
+};
+
+// Ranked queries join the search index so bm25 and the highlight functions can be used
+const RANKED_FROM = 'reviews JOIN review_search ON review_search.rowid = reviews.id';
+
+// Relevance falls back to newest first when there is no ranked search to order by
+function orderByFor(filters, { ranked = false } = {}) {
+    if (filters.sortBy === 'relevance' && !ranked) return ORDER_BY['date-desc'];
+    return ORDER_BY[filters.sortBy] || ORDER_BY['date-desc'];
+}
+
+// Translates parsed dashboard filters (lib/reviewFilters) into a WHERE clause and its named parameters.
+// ranked is for queries selecting FROM RANKED_FROM, the search then matches on the joined index directly
+function buildFilterClause(filters = {}, { ranked = false } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.search) {
+        const matchQuery = searchIndex.buildMatchQuery(filters.search);
+        if (matchQuery === null) {
+            // Nothing searchable in the text, so nothing can match it
+            conditions.push('0');
+        } else {
+            conditions.push(ranked
+                ? 'review_search MATCH @searchQuery'
+                : 'reviews.id IN (SELECT rowid FROM review_search WHERE review_search MATCH @searchQuery)');
+            params.searchQuery = matchQuery;
+        }
+    }
+    if (filters.listingId !== undefined) {
+        conditions.push('listing_id = @listingId');
+        params.listingId = filters.listingId;
+    }
+    if (filters.property) {
+        conditions.push('listing_name = @property');
+        params.property = filters.property;
+    }
+    if (filters.channel) {
+        conditions.push('channel = @channel');
+        params.channel = filters.channel;
+    }
+    if (filters.minRating !== undefined) {
+        conditions.push('rating >= @minRating');
+        params.minRating = filters.minRating;
+    }
+    if (filters.status) {
+        conditions.push('moderation_state = @status');
+        params.status = filters.status;
+    }
+    if (filters.sentiment) {
+        conditions.push('sentiment = @sentiment');
+        params.sentiment = filters.sentiment;
+    }
+    if (filters.theme) {
+        // themeSentiment narrows to reviews where the theme itself was, say, a complaint
+        const themeCondition = filters.themeSentiment ? " AND json_extract(value, '$.sentiment') = @themeSentiment" : '';
+        conditions.push(`EXISTS (SELECT 1 FROM json_each(themes) WHERE json_extract(value, '$.theme') = @theme${themeCondition})`);
+        params.theme = filters.theme;
+        if (filters.themeSentiment) params.themeSentiment = filters.themeSentiment;
+    }
+    if (filters.from) {
+        conditions.push('submitted_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        // Inclusive of the whole 'to' day
+        conditions.push("submitted_at < date(@to, '+1 day')");
+        params.to = filters.to;
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// One page of reviews matching the filters, plus the total number of matches
+// With a search, reviews also carry highlights: the fields that matched, as segments marking the matched words
+function queryReviews(filters = {}, { limit, offset = 0 } = {}) {
+    const ranked = Boolean(filters.search);
+    const { where, params } = buildFilterClause(filters, { ranked });
+    const from = ranked ? RANKED_FROM : 'reviews';
+    const columns = ranked ? `reviews.*, ${searchIndex.HIGHLIGHT_COLUMNS}` : '*';
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM ${from} ${where}`).get(params).count;
+    const rows = db.prepare(`SELECT ${columns} FROM ${from} ${where} ORDER BY ${orderByFor(filters, { ranked })} LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit: limit === undefined ? -1 : limit, offset });
+
+    const reviews = rows.map(row => ranked ? { ...toReview(row), highlights: searchIndex.toHighlights(row) } : toReview(row));
+    return { reviews: replyStore.attachReplies(reviews), total };
+}
+
+// Reviews matching the filters in batches, for exports too big to load at once. Each batch is its own query,
+// so the connection is free for other requests while a batch is being written out. byProperty groups the
+// reviews by listing name (unassigned last) and keeps the filter's sort order inside each group
+function* iterateReviewBatches(filters = {}, { batchSize = 500, byProperty = false } = {}) {
+    const ranked = Boolean(filters.search);
+    const { where, params } = buildFilterClause(filters, { ranked });
+    const sortOrder = orderByFor(filters, { ranked });
+    const orderBy = byProperty ? `listing_name IS NULL, listing_name, ${sortOrder}` : sortOrder;
+    const statement = db.prepare(`SELECT reviews.* FROM ${ranked ? RANKED_FROM : 'reviews'} ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`);
+
+    for (let offset = 0; ; offset += batchSize) {
+        const rows = statement.all({ ...params, limit: batchSize, offset });
+        if (rows.length > 0) yield replyStore.attachReplies(rows.map(toReview));
+        if (rows.length < batchSize) return;
+    }
+}
+
+// Every category key rated in the filtered reviews, sorted, for the export columns
+function getReviewCategoryKeys(filters = {}) {
+    const { where, params } = buildFilterClause(filters);
+    return db.prepare(`
+        SELECT DISTINCT json_extract(category.value, '$.category') AS category
+        FROM (SELECT categories FROM reviews ${where}) AS filtered, json_each(filtered.categories) AS category
+        ORDER BY 1
+    `).all(params).map(row => row.category).filter(Boolean);
+}
+
+// Ids of every review matching the filters in list order, for "select all" bulk actions
+function queryReviewIds(filters = {}, { limit } = {}) {
+    const ranked = Boolean(filters.search);
+    const { where, params } = buildFilterClause(filters, { ranked });
+    return db.prepare(`SELECT id FROM ${ranked ? RANKED_FROM : 'reviews'} ${where} ORDER BY ${orderByFor(filters, { ranked })} LIMIT @limit`)
+        .all({ ...params, limit: limit === undefined ? -1 : limit })
+        .map(row => row.id);
+}
+
+// Review counts per moderation state, shared by the summary and statistics queries
+const STATE_COUNTS = `
+    COALESCE(SUM(moderation_state = 'approved'), 0) AS approved,
+    COALESCE(SUM(moderation_state = 'pending'), 0) AS pending,
+    COALESCE(SUM(moderation_state = 'hidden'), 0) AS hidden,
+    COALESCE(SUM(moderation_state = 'flagged'), 0) AS flagged
+`;
+
+const round1 = (value) => value === null ? null : Number(value.toFixed(1));
+
+// Headline numbers for the filtered set, used by the dashboard's overview cards
+function summarizeReviews(filters = {}) {
+    const { where, params } = buildFilterClause(filters);
+    const row = db.prepare(`
+        SELECT COUNT(*) AS total, AVG(rating) AS avgRating, COALESCE(SUM(rating IS NULL), 0) AS unrated, ${STATE_COUNTS}
+        FROM reviews ${where}
+    `).get(params);
+
+    return {
+        total: row.total,
+        // Unrated reviews don't count towards the average, null when nothing in the set is rated
+        avgRating: round1(row.avgRating),
+        unrated: row.unrated,
+        approved: row.approved,
+        pending: row.pending,
+        hidden: row.hidden,
+        flagged: row.flagged
+    };
+}
+
+// Share of decided reviews that were approved, pending and flagged reviews have no decision yet.
+// null rather than 0 when nothing is decided, so "no decisions" isn't shown as "none approved"
+const approvalRate = ({ approved, hidden }) => approved + hidden > 0
+    ? Number(((approved / (approved + hidden)) * 100).toFixed(1))
+    : null;
+
+const TOP_THEMES_PER_PROPERTY = 5;
+
+// Period start for each groupBy, weeks start on Monday ('weekday 0' moves forward to Sunday)
+const PERIOD_EXPRESSIONS = {
+    day: 'date(submitted_at)',
+    week: "date(submitted_at, 'weekday 0', '-6 days')",
+    month: "strftime('%Y-%m-01', submitted_at)"
+};
+
+// Aggregates for the Analytics tab: overall numbers, per property and channel breakdowns,
+// the latest reviews and, when groupBy is given, a count/rating/approval time series
+function getReviewStatistics(filters = {}, { groupBy } = {}) {
+    const { where, params } = buildFilterClause(filters);
+    const aggregates = `
+        COUNT(*) AS total,
+        AVG(rating) AS average_rating,
+        COALESCE(SUM(rating IS NULL), 0) AS unrated,
+        ${STATE_COUNTS}
+    `;
+
+    const overall = db.prepare(`
+        SELECT ${aggregates}, COALESCE(SUM(rating IS NOT NULL AND rating < 8), 0) AS low_rated,
+            COALESCE(SUM(sentiment = 'positive'), 0) AS positive,
+            COALESCE(SUM(sentiment = 'negative'), 0) AS negative
+        FROM reviews ${where}
+    `).get(params);
+
+    const byProperty = {};
+    db.prepare(`
+        SELECT listing_name, MIN(listing_id) AS listing_id, ${aggregates}
+        FROM reviews ${where}
+        GROUP BY listing_name
+        ORDER BY listing_name
+    `).all(params).forEach(row => {
+        byProperty[row.listing_name] = {
+            listingId: row.listing_id,
+            total: row.total,
+            approved: row.approved,
+            pending: row.pending,
+            hidden: row.hidden,
+            flagged: row.flagged,
+            approvalRate: approvalRate(row),
+            averageRating: round1(row.average_rating),
+            unrated: row.unrated
+        };
+    });
+
+    // Top themes per property, most mentioned first, with how many of those reviews raised it as a complaint
+    const themeLabels = new Map(getThemes().map(theme => [theme.key, theme.label]));
+    db.prepare(`
+        SELECT listing_name,
+            json_extract(theme.value, '$.theme') AS theme,
+            COUNT(*) AS reviews,
+            COALESCE(SUM(json_extract(theme.value, '$.sentiment') = 'negative'), 0) AS negative,
+            COALESCE(SUM(json_extract(theme.value, '$.sentiment') = 'positive'), 0) AS positive
+        FROM reviews, json_each(reviews.themes) AS theme
+        ${where}
+        GROUP BY listing_name, theme
+        ORDER BY listing_name, reviews DESC, negative DESC, theme
+    `).all(params).forEach(row => {
+        const property = byProperty[row.listing_name];
+        if (!property) return;
+        property.topThemes = property.topThemes || [];
+        if (property.topThemes.length >= TOP_THEMES_PER_PROPERTY) return;
+        property.topThemes.push({
+            theme: row.theme,
+            label: themeLabels.get(row.theme) || row.theme,
+            reviews: row.reviews,
+            negative: row.negative,
+            positive: row.positive
+        });
+    });
+    Object.values(byProperty).forEach(property => {
+        property.topThemes = property.topThemes || [];
+    });
+
+    const byChannel = {};
+    db.prepare(`SELECT channel, ${aggregates} FROM reviews ${where} GROUP BY channel ORDER BY channel`)
+        .all(params).forEach(row => {
+            byChannel[row.channel] = {
+                total: row.total,
+                approved: row.approved,
+                approvalRate: approvalRate(row),
+                averageRating: round1(row.average_rating)
+            };
+        });
+
+    const recentActivity = db.prepare(`SELECT * FROM reviews ${where} ORDER BY ${ORDER_BY['date-desc']} LIMIT 5`)
+        .all(params)
+        .map(toReview)
+        .map(review => ({
+            id: review.id,
+            guestName: review.guestName,
+            listingName: review.listingName,
+            rating: review.rating,
+            submittedAt: review.submittedAt,
+            moderationState: review.moderationState,
+            approved: review.approved
+        }));
+
+    const statistics = {
+        overall: {
+            totalReviews: overall.total,
+            averageRating: round1(overall.average_rating),
+            unratedCount: overall.unrated,
+            approvedCount: overall.approved,
+            pendingCount: overall.pending,
+            hiddenCount: overall.hidden,
+            flaggedCount: overall.flagged,
+            approvalRate: approvalRate(overall),
+            lowRatedCount: overall.low_rated,
+            positiveCount: overall.positive,
+            negativeCount: overall.negative
+        },
+        byProperty,
+        byChannel,
+        recentActivity
+    };
+
+    if (groupBy) {
+        const period = PERIOD_EXPRESSIONS[groupBy];
+        statistics.timeSeries = db.prepare(`
+            SELECT ${period} AS period, ${aggregates}
+            FROM reviews ${where ? `${where} AND` : 'WHERE'} submitted_at IS NOT NULL
+            GROUP BY period
+            ORDER BY period
+        `).all(params).map(row => ({
+            period: row.period,
+            count: row.total,
+            averageRating: round1(row.average_rating),
+            approvalRate: approvalRate(row)
+        }));
+    }
+
+    return statistics;
+}
+
+// Time series for the Analytics trend charts: per period review count, average rating, approval rate and
+// average score per category. With listingIds there is one series per listing to compare them, otherwise
+// a single series for every review matching the filters. Periods without reviews are left out
+function getReviewTrends(filters = {}, { groupBy, listingIds = [] }) {
+    const { where, params } = buildFilterClause(filters);
+    const period = PERIOD_EXPRESSIONS[groupBy];
+    const conditions = [where ? where.replace(/^WHERE /, '') : null, 'submitted_at IS NOT NULL'];
+    const listingParams = {};
+    if (listingIds.length > 0) {
+        listingIds.forEach((id, index) => { listingParams[`listing${index}`] = id; });
+        conditions.push(`listing_id IN (${Object.keys(listingParams).map(key => `@${key}`).join(', ')})`);
+    }
+    const trendWhere = `WHERE ${conditions.filter(Boolean).join(' AND ')}`;
+    const trendParams = { ...params, ...listingParams };
+    // Compared listings are grouped by listing, the single series groups everything together
+    const seriesKey = listingIds.length > 0 ? 'listing_id' : 'NULL';
+
+    const series = new Map();
+    const seriesFor = (listingId) => {
+        if (!series.has(listingId)) series.set(listingId, { listingId, points: new Map() });
+        return series.get(listingId);
+    };
+
+    db.prepare(`
+        SELECT ${seriesKey} AS listing_id, ${period} AS period, COUNT(*) AS total, AVG(rating) AS average_rating, ${STATE_COUNTS}
+        FROM reviews ${trendWhere}
+        GROUP BY 1, 2
+        ORDER BY 2
+    `).all(trendParams).forEach(row => {
+        seriesFor(row.listing_id).points.set(row.period, {
+            period: row.period,
+            count: row.total,
+            averageRating: round1(row.average_rating),
+            // null when nothing in the period was decided, so charts show a gap
+            approvalRate: approvalRate(row),
+            categories: {}
+        });
+    });
+
+    const categories = new Set();
+    db.prepare(`
+        SELECT ${seriesKey} AS listing_id, ${period} AS period,
+            json_extract(category.value, '$.category') AS category,
+            AVG(json_extract(category.value, '$.rating')) AS average
+        FROM reviews, json_each(reviews.categories) AS category
+        ${trendWhere} AND json_extract(category.value, '$.rating') IS NOT NULL
+        GROUP BY 1, 2, 3
+    `).all(trendParams).forEach(row => {
+        categories.add(row.category);
+        seriesFor(row.listing_id).points.get(row.period).categories[row.category] = round1(row.average);
+    });
+
+    const names = new Map(db.prepare('SELECT id, name FROM listings').all().map(row => [row.id, row.name]));
+    // Compared listings keep the order they were asked for, including ones with no reviews in the range
+    const keys = listingIds.length > 0 ? listingIds : [null];
+    return {
+        groupBy,
+        categories: [...categories].sort(),
+        series: keys.map(listingId => ({
+            listingId,
+            name: listingId === null ? 'All properties' : names.get(listingId) || `Listing ${listingId}`,
+            points: series.has(listingId) ? [...series.get(listingId).points.values()] : []
+        }))
+    };
+}
+
+// Distinct properties and channels, plus the lexicon themes, for the filter dropdowns
+function getReviewFacets() {
+    return {
+        properties: db.prepare('SELECT DISTINCT listing_name AS value FROM reviews WHERE listing_name IS NOT NULL ORDER BY listing_name')
+            .all().map(row => row.value),
+        listings: db.prepare('SELECT id, name FROM listings ORDER BY name').all(),
+        channels: db.prepare('SELECT DISTINCT channel AS value FROM reviews ORDER BY channel').all().map(row => row.value),
+        themes: getThemes()
+    };
+}
+
+function getReviewById(id) {
+    const row = db.prepare('SELECT * FROM reviews WHERE id = ?').get(id);
+    return row ? toReview(row) : null;
+}
+
+// Several reviews in one query, in id order. Ids that don't exist are skipped
+function getReviewsByIds(ids) {
+    if (ids.length === 0) return [];
+    return db.prepare('SELECT * FROM reviews WHERE id IN (SELECT value FROM json_each(?)) ORDER BY id')
+        .all(JSON.stringify(ids))
+        .map(toReview);
+}
+
+function getReviewsForListing(listingId) {
+    return replyStore.attachReplies(
+        db.prepare('SELECT * FROM reviews WHERE listing_id = ? ORDER BY submitted_at DESC')
+            .all(listingId)
+            .map(toReview)
+    );
+}
+
+// Totals and averages over every approved review of a listing, what the public pages show as its rating
+function getApprovedReviewSummary(listingId) {
+    const summary = db.prepare(`
+        SELECT COUNT(*) AS total, COUNT(rating) AS rated, AVG(rating) AS average_rating
+        FROM reviews WHERE listing_id = ? AND moderation_state = 'approved'
+    `).get(listingId);
+    const categories = db.prepare(`
+        SELECT json_extract(category.value, '$.category') AS category,
+            AVG(json_extract(category.value, '$.rating')) AS average
+        FROM reviews, json_each(reviews.categories) AS category
+        WHERE listing_id = ? AND moderation_state = 'approved' AND json_extract(category.value, '$.rating') IS NOT NULL
+        GROUP BY 1 ORDER BY 1
+    `).all(listingId);
+
+    return {
+        total: summary.total,
+        rated: summary.rated,
+        averageRating: round1(summary.average_rating),
+        categoryAverages: categories.map(row => ({ category: row.category, average: round1(row.average) }))
+    };
+}
+
+// One page of a listing's approved reviews, newest first, with the summary over all of them so every page
+// shows the same averages. Replies are attached as stored, public callers pass them through toPublicReply
+function getApprovedReviewsPage(listingId, { limit, offset }) {
+    const reviews = replyStore.attachReplies(
+        db.prepare(`
+            SELECT * FROM reviews WHERE listing_id = ? AND moderation_state = 'approved'
+            ORDER BY submitted_at DESC, id DESC LIMIT ? OFFSET ?
+        `).all(listingId, limit, offset).map(toReview)
+    );
+    return { reviews, ...getApprovedReviewSummary(listingId) };
+}
+
+// Moves a review to a new moderation state, returns the updated review or null when the id doesn't exist.
+// Throws InvalidTransitionError for moves the state machine doesn't allow, asking for the current state is a no-op.
+// Changes are recorded in the moderation trail with who made them and why
+const setModerationState = db.transaction((id, state, { user, reason } = {}) => {
+    const current = getReviewById(id);
+    if (!current) return null;
+
+    const previousState = current.moderationState;
+    if (previousState === state) return current;
+    assertTransition(previousState, state);
+
+    const now = new Date().toISOString();
+    db.prepare('UPDATE reviews SET moderation_state = ?, moderated_at = ?, updated_at = ? WHERE id = ?')
+        .run(state, now, now, id);
+    moderationStore.recordModerationEvent({ reviewId: current.id, user, previousState, newState: state, reason, createdAt: now });
+    return getReviewById(id);
+});
+
+module.exports = {
+    upsertReviews,
+    analyzePendingReviews,
+    getReviews,
+    countReviews,
+    queryReviews,
+    queryReviewIds,
+    iterateReviewBatches,
+    getReviewCategoryKeys,
+    summarizeReviews,
+    getReviewStatistics,
+    getReviewTrends,
+    getReviewFacets,
+    getReviewById,
+    getReviewsByIds,
+    getReviewsForListing,
+    getApprovedReviewSummary,
+    getApprovedReviewsPage,
+    setModerationState
+};
@@ -0,0 +1,41 @@
+const reviewStore = require('./reviews');
+const { review } = require('../test/fixtures');
+
+const idFor = (guestName) => reviewStore.queryReviews({}).reviews.find(found => found.guestName === guestName).id;
+
+beforeAll(() => {
+    reviewStore.upsertReviews([
+        review(1, { guestName: 'Lisa Park', listingName: 'Soho Loft' }),
+        review(2, { guestName: 'Tom Near', listingName: 'Camden Studio' }),
+        review(3, { guestName: 'Anna', listingName: 'Soho Loft' })
+    ]);
+});
+
+describe('getReviewStatistics approval rate', () => {
+    test('is null rather than 0 while no review has been approved or hidden', () => {
+        const { overall, byProperty, byChannel } = reviewStore.getReviewStatistics();
+
+        expect(overall.approvalRate).toBeNull();
+        expect(byProperty['Soho Loft'].approvalRate).toBeNull();
+        expect(byChannel.airbnb.approvalRate).toBeNull();
+    });
+
+    test('counts only decided reviews once there are some', () => {
+        reviewStore.setModerationState(idFor('Lisa Park'), 'approved');
+        reviewStore.setModerationState(idFor('Anna'), 'hidden', { reason: 'Mentions a neighbour by name' });
+
+        const { overall, byProperty } = reviewStore.getReviewStatistics();
+
+        expect(overall.approvalRate).toBe(50);
+        expect(byProperty['Soho Loft'].approvalRate).toBe(50);
+        expect(byProperty['Camden Studio'].approvalRate).toBeNull();
+    });
+
+    test('time series periods without decisions are null too', () => {
+        const { timeSeries } = reviewStore.getReviewStatistics({ property: 'Camden Studio' }, { groupBy: 'month' });
+
+        expect(timeSeries).toEqual([
+            expect.objectContaining({ period: '2025-01-01', count: 1, approvalRate: null })
+        ]);
+    });
+});
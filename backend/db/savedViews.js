@@ -0,0 +1,56 @@
+const db = require('./index');
+
+function toView(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        query: row.query,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function listViews(userId) {
+    return db.prepare('SELECT * FROM saved_views WHERE user_id = ? ORDER BY name COLLATE NOCASE')
+        .all(userId)
+        .map(toView);
+}
+
+// Only returns the view when it belongs to the user, other users' views are treated as missing
+function getView(userId, id) {
+    const row = db.prepare('SELECT * FROM saved_views WHERE id = ? AND user_id = ?').get(id, userId);
+    return row ? toView(row) : null;
+}
+
+function getViewByName(userId, name) {
+    const row = db.prepare('SELECT * FROM saved_views WHERE user_id = ? AND name = ?').get(userId, name);
+    return row ? toView(row) : null;
+}
+
+function createView(userId, { name, query }) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+        INSERT INTO saved_views (user_id, name, query, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(userId, name, query, now, now);
+    return getView(userId, result.lastInsertRowid);
+}
+
+function updateView(userId, id, { name, query }) {
+    db.prepare('UPDATE saved_views SET name = ?, query = ?, updated_at = ? WHERE id = ? AND user_id = ?')
+        .run(name, query, new Date().toISOString(), id, userId);
+    return getView(userId, id);
+}
+
+function deleteView(userId, id) {
+    return db.prepare('DELETE FROM saved_views WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+module.exports = {
+    listViews,
+    getView,
+    getViewByName,
+    createView,
+    updateView,
+    deleteView
+};
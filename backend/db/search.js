@@ -0,0 +1,120 @@
+// Full-text search over the review_search index (migration 014): match queries, typo tolerance and highlights
+const db = require('./index');
+const { parseSearchQuery } = require('../lib/searchQuery');
+
+// Typo tolerance grows with the word, short words have to match exactly (or as a prefix)
+const maxEdits = (token) => token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+const MAX_EXPANSIONS = 8;
+// Prefix matching starts at this length so "a" doesn't match every word in the index
+const MIN_PREFIX_LENGTH = 3;
+
+// bm25 column weights in index order: review text, guest, listing, category names, reply
+const RANK = 'bm25(review_search, 1.0, 5.0, 3.0, 1.0, 0.5)';
+
+// Marks around matched words in highlight()/snippet() output, from the Unicode private use area so
+// they can't clash with review text
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+const vocabularyStatement = db.prepare(`
+    SELECT term, doc FROM review_search_vocab
+    WHERE length(term) BETWEEN @min AND @max AND term != @token
+`);
+
+// Edit distance counting a swap of neighbouring letters ("wiif") as one edit, giving up once it is
+// known to be above the limit
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Indexed words within the token's edit budget, closest and most common first
+function similarTerms(token) {
+    const limit = maxEdits(token);
+    if (limit === 0) return [];
+
+    return vocabularyStatement.all({ min: token.length - limit, max: token.length + limit, token })
+        .map(row => ({ term: row.term, doc: row.doc, distance: editDistance(token, row.term, limit) }))
+        .filter(candidate => candidate.distance <= limit)
+        .sort((a, b) => a.distance - b.distance || b.doc - a.doc)
+        .slice(0, MAX_EXPANSIONS)
+        .map(candidate => candidate.term);
+}
+
+const quote = (token) => `"${token.replace(/"/g, '""')}"`;
+
+// One clause of the FTS5 query: a phrase as is, a single word as itself, its prefix and near spellings
+function clauseToMatch({ column, tokens, phrase }) {
+    let expression;
+    if (phrase) {
+        expression = quote(tokens.join(' '));
+    } else {
+        const [token] = tokens;
+        const alternatives = [token.length >= MIN_PREFIX_LENGTH ? `${quote(token)}*` : quote(token), ...similarTerms(token).map(quote)];
+        expression = alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0];
+    }
+    return column ? `${column} : ${expression}` : expression;
+}
+
+// FTS5 MATCH expression for the search box text, every clause has to match.
+// Returns null when the text has nothing searchable in it (only punctuation, say)
+function buildMatchQuery(search) {
+    const clauses = parseSearchQuery(search);
+    return clauses.length > 0 ? clauses.map(clauseToMatch).join(' AND ') : null;
+}
+
+// Highlight columns to select alongside a ranked search, read back by toHighlights()
+const HIGHLIGHT_COLUMNS = `
+    highlight(review_search, 0, '${MARK_START}', '${MARK_END}') AS highlight_review,
+    highlight(review_search, 1, '${MARK_START}', '${MARK_END}') AS highlight_guest,
+    highlight(review_search, 2, '${MARK_START}', '${MARK_END}') AS highlight_listing,
+    snippet(review_search, 4, '${MARK_START}', '${MARK_END}', '…', 24) AS highlight_reply
+`;
+
+// "a b c" -> [{ text: 'a ', match: false }, { text: 'b', match: true }, { text: ' c', match: false }]
+function toSegments(marked) {
+    if (!marked || !marked.includes(MARK_START)) return null;
+    return marked.split(MARK_START).flatMap((part, index) => {
+        if (index === 0) return part ? [{ text: part, match: false }] : [];
+        const [matched, rest] = part.split(MARK_END);
+        return [{ text: matched, match: true }, ...(rest ? [{ text: rest, match: false }] : [])];
+    });
+}
+
+// Fields of a ranked search row where something matched, as text segments to render with the matches marked
+function toHighlights(row) {
+    const highlights = {
+        review: toSegments(row.highlight_review),
+        guest: toSegments(row.highlight_guest),
+        listing: toSegments(row.highlight_listing),
+        reply: toSegments(row.highlight_reply)
+    };
+    return Object.fromEntries(Object.entries(highlights).filter(([, segments]) => segments));
+}
+
+module.exports = {
+    RANK,
+    HIGHLIGHT_COLUMNS,
+    buildMatchQuery,
+    toHighlights
+};
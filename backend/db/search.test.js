@@ -0,0 +1,79 @@
+const reviewStore = require('./reviews');
+const { buildMatchQuery, toHighlights } = require('./search');
+const { review } = require('../test/fixtures');
+
+beforeAll(() => {
+    reviewStore.upsertReviews([
+        review(1, { guestName: 'Lisa Park', listingName: 'Soho Loft', publicReview: 'The wifi kept dropping but the flat was spotless.' }),
+        review(2, { guestName: 'Tom Near', listingName: 'Camden Studio', publicReview: 'Noisy street, hot water ran out.' }),
+        review(3, { guestName: 'Anna', listingName: 'Soho Loft', publicReview: 'Check-in was easy and the host was lovely.' })
+    ]);
+});
+
+const search = (text) => reviewStore.queryReviews({ search: text }).reviews;
+const guests = (text) => search(text).map(found => found.guestName).sort();
+
+describe('buildMatchQuery', () => {
+    test('quotes every word and adds a prefix match from three letters', () => {
+        expect(buildMatchQuery('zz')).toBe('"zz"');
+        expect(buildMatchQuery('zzzq')).toBe('"zzzq"*');
+    });
+
+    test('qualified clauses are limited to their column', () => {
+        expect(buildMatchQuery('guest:"lisa park"')).toBe('guest : "lisa park"');
+    });
+
+    test('adds indexed words within the edit budget', () => {
+        expect(buildMatchQuery('wiif')).toBe('("wiif"* OR "wifi")');
+    });
+
+    test('returns null when nothing is searchable', () => {
+        expect(buildMatchQuery('"" * -')).toBeNull();
+    });
+});
+
+describe('searching reviews', () => {
+    test('FTS5 operators in the search box are matched as text, not syntax', () => {
+        expect(guests('NEAR')).toEqual(['Tom Near']);
+        expect(guests('near(wifi dropping)')).toEqual([]);
+        expect(guests('wifi OR noisy')).toEqual([]);
+        expect(guests('-noisy')).toEqual(['Tom Near']);
+        expect(guests('spot*')).toEqual(['Lisa Park']);
+        expect(guests('"hot water')).toEqual(['Tom Near']);
+        expect(guests('wifi" OR "noisy')).toEqual([]);
+    });
+
+    test('qualifiers narrow the search to one field', () => {
+        expect(guests('listing:soho')).toEqual(['Anna', 'Lisa Park']);
+        expect(guests('guest:soho')).toEqual([]);
+        expect(guests('listing:soho check-in')).toEqual(['Anna']);
+    });
+
+    test('tolerates typos in longer words', () => {
+        expect(guests('wiif')).toEqual(['Lisa Park']);
+        expect(guests('spotles')).toEqual(['Lisa Park']);
+    });
+
+    test('highlights the matched words of each field', () => {
+        const [found] = search('soho wifi');
+        expect(found.highlights.review).toEqual([
+            { text: 'The ', match: false },
+            { text: 'wifi', match: true },
+            { text: ' kept dropping but the flat was spotless.', match: false }
+        ]);
+        expect(found.highlights.listing).toEqual([{ text: 'Soho', match: true }, { text: ' Loft', match: false }]);
+        expect(found.highlights.guest).toBeUndefined();
+    });
+});
+
+describe('toHighlights', () => {
+    test('leaves out fields without a match', () => {
+        expect(toHighlights({ highlight_review: 'no match here', highlight_guest: null })).toEqual({});
+    });
+
+    test('splits marked text into segments', () => {
+        expect(toHighlights({ highlight_guest: 'Lisa Park' })).toEqual({
+            guest: [{ text: 'Lisa', match: true }, { text: ' Park', match: false }]
+        });
+    });
+});
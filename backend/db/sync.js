@@ -0,0 +1,96 @@
+const db = require('./index');
+
+function toRun(row) {
+    return {
+        id: row.id,
+        source: row.source,
+        mode: row.mode,
+        status: row.status,
+        pages: row.pages,
+        fetched: row.fetched,
+        upserted: row.upserted,
+        cursorBefore: row.cursor_before,
+        cursorAfter: row.cursor_after,
+        error: row.error,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+function getSyncState(source) {
+    const row = db.prepare('SELECT * FROM sync_state WHERE source = ?').get(source);
+    if (!row) return null;
+    return {
+        source: row.source,
+        cursor: row.cursor,
+        lastSyncedAt: row.last_synced_at,
+        lastSource: row.last_source,
+        lastError: row.last_error
+    };
+}
+
+// Records the outcome of a sync, the cursor only moves forward when one is supplied
+function recordSync(source, { lastSource = null, cursor = null, error = null }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO sync_state (source, cursor, last_synced_at, last_source, last_error, updated_at)
+        VALUES (@source, @cursor, @now, @lastSource, @error, @now)
+        ON CONFLICT (source) DO UPDATE SET
+            cursor = COALESCE(excluded.cursor, sync_state.cursor),
+            last_synced_at = excluded.last_synced_at,
+            last_source = COALESCE(excluded.last_source, sync_state.last_source),
+            last_error = excluded.last_error,
+            updated_at = excluded.updated_at
+    `).run({ source, cursor, lastSource, error, now });
+}
+
+function startRun(source, mode, cursorBefore) {
+    const result = db.prepare(`
+        INSERT INTO sync_runs (source, mode, status, cursor_before, started_at)
+        VALUES (?, ?, 'running', ?, ?)
+    `).run(source, mode, cursorBefore || null, new Date().toISOString());
+    return result.lastInsertRowid;
+}
+
+function finishRun(id, { status, pages = 0, fetched = 0, upserted = 0, cursorAfter = null, error = null }) {
+    db.prepare(`
+        UPDATE sync_runs
+        SET status = @status, pages = @pages, fetched = @fetched, upserted = @upserted,
+            cursor_after = @cursorAfter, error = @error, finished_at = @finishedAt
+        WHERE id = @id
+    `).run({ id, status, pages, fetched, upserted, cursorAfter, error, finishedAt: new Date().toISOString() });
+}
+
+function getRecentRuns({ source, limit = 20 } = {}) {
+    const rows = source
+        ? db.prepare('SELECT * FROM sync_runs WHERE source = ? ORDER BY id DESC LIMIT ?').all(source, limit)
+        : db.prepare('SELECT * FROM sync_runs ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(toRun);
+}
+
+// Latest run that finished without an error, optionally of one mode, null when there has been none
+function getLastSuccessfulRun(source, { mode } = {}) {
+    const row = db.prepare(`
+        SELECT * FROM sync_runs WHERE source = @source AND status = 'succeeded' AND (@mode IS NULL OR mode = @mode)
+        ORDER BY id DESC LIMIT 1
+    `).get({ source, mode: mode || null });
+    return row ? toRun(row) : null;
+}
+
+// Runs left in 'running' by a crash or restart can never finish, mark them failed on boot
+function failInterruptedRuns() {
+    return db.prepare(`
+        UPDATE sync_runs SET status = 'failed', error = 'Interrupted by server restart', finished_at = ?
+        WHERE status = 'running'
+    `).run(new Date().toISOString()).changes;
+}
+
+module.exports = {
+    getSyncState,
+    recordSync,
+    startRun,
+    finishRun,
+    getRecentRuns,
+    getLastSuccessfulRun,
+    failInterruptedRuns
+};
@@ -0,0 +1,106 @@
+const db = require('./index');
+
+// Never includes the password hash
+function toUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        lastLoginAt: row.last_login_at,
+        createdAt: row.created_at
+    };
+}
+
+function countUsers({ role } = {}) {
+    return role
+        ? db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?').get(role).count
+        : db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+}
+
+function listUsers() {
+    return db.prepare('SELECT * FROM users ORDER BY email').all().map(toUser);
+}
+
+function getUserById(id) {
+    const row = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? toUser(row) : null;
+}
+
+// Includes the password hash, only for checking a login
+function getUserCredentials(email) {
+    const row = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    return row ? { user: toUser(row), passwordHash: row.password_hash } : null;
+}
+
+function createUser({ email, name, passwordHash, role }) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+        INSERT INTO users (email, name, password_hash, role, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(email, name || null, passwordHash, role, now, now);
+    return getUserById(result.lastInsertRowid);
+}
+
+// Only the given fields change, returns null when the id doesn't exist
+function updateUser(id, { name, passwordHash, role }) {
+    const current = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    if (!current) return null;
+
+    db.prepare('UPDATE users SET name = ?, password_hash = ?, role = ?, updated_at = ? WHERE id = ?').run(
+        name !== undefined ? name : current.name,
+        passwordHash || current.password_hash,
+        role || current.role,
+        new Date().toISOString(),
+        id
+    );
+    return getUserById(id);
+}
+
+function deleteUser(id) {
+    return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+}
+
+function createSession(userId, tokenHash, expiresAt) {
+    const now = new Date().toISOString();
+    db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(tokenHash, userId, now, expiresAt);
+    db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(now, userId);
+}
+
+// The user behind an unexpired session, the role is read fresh so role changes apply straight away
+function getSessionUser(tokenHash) {
+    const row = db.prepare(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+    `).get(tokenHash, new Date().toISOString());
+    return row ? toUser(row) : null;
+}
+
+function deleteSession(tokenHash) {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+function deleteUserSessions(userId) {
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+}
+
+function deleteExpiredSessions() {
+    return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+}
+
+module.exports = {
+    countUsers,
+    listUsers,
+    getUserById,
+    getUserCredentials,
+    createUser,
+    updateUser,
+    deleteUser,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    deleteUserSessions,
+    deleteExpiredSessions
+};
@@ -0,0 +1,104 @@
+const db = require('./index');
+
+function toEvent(row) {
+    return {
+        id: row.id,
+        channel: row.channel,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        reviewCount: row.review_count,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        receivedAt: row.received_at,
+        processedAt: row.processed_at
+    };
+}
+
+// Returns the stored event, or null when this channel already sent an event with the same id
+function recordEvent({ channel, eventId, eventType, payload }) {
+    const result = db.prepare(`
+        INSERT OR IGNORE INTO webhook_events (channel, event_id, event_type, payload, received_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(channel, eventId, eventType || null, payload, new Date().toISOString());
+    return result.changes > 0 ? getEvent(result.lastInsertRowid) : null;
+}
+
+function getEvent(id) {
+    const row = db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id);
+    return row ? toEvent(row) : null;
+}
+
+function getEventByEventId(channel, eventId) {
+    const row = db.prepare('SELECT * FROM webhook_events WHERE channel = ? AND event_id = ?').get(channel, eventId);
+    return row ? toEvent(row) : null;
+}
+
+// Newest first, optionally narrowed to a status and/or channel. Payloads are left out, getEvent has them
+function listEvents({ status, channel, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    if (status) conditions.push('status = @status');
+    if (channel) conditions.push('channel = @channel');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM webhook_events ${where}`).get({ status, channel }).count;
+    const events = db.prepare(`SELECT * FROM webhook_events ${where} ORDER BY received_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+        .all({ status, channel, limit, offset })
+        .map(row => {
+            const { payload, ...event } = toEvent(row);
+            return event;
+        });
+    return { events, total };
+}
+
+function countEventsByStatus() {
+    const counts = { pending: 0, processed: 0, failed: 0, dead: 0 };
+    db.prepare('SELECT status, COUNT(*) AS count FROM webhook_events GROUP BY status').all()
+        .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+}
+
+// Failed events whose retry time has come, oldest first
+function getDueRetries(now = new Date().toISOString()) {
+    return db.prepare(`
+        SELECT * FROM webhook_events WHERE status = 'failed' AND next_attempt_at <= ? ORDER BY next_attempt_at
+    `).all(now).map(toEvent);
+}
+
+// Events stored but never processed, left behind when the server stopped mid-request
+function getPendingEvents() {
+    return db.prepare("SELECT * FROM webhook_events WHERE status = 'pending' ORDER BY id").all().map(toEvent);
+}
+
+function markProcessed(id, reviewCount) {
+    db.prepare(`
+        UPDATE webhook_events SET
+            status = 'processed', attempts = attempts + 1, review_count = ?, last_error = NULL,
+            next_attempt_at = NULL, processed_at = ?
+        WHERE id = ?
+    `).run(reviewCount, new Date().toISOString(), id);
+    return getEvent(id);
+}
+
+// nextAttemptAt null means no more automatic retries, the event is dead until retried by hand
+function markFailed(id, error, nextAttemptAt) {
+    db.prepare(`
+        UPDATE webhook_events SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+    `).run(nextAttemptAt ? 'failed' : 'dead', error, nextAttemptAt, id);
+    return getEvent(id);
+}
+
+module.exports = {
+    recordEvent,
+    getEvent,
+    getEventByEventId,
+    listEvents,
+    countEventsByStatus,
+    getDueRetries,
+    getPendingEvents,
+    markProcessed,
+    markFailed
+};
@@ -0,0 +1,177 @@
+// Server-rendered HTML for the public review widget, shown in an iframe on listing websites
+const { escapeHtml } = require('../lib/html');
+const { formatCategory, formatDate, renderStars } = require('../lib/format');
+
+const THEMES = {
+    light: { background: '#ffffff', text: '#111827', muted: '#6b7280', border: '#e5e7eb', card: '#f9fafb', star: '#d1d5db' },
+    dark: { background: '#111827', text: '#f9fafb', muted: '#9ca3af', border: '#374151', card: '#1f2937', star: '#4b5563' }
+};
+const DEFAULT_ACCENT = '#0d9488';
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 20;
+
+// Display options come from data attributes on the host page, so anything unexpected falls back to
+// the default instead of failing the widget. The accent ends up in CSS and must be a plain hex colour
+function parseEmbedOptions(query) {
+    const pageSize = parseInt(query.pageSize, 10);
+    const page = parseInt(query.page, 10);
+    return {
+        theme: THEMES[query.theme] ? query.theme : 'light',
+        accent: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(query.accent || '') ? query.accent : DEFAULT_ACCENT,
+        pageSize: pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+        page: page > 0 ? page : 1,
+        showCategories: query.categories !== 'false',
+        showReplies: query.replies !== 'false',
+        // Set by widget.js so height messages reach the right iframe when a page embeds several
+        frameId: /^[\w-]{1,40}$/.test(query.frame || '') ? query.frame : null
+    };
+}
+
+// Query string for another page of the widget with the same display options
+function pageLink(options, page) {
+    const params = new URLSearchParams({ page: String(page), pageSize: String(options.pageSize), theme: options.theme, accent: options.accent });
+    if (!options.showCategories) params.set('categories', 'false');
+    if (!options.showReplies) params.set('replies', 'false');
+    if (options.frameId) params.set('frame', options.frameId);
+    return `?${params}`;
+}
+
+function renderReview(review, options) {
+    const reply = options.showReplies && review.reply ? `
+        <div class="reply">
+            <p class="reply-title">Response from Flex Living</p>
+            <p>${escapeHtml(review.reply.body)}</p>
+        </div>` : '';
+    return `
+    <article class="review">
+        <header>
+            <div>
+                <p class="guest">${escapeHtml(review.guestName || 'Guest')}</p>
+                <p class="muted">${escapeHtml(formatDate(review.submittedAt, { month: 'long', year: 'numeric' }, 'en-GB'))}</p>
+            </div>
+            ${review.rating === null ? '' : renderStars(review.rating)}
+        </header>
+        <p class="text">${escapeHtml(review.publicReview)}</p>
+        ${reply}
+    </article>`;
+}
+
+function renderStyles(options) {
+    const colors = THEMES[options.theme];
+    return `
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 16px; background: ${colors.background}; color: ${colors.text};
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; font-size: 14px; line-height: 1.5; }
+    p { margin: 0; }
+    a { color: ${options.accent}; }
+    .muted { color: ${colors.muted}; font-size: 12px; }
+    .summary { display: flex; align-items: center; gap: 12px; margin-bottom: 16px; }
+    .score { font-size: 32px; font-weight: 700; color: ${options.accent}; }
+    .stars { white-space: nowrap; font-size: 16px; letter-spacing: 1px; }
+    .star { background: linear-gradient(90deg, ${options.accent} var(--fill), ${colors.star} var(--fill));
+        -webkit-background-clip: text; background-clip: text; color: transparent; }
+    .categories { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 8px 16px; margin-bottom: 16px; }
+    .category { display: flex; justify-content: space-between; font-size: 13px; }
+    .bar { height: 4px; background: ${colors.border}; border-radius: 2px; margin-top: 2px; }
+    .bar span { display: block; height: 100%; background: ${options.accent}; border-radius: 2px; }
+    .review { background: ${colors.card}; border: 1px solid ${colors.border}; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; }
+    .review header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; margin-bottom: 8px; }
+    .guest { font-weight: 600; }
+    .text { white-space: pre-line; }
+    .reply { border-left: 3px solid ${options.accent}; padding-left: 12px; margin-top: 12px; font-size: 13px; }
+    .reply-title { font-weight: 600; margin-bottom: 2px; }
+    nav { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; }
+    nav a { text-decoration: none; font-weight: 600; }
+    .footer { margin-top: 12px; text-align: right; }
+    `;
+}
+
+// Posts the document height to the host page so widget.js can size the iframe without scrollbars
+function renderResizeScript(options) {
+    if (!options.frameId) return '';
+    return `
+    <script>
+        (function () {
+            var send = function () {
+                parent.postMessage({ type: 'flex-reviews:resize', frame: ${JSON.stringify(options.frameId)}, height: document.documentElement.scrollHeight }, '*');
+            };
+            window.addEventListener('load', send);
+            window.addEventListener('resize', send);
+            send();
+        })();
+    </script>`;
+}
+
+function renderPage({ title, body, options }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>${renderStyles(options)}</style>
+</head>
+<body>
+${body}
+${renderResizeScript(options)}
+</body>
+</html>`;
+}
+
+// Full widget page: rating summary, category averages and one page of approved reviews
+function renderWidget({ listing, page, options }) {
+    const pageCount = Math.max(1, Math.ceil(page.total / options.pageSize));
+
+    const summary = page.averageRating === null ? `
+    <div class="summary"><p class="muted">${page.total} review${page.total === 1 ? '' : 's'}</p></div>` : `
+    <div class="summary">
+        <span class="score">${(page.averageRating / 2).toFixed(1)}</span>
+        <div>
+            ${renderStars(page.averageRating)}
+            <p class="muted">Based on ${page.rated} rated review${page.rated === 1 ? '' : 's'}</p>
+        </div>
+    </div>`;
+
+    const categories = options.showCategories && page.categoryAverages.length > 0 ? `
+    <div class="categories">
+        ${page.categoryAverages.map(({ category, average }) => `
+        <div>
+            <div class="category"><span>${escapeHtml(formatCategory(category))}</span><span>${average}/10</span></div>
+            <div class="bar"><span style="width:${Math.max(0, Math.min(100, average * 10))}%"></span></div>
+        </div>`).join('')}
+    </div>` : '';
+
+    const reviews = page.reviews.length > 0
+        ? page.reviews.map(review => renderReview(review, options)).join('')
+        : `<p class="muted">${page.total === 0 ? 'No reviews yet.' : 'No more reviews.'}</p>`;
+
+    // Also shown past the last page (e.g. after reviews were hidden) so there's a way back
+    const nav = pageCount > 1 || options.page > 1 ? `
+    <nav>
+        ${options.page > 1 ? `<a href="${escapeHtml(pageLink(options, options.page - 1))}">← Newer</a>` : '<span></span>'}
+        <span class="muted">Page ${options.page} of ${pageCount}</span>
+        ${options.page < pageCount ? `<a href="${escapeHtml(pageLink(options, options.page + 1))}">Older →</a>` : '<span></span>'}
+    </nav>` : '';
+
+    return renderPage({
+        title: `Guest reviews for ${listing.name}`,
+        options,
+        body: `${summary}${categories}${reviews}${nav}
+    <p class="footer muted">Verified guest reviews by Flex Living</p>`
+    });
+}
+
+function renderNotFound(options) {
+    return renderPage({
+        title: 'Reviews unavailable',
+        options,
+        body: '<p class="muted">Reviews for this property are not available.</p>'
+    });
+}
+
+module.exports = {
+    parseEmbedOptions,
+    renderWidget,
+    renderNotFound
+};
@@ -0,0 +1,56 @@
+/*
+ * Flex Living review widget loader, served at /embed/widget.js
+ *
+ * Replaces each <div data-flex-reviews data-listing-id="..."> on the page with
+ * an iframe of /embed/:listingId. A script tag that carries data-listing-id
+ * itself gets the widget inserted right after it. Options are data attributes:
+ *   data-theme="light|dark", data-accent="#0d9488", data-page-size="5",
+ *   data-categories="false" (hide category averages), data-replies="false" (hide host responses)
+ * The iframe grows to fit its content, so the host page never shows a scrollbar for it.
+ */
+(function () {
+    var script = document.currentScript;
+    if (!script) return;
+    var origin = new URL(script.src, window.location.href).origin;
+    var OPTIONS = { theme: 'theme', accent: 'accent', pageSize: 'page-size', categories: 'categories', replies: 'replies' };
+    var frameCount = 0;
+
+    function mount(element, insertAfter) {
+        var listingId = element.getAttribute('data-listing-id');
+        if (!listingId || element.getAttribute('data-flex-reviews-mounted')) return;
+        element.setAttribute('data-flex-reviews-mounted', 'true');
+
+        var frameId = 'flex-reviews-' + (++frameCount);
+        var params = new URLSearchParams({ frame: frameId });
+        Object.keys(OPTIONS).forEach(function (option) {
+            var value = element.getAttribute('data-' + OPTIONS[option]);
+            if (value) params.set(option, value);
+        });
+
+        var iframe = document.createElement('iframe');
+        iframe.src = origin + '/embed/' + encodeURIComponent(listingId) + '?' + params.toString();
+        iframe.title = 'Guest reviews';
+        iframe.loading = 'lazy';
+        iframe.setAttribute('data-flex-reviews-frame', frameId);
+        iframe.style.cssText = 'width:100%;height:400px;border:0;display:block;';
+
+        if (insertAfter) element.parentNode.insertBefore(iframe, element.nextSibling);
+        else element.appendChild(iframe);
+    }
+
+    window.addEventListener('message', function (event) {
+        if (event.origin !== origin || !event.data || event.data.type !== 'flex-reviews:resize') return;
+        var iframe = document.querySelector('iframe[data-flex-reviews-frame="' + event.data.frame + '"]');
+        if (iframe) iframe.style.height = event.data.height + 'px';
+    });
+
+    function mountAll() {
+        Array.prototype.forEach.call(document.querySelectorAll('[data-flex-reviews]'), function (element) {
+            mount(element, false);
+        });
+    }
+
+    if (script.hasAttribute('data-listing-id')) mount(script, true);
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mountAll);
+    else mountAll();
+})();
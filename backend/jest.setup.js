@@ -0,0 +1,4 @@
+// Every test file gets its own in-memory database, migrated on first require of db/index.js
+process.env.DATABASE_PATH = ':memory:';
+// Migrations and sync logs would otherwise fill the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -0,0 +1,111 @@
+// Password hashing, bearer token sessions and role checks for the dashboard API
+const crypto = require('crypto');
+const { AUTH_CONFIG } = require('../config');
+const userStore = require('../db/users');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'moderator', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${key}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, salt, key] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Returns the bearer token to hand to the client, the store only keeps its hash
+function startSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.sessionHours * 60 * 60 * 1000).toISOString();
+    userStore.deleteExpiredSessions();
+    userStore.createSession(user.id, hashToken(token), expiresAt);
+    return { token, expiresAt };
+}
+
+function endSession(token) {
+    userStore.deleteSession(hashToken(token));
+}
+
+function readBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Sets req.user when a valid session token is sent, anonymous requests carry on without one
+function authenticate(req, res, next) {
+    const token = readBearerToken(req);
+    req.token = token;
+    req.user = token ? userStore.getSessionUser(hashToken(token)) : null;
+    next();
+}
+
+// Whether the token still belongs to an unexpired session, for long-lived requests that outlast authenticate()
+function isSessionActive(token) {
+    return Boolean(token) && userStore.getSessionUser(hashToken(token)) !== null;
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// 401 without a valid session, 403 when the user's role is below the required one
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({
+                success: false,
+                error: `This action requires the ${role} role`
+            });
+        }
+        next();
+    };
+}
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD, nobody could log in otherwise
+function ensureAdminUser() {
+    if (userStore.countUsers() > 0) return;
+
+    if (!AUTH_CONFIG.adminEmail || !AUTH_CONFIG.adminPassword) {
+        console.warn('No dashboard users exist yet, set ADMIN_EMAIL and ADMIN_PASSWORD to create an admin');
+        return;
+    }
+    const admin = userStore.createUser({
+        email: AUTH_CONFIG.adminEmail.trim().toLowerCase(),
+        name: 'Administrator',
+        passwordHash: hashPassword(AUTH_CONFIG.adminPassword),
+        role: 'admin'
+    });
+    console.log(`Created admin user ${admin.email}`);
+}
+
+module.exports = {
+    ROLES,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    startSession,
+    endSession,
+    isSessionActive,
+    authenticate,
+    hasRole,
+    requireRole,
+    ensureAdminUser
+};
@@ -0,0 +1,32 @@
+// Display helpers shared by the pages and reports the backend renders itself (SEO pages, review widget, reports)
+
+const formatCategory = (category) => category
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+const formatAverage = (average) => average === null || average === undefined ? '–' : average.toFixed(1);
+
+// submitted_at is stored as 'YYYY-MM-DD HH:mm:ss' in UTC, an unparseable date formats as ''
+function formatDate(submittedAt, options = { year: 'numeric', month: 'short', day: 'numeric' }, locale = 'en-US') {
+    const date = new Date(`${String(submittedAt).replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+}
+
+// Five stars for a 0-10 rating, rounded to the nearest half star. Each star's filled share is its --fill,
+// the page styles .star with a gradient up to it
+function renderStars(rating) {
+    const halves = Math.round(rating);
+    const stars = Array.from({ length: 5 }, (_, index) => {
+        const fill = Math.max(0, Math.min(2, halves - index * 2)) * 50;
+        return `<span class="star" style="--fill:${fill}%">★</span>`;
+    }).join('');
+    return `<span class="stars" aria-label="${(rating / 2).toFixed(1)} out of 5 stars">${stars}</span>`;
+}
+
+module.exports = {
+    formatCategory,
+    formatAverage,
+    formatDate,
+    renderStars
+};
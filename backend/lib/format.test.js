@@ -0,0 +1,33 @@
+const { formatCategory, formatAverage, formatDate, renderStars } = require('./format');
+
+test('formatCategory turns a category key into a label', () => {
+    expect(formatCategory('check_in')).toBe('Check In');
+    expect(formatCategory('cleanliness')).toBe('Cleanliness');
+});
+
+test('formatAverage shows one decimal place or a dash when there is no average', () => {
+    expect(formatAverage(8.25)).toBe('8.3');
+    expect(formatAverage(null)).toBe('–');
+    expect(formatAverage(undefined)).toBe('–');
+});
+
+describe('formatDate', () => {
+    test('reads submitted_at as UTC', () => {
+        expect(formatDate('2025-01-01 00:30:00')).toBe('Jan 1, 2025');
+        expect(formatDate('2024-12-31 23:30:00', { month: 'long', year: 'numeric' }, 'en-GB')).toBe('December 2024');
+    });
+
+    test('an unparseable date formats as an empty string', () => {
+        expect(formatDate(null)).toBe('');
+        expect(formatDate('not a date')).toBe('');
+    });
+});
+
+test('renderStars fills stars to the nearest half', () => {
+    const fills = (rating) => [...renderStars(rating).matchAll(/--fill:(\d+)%/g)].map(match => Number(match[1]));
+
+    expect(fills(10)).toEqual([100, 100, 100, 100, 100]);
+    expect(fills(7)).toEqual([100, 100, 100, 50, 0]);
+    expect(fills(0)).toEqual([0, 0, 0, 0, 0]);
+    expect(renderStars(7)).toContain('aria-label="3.5 out of 5 stars"');
+});
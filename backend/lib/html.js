@@ -0,0 +1,16 @@
+// Helpers for the HTML the backend renders itself (review widget, SEO pages)
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// JSON for an inline <script>, "<" is escaped so review text can't close the tag
+const inlineJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+module.exports = {
+    escapeHtml,
+    inlineJson
+};
@@ -0,0 +1,307 @@
+// Shared client for outbound channel APIs: access tokens, retries with exponential backoff, rate-limit headers,
+// a circuit breaker and a short-lived cache for GETs. Every failure surfaces as an UpstreamError
+const axios = require('axios');
+
+// Statuses worth another try, anything else in the 4xx range is the request's fault and fails straight away
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const MAX_CACHE_ENTRIES = 200;
+// Tokens are renewed this long before they expire, so a request never goes out with one about to lapse
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// code is one of: circuit_open, rate_limited, timeout, unreachable, auth_failed, rejected, upstream_error
+class UpstreamError extends Error {
+    constructor(service, message, { code = 'upstream_error', status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.service = service;
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    // True when the service is down or holding us off, as opposed to rejecting this particular request
+    get unavailable() {
+        return ['circuit_open', 'rate_limited', 'timeout', 'unreachable', 'upstream_error'].includes(this.code);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How long the service asked us to wait: Retry-After (seconds or an HTTP date), or X-RateLimit-Reset
+// (epoch seconds or seconds from now) once X-RateLimit-Remaining hits 0. Null when it didn't say
+function rateLimitDelay(headers = {}, now = Date.now()) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) return Math.max(0, date - now);
+    }
+    if (String(headers['x-ratelimit-remaining']) === '0' && headers['x-ratelimit-reset'] !== undefined) {
+        const reset = Number(headers['x-ratelimit-reset']);
+        if (!isNaN(reset)) return Math.max(0, reset > 1e9 ? reset * 1000 - now : reset * 1000);
+    }
+    return null;
+}
+
+// Turns an axios failure into an UpstreamError, keeping the service's own message when it sent one
+function toUpstreamError(service, error) {
+    if (error instanceof UpstreamError) return error;
+    if (!error.isAxiosError) return new UpstreamError(service, `${service} sent an unexpected answer: ${error.message}`);
+    if (!error.response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return new UpstreamError(service, timedOut ? `${service} did not answer in time` : `${service} is unreachable: ${error.message}`, {
+            code: timedOut ? 'timeout' : 'unreachable'
+        });
+    }
+
+    const { status, data, headers } = error.response;
+    const detail = data && typeof data === 'object' && data.message ? data.message : null;
+    const message = detail || `${service} answered ${status}`;
+    if (status === 429) {
+        return new UpstreamError(service, message, { code: 'rate_limited', status, retryAfterMs: rateLimitDelay(headers) });
+    }
+    if (status === 401 || status === 403) return new UpstreamError(service, message, { code: 'auth_failed', status });
+    return new UpstreamError(service, message, { code: status >= 500 || status === 408 ? 'upstream_error' : 'rejected', status });
+}
+
+// Builds a client for one service. Options:
+//   service, baseURL, timeout      - name for messages, API root and per-request timeout in ms
+//   retries, retryBaseMs           - extra attempts after a retryable failure, waiting retryBaseMs * 2^n (with jitter)
+//   maxRetryDelayMs                - longest wait for a rate limit or backoff; longer limits fail with rate_limited
+//   failureThreshold, cooldownMs   - consecutive failed requests that open the circuit, and how long it stays open
+//   cacheTtlMs                     - how long GET responses are reused, 0 turns the cache off
+//   fetchToken({ post })           - optional, resolves { token, expiresIn } (seconds), sent as a bearer token and
+//                                    renewed when it expires or the service answers 401. post(url, data, headers)
+//                                    sends the token request unauthenticated, with retries but outside the circuit
+//   headers                        - sent with every request
+function createHttpClient({
+    service,
+    baseURL,
+    timeout = 10000,
+    retries = 3,
+    retryBaseMs = 500,
+    maxRetryDelayMs = 30000,
+    failureThreshold = 5,
+    cooldownMs = 60000,
+    cacheTtlMs = 0,
+    fetchToken = null,
+    headers = {}
+}) {
+    const circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+    const health = { lastError: null, lastFailureAt: null, lastSuccessAt: null, rateLimitedUntil: null };
+    const cache = new Map();
+    const inFlight = new Map();
+    let token = null;
+    let tokenRequest = null;
+
+    function recordSuccess() {
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        health.lastSuccessAt = new Date().toISOString();
+    }
+
+    // Only outages count towards the circuit. A rejected request says nothing about the service's health,
+    // and a rate limit is already waited out through rateLimitedUntil
+    function recordFailure(error) {
+        health.lastError = error.message;
+        health.lastFailureAt = new Date().toISOString();
+        if (!error.unavailable || error.code === 'rate_limited') return;
+
+        circuit.failures++;
+        if (circuit.state === 'half_open' || circuit.failures >= failureThreshold) {
+            if (circuit.state !== 'open') console.error(`${service} circuit opened after ${circuit.failures} failure(s): ${error.message}`);
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    }
+
+    // Throws while the circuit is open or a long rate limit is running. After the cooldown one trial request is let
+    // through (half-open), its outcome closes the circuit or opens it again
+    async function checkAvailable() {
+        if (health.rateLimitedUntil) {
+            const wait = new Date(health.rateLimitedUntil).getTime() - Date.now();
+            if (wait > maxRetryDelayMs) {
+                throw new UpstreamError(service, `${service} rate limit reached, retry after ${health.rateLimitedUntil}`, {
+                    code: 'rate_limited',
+                    retryAfterMs: wait
+                });
+            }
+            if (wait > 0) await sleep(wait);
+            health.rateLimitedUntil = null;
+        }
+
+        if (circuit.state === 'closed') return false;
+        const retryIn = circuit.openedAt + cooldownMs - Date.now();
+        if ((circuit.state === 'open' && retryIn > 0) || circuit.trialInFlight) {
+            throw new UpstreamError(service, `${service} is unavailable (${health.lastError}), requests are paused`, {
+                code: 'circuit_open',
+                retryAfterMs: Math.max(retryIn, 0) || cooldownMs
+            });
+        }
+        circuit.state = 'half_open';
+        circuit.trialInFlight = true;
+        return true;
+    }
+
+    async function getToken(forceRefresh) {
+        if (!forceRefresh && token && token.expiresAt > Date.now()) return token.value;
+        if (!tokenRequest) {
+            tokenRequest = fetchToken(tokenClient)
+                .then(({ token: value, expiresIn }) => {
+                    token = { value, expiresAt: expiresIn ? Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS : Infinity };
+                    return value;
+                })
+                .finally(() => {
+                    tokenRequest = null;
+                });
+        }
+        return tokenRequest;
+    }
+
+    // One attempt, renewing the token and trying again once if it was refused
+    async function send(config, { skipAuth }) {
+        const requestHeaders = { ...headers, ...config.headers };
+        try {
+            if (fetchToken && !skipAuth) requestHeaders.Authorization = `Bearer ${await getToken(false)}`;
+            return await axios({ ...config, baseURL, timeout, headers: requestHeaders });
+        } catch (error) {
+            if (!fetchToken || skipAuth || !error.response || error.response.status !== 401) throw error;
+            token = null;
+            const renewed = `Bearer ${await getToken(true)}`;
+            return axios({ ...config, baseURL, timeout, headers: { ...requestHeaders, Authorization: renewed } });
+        }
+    }
+
+    // Retries retryable failures with backoff, waiting out Retry-After when the service sends it
+    async function withRetries(config, options) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await send(config, options);
+                const holdOff = rateLimitDelay(response.headers);
+                if (holdOff) health.rateLimitedUntil = new Date(Date.now() + holdOff).toISOString();
+                return response.data;
+            } catch (rawError) {
+                const error = toUpstreamError(service, rawError);
+                const retryable = error.status === null || RETRYABLE_STATUSES.includes(error.status);
+                if (!retryable || attempt >= retries) throw error;
+
+                const backoff = Math.min(retryBaseMs * 2 ** attempt, maxRetryDelayMs) * (0.5 + Math.random() / 2);
+                const delay = error.retryAfterMs ?? backoff;
+                if (delay > maxRetryDelayMs) {
+                    health.rateLimitedUntil = new Date(Date.now() + delay).toISOString();
+                    throw error;
+                }
+                console.warn(`${service} ${config.method.toUpperCase()} ${config.url} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async function request(config, options = {}) {
+        const trial = await checkAvailable();
+        try {
+            const data = await withRetries(config, options);
+            recordSuccess();
+            return data;
+        } catch (error) {
+            recordFailure(error);
+            throw error;
+        } finally {
+            if (trial) circuit.trialInFlight = false;
+        }
+    }
+
+    // Concurrent GETs for the same URL share one request, results are reused for cacheTtlMs
+    function get(url, { params, cache: useCache = true, ...options } = {}) {
+        const key = `${url}?${JSON.stringify(params || {})}`;
+        const cached = cache.get(key);
+        if (useCache && cached && cached.expiresAt > Date.now()) return Promise.resolve(cached.data);
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const pending = request({ method: 'get', url, params }, options)
+            .then(data => {
+                if (cacheTtlMs > 0) {
+                    cache.delete(key);
+                    cache.set(key, { data, expiresAt: Date.now() + cacheTtlMs });
+                    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+                }
+                return data;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+        return pending;
+    }
+
+    // Writes clear the cache, a cached page could otherwise hide the change
+    function write(method) {
+        return async (url, data, { headers: extraHeaders, ...options } = {}) => {
+            const result = await request({ method, url, data, headers: extraHeaders }, options);
+            cache.clear();
+            return result;
+        };
+    }
+
+    function getHealth() {
+        const retryAt = circuit.state === 'open' ? new Date(circuit.openedAt + cooldownMs).toISOString() : null;
+        return {
+            service,
+            circuit: circuit.state,
+            consecutiveFailures: circuit.failures,
+            retryAt,
+            rateLimitedUntil: health.rateLimitedUntil && new Date(health.rateLimitedUntil) > new Date() ? health.rateLimitedUntil : null,
+            lastError: health.lastError,
+            lastFailureAt: health.lastFailureAt,
+            lastSuccessAt: health.lastSuccessAt
+        };
+    }
+
+    const tokenClient = {
+        post: (url, data, extraHeaders) => withRetries({ method: 'post', url, data, headers: extraHeaders }, { skipAuth: true })
+    };
+
+    return {
+        get,
+        post: write('post'),
+        put: write('put'),
+        delete: write('delete'),
+        getHealth,
+        clearCache: () => cache.clear()
+    };
+}
+
+// Why new requests to a service would fail straight away, from its getHealth(): { code, message, retryAfterMs } or null
+function describeUnavailability(health) {
+    const now = Date.now();
+    if (health.circuit === 'open' && new Date(health.retryAt).getTime() > now) {
+        return { code: 'circuit_open', message: health.lastError, retryAfterMs: new Date(health.retryAt).getTime() - now };
+    }
+    if (health.rateLimitedUntil) {
+        return { code: 'rate_limited', message: 'Rate limit reached', retryAfterMs: new Date(health.rateLimitedUntil).getTime() - now };
+    }
+    return null;
+}
+
+// Degraded-mode answer for API routes that depend on a service which is down or holding us off
+function sendUnavailable(res, service, { code, message, retryAfterMs }, extra = {}) {
+    const retryAfter = retryAfterMs ? Math.ceil(retryAfterMs / 1000) : null;
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+        success: false,
+        error: `${service} is unavailable`,
+        message,
+        code,
+        degraded: true,
+        retryAfter,
+        ...extra
+    });
+}
+
+module.exports = {
+    UpstreamError,
+    createHttpClient,
+    rateLimitDelay,
+    describeUnavailability,
+    sendUnavailable
+};
@@ -0,0 +1,221 @@
+const axios = require('axios');
+const { UpstreamError, createHttpClient, rateLimitDelay, describeUnavailability } = require('./httpClient');
+
+jest.mock('axios');
+
+// Axios-shaped failures, toUpstreamError only looks at isAxiosError, code and response
+const httpError = (status, { data = {}, headers = {} } = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status, data, headers } });
+const networkError = (code = 'ECONNREFUSED') => Object.assign(new Error(`connect ${code}`), { isAxiosError: true, code });
+const ok = (data, headers = {}) => ({ status: 200, data, headers });
+
+const buildClient = (options = {}) => createHttpClient({
+    service: 'Test API',
+    baseURL: 'https://api.test',
+    retries: 2,
+    retryBaseMs: 10,
+    maxRetryDelayMs: 1000,
+    failureThreshold: 2,
+    cooldownMs: 60000,
+    ...options
+});
+
+// Waits the client asked setTimeout for, in order
+const recordedDelays = () => setTimeout.mock.calls.map(([, ms]) => ms);
+
+beforeEach(() => {
+    axios.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // No jitter, so each backoff is exactly retryBaseMs * 2^attempt
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    jest.spyOn(global, 'setTimeout');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('retries', () => {
+    test('retries server errors with exponential backoff until one succeeds', async () => {
+        axios.mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(networkError()).mockResolvedValueOnce(ok({ result: [1] }));
+
+        await expect(buildClient().get('/reviews')).resolves.toEqual({ result: [1] });
+        expect(axios).toHaveBeenCalledTimes(3);
+        expect(recordedDelays()).toEqual([10, 20]);
+    });
+
+    test('gives up after the configured retries with the last error', async () => {
+        axios.mockRejectedValue(httpError(502, { data: { message: 'Bad gateway upstream' } }));
+
+        const error = await buildClient().get('/reviews').catch(e => e);
+        expect(error).toBeInstanceOf(UpstreamError);
+        expect(error).toMatchObject({ code: 'upstream_error', status: 502, message: 'Bad gateway upstream', unavailable: true });
+        expect(axios).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry requests the service rejected', async () => {
+        axios.mockRejectedValue(httpError(404));
+
+        await expect(buildClient().get('/reviews/1')).rejects.toMatchObject({ code: 'rejected', status: 404 });
+        expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits as long as Retry-After says on a 429', async () => {
+        axios.mockRejectedValueOnce(httpError(429, { headers: { 'retry-after': '0.05' } })).mockResolvedValueOnce(ok({}));
+
+        await buildClient().get('/reviews');
+        expect(recordedDelays()).toEqual([50]);
+    });
+
+    test('a rate limit longer than the client will wait fails fast and holds off later requests', async () => {
+        axios.mockRejectedValue(httpError(429, { headers: { 'retry-after': '120' } }));
+        const client = buildClient();
+
+        await expect(client.get('/reviews')).rejects.toMatchObject({ code: 'rate_limited', retryAfterMs: 120000 });
+        await expect(client.get('/listings')).rejects.toMatchObject({ code: 'rate_limited' });
+        expect(axios).toHaveBeenCalledTimes(1);
+        expect(describeUnavailability(client.getHealth())).toMatchObject({ code: 'rate_limited' });
+    });
+});
+
+describe('circuit breaker', () => {
+    let now;
+    beforeEach(() => {
+        now = Date.parse('2025-03-01T12:00:00Z');
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    const failTwice = async (client) => {
+        axios.mockRejectedValue(httpError(503));
+        await expect(client.get('/a')).rejects.toMatchObject({ code: 'upstream_error' });
+        await expect(client.get('/b')).rejects.toMatchObject({ code: 'upstream_error' });
+    };
+
+    test('opens after consecutive failures and stops calling the service', async () => {
+        const client = buildClient({ retries: 0 });
+        await failTwice(client);
+        expect(client.getHealth()).toMatchObject({ circuit: 'open', consecutiveFailures: 2 });
+
+        await expect(client.get('/c')).rejects.toMatchObject({ code: 'circuit_open', retryAfterMs: 60000 });
+        expect(axios).toHaveBeenCalledTimes(2);
+        expect(describeUnavailability(client.getHealth())).toMatchObject({ code: 'circuit_open', retryAfterMs: 60000 });
+    });
+
+    test('closes again when the trial request after the cooldown succeeds', async () => {
+        const client = buildClient({ retries: 0 });
+        await failTwice(client);
+
+        now += 60000;
+        axios.mockResolvedValue(ok({ result: [] }));
+        await expect(client.get('/c')).resolves.toEqual({ result: [] });
+        expect(client.getHealth()).toMatchObject({ circuit: 'closed', consecutiveFailures: 0, retryAt: null });
+        expect(describeUnavailability(client.getHealth())).toBeNull();
+    });
+
+    test('opens again straight away when the trial request fails', async () => {
+        const client = buildClient({ retries: 0 });
+        await failTwice(client);
+
+        now += 60000;
+        await expect(client.get('/c')).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(client.getHealth().circuit).toBe('open');
+        await expect(client.get('/d')).rejects.toMatchObject({ code: 'circuit_open' });
+        expect(axios).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejected requests and rate limits do not count as outages', async () => {
+        const client = buildClient({ retries: 0 });
+        axios.mockRejectedValueOnce(httpError(400)).mockRejectedValueOnce(httpError(422))
+            .mockRejectedValueOnce(httpError(429, { headers: { 'retry-after': '0' } }));
+        await client.get('/a').catch(() => {});
+        await client.get('/b').catch(() => {});
+        await client.get('/c').catch(() => {});
+
+        expect(client.getHealth()).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+    });
+});
+
+describe('access tokens', () => {
+    const tokenResponses = (...tokens) => {
+        const fetchToken = jest.fn();
+        tokens.forEach(token => fetchToken.mockResolvedValueOnce({ token, expiresIn: 3600 }));
+        return fetchToken;
+    };
+    const sentToken = (call) => axios.mock.calls[call][0].headers.Authorization;
+
+    test('sends the token as a bearer token and reuses it', async () => {
+        const fetchToken = tokenResponses('t1');
+        axios.mockResolvedValue(ok({}));
+        const client = buildClient({ fetchToken, headers: { 'X-Account': '42' } });
+
+        await client.get('/a');
+        await client.get('/b');
+        expect(fetchToken).toHaveBeenCalledTimes(1);
+        expect(axios.mock.calls[1][0].headers).toEqual({ 'X-Account': '42', Authorization: 'Bearer t1' });
+    });
+
+    test('a 401 renews the token and retries the request once', async () => {
+        const fetchToken = tokenResponses('t1', 't2');
+        axios.mockRejectedValueOnce(httpError(401)).mockResolvedValueOnce(ok({ result: 'fresh' }));
+        const client = buildClient({ fetchToken });
+
+        await expect(client.get('/reviews')).resolves.toEqual({ result: 'fresh' });
+        expect(fetchToken).toHaveBeenCalledTimes(2);
+        expect([sentToken(0), sentToken(1)]).toEqual(['Bearer t1', 'Bearer t2']);
+    });
+
+    test('a second 401 with the renewed token fails as auth_failed without opening the circuit', async () => {
+        const fetchToken = tokenResponses('t1', 't2');
+        axios.mockRejectedValue(httpError(401, { data: { message: 'Invalid client' } }));
+        const client = buildClient({ fetchToken });
+
+        await expect(client.get('/reviews')).rejects.toMatchObject({ code: 'auth_failed', message: 'Invalid client', unavailable: false });
+        expect(axios).toHaveBeenCalledTimes(2);
+        expect(client.getHealth().circuit).toBe('closed');
+    });
+
+    test('the token request is sent unauthenticated through the same transport', async () => {
+        const fetchToken = jest.fn(async ({ post }) => {
+            const data = await post('/accessTokens', 'grant_type=client_credentials', { 'Content-Type': 'application/x-www-form-urlencoded' });
+            return { token: data.access_token, expiresIn: data.expires_in };
+        });
+        axios.mockResolvedValueOnce(ok({ access_token: 'abc', expires_in: 3600 })).mockResolvedValueOnce(ok({ result: [] }));
+
+        await buildClient({ fetchToken }).get('/reviews');
+        expect(axios.mock.calls[0][0]).toMatchObject({ method: 'post', url: '/accessTokens', baseURL: 'https://api.test' });
+        expect(axios.mock.calls[0][0].headers.Authorization).toBeUndefined();
+        expect(sentToken(1)).toBe('Bearer abc');
+    });
+});
+
+describe('cache', () => {
+    test('reuses GET responses for the cache TTL and clears them on writes', async () => {
+        axios.mockResolvedValue(ok({ result: [] }));
+        const client = buildClient({ cacheTtlMs: 60000 });
+
+        await client.get('/listings', { params: { offset: 0 } });
+        await client.get('/listings', { params: { offset: 0 } });
+        await client.get('/listings', { params: { offset: 0 }, cache: false });
+        expect(axios).toHaveBeenCalledTimes(2);
+
+        await client.put('/reviews/1/response', { response: 'Thanks' });
+        await client.get('/listings', { params: { offset: 0 } });
+        expect(axios).toHaveBeenCalledTimes(4);
+    });
+});
+
+describe('rateLimitDelay', () => {
+    const now = Date.parse('2025-03-01T12:00:00Z');
+
+    test('reads Retry-After in seconds or as a date', () => {
+        expect(rateLimitDelay({ 'retry-after': '3' }, now)).toBe(3000);
+        expect(rateLimitDelay({ 'retry-after': 'Sat, 01 Mar 2025 12:00:10 GMT' }, now)).toBe(10000);
+    });
+
+    test('reads X-RateLimit-Reset once no requests remain', () => {
+        expect(rateLimitDelay({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '5' }, now)).toBe(5000);
+        expect(rateLimitDelay({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 20) }, now)).toBe(20000);
+        expect(rateLimitDelay({ 'x-ratelimit-remaining': '3', 'x-ratelimit-reset': '5' }, now)).toBeNull();
+    });
+});
@@ -0,0 +1,82 @@
+// In-process hub for the dashboard's live updates, streamed to browsers as Server-Sent Events (GET /api/events)
+const crypto = require('crypto');
+
+// Kept so a client that reconnects after a blip gets what it missed instead of reloading everything
+const REPLAY_LIMIT = 200;
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Ids restart with the process, the boot prefix tells a client its Last-Event-ID is from an earlier run
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const clients = new Set();
+const recentEvents = [];
+let sequence = 0;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Sends an event to every connected dashboard. Types in use:
+// reviews.moderated, review.reply, reviews.changed (after a sync or import) and sync.status
+function publish(type, data) {
+    sequence++;
+    const event = { sequence, id: `${BOOT_ID}-${sequence}`, type, data: { ...data, at: new Date().toISOString() } };
+    recentEvents.push(event);
+    if (recentEvents.length > REPLAY_LIMIT) recentEvents.shift();
+
+    const chunk = formatEvent(event);
+    clients.forEach(res => res.write(chunk));
+}
+
+// Events after lastEventId, or null when they can't all be replayed and the client should reload instead
+function eventsSince(lastEventId) {
+    const [boot, number] = String(lastEventId).split('-');
+    const since = Number(number);
+    if (boot !== BOOT_ID || !Number.isInteger(since)) return null;
+    if (since >= sequence) return [];
+
+    return recentEvents[0].sequence <= since + 1
+        ? recentEvents.filter(event => event.sequence > since)
+        : null;
+}
+
+// Turns the response into an event stream until the client disconnects. isActive is checked on every
+// heartbeat, the stream ends once it returns false (e.g. the session behind it was logged out)
+function subscribe(req, res, { isActive } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stops nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        const missed = eventsSince(lastEventId);
+        if (missed === null) {
+            res.write(formatEvent({ id: `${BOOT_ID}-${sequence}`, type: 'resync', data: {} }));
+        } else {
+            missed.forEach(event => res.write(formatEvent(event)));
+        }
+    }
+
+    clients.add(res);
+    const heartbeat = setInterval(() => {
+        if (isActive && !isActive()) {
+            unsubscribe();
+            res.end();
+            return;
+        }
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+    const unsubscribe = () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    };
+    req.on('close', unsubscribe);
+}
+
+module.exports = {
+    publish,
+    subscribe
+};
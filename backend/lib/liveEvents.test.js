@@ -0,0 +1,63 @@
+const { EventEmitter } = require('events');
+const { publish, subscribe } = require('./liveEvents');
+
+// Stand-ins for the request and response of one open stream
+const openStream = (options) => {
+    const req = Object.assign(new EventEmitter(), { get: () => undefined });
+    const res = {
+        chunks: [],
+        ended: false,
+        writeHead: jest.fn(),
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+    subscribe(req, res, options);
+    return { req, res };
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('streams published events and heartbeats while the session is active', () => {
+    const { req, res } = openStream({ isActive: () => true });
+    publish('reviews.changed', { count: 2 });
+    jest.advanceTimersByTime(25000);
+
+    expect(res.chunks.join('')).toMatch(/event: reviews\.changed\ndata: \{"count":2,/);
+    expect(res.chunks[res.chunks.length - 1]).toBe(': heartbeat\n\n');
+    expect(res.ended).toBe(false);
+    req.emit('close');
+});
+
+test('ends the stream on the first heartbeat after the session is gone', () => {
+    let active = true;
+    const { res } = openStream({ isActive: () => active });
+
+    active = false;
+    jest.advanceTimersByTime(25000);
+    expect(res.ended).toBe(true);
+
+    const written = res.chunks.length;
+    publish('reviews.moderated', { ids: [1] });
+    jest.advanceTimersByTime(60000);
+    expect(res.chunks).toHaveLength(written);
+});
+
+test('stops sending once the client disconnects', () => {
+    const { req, res } = openStream();
+    req.emit('close');
+
+    const written = res.chunks.length;
+    publish('reviews.changed', { count: 1 });
+    jest.advanceTimersByTime(60000);
+    expect(res.chunks).toHaveLength(written);
+});
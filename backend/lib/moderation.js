@@ -0,0 +1,50 @@
+// Review moderation state machine
+//
+// pending  - synced but nobody has looked at it yet
+// approved - shown on the public property page
+// hidden   - explicitly rejected by a moderator
+// flagged  - needs a second look (e.g. legal or brand review) before a decision
+//
+// A review never goes back to pending, that state only means "not reviewed yet"
+
+const MODERATION_STATES = ['pending', 'approved', 'hidden', 'flagged'];
+
+const TRANSITIONS = {
+    pending: ['approved', 'hidden', 'flagged'],
+    approved: ['hidden', 'flagged'],
+    hidden: ['approved', 'flagged'],
+    flagged: ['approved', 'hidden']
+};
+
+// Thrown when a review can't move from its current state to the requested one, routes answer 409
+class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`A ${from} review cannot be moved to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function isModerationState(state) {
+    return MODERATION_STATES.includes(state);
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(from, to) {
+    if (!canTransition(from, to)) {
+        throw new InvalidTransitionError(from, to);
+    }
+}
+
+module.exports = {
+    MODERATION_STATES,
+    TRANSITIONS,
+    InvalidTransitionError,
+    isModerationState,
+    canTransition,
+    assertTransition
+};
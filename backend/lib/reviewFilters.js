@@ -0,0 +1,177 @@
+// Parses the dashboard's review filters from a query string, shared by every endpoint that lists reviews
+const { MODERATION_STATES } = require('./moderation');
+const { SENTIMENTS, getThemes } = require('../analysis/analyzer');
+
+const SORT_OPTIONS = ['date-desc', 'date-asc', 'rating-desc', 'rating-asc', 'relevance'];
+const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Bulk moderation takes at most this many ids per request, clients send larger selections in batches
+const MAX_BULK_IDS = 100;
+// Upper bound for "select all matching" so a broad filter can't return the whole table
+const MAX_SELECT_ALL = 5000;
+// Trend charts compare at most this many properties, more lines than that can't be told apart
+const MAX_COMPARE_LISTINGS = 6;
+
+// Thrown for bad query values so routes can answer 400 instead of 500
+class InvalidFilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidFilterError';
+    }
+}
+
+function optionalString(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+// Turns ?search=&listingId=&property=&minRating=&status=&channel=&sentiment=&theme=&themeSentiment=&from=&to=&sortBy=
+// into store filters
+function parseReviewFilters(query = {}) {
+    const filters = {
+        search: optionalString(query.search),
+        property: optionalString(query.property),
+        channel: optionalString(query.channel),
+        status: optionalString(query.status),
+        sentiment: optionalString(query.sentiment),
+        theme: optionalString(query.theme),
+        themeSentiment: optionalString(query.themeSentiment),
+        from: optionalString(query.from),
+        to: optionalString(query.to),
+        sortBy: optionalString(query.sortBy)
+    };
+    // Searches are ranked best match first unless another order is asked for
+    filters.sortBy = filters.sortBy || (filters.search ? 'relevance' : 'date-desc');
+
+    const listingId = optionalString(query.listingId);
+    if (listingId !== undefined) {
+        filters.listingId = Number(listingId);
+        if (!Number.isInteger(filters.listingId)) {
+            throw new InvalidFilterError('listingId must be an integer.');
+        }
+    }
+
+    const minRating = optionalString(query.minRating);
+    if (minRating !== undefined) {
+        filters.minRating = Number(minRating);
+        if (isNaN(filters.minRating)) {
+            throw new InvalidFilterError('minRating must be a number.');
+        }
+    }
+
+    if (filters.status && !MODERATION_STATES.includes(filters.status)) {
+        throw new InvalidFilterError(`status must be one of: ${MODERATION_STATES.join(', ')}.`);
+    }
+    ['sentiment', 'themeSentiment'].forEach(key => {
+        if (filters[key] && !SENTIMENTS.includes(filters[key])) {
+            throw new InvalidFilterError(`${key} must be one of: ${SENTIMENTS.join(', ')}.`);
+        }
+    });
+    if (filters.theme) {
+        const themes = getThemes().map(theme => theme.key);
+        if (!themes.includes(filters.theme)) {
+            throw new InvalidFilterError(`theme must be one of: ${themes.join(', ')}.`);
+        }
+    }
+    if (filters.themeSentiment && !filters.theme) {
+        throw new InvalidFilterError('themeSentiment needs a theme.');
+    }
+    if (!SORT_OPTIONS.includes(filters.sortBy)) {
+        throw new InvalidFilterError(`sortBy must be one of: ${SORT_OPTIONS.join(', ')}.`);
+    }
+    ['from', 'to'].forEach(key => {
+        if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+            throw new InvalidFilterError(`${key} must be a date in YYYY-MM-DD format.`);
+        }
+    });
+
+    return filters;
+}
+
+// ?from=&to=&listingId=&channel=&groupBy= for the statistics endpoint
+function parseStatisticsQuery(query = {}) {
+    const { from, to, listingId, channel } = parseReviewFilters({
+        from: query.from,
+        to: query.to,
+        listingId: query.listingId,
+        channel: query.channel
+    });
+    const groupBy = optionalString(query.groupBy);
+
+    if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+        throw new InvalidFilterError(`groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}.`);
+    }
+    return { filters: { from, to, listingId, channel }, groupBy };
+}
+
+// ?from=&to=&channel=&groupBy=&listingIds=1,2 for the trends endpoint, groupBy defaults to week
+function parseTrendsQuery(query = {}) {
+    const { from, to, channel } = parseReviewFilters({ from: query.from, to: query.to, channel: query.channel });
+    const groupBy = optionalString(query.groupBy) || 'week';
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        throw new InvalidFilterError(`groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}.`);
+    }
+
+    const listingIds = (optionalString(query.listingIds) || '').split(',').filter(id => id.trim() !== '').map(Number);
+    if (!listingIds.every(Number.isInteger)) {
+        throw new InvalidFilterError('listingIds must be a comma-separated list of listing ids.');
+    }
+    if (listingIds.length > MAX_COMPARE_LISTINGS) {
+        throw new InvalidFilterError(`At most ${MAX_COMPARE_LISTINGS} listings can be compared.`);
+    }
+    return { filters: { from, to, channel }, groupBy, listingIds: [...new Set(listingIds)] };
+}
+
+// ?limit= and ?offset=, limit is capped so one request can't pull the whole portfolio
+function parsePagination(query = {}) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+
+    if (isNaN(limit) || limit < 1) {
+        throw new InvalidFilterError('limit must be a positive integer.');
+    }
+    if (isNaN(offset) || offset < 0) {
+        throw new InvalidFilterError('offset must be zero or a positive integer.');
+    }
+    return { limit: Math.min(limit, MAX_LIMIT), offset };
+}
+
+// Validates the ids of a bulk request, duplicates are dropped
+function parseBulkIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw new InvalidFilterError('ids must be a non-empty array of review ids.');
+    }
+    if (ids.length > MAX_BULK_IDS) {
+        throw new InvalidFilterError(`At most ${MAX_BULK_IDS} ids can be sent per request.`);
+    }
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+        throw new InvalidFilterError('ids must be positive integers.');
+    }
+    return [...new Set(ids)];
+}
+
+// { state, reason } of a moderation request, reason is optional and trimmed
+function parseModerationChange(body = {}) {
+    const { state, reason } = body || {};
+    if (!MODERATION_STATES.includes(state)) {
+        throw new InvalidFilterError(`state must be one of: ${MODERATION_STATES.join(', ')}.`);
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+        throw new InvalidFilterError('reason must be a string of at most 500 characters.');
+    }
+    return { state, reason: reason && reason.trim() ? reason.trim() : null };
+}
+
+module.exports = {
+    MAX_BULK_IDS,
+    MAX_SELECT_ALL,
+    InvalidFilterError,
+    parseReviewFilters,
+    parseStatisticsQuery,
+    parseTrendsQuery,
+    parsePagination,
+    parseBulkIds,
+    parseModerationChange
+};
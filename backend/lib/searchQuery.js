@@ -0,0 +1,48 @@
+// Parses the dashboard's search box: plain words, "quoted phrases" and field qualifiers like guest:lisa
+
+// Qualifier -> column of the review_search index
+const SEARCH_FIELDS = {
+    review: 'review_text',
+    text: 'review_text',
+    guest: 'guest',
+    listing: 'listing',
+    property: 'listing',
+    category: 'category_names',
+    reply: 'reply_text'
+};
+
+// field:"a phrase", field:word, "a phrase" or word
+const CLAUSE_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Same folding as the index's unicode61 tokenizer: lower case, no accents, split on anything but letters and digits
+function tokenize(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Returns [{ column, tokens, phrase }], column is null for unqualified clauses.
+// An unknown qualifier ("wifi:down") is searched as ordinary text
+function parseSearchQuery(search) {
+    const clauses = [];
+    for (const match of String(search || '').matchAll(CLAUSE_PATTERN)) {
+        const [raw, qualifier, quoted, word] = match;
+        const column = qualifier ? SEARCH_FIELDS[qualifier.toLowerCase()] : null;
+        const text = qualifier && !column ? raw : (quoted ?? word);
+        const tokens = tokenize(text);
+        if (tokens.length === 0) continue;
+
+        // "check-in" becomes the phrase "check in", the way the tokenizer indexed it
+        clauses.push({ column: column || null, tokens, phrase: quoted !== undefined || tokens.length > 1 });
+    }
+    return clauses;
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    tokenize,
+    parseSearchQuery
+};
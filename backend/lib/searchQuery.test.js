@@ -0,0 +1,55 @@
+const { tokenize, parseSearchQuery } = require('./searchQuery');
+
+describe('tokenize', () => {
+    test('folds case and accents and splits on punctuation', () => {
+        expect(tokenize('Café CHECK-in, Wi-Fi!')).toEqual(['cafe', 'check', 'in', 'wi', 'fi']);
+    });
+
+    test('drops FTS5 syntax characters', () => {
+        expect(tokenize('wifi* -noise "quiet" (a OR b) ^x')).toEqual(['wifi', 'noise', 'quiet', 'a', 'or', 'b', 'x']);
+    });
+});
+
+describe('parseSearchQuery', () => {
+    test('plain words are separate unqualified clauses', () => {
+        expect(parseSearchQuery('clean quiet')).toEqual([
+            { column: null, tokens: ['clean'], phrase: false },
+            { column: null, tokens: ['quiet'], phrase: false }
+        ]);
+    });
+
+    test('maps every qualifier onto its index column', () => {
+        const columns = parseSearchQuery('guest:lisa listing:soho property:camden review:noisy text:dirty category:cleanliness reply:sorry')
+            .map(clause => clause.column);
+        expect(columns).toEqual(['guest', 'listing', 'listing', 'review_text', 'review_text', 'category_names', 'reply_text']);
+    });
+
+    test('qualifiers are case-insensitive', () => {
+        expect(parseSearchQuery('Guest:Lisa')).toEqual([{ column: 'guest', tokens: ['lisa'], phrase: false }]);
+    });
+
+    test('quoted text is one phrase, qualified or not', () => {
+        expect(parseSearchQuery('"hot water" guest:"anna maria"')).toEqual([
+            { column: null, tokens: ['hot', 'water'], phrase: true },
+            { column: 'guest', tokens: ['anna', 'maria'], phrase: true }
+        ]);
+    });
+
+    test('an unclosed quote runs to the end of the text', () => {
+        expect(parseSearchQuery('"broken heating')).toEqual([{ column: null, tokens: ['broken', 'heating'], phrase: true }]);
+    });
+
+    test('an unknown qualifier is searched as text', () => {
+        expect(parseSearchQuery('wifi:down')).toEqual([{ column: null, tokens: ['wifi', 'down'], phrase: true }]);
+    });
+
+    test('hyphenated words become a phrase the way they were indexed', () => {
+        expect(parseSearchQuery('check-in')).toEqual([{ column: null, tokens: ['check', 'in'], phrase: true }]);
+    });
+
+    test('clauses with nothing searchable are dropped', () => {
+        expect(parseSearchQuery('* - "" ()')).toEqual([]);
+        expect(parseSearchQuery('')).toEqual([]);
+        expect(parseSearchQuery(undefined)).toEqual([]);
+    });
+});
@@ -0,0 +1,31 @@
+// Columns shared by the CSV and XLSX exports, one per category key after the fixed ones
+const { formatCategory } = require('./format');
+
+function buildColumns(categoryKeys) {
+    return [
+        { header: 'Review ID', width: 10, value: review => review.id },
+        { header: 'Property', width: 36, value: review => review.listingName },
+        { header: 'Guest', width: 24, value: review => review.guestName },
+        { header: 'Channel', width: 12, value: review => review.channel },
+        { header: 'Submitted', width: 20, value: review => review.submittedAt },
+        { header: 'Rating (0-10)', width: 12, value: review => review.rating },
+        { header: 'Channel rating', width: 14, value: review => review.rawRating === null ? null : `${review.rawRating}/${review.ratingScale}` },
+        ...categoryKeys.map(category => ({
+            header: formatCategory(category),
+            width: 14,
+            value: review => {
+                const match = review.reviewCategory.find(cat => cat.category === category);
+                return match && match.rating !== null ? match.rating : null;
+            }
+        })),
+        { header: 'Status', width: 10, value: review => review.moderationState },
+        { header: 'Sentiment', width: 10, value: review => review.sentiment ? review.sentiment.label : null },
+        { header: 'Themes', width: 24, value: review => review.themes.map(theme => `${theme.theme} (${theme.sentiment})`).join(', ') },
+        { header: 'Review', width: 80, value: review => review.publicReview },
+        { header: 'Published reply', width: 60, value: review => review.reply ? review.reply.publishedBody : null }
+    ];
+}
+
+module.exports = {
+    buildColumns
+};
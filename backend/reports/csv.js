@@ -0,0 +1,36 @@
+// CSV export, RFC 4180 quoting with a BOM so Excel reads it as UTF-8
+const reviewStore = require('../db/reviews');
+const { buildColumns } = require('./columns');
+const { waitForDrain } = require('./format');
+
+// Text starting with these is run as a formula by spreadsheet apps, a leading quote keeps it as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toLine = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+async function writeCsvReport(filters, stream) {
+    const columns = buildColumns(reviewStore.getReviewCategoryKeys(filters));
+    stream.write('﻿');
+    stream.write(toLine(columns.map(column => column.header)));
+
+    for (const batch of reviewStore.iterateReviewBatches(filters)) {
+        if (stream.destroyed) return;
+        stream.write(batch.map(review => toLine(columns.map(column => column.value(review)))).join(''));
+        await waitForDrain(stream);
+    }
+    stream.end();
+}
+
+module.exports = {
+    escapeCsv,
+    writeCsvReport
+};
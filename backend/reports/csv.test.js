@@ -0,0 +1,38 @@
+const { escapeCsv } = require('./csv');
+
+describe('escapeCsv', () => {
+    test('leaves plain text and numbers as they are', () => {
+        expect(escapeCsv('Lovely stay')).toBe('Lovely stay');
+        expect(escapeCsv(9.5)).toBe('9.5');
+        expect(escapeCsv(-2)).toBe('-2');
+    });
+
+    test('writes missing values as empty fields', () => {
+        expect(escapeCsv(null)).toBe('');
+        expect(escapeCsv(undefined)).toBe('');
+    });
+
+    test.each(['=HYPERLINK("http://x")', '+1 555', '-5 stars', '@SUM(A1)', '\tindented', '\rreturn'])(
+        'keeps %j from running as a formula',
+        (text) => {
+            expect(escapeCsv(text).replace(/^"/, '')).toMatch(/^'/);
+        }
+    );
+
+    test('only a leading formula character is escaped', () => {
+        expect(escapeCsv('2+2=4')).toBe('2+2=4');
+        expect(escapeCsv('email me @ home')).toBe('email me @ home');
+    });
+
+    test('quotes fields with commas, quotes or line breaks and doubles inner quotes', () => {
+        expect(escapeCsv('clean, quiet')).toBe('"clean, quiet"');
+        expect(escapeCsv('the "best" flat')).toBe('"the ""best"" flat"');
+        expect(escapeCsv('line one\nline two')).toBe('"line one\nline two"');
+        expect(escapeCsv('line one\r\nline two')).toBe('"line one\r\nline two"');
+    });
+
+    test('escapes a formula and quotes it when both apply', () => {
+        expect(escapeCsv('=1+1, "x"')).toBe('"\'=1+1, ""x"""');
+        expect(escapeCsv('\rsecond line')).toBe('"\'\rsecond line"');
+    });
+});
@@ -0,0 +1,33 @@
+// Display helpers shared by the report writers
+const { formatCategory, formatAverage } = require('../lib/format');
+
+// Approval rate is null when no review has been approved or hidden yet
+const formatRate = (rate) => rate === null || rate === undefined ? '–' : `${rate}%`;
+
+// One line describing the filters a report was generated with
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.property) parts.push(`Property: ${filters.property}`);
+    if (filters.listingId !== undefined) parts.push(`Listing #${filters.listingId}`);
+    if (filters.channel) parts.push(`Channel: ${filters.channel}`);
+    if (filters.status) parts.push(`Status: ${filters.status}`);
+    if (filters.minRating !== undefined) parts.push(`Rating ${filters.minRating}+`);
+    if (filters.sentiment) parts.push(`Sentiment: ${filters.sentiment}`);
+    if (filters.theme) parts.push(`Theme: ${filters.theme}${filters.themeSentiment ? ` (${filters.themeSentiment})` : ''}`);
+    if (filters.from || filters.to) parts.push(`${filters.from || 'start'} to ${filters.to || 'today'}`);
+    if (filters.search) parts.push(`Search: "${filters.search}"`);
+    return parts.length > 0 ? parts.join(' · ') : 'All reviews';
+}
+
+// Resolves once the stream can take more data, so batches aren't queued up in memory
+const waitForDrain = (stream) => stream.writableNeedDrain
+    ? new Promise(resolve => stream.once('drain', resolve))
+    : Promise.resolve();
+
+module.exports = {
+    formatCategory,
+    formatAverage,
+    formatRate,
+    describeFilters,
+    waitForDrain
+};
@@ -0,0 +1,26 @@
+// Report formats served by /api/reports, each writes straight to the response stream
+const { writeCsvReport } = require('./csv');
+const { writeXlsxReport } = require('./xlsx');
+const { writePdfReport } = require('./pdf');
+
+const REPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        write: writeCsvReport
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        write: writeXlsxReport
+    },
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf',
+        write: writePdfReport
+    }
+};
+
+module.exports = {
+    REPORT_FORMATS
+};
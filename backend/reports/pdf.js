@@ -0,0 +1,142 @@
+// Owner-facing PDF summary: headline figures, a per-property table and the reviews behind them
+const PDFDocument = require('pdfkit');
+const reviewStore = require('../db/reviews');
+const { formatAverage, formatRate, describeFilters } = require('./format');
+
+const BRAND = {
+    name: 'Flex Living',
+    primary: '#0d9488',
+    text: '#111827',
+    muted: '#6b7280',
+    rule: '#e5e7eb'
+};
+const MARGIN = 48;
+const REVIEW_EXCERPT_LENGTH = 600;
+
+function drawHeader(doc, filters) {
+    doc.rect(0, 0, doc.page.width, 84).fill(BRAND.primary);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20).text(BRAND.name, MARGIN, 24);
+    doc.font('Helvetica').fontSize(11).text('Guest review report', MARGIN, 50);
+    doc.fontSize(9).text(new Date().toISOString().slice(0, 10), MARGIN, 52, {
+        width: doc.page.width - MARGIN * 2,
+        align: 'right'
+    });
+
+    doc.fillColor(BRAND.muted).fontSize(9).text(describeFilters(filters), MARGIN, 100);
+    doc.moveDown(1.5);
+}
+
+function drawSectionTitle(doc, title) {
+    if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+    doc.moveDown(0.5);
+    doc.fillColor(BRAND.primary).font('Helvetica-Bold').fontSize(13).text(title, MARGIN);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).strokeColor(BRAND.rule).stroke();
+    doc.moveDown(0.6);
+}
+
+function drawHeadlineFigures(doc, overall) {
+    const figures = [
+        ['Reviews', String(overall.totalReviews)],
+        ['Average rating', `${formatAverage(overall.averageRating)} / 10`],
+        ['Approval rate', formatRate(overall.approvalRate)],
+        ['Positive / negative', `${overall.positiveCount} / ${overall.negativeCount}`]
+    ];
+    const width = (doc.page.width - MARGIN * 2) / figures.length;
+    const top = doc.y;
+
+    figures.forEach(([label, value], index) => {
+        const x = MARGIN + index * width;
+        doc.fillColor(BRAND.text).font('Helvetica-Bold').fontSize(18).text(value, x, top, { width });
+        doc.fillColor(BRAND.muted).font('Helvetica').fontSize(9).text(label, x, top + 24, { width });
+    });
+    doc.x = MARGIN;
+    doc.y = top + 48;
+}
+
+// Columns of the per-property table as [header, width, value]
+const PROPERTY_COLUMNS = [
+    ['Property', 190, (name) => name],
+    ['Reviews', 50, (name, stats) => String(stats.total)],
+    ['Avg rating', 60, (name, stats) => formatAverage(stats.averageRating)],
+    ['Approved', 55, (name, stats) => formatRate(stats.approvalRate)],
+    ['Top themes', 144, (name, stats) => stats.topThemes.slice(0, 3).map(theme => theme.label).join(', ') || '–']
+];
+
+function drawTableRow(doc, cells, { bold = false } = {}) {
+    if (doc.y > doc.page.height - MARGIN - 30) doc.addPage();
+    const top = doc.y;
+    let x = MARGIN;
+    let bottom = top;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(bold ? BRAND.muted : BRAND.text);
+    cells.forEach((cell, index) => {
+        const width = PROPERTY_COLUMNS[index][1];
+        doc.text(cell, x, top, { width: width - 6 });
+        bottom = Math.max(bottom, doc.y);
+        x += width;
+    });
+    doc.moveTo(MARGIN, bottom + 3).lineTo(doc.page.width - MARGIN, bottom + 3).strokeColor(BRAND.rule).stroke();
+    doc.x = MARGIN;
+    doc.y = bottom + 7;
+}
+
+function drawPropertyTable(doc, byProperty) {
+    drawTableRow(doc, PROPERTY_COLUMNS.map(([header]) => header), { bold: true });
+    Object.entries(byProperty).forEach(([name, stats]) => {
+        drawTableRow(doc, PROPERTY_COLUMNS.map(([, , value]) => value(name === 'null' ? 'Unassigned' : name, stats)));
+    });
+}
+
+function drawReview(doc, review) {
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+    const rating = review.rating === null ? 'Unrated' : `${formatAverage(review.rating)} / 10`;
+    const text = review.publicReview && review.publicReview.length > REVIEW_EXCERPT_LENGTH
+        ? `${review.publicReview.slice(0, REVIEW_EXCERPT_LENGTH)}…`
+        : review.publicReview;
+
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.text)
+        .text(`${review.guestName || 'Guest'} · ${rating}`, MARGIN, doc.y, { continued: true })
+        .font('Helvetica').fillColor(BRAND.muted)
+        .text(`   ${review.channel} · ${(review.submittedAt || '').slice(0, 10)} · ${review.moderationState}`);
+    if (text) {
+        doc.font('Helvetica').fontSize(9).fillColor(BRAND.text).text(text, { width: doc.page.width - MARGIN * 2 });
+    }
+    if (review.reply && review.reply.publishedBody) {
+        doc.font('Helvetica-Oblique').fontSize(9).fillColor(BRAND.muted)
+            .text(`Reply: ${review.reply.publishedBody}`, MARGIN + 12, doc.y, { width: doc.page.width - MARGIN * 2 - 12 });
+    }
+    doc.x = MARGIN;
+    doc.moveDown(0.6);
+}
+
+async function writePdfReport(filters, stream) {
+    const statistics = reviewStore.getReviewStatistics(filters);
+    const doc = new PDFDocument({ size: 'A4', margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN } });
+    doc.pipe(stream);
+
+    drawHeader(doc, filters);
+    drawSectionTitle(doc, 'Overview');
+    drawHeadlineFigures(doc, statistics.overall);
+    drawSectionTitle(doc, 'By property');
+    drawPropertyTable(doc, statistics.byProperty);
+
+    // Grouped by property so the reviews read as one section per property
+    let currentProperty;
+    for (const batch of reviewStore.iterateReviewBatches(filters, { byProperty: true })) {
+        if (stream.destroyed) return;
+        for (const review of batch) {
+            if (review.listingName !== currentProperty) {
+                currentProperty = review.listingName;
+                drawSectionTitle(doc, `Reviews · ${currentProperty || 'Unassigned'}`);
+            }
+            drawReview(doc, review);
+        }
+        // Pages are flushed as they fill, this lets them reach the client before the next batch
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    doc.end();
+}
+
+module.exports = {
+    writePdfReport
+};
@@ -0,0 +1,90 @@
+// XLSX export: a summary sheet, then one sheet per property, written row by row to the response
+const ExcelJS = require('exceljs');
+const reviewStore = require('../db/reviews');
+const { buildColumns } = require('./columns');
+const { describeFilters } = require('./format');
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0D9488' } };
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+// Sheet names are limited to 31 characters without []:*?/\ or a leading or trailing apostrophe, and must be
+// unique in the workbook ignoring case
+const trimSheetName = (text) => text.replace(/^[\s']+|[\s']+$/g, '');
+
+function sheetName(name, used) {
+    const cleaned = trimSheetName((name || '').replace(/[[\]:*?/\\]/g, ' '));
+    const base = trimSheetName(cleaned.slice(0, 31)) || 'Unassigned';
+    let candidate = base;
+    for (let suffix = 2; used.has(candidate.toLowerCase()); suffix++) {
+        candidate = `${trimSheetName(base.slice(0, 31 - String(suffix).length - 1))} ${suffix}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function addSheet(workbook, name, columns) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({ header: column.header, width: column.width }));
+    sheet.getRow(1).eachCell(cell => {
+        cell.fill = HEADER_FILL;
+        cell.font = HEADER_FONT;
+    });
+    sheet.getRow(1).commit();
+    return sheet;
+}
+
+function writeSummarySheet(workbook, filters, used) {
+    const statistics = reviewStore.getReviewStatistics(filters);
+    const sheet = workbook.addWorksheet(sheetName('Summary', used));
+    sheet.columns = [{ width: 40 }, { width: 12 }, { width: 14 }, { width: 14 }, { width: 12 }];
+
+    sheet.addRow(['Flex Living guest review report']).font = { bold: true, size: 14 };
+    sheet.addRow([`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`]);
+    sheet.addRow([describeFilters(filters)]);
+    sheet.addRow([]);
+
+    const header = sheet.addRow(['Property', 'Reviews', 'Avg rating', 'Approval rate %', 'Unrated']);
+    header.eachCell(cell => {
+        cell.fill = HEADER_FILL;
+        cell.font = HEADER_FONT;
+    });
+    Object.entries(statistics.byProperty).forEach(([property, stats]) => {
+        sheet.addRow([property === 'null' ? 'Unassigned' : property, stats.total, stats.averageRating, stats.approvalRate, stats.unrated]);
+    });
+    const { overall } = statistics;
+    sheet.addRow(['All properties', overall.totalReviews, overall.averageRating, overall.approvalRate, overall.unratedCount]).font = { bold: true };
+    sheet.commit();
+}
+
+async function writeXlsxReport(filters, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const columns = buildColumns(reviewStore.getReviewCategoryKeys(filters));
+    const used = new Set();
+
+    writeSummarySheet(workbook, filters, used);
+
+    let sheet = null;
+    let currentProperty;
+    for (const batch of reviewStore.iterateReviewBatches(filters, { byProperty: true })) {
+        if (stream.destroyed) return;
+        for (const review of batch) {
+            if (!sheet || review.listingName !== currentProperty) {
+                if (sheet) sheet.commit();
+                currentProperty = review.listingName;
+                sheet = addSheet(workbook, sheetName(currentProperty, used), columns);
+            }
+            const row = sheet.addRow(columns.map(column => column.value(review) ?? null));
+            row.alignment = { vertical: 'top', wrapText: false };
+            row.commit();
+        }
+        // Lets the zip stream flush to the client before the next batch is read
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    if (sheet) sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = {
+    sheetName,
+    writeXlsxReport
+};
@@ -0,0 +1,48 @@
+const { sheetName } = require('./xlsx');
+
+describe('sheetName', () => {
+    test('keeps short names as they are', () => {
+        expect(sheetName('Soho Loft', new Set())).toBe('Soho Loft');
+    });
+
+    test('cuts names to 31 characters', () => {
+        const name = sheetName('2B N1 A - 29 Shoreditch Heights, London', new Set());
+        expect(name).toBe('2B N1 A - 29 Shoreditch Heights');
+        expect(name).toHaveLength(31);
+    });
+
+    test('replaces the characters Excel does not allow', () => {
+        expect(sheetName('Flat [A]: 1/2 *new*? \\ back', new Set())).toBe('Flat  A   1 2  new     back');
+    });
+
+    test('drops leading and trailing apostrophes and spaces, also after cutting', () => {
+        expect(sheetName("'Quoted'", new Set())).toBe('Quoted');
+        expect(sheetName(`${'a'.repeat(29)} 'b`, new Set())).toBe('a'.repeat(29));
+    });
+
+    test('falls back to Unassigned for empty names', () => {
+        expect(sheetName(null, new Set())).toBe('Unassigned');
+        expect(sheetName('[]', new Set())).toBe('Unassigned');
+    });
+
+    test('numbers names that are already used, ignoring case', () => {
+        const used = new Set();
+        expect(sheetName('Soho Loft', used)).toBe('Soho Loft');
+        expect(sheetName('soho loft', used)).toBe('soho loft 2');
+        expect(sheetName('Soho Loft', used)).toBe('Soho Loft 3');
+    });
+
+    test('names that only differ after 31 characters stay unique and within the limit', () => {
+        const used = new Set();
+        const names = [1, 2, 3].map(n => sheetName(`2B N1 A - 29 Shoreditch Heights, flat ${n}`, used));
+        expect(names).toEqual(['2B N1 A - 29 Shoreditch Heights', '2B N1 A - 29 Shoreditch Heigh 2', '2B N1 A - 29 Shoreditch Heigh 3']);
+        names.forEach(name => expect(name.length).toBeLessThanOrEqual(31));
+    });
+
+    test('a numbered name does not end in a space before its number', () => {
+        const used = new Set();
+        const name = `${'a'.repeat(28)} bcd`;
+        sheetName(name, used);
+        expect(sheetName(name, used)).toBe(`${'a'.repeat(28)} 2`);
+    });
+});
@@ -0,0 +1,254 @@
+const express = require('express');
+const alertStore = require('../db/alerts');
+const listingStore = require('../db/listings');
+const { CONDITION_TYPES, DELIVERY_CHANNELS, sendTestAlert, triggerAlerts } = require('../alerts/engine');
+const { checkWebhookUrl } = require('../alerts/webhookUrl');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Anyone can read rules and the inbox, managing rules needs a moderator
+router.use(requireRole('viewer'));
+
+const MAX_KEYWORD_LENGTH = 100;
+
+// Returns an error message for the first invalid field, or null
+function validateRule({ name, conditionType, threshold, category, keyword, listingId, channels, webhookUrl, emailTo, enabled }) {
+    if (typeof name !== 'string' || !name.trim()){
+        return 'name is required.';
+    }
+    if (!CONDITION_TYPES.includes(conditionType)){
+        return `conditionType must be one of: ${CONDITION_TYPES.join(', ')}.`;
+    }
+    if (conditionType === 'rating_below' || conditionType === 'category_below'){
+        if (typeof threshold !== 'number' || threshold <= 0 || threshold > 10){
+            return 'threshold must be a number above 0 and at most 10.';
+        }
+    }
+    if (conditionType === 'category_below' && (typeof category !== 'string' || !category.trim())){
+        return 'category is required for category_below rules.';
+    }
+    if (conditionType === 'keyword'){
+        if (typeof keyword !== 'string' || !keyword.trim() || keyword.length > MAX_KEYWORD_LENGTH){
+            return `keyword is required and must be at most ${MAX_KEYWORD_LENGTH} characters.`;
+        }
+    }
+    if (listingId !== undefined && listingId !== null && !listingStore.getListingById(listingId)){
+        return 'listingId does not match a listing.';
+    }
+    if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !DELIVERY_CHANNELS.includes(channel))){
+        return `channels must be a non-empty list of: ${DELIVERY_CHANNELS.join(', ')}.`;
+    }
+    if (channels.includes('webhook')){
+        if (typeof webhookUrl !== 'string' || !/^https?:\/\/\S+$/.test(webhookUrl)){
+            return 'webhookUrl must be an http(s) URL when the webhook channel is used.';
+        }
+        const unsafe = checkWebhookUrl(webhookUrl);
+        if (unsafe) return unsafe;
+    }
+    if (channels.includes('email') && (typeof emailTo !== 'string' || !/^\S+@\S+$/.test(emailTo.trim()))){
+        return 'emailTo must be a valid email address when the email channel is used.';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean'){
+        return 'enabled must be a boolean.';
+    }
+    return null;
+}
+
+// Keeps only the fields the condition type uses, so switching type doesn't leave stale settings behind
+const cleanRule = (rule) => ({
+    name: rule.name.trim(),
+    conditionType: rule.conditionType,
+    threshold: ['rating_below', 'category_below'].includes(rule.conditionType) ? rule.threshold : null,
+    category: rule.conditionType === 'category_below' ? rule.category.trim() : null,
+    keyword: rule.conditionType === 'keyword' ? rule.keyword.trim() : null,
+    listingId: rule.listingId ?? null,
+    channels: [...new Set(rule.channels)],
+    webhookUrl: rule.channels.includes('webhook') ? rule.webhookUrl : null,
+    emailTo: rule.channels.includes('email') ? rule.emailTo.trim() : null,
+    enabled: rule.enabled !== false
+});
+
+const ruleNotFound = (res) => res.status(404).json({ success: false, error: 'Alert rule not found' });
+
+// GET /api/alerts/rules - Every alert rule
+router.get('/rules', async (req, res) => {
+    try{
+        res.json({ success: true, data: alertStore.listRules() });
+    } catch (error){
+        console.error('Alert rules error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch alert rules',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/rules - Creates a rule, it only fires for reviews that arrive or are moderated from now on
+router.post('/rules', requireRole('moderator'), async (req, res) => {
+    try{
+        const body = req.body || {};
+        const invalid = validateRule(body);
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const rule = alertStore.createRule(cleanRule(body), { user: req.user });
+        console.log(`Alert rule "${rule.name}" created by ${req.user.email}`);
+
+        res.status(201).json({ success: true, data: rule });
+    } catch (error){
+        console.error('Create alert rule error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create alert rule',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/alerts/rules/:id - Updates a rule, fields left out keep their current value
+router.put('/rules/:id', requireRole('moderator'), async (req, res) => {
+    try{
+        const current = alertStore.getRule(req.params.id);
+        if (!current) return ruleNotFound(res);
+
+        const merged = { ...current, ...(req.body || {}) };
+        const invalid = validateRule(merged);
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const rule = alertStore.updateRule(current.id, cleanRule(merged));
+        console.log(`Alert rule "${rule.name}" updated by ${req.user.email}`);
+        if (rule.enabled) triggerAlerts();
+
+        res.json({ success: true, data: rule });
+    } catch (error){
+        console.error('Update alert rule error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update alert rule',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/alerts/rules/:id - Removes a rule with its events and delivery log
+router.delete('/rules/:id', requireRole('moderator'), async (req, res) => {
+    try{
+        const rule = alertStore.getRule(req.params.id);
+        if (!rule) return ruleNotFound(res);
+
+        alertStore.deleteRule(rule.id);
+        console.log(`Alert rule "${rule.name}" deleted by ${req.user.email}`);
+
+        res.json({ success: true, message: `Alert rule "${rule.name}" deleted` });
+    } catch (error){
+        console.error('Delete alert rule error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete alert rule',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/rules/:id/test - Sends a sample alert on each of the rule's channels
+router.post('/rules/:id/test', requireRole('moderator'), async (req, res) => {
+    try{
+        const rule = alertStore.getRule(req.params.id);
+        if (!rule) return ruleNotFound(res);
+
+        const results = await sendTestAlert(rule);
+        const failed = results.filter(result => result.status === 'failed').length;
+
+        res.json({
+            success: true,
+            data: results,
+            message: failed === 0
+                ? `Test alert sent on ${results.length} channel(s)`
+                : `Test alert failed on ${failed} of ${results.length} channel(s)`
+        });
+    } catch (error){
+        console.error('Test alert error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send test alert',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/alerts/deliveries - Latest delivery attempts, newest first
+// Query: ruleId, limit (default 50, max 200)
+router.get('/deliveries', async (req, res) => {
+    try{
+        const limit = Math.min(200, parseInt(req.query.limit, 10) || 50);
+        const ruleId = req.query.ruleId ? parseInt(req.query.ruleId, 10) || null : null;
+        const deliveries = alertStore.getDeliveries({ ruleId, limit });
+
+        res.json({ success: true, data: deliveries, total: deliveries.length });
+    } catch (error){
+        console.error('Alert deliveries error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch alert deliveries',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/alerts/notifications - Inbox notifications, newest first, with the unread count
+// Query: unread=true for unread only
+router.get('/notifications', async (req, res) => {
+    try{
+        res.json({
+            success: true,
+            data: alertStore.getNotifications({ unreadOnly: req.query.unread === 'true' }),
+            unread: alertStore.countUnreadNotifications()
+        });
+    } catch (error){
+        console.error('Notifications error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch notifications',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/notifications/read-all - Marks the whole inbox read
+router.post('/notifications/read-all', async (req, res) => {
+    try{
+        const marked = alertStore.markNotificationsRead();
+        res.json({ success: true, marked, unread: 0 });
+    } catch (error){
+        console.error('Mark notifications read error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update notifications',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/notifications/:id/read - Marks one notification read
+router.post('/notifications/:id/read', async (req, res) => {
+    try{
+        if (alertStore.markNotificationsRead(req.params.id) === 0){
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+        res.json({ success: true, unread: alertStore.countUnreadNotifications() });
+    } catch (error){
+        console.error('Mark notification read error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update notifications',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
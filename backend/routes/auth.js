@@ -0,0 +1,64 @@
+const express = require('express');
+const userStore = require('../db/users');
+const { verifyPassword, startSession, endSession, requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchanges email and password for a bearer token
+router.post('/login', async (req, res) => {
+    try{
+        const { email, password } = req.body || {};
+        if (typeof email !== 'string' || typeof password !== 'string'){
+            return res.status(400).json({
+                success: false,
+                error: 'email and password are required.'
+            });
+        }
+
+        const credentials = userStore.getUserCredentials(email.trim().toLowerCase());
+        // Same answer for an unknown email and a wrong password
+        if (!credentials || !verifyPassword(password, credentials.passwordHash)){
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid email or password'
+            });
+        }
+
+        const { token, expiresAt } = startSession(credentials.user);
+        console.log(`User ${credentials.user.email} logged in`);
+
+        res.json({
+            success: true,
+            data: { token, expiresAt, user: credentials.user }
+        });
+    } catch (error){
+        console.error('Login error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/auth/logout - Ends the current session
+router.post('/logout', requireRole('viewer'), async (req, res) => {
+    try{
+        endSession(req.token);
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error){
+        console.error('Logout error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/auth/me - The logged in user
+router.get('/me', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+module.exports = router;
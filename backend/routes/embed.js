@@ -0,0 +1,47 @@
+const express = require('express');
+const path = require('path');
+const listingStore = require('../db/listings');
+const reviewStore = require('../db/reviews');
+const replyStore = require('../db/replies');
+const { parseEmbedOptions, renderWidget, renderNotFound } = require('../embed/render');
+
+const router = express.Router();
+
+// Public pages meant for other sites' iframes, so no login and framing from any origin
+router.use((req, res, next) => {
+    res.set('Content-Security-Policy', 'frame-ancestors *');
+    res.set('Cache-Control', 'public, max-age=300');
+    next();
+});
+
+// GET /embed/widget.js - Loader script that turns data-flex-reviews elements into widget iframes
+router.get('/widget.js', (req, res) => {
+    res.type('application/javascript');
+    res.sendFile(path.join(__dirname, '..', 'embed', 'widget.js'));
+});
+
+// GET /embed/:listingId - Approved reviews for a listing as a standalone HTML widget
+// Query: page, pageSize (max 20), theme (light|dark), accent (#hex), categories=false, replies=false
+router.get('/:listingId', (req, res) => {
+    const options = parseEmbedOptions(req.query);
+    try{
+        const listing = listingStore.getListingById(req.params.listingId);
+        if (!listing){
+            return res.status(404).type('html').send(renderNotFound(options));
+        }
+
+        const page = reviewStore.getApprovedReviewsPage(listing.id, {
+            limit: options.pageSize,
+            offset: (options.page - 1) * options.pageSize
+        });
+        // Drafts never reach the public widget, only the last published reply
+        page.reviews = page.reviews.map(review => ({ ...review, reply: replyStore.toPublicReply(review.reply) }));
+
+        res.type('html').send(renderWidget({ listing, page, options }));
+    } catch (error){
+        console.error('Embed widget error:', error.message);
+        res.status(500).type('html').send(renderNotFound(options));
+    }
+});
+
+module.exports = router;
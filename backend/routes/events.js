@@ -0,0 +1,14 @@
+const express = require('express');
+const { subscribe } = require('../lib/liveEvents');
+const { isSessionActive } = require('../lib/auth');
+
+const router = express.Router();
+
+// GET /api/events - Server-Sent Events stream of moderation changes, replies, new reviews and sync status.
+// Send Last-Event-ID on reconnect to receive missed events, a "resync" event means reload instead.
+// The stream ends once its session does (logout, password change, expiry), checked on every heartbeat
+router.get('/', (req, res) => {
+    subscribe(req, res, { isActive: () => isSessionActive(req.token) });
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const integrations = require('../db/integrations');
+const listingStore = require('../db/listings');
+const syncStore = require('../db/sync');
+const google = require('../channels/google');
+const { isSyncRunning } = require('../sync/engine');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Never send the key itself back to the browser
+const maskKey = (key) => key ? `••••${key.slice(-4)}` : null;
+
+function googleStatus() {
+    const settings = google.getGoogleSettings();
+    return {
+        enabled: settings.enabled,
+        hasApiKey: Boolean(settings.apiKey),
+        apiKeyPreview: maskKey(settings.apiKey),
+        dailyQuota: settings.dailyQuota,
+        refreshHours: settings.refreshHours,
+        quotaUsedToday: google.getQuotaUsage(),
+        configured: google.isConfigured(),
+        running: isSyncRunning('google'),
+        places: integrations.getGooglePlaces(),
+        syncState: syncStore.getSyncState('google')
+    };
+}
+
+// GET /api/integrations/google - Settings, listing to place ID mappings and today's quota usage
+router.get('/google', requireRole('viewer'), async (req, res) => {
+    try{
+        res.json({ success: true, data: googleStatus() });
+    } catch (error){
+        console.error('Google integration error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch Google integration',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/integrations/google - Updates enabled, apiKey, dailyQuota and refreshHours
+router.put('/google', requireRole('admin'), async (req, res) => {
+    try{
+        const { enabled, apiKey, dailyQuota, refreshHours } = req.body || {};
+        const changes = {};
+
+        if (enabled !== undefined){
+            if (typeof enabled !== 'boolean'){
+                return res.status(400).json({ success: false, error: 'enabled must be boolean.' });
+            }
+            changes.enabled = enabled;
+        }
+        if (apiKey !== undefined){
+            if (apiKey !== null && (typeof apiKey !== 'string' || !apiKey.trim())){
+                return res.status(400).json({ success: false, error: 'apiKey must be a non-empty string or null.' });
+            }
+            changes.apiKey = apiKey ? apiKey.trim() : null;
+        }
+        if (dailyQuota !== undefined){
+            if (!Number.isInteger(dailyQuota) || dailyQuota < 1){
+                return res.status(400).json({ success: false, error: 'dailyQuota must be a positive integer.' });
+            }
+            changes.dailyQuota = dailyQuota;
+        }
+        if (refreshHours !== undefined){
+            if (typeof refreshHours !== 'number' || refreshHours <= 0){
+                return res.status(400).json({ success: false, error: 'refreshHours must be a positive number.' });
+            }
+            changes.refreshHours = refreshHours;
+        }
+
+        integrations.saveSettings('google', changes);
+        console.log('Google integration settings updated');
+
+        res.json({ success: true, data: googleStatus() });
+    } catch (error){
+        console.error('Google integration error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update Google integration',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/integrations/google/places/:listingId - Maps a listing to its Google place ID
+router.put('/google/places/:listingId', requireRole('admin'), async (req, res) => {
+    try{
+        const { placeId } = req.body || {};
+        if (typeof placeId !== 'string' || !placeId.trim()){
+            return res.status(400).json({ success: false, error: 'placeId is required.' });
+        }
+        if (!listingStore.getListingById(req.params.listingId)){
+            return res.status(404).json({ success: false, error: 'Listing not found' });
+        }
+
+        integrations.setGooglePlace(Number(req.params.listingId), placeId.trim());
+        res.json({ success: true, data: googleStatus() });
+    } catch (error){
+        console.error('Google place mapping error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save place mapping',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/integrations/google/places/:listingId - Removes a listing's place mapping
+router.delete('/google/places/:listingId', requireRole('admin'), async (req, res) => {
+    try{
+        if (!integrations.removeGooglePlace(req.params.listingId)){
+            return res.status(404).json({ success: false, error: 'Place mapping not found' });
+        }
+        res.json({ success: true, data: googleStatus() });
+    } catch (error){
+        console.error('Google place mapping error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove place mapping',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
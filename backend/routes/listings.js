@@ -0,0 +1,47 @@
+const express = require('express');
+const listingStore = require('../db/listings');
+
+const router = express.Router();
+
+// GET /api/listings - Every synced listing with its review count and average rating
+router.get('/', async (req, res) => {
+    try{
+        const listings = listingStore.getListings();
+        res.json({
+            success: true,
+            data: listings,
+            total: listings.length
+        });
+    } catch (error){
+        console.error('Listings error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch listings',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/listings/:id - A single listing
+router.get('/:id', async (req, res) => {
+    try{
+        const listing = listingStore.getListingById(req.params.id);
+        if (!listing){
+            return res.status(404).json({
+                success: false,
+                error: 'Listing not found'
+            });
+        }
+
+        res.json({ success: true, data: listing });
+    } catch (error){
+        console.error('Listing error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch listing',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
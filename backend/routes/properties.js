@@ -0,0 +1,87 @@
+const express = require('express');
+const listingStore = require('../db/listings');
+const reviewStore = require('../db/reviews');
+const replyStore = require('../db/replies');
+const { InvalidFilterError, parsePagination } = require('../lib/reviewFilters');
+
+const router = express.Router();
+
+// Public property pages, everything here is limited to approved reviews and published replies
+
+const listingNotFound = (res) => res.status(404).json({ success: false, error: 'Listing not found' });
+
+// GET /api/properties - Every listing for the property index, with its approved review count and average rating
+router.get('/', async (req, res) => {
+    try{
+        const listings = listingStore.getPublicListings();
+        res.json({
+            success: true,
+            data: listings,
+            total: listings.length
+        });
+    } catch (error){
+        console.error('Properties error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch properties',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/properties/:listingId - Listing details with the rating and category averages of its approved reviews
+router.get('/:listingId', async (req, res) => {
+    try{
+        const listing = listingStore.getListingById(req.params.listingId);
+        if (!listing) return listingNotFound(res);
+
+        // The dashboard's counts include unmoderated reviews, so only the plain listing fields are passed on
+        const { reviewCount, approvedCount, averageRating, ...details } = listing;
+        res.json({
+            success: true,
+            data: { ...details, summary: reviewStore.getApprovedReviewSummary(listing.id) }
+        });
+    } catch (error){
+        console.error('Property error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch property',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/properties/:listingId/reviews - Approved reviews of a listing, newest first
+// Query: limit (default 20, max 100), offset
+router.get('/:listingId/reviews', async (req, res) => {
+    try{
+        const { limit, offset } = parsePagination(req.query);
+        const listing = listingStore.getListingById(req.params.listingId);
+        if (!listing) return listingNotFound(res);
+
+        const page = reviewStore.getApprovedReviewsPage(listing.id, { limit, offset });
+        res.json({
+            success: true,
+            data: page.reviews.map(review => ({ ...review, reply: replyStore.toPublicReply(review.reply) })),
+            total: page.total,
+            limit,
+            offset,
+            hasMore: offset + page.reviews.length < page.total
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Property reviews error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch property reviews',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const reviewStore = require('../db/reviews');
+const replyStore = require('../db/replies');
+const channels = require('../channels');
+const { requireRole } = require('../lib/auth');
+const liveEvents = require('../lib/liveEvents');
+const { UpstreamError, sendUnavailable } = require('../lib/httpClient');
+
+// Mounted at /api/reviews/:id/reply
+const router = express.Router({ mergeParams: true });
+
+// Airbnb caps host responses at 1000 characters, the lowest of the channels we publish to
+const MAX_REPLY_LENGTH = 1000;
+
+function validateReplyBody(body) {
+    if (typeof body !== 'string' || body.trim() === ''){
+        return 'body must be a non-empty string.';
+    }
+    if (body.trim().length > MAX_REPLY_LENGTH){
+        return `body must be at most ${MAX_REPLY_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// Tells other open dashboards about the change, then returns the reply for the response
+function publishReply(req, reviewId, reply) {
+    liveEvents.publish('review.reply', { reviewId, reply, by: req.user.email });
+    return reply;
+}
+
+// Loads the review or answers 404, every reply route needs it
+function findReview(req, res) {
+    const review = reviewStore.getReviewById(req.params.id);
+    if (!review){
+        res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    return review;
+}
+
+// GET /api/reviews/:id/reply - The reply for a review, data is null when there is none
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try{
+        const review = findReview(req, res);
+        if (!review) return;
+
+        res.json({ success: true, data: replyStore.getReply(review.id) });
+    } catch (error){
+        console.error('Reply error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reply',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/reviews/:id/reply - Saves the reply text as a draft, body: { body }
+router.put('/', requireRole('moderator'), async (req, res) => {
+    try{
+        const review = findReview(req, res);
+        if (!review) return;
+
+        const { body } = req.body || {};
+        const invalid = validateReplyBody(body);
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        res.json({ success: true, data: publishReply(req, review.id, replyStore.saveDraft(review.id, body.trim(), { user: req.user })) });
+    } catch (error){
+        console.error('Save reply error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save reply',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/reviews/:id/reply/publish - Sends the reply to the review's channel, body: { body? } saves it first.
+// A channel rejecting the reply answers 502, a channel that is down or rate limiting answers 503 with Retry-After.
+// Either way the error is kept on the reply so the composer can show it
+router.post('/publish', requireRole('moderator'), async (req, res) => {
+    try{
+        const review = findReview(req, res);
+        if (!review) return;
+
+        const { body } = req.body || {};
+        if (body !== undefined){
+            const invalid = validateReplyBody(body);
+            if (invalid){
+                return res.status(400).json({ success: false, error: invalid });
+            }
+            replyStore.saveDraft(review.id, body.trim(), { user: req.user });
+        }
+
+        const reply = replyStore.getReply(review.id);
+        if (!reply){
+            return res.status(400).json({ success: false, error: 'Write a reply before publishing it' });
+        }
+
+        const adapter = channels.getAdapter(review.source);
+        if (!adapter || !adapter.publishReply){
+            return res.status(400).json({
+                success: false,
+                error: `Replies can't be published to ${adapter ? adapter.displayName : review.source} yet`
+            });
+        }
+
+        try{
+            await adapter.publishReply(review, reply.body);
+        } catch (publishError){
+            console.error(`Publishing reply to review ${review.id} failed:`, publishError.message);
+            const data = publishReply(req, review.id, replyStore.markPublishFailed(review.id, publishError.message));
+            if (publishError instanceof UpstreamError && publishError.unavailable){
+                return sendUnavailable(res, adapter.displayName, publishError, { data });
+            }
+            return res.status(502).json({
+                success: false,
+                error: `${adapter.displayName} rejected the reply: ${publishError.message}`,
+                data
+            });
+        }
+
+        console.log(`Reply to review ${review.id} published to ${adapter.displayName} by ${req.user.email}`);
+        res.json({ success: true, data: publishReply(req, review.id, replyStore.markPublished(review.id, { user: req.user })) });
+    } catch (error){
+        console.error('Publish reply error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to publish reply',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/reviews/:id/reply - Discards unpublished changes, a published reply stays on the channel
+router.delete('/', requireRole('moderator'), async (req, res) => {
+    try{
+        const review = findReview(req, res);
+        if (!review) return;
+
+        res.json({ success: true, data: publishReply(req, review.id, replyStore.discardDraft(review.id)) });
+    } catch (error){
+        console.error('Discard reply error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to discard reply',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { InvalidFilterError, parseReviewFilters } = require('../lib/reviewFilters');
+const { REPORT_FORMATS } = require('../reports');
+
+const router = express.Router();
+
+// GET /api/reports?format=csv|xlsx|pdf - Streams an export of the reviews matching the dashboard filters
+router.get('/', async (req, res) => {
+    let started = false;
+    try{
+        const format = REPORT_FORMATS[req.query.format || 'csv'];
+        if (!format) {
+            throw new InvalidFilterError(`format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`);
+        }
+        const filters = parseReviewFilters(req.query);
+
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="flex-living-reviews-${new Date().toISOString().slice(0, 10)}.${format.extension}"`,
+            'Cache-Control': 'no-store'
+        });
+        started = true;
+        await format.write(filters, res);
+    } catch (error){
+        if (started) {
+            // Headers and part of the file are already out, cutting the connection is the only way to signal failure
+            console.error('Report stream error:', error.message);
+            return res.destroy(error);
+        }
+        if (error instanceof InvalidFilterError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Report error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate report',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
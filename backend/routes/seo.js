@@ -0,0 +1,86 @@
+const express = require('express');
+const { SITE_CONFIG } = require('../config');
+const listingStore = require('../db/listings');
+const reviewStore = require('../db/reviews');
+const replyStore = require('../db/replies');
+const {
+    renderPropertyPage,
+    renderPropertyIndex,
+    renderNotFoundPage,
+    renderSitemap,
+    renderRobots
+} = require('../seo/render');
+
+const router = express.Router();
+
+// Reviews rendered into a property page and its structured data, the client loads the rest
+const RENDERED_REVIEWS = 20;
+
+// PUBLIC_SITE_URL when set, otherwise the host the request came in on
+const siteUrl = (req) => SITE_CONFIG.publicUrl || `${req.protocol}://${req.get('host')}`;
+
+function sendPublic(res, type, body, status = 200) {
+    res.status(status)
+        .set('Cache-Control', 'public, max-age=300')
+        .type(type)
+        .send(body);
+}
+
+// GET /properties - Server-rendered property index
+router.get('/properties', (req, res, next) => {
+    try{
+        const base = siteUrl(req);
+        sendPublic(res, 'html', renderPropertyIndex({
+            listings: listingStore.getPublicListings(),
+            url: `${base}/properties`,
+            propertyUrl: (listing) => `${base}/properties/${listing.id}`
+        }));
+    } catch (error){
+        next(error);
+    }
+});
+
+// GET /properties/:listingId - Server-rendered property page with JSON-LD, Open Graph tags and a canonical URL
+router.get('/properties/:listingId(\\d+)', (req, res, next) => {
+    try{
+        const base = siteUrl(req);
+        const listing = listingStore.getListingById(req.params.listingId);
+        if (!listing){
+            return sendPublic(res, 'html', renderNotFoundPage({ url: `${base}/properties` }), 404);
+        }
+
+        const page = reviewStore.getApprovedReviewsPage(listing.id, { limit: RENDERED_REVIEWS, offset: 0 });
+        const { reviews, ...summary } = page;
+        sendPublic(res, 'html', renderPropertyPage({
+            listing,
+            summary,
+            reviews: reviews.map(review => ({ ...review, reply: replyStore.toPublicReply(review.reply) })),
+            url: `${base}/properties/${listing.id}`
+        }));
+    } catch (error){
+        next(error);
+    }
+});
+
+// GET /sitemap.xml - The property index and every listing with at least one approved review
+router.get('/sitemap.xml', (req, res, next) => {
+    try{
+        const base = siteUrl(req);
+        const listings = listingStore.getPublicListings().filter(listing => listing.approvedCount > 0);
+        const lastmods = listings.map(listing => listing.lastApprovedAt).filter(Boolean).sort();
+
+        sendPublic(res, 'application/xml', renderSitemap([
+            { loc: `${base}/properties`, lastmod: lastmods[lastmods.length - 1] },
+            ...listings.map(listing => ({ loc: `${base}/properties/${listing.id}`, lastmod: listing.lastApprovedAt }))
+        ]));
+    } catch (error){
+        next(error);
+    }
+});
+
+// GET /robots.txt - Points crawlers at the sitemap
+router.get('/robots.txt', (req, res) => {
+    sendPublic(res, 'text/plain', renderRobots({ sitemapUrl: `${siteUrl(req)}/sitemap.xml` }));
+});
+
+module.exports = router;
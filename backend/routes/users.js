@@ -0,0 +1,148 @@
+const express = require('express');
+const userStore = require('../db/users');
+const { ROLES, MIN_PASSWORD_LENGTH, hashPassword, requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Managing accounts is admin only
+router.use(requireRole('admin'));
+
+// Returns an error message for the first invalid field, or null
+function validateUser({ email, name, password, role }, { creating }) {
+    if (creating || email !== undefined){
+        if (typeof email !== 'string' || !/^\S+@\S+$/.test(email.trim())){
+            return 'email must be a valid email address.';
+        }
+    }
+    if (name !== undefined && name !== null && typeof name !== 'string'){
+        return 'name must be a string.';
+    }
+    if (creating || password !== undefined){
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH){
+            return `password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+        }
+    }
+    if (creating || role !== undefined){
+        if (!ROLES.includes(role)){
+            return `role must be one of: ${ROLES.join(', ')}.`;
+        }
+    }
+    return null;
+}
+
+// Stops an admin locking everyone out by demoting or deleting the last admin
+function isLastAdmin(user) {
+    return user.role === 'admin' && userStore.countUsers({ role: 'admin' }) <= 1;
+}
+
+// GET /api/users - Every dashboard account
+router.get('/', async (req, res) => {
+    try{
+        res.json({ success: true, data: userStore.listUsers() });
+    } catch (error){
+        console.error('Users error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch users',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/users - Creates an account with email, name, password and role
+router.post('/', async (req, res) => {
+    try{
+        const body = req.body || {};
+        const invalid = validateUser(body, { creating: true });
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const email = body.email.trim().toLowerCase();
+        if (userStore.getUserCredentials(email)){
+            return res.status(409).json({ success: false, error: 'A user with that email already exists' });
+        }
+
+        const user = userStore.createUser({
+            email,
+            name: body.name,
+            passwordHash: hashPassword(body.password),
+            role: body.role
+        });
+        console.log(`User ${user.email} created with role ${user.role} by ${req.user.email}`);
+
+        res.status(201).json({ success: true, data: user });
+    } catch (error){
+        console.error('Create user error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create user',
+            message: error.message
+        });
+    }
+});
+
+// PATCH /api/users/:id - Changes name, password or role, a new password signs the user out everywhere
+router.patch('/:id', async (req, res) => {
+    try{
+        const { name, password, role } = req.body || {};
+        const invalid = validateUser({ name, password, role }, { creating: false });
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const existing = userStore.getUserById(req.params.id);
+        if (!existing){
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (role && role !== 'admin' && isLastAdmin(existing)){
+            return res.status(409).json({ success: false, error: 'Cannot demote the last admin' });
+        }
+
+        const user = userStore.updateUser(existing.id, {
+            name,
+            role,
+            passwordHash: password ? hashPassword(password) : undefined
+        });
+        if (password) userStore.deleteUserSessions(user.id);
+
+        res.json({ success: true, data: user });
+    } catch (error){
+        console.error('Update user error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/users/:id - Removes an account and its sessions
+router.delete('/:id', async (req, res) => {
+    try{
+        const existing = userStore.getUserById(req.params.id);
+        if (!existing){
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (existing.id === req.user.id){
+            return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+        }
+        if (isLastAdmin(existing)){
+            return res.status(409).json({ success: false, error: 'Cannot delete the last admin' });
+        }
+
+        userStore.deleteUser(existing.id);
+        console.log(`User ${existing.email} deleted by ${req.user.email}`);
+
+        res.json({ success: true, message: 'User deleted' });
+    } catch (error){
+        console.error('Delete user error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete user',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
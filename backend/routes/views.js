@@ -0,0 +1,129 @@
+const express = require('express');
+const viewStore = require('../db/savedViews');
+const { InvalidFilterError, parseReviewFilters } = require('../lib/reviewFilters');
+
+const router = express.Router();
+
+// Saved dashboard views, every user only sees and changes their own
+
+const MAX_NAME_LENGTH = 80;
+const MAX_QUERY_LENGTH = 2000;
+// Query parameters the dashboard keeps in its URL, the filter ones match GET /api/reviews
+const VIEW_PARAMS = ['tab', 'search', 'listingId', 'minRating', 'status', 'channel', 'sentiment', 'theme', 'themeSentiment', 'from', 'to', 'sortBy'];
+const TABS = ['dashboard', 'analytics'];
+
+// Checks the query the same way the reviews endpoint would and returns it without a leading "?"
+function normalizeQuery(query) {
+    if (typeof query !== 'string' || query.length > MAX_QUERY_LENGTH) {
+        throw new InvalidFilterError(`query must be a string of at most ${MAX_QUERY_LENGTH} characters.`);
+    }
+    const params = new URLSearchParams(query.replace(/^\?/, ''));
+    const unknown = [...params.keys()].find(key => !VIEW_PARAMS.includes(key));
+    if (unknown) {
+        throw new InvalidFilterError(`query contains an unknown parameter: ${unknown}.`);
+    }
+    if (params.has('tab') && !TABS.includes(params.get('tab'))) {
+        throw new InvalidFilterError(`tab must be one of: ${TABS.join(', ')}.`);
+    }
+    parseReviewFilters(Object.fromEntries(params));
+    return params.toString();
+}
+
+// Returns an error message for the first invalid field, or null
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return `name is required and must be at most ${MAX_NAME_LENGTH} characters.`;
+    }
+    return null;
+}
+
+const viewNotFound = (res) => res.status(404).json({ success: false, error: 'Saved view not found' });
+const nameTaken = (res, name) => res.status(409).json({ success: false, error: `A view named "${name}" already exists` });
+
+// GET /api/views - The current user's saved views
+router.get('/', async (req, res) => {
+    try{
+        res.json({ success: true, data: viewStore.listViews(req.user.id) });
+    } catch (error){
+        console.error('Saved views error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch saved views',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/views - Saves the dashboard query under a name
+router.post('/', async (req, res) => {
+    try{
+        const { name, query } = req.body || {};
+        const invalid = validateName(name);
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (viewStore.getViewByName(req.user.id, name.trim())) return nameTaken(res, name.trim());
+
+        const view = viewStore.createView(req.user.id, { name: name.trim(), query: normalizeQuery(query) });
+        res.status(201).json({ success: true, data: view });
+    } catch (error){
+        if (error instanceof InvalidFilterError) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Create saved view error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save view',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/views/:id - Renames a view or replaces its query, fields left out keep their current value
+router.put('/:id', async (req, res) => {
+    try{
+        const current = viewStore.getView(req.user.id, req.params.id);
+        if (!current) return viewNotFound(res);
+
+        const { name = current.name, query = current.query } = req.body || {};
+        const invalid = validateName(name);
+        if (invalid){
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const existing = viewStore.getViewByName(req.user.id, name.trim());
+        if (existing && existing.id !== current.id) return nameTaken(res, name.trim());
+
+        const view = viewStore.updateView(req.user.id, current.id, { name: name.trim(), query: normalizeQuery(query) });
+        res.json({ success: true, data: view });
+    } catch (error){
+        if (error instanceof InvalidFilterError) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Update saved view error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update view',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/views/:id - Removes a saved view
+router.delete('/:id', async (req, res) => {
+    try{
+        const view = viewStore.getView(req.user.id, req.params.id);
+        if (!view) return viewNotFound(res);
+
+        viewStore.deleteView(req.user.id, view.id);
+        res.json({ success: true, message: `View "${view.name}" deleted` });
+    } catch (error){
+        console.error('Delete saved view error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete view',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const webhookStore = require('../db/webhooks');
+const { processEvent } = require('../webhooks/processor');
+const { InvalidFilterError, parsePagination } = require('../lib/reviewFilters');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'processed', 'failed', 'dead'];
+
+// GET /api/webhooks/events - Received webhook events, newest first, with a count per status
+// Query: status (pending|processed|failed|dead), channel, limit, offset
+router.get('/', (req, res) => {
+    try{
+        const { status, channel } = req.query;
+        if (status && !STATUSES.includes(status)){
+            throw new InvalidFilterError(`status must be one of: ${STATUSES.join(', ')}.`);
+        }
+        const { limit, offset } = parsePagination(req.query);
+        const { events, total } = webhookStore.listEvents({ status, channel, limit, offset });
+
+        res.json({ success: true, data: events, total, counts: webhookStore.countEventsByStatus() });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Webhook events error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook events',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/webhooks/events/:id - One event with its raw payload
+router.get('/:id', (req, res) => {
+    try{
+        const event = webhookStore.getEvent(req.params.id);
+        if (!event){
+            return res.status(404).json({ success: false, error: 'Webhook event not found' });
+        }
+        res.json({ success: true, data: event });
+    } catch (error){
+        console.error('Webhook event error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook event',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/webhooks/events/:id/retry - Processes a failed or dead event straight away
+router.post('/:id/retry', (req, res) => {
+    try{
+        const event = webhookStore.getEvent(req.params.id);
+        if (!event){
+            return res.status(404).json({ success: false, error: 'Webhook event not found' });
+        }
+        if (!['failed', 'dead'].includes(event.status)){
+            return res.status(409).json({ success: false, error: `Only failed events can be retried, this one is ${event.status}` });
+        }
+
+        const retried = processEvent(event);
+        console.log(`Webhook event ${event.id} retried by ${req.user.email}: ${retried.status}`);
+        res.json({ success: true, data: retried });
+    } catch (error){
+        console.error('Webhook retry error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry webhook event',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { WEBHOOK_CONFIG } = require('../config');
+const { WebhookRejectedError, receiveWebhook } = require('../webhooks/processor');
+
+const router = express.Router();
+
+// POST /api/webhooks/:channel - New and updated reviews pushed by a channel (e.g. /api/webhooks/hostaway).
+// The body is read raw so its signature can be checked. Redelivered events answer 200 without being processed
+// again, events that fail to process are kept and retried, the sender gets 202 so it doesn't retry as well
+router.post('/:channel', express.raw({ type: '*/*', limit: WEBHOOK_CONFIG.maxBodyBytes }), (req, res) => {
+    try{
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const { event, duplicate } = receiveWebhook(req.params.channel, req.headers, rawBody);
+        const data = { id: event.id, eventId: event.eventId, status: event.status, reviewCount: event.reviewCount };
+
+        if (duplicate){
+            return res.json({ success: true, duplicate: true, data });
+        }
+        if (event.status !== 'processed'){
+            return res.status(202).json({
+                success: true,
+                message: 'Event stored, processing failed and will be retried',
+                data
+            });
+        }
+        res.json({ success: true, data });
+    } catch (error){
+        if (error instanceof WebhookRejectedError){
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Webhook error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to receive webhook',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Local stub of the Google Places Details endpoint for exercising the Google importer
+//
+// Serves scripts/fixtures/google-place-details.json keyed by place_id. Run it and point the backend at it:
+//   node scripts/fake-google-places.js
+//   GOOGLE_PLACES_BASE_URL=http://localhost:5056/maps/api/place npm start
+// Any non-empty key is accepted, unknown place IDs return NOT_FOUND like the real API
+const express = require('express');
+const path = require('path');
+
+const PORT = process.env.FAKE_GOOGLE_PORT || 5056;
+const places = require(path.join(__dirname, 'fixtures', 'google-place-details.json'));
+
+const app = express();
+let requestCount = 0;
+
+// GET /maps/api/place/details/json - Places Details (legacy) response shape
+app.get('/maps/api/place/details/json', (req, res) => {
+    requestCount++;
+    console.log(`Details request #${requestCount} for ${req.query.place_id}`);
+
+    if (!req.query.key){
+        return res.json({ status: 'REQUEST_DENIED', error_message: 'You must use an API key to authenticate each request.' });
+    }
+
+    const place = places[req.query.place_id];
+    if (!place){
+        return res.json({ status: 'NOT_FOUND' });
+    }
+
+    const reviews = [...place.reviews].sort((a, b) => b.time - a.time);
+    res.json({
+        status: 'OK',
+        result: { name: place.name, rating: place.rating, reviews }
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`Fake Google Places API serving ${Object.keys(places).length} places on http://localhost:${PORT}/maps/api/place`);
+});
@@ -0,0 +1,130 @@
+// Fake Hostaway API for exercising the sync engine locally
+//
+// Serves scripts/fixtures/hostaway-reviews.json and hostaway-listings.json with the same paging parameters as the real API,
+// and accepts host responses so replies can be published without touching a real account.
+// Like Hostaway it hands out access tokens on POST /v1/accessTokens and answers 401 without one.
+// Run it and point the backend at it:
+//   node scripts/fake-hostaway.js
+//   HOSTAWAY_BASE_URL=http://localhost:5055/v1 HOSTAWAY_PAGE_SIZE=5 npm start
+// To try the client's retries and circuit breaker, queue failures for the next requests:
+//   curl -X POST localhost:5055/v1/__faults -H 'Content-Type: application/json' -d '{"status":503,"count":10}'
+//   curl -X POST localhost:5055/v1/__faults -H 'Content-Type: application/json' -d '{"status":429,"count":1,"retryAfter":2}'
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+
+const PORT = process.env.FAKE_HOSTAWAY_PORT || 5055;
+const reviews = require(path.join(__dirname, 'fixtures', 'hostaway-reviews.json'));
+const listings = require(path.join(__dirname, 'fixtures', 'hostaway-listings.json'));
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+    console.log(`${req.method} ${req.originalUrl}`);
+    next();
+});
+
+const tokens = new Set();
+// Failures queued through POST /v1/__faults, served before anything else
+let faults = { status: null, count: 0, retryAfter: null };
+
+// POST /v1/__faults - Answers the next `count` API requests with `status` (and Retry-After when given)
+app.post('/v1/__faults', (req, res) => {
+    const { status = 503, count = 1, retryAfter = null } = req.body || {};
+    faults = { status, count, retryAfter };
+    res.json({ status: 'success', result: faults });
+});
+
+// DELETE /v1/__tokens - Forgets every issued token, the next request gets a 401 and has to fetch a new one
+app.delete('/v1/__tokens', (req, res) => {
+    tokens.clear();
+    res.json({ status: 'success' });
+});
+
+app.use('/v1', (req, res, next) => {
+    if (req.path.startsWith('/__') || faults.count <= 0) return next();
+    faults.count--;
+    if (faults.retryAfter) res.set('Retry-After', String(faults.retryAfter));
+    res.status(faults.status).json({ status: 'fail', message: `Injected ${faults.status}` });
+});
+
+// POST /v1/accessTokens - Client credentials grant, any account id and secret are accepted
+app.post('/v1/accessTokens', express.urlencoded({ extended: false }), (req, res) => {
+    if (req.body.grant_type !== 'client_credentials' || !req.body.client_id || !req.body.client_secret) {
+        return res.status(400).json({ status: 'fail', message: 'client_credentials grant with client_id and client_secret required' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ token_type: 'Bearer', expires_in: 3600, access_token: token });
+});
+
+app.use('/v1', (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (req.path.startsWith('/__') || tokens.has(token)) return next();
+    res.status(401).json({ status: 'fail', message: 'Invalid or expired access token' });
+});
+
+// GET /v1/reviews - Paged reviews, sorted by submittedAt
+app.get('/v1/reviews', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const direction = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const sorted = [...reviews].sort((a, b) => a.submittedAt.localeCompare(b.submittedAt) * direction);
+
+    res.json({
+        status: 'success',
+        result: sorted.slice(offset, offset + limit),
+        count: sorted.length,
+        limit,
+        offset
+    });
+});
+
+// GET /v1/listings - Paged listings
+app.get('/v1/listings', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    res.json({
+        status: 'success',
+        result: listings.slice(offset, offset + limit),
+        count: listings.length,
+        limit,
+        offset
+    });
+});
+
+// PUT /v1/reviews/:id/response - Stores the host response on the fixture review
+app.put('/v1/reviews/:id/response', (req, res) => {
+    const review = reviews.find(r => String(r.id) === req.params.id);
+    if (!review) {
+        return res.status(404).json({ status: 'fail', message: `Review ${req.params.id} not found` });
+    }
+    if (!req.body || typeof req.body.response !== 'string' || req.body.response.trim() === '') {
+        return res.status(400).json({ status: 'fail', message: 'response is required' });
+    }
+
+    review.hostResponse = req.body.response;
+    review.hostResponseSubmittedAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    res.json({ status: 'success', result: review });
+});
+
+// POST /v1/__fixtures/reviews - Adds a review so the next incremental sync has something new to pick up
+app.post('/v1/__fixtures/reviews', (req, res) => {
+    const review = {
+        id: Math.max(...reviews.map(r => r.id)) + 1,
+        type: 'guest-to-host',
+        status: 'published',
+        reviewCategory: [],
+        submittedAt: new Date().toISOString().replace('T', ' ').slice(0, 19),
+        ...req.body
+    };
+    reviews.push(review);
+    res.status(201).json({ status: 'success', result: review });
+});
+
+app.listen(PORT, () => {
+    console.log(`Fake Hostaway API serving ${reviews.length} fixture reviews and ${listings.length} listings on http://localhost:${PORT}/v1`);
+});
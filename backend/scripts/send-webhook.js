@@ -0,0 +1,60 @@
+// Sends a signed review webhook to the local API, for trying the inbound webhook receiver
+//
+// Start the API with HOSTAWAY_WEBHOOK_SECRET set, then:
+//   node scripts/send-webhook.js                 (a review.created event for a new Hostaway review)
+//   node scripts/send-webhook.js 7453            (a review.updated event for review 7453)
+// WEBHOOK_URL and WEBHOOK_SECRET override the target and secret. Sending the same event twice shows deduplication
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const URL = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/webhooks/hostaway`;
+const SECRET = process.env.WEBHOOK_SECRET || process.env.HOSTAWAY_WEBHOOK_SECRET;
+
+async function main() {
+    if (!SECRET){
+        console.error('Set HOSTAWAY_WEBHOOK_SECRET (or WEBHOOK_SECRET) to the secret the API was started with');
+        process.exit(1);
+    }
+
+    const reviewId = parseInt(process.argv[2], 10) || Math.floor(900000 + Math.random() * 99999);
+    const body = JSON.stringify({
+        object: 'review',
+        event: process.argv[2] ? 'review.updated' : 'review.created',
+        accountId: 61148,
+        data: {
+            id: reviewId,
+            type: 'guest-to-host',
+            status: 'published',
+            rating: null,
+            publicReview: 'Lovely flat and a quick check-in, but the wifi kept dropping in the evenings.',
+            reviewCategory: [
+                { category: 'cleanliness', rating: 10 },
+                { category: 'communication', rating: 9 },
+                { category: 'check_in', rating: 10 },
+                { category: 'accuracy', rating: 8 }
+            ],
+            submittedAt: new Date().toISOString().slice(0, 19).replace('T', ' '),
+            guestName: 'Webhook Test Guest',
+            listingName: '2B N1 A - 29 Shoreditch Heights',
+            channelId: 2018
+        }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+    const response = await axios.post(URL, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signature}`
+        },
+        validateStatus: () => true
+    });
+    console.log(`${response.status} ${JSON.stringify(response.data)}`);
+}
+
+main().catch(error => {
+    console.error('Could not send webhook:', error.message);
+    process.exit(1);
+});
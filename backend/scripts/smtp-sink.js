@@ -0,0 +1,72 @@
+// Local SMTP server that accepts every message and prints it, for trying email alerts without a mail provider
+//
+// Run it and point the backend at it:
+//   node scripts/smtp-sink.js
+//   SMTP_HOST=localhost SMTP_PORT=2525 npm start
+// Speaks just enough plain SMTP for nodemailer, no TLS or authentication
+const net = require('net');
+
+const PORT = process.env.SMTP_SINK_PORT || 2525;
+let messageCount = 0;
+
+const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = { from: null, to: [], data: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 smtp-sink ready');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    messageCount++;
+                    console.log(`--- Message #${messageCount} from ${message.from} to ${message.to.join(', ')} ---`);
+                    console.log(message.data.join('\n'));
+                    console.log('--- end ---');
+                    message = { from: null, to: [], data: [] };
+                    reply('250 OK: message accepted');
+                } else {
+                    // Lines starting with a dot are dot-stuffed by the client
+                    message.data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 smtp-sink');
+            } else if (command === 'MAIL') {
+                message.from = line.replace(/^MAIL FROM:\s*/i, '');
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                message.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else if (command === 'RSET') {
+                message = { from: null, to: [], data: [] };
+                reply('250 OK');
+            } else {
+                reply('250 OK');
+            }
+        }
+    });
+
+    socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+    console.log(`SMTP sink listening on localhost:${PORT}`);
+});
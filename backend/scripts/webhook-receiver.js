@@ -0,0 +1,29 @@
+// Local endpoint that prints every webhook it receives, for trying webhook alerts
+//
+// Run it, start the API with ALERT_ALLOW_PRIVATE_WEBHOOKS=true and use http://localhost:5057/hooks/anything as a rule's webhook URL:
+//   node scripts/webhook-receiver.js
+// Set WEBHOOK_RECEIVER_FAIL=true to answer 500 and see failed deliveries in the log
+const express = require('express');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 5057;
+const FAIL = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+let requestCount = 0;
+
+// POST /hooks/* - Prints the payload and acknowledges it
+app.post('/hooks/*', (req, res) => {
+    requestCount++;
+    console.log(`Webhook #${requestCount} on ${req.path}:`);
+    console.log(JSON.stringify(req.body, null, 2));
+
+    if (FAIL){
+        return res.status(500).json({ received: false });
+    }
+    res.json({ received: true });
+});
+
+app.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/hooks`);
+});
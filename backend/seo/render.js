@@ -0,0 +1,256 @@
+// Server-rendered public property pages for search engines and link previews. The markup goes inside the
+// React app's #root, so visitors get the same page once the client takes over
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, inlineJson } = require('../lib/html');
+const { formatCategory, formatAverage, formatDate, renderStars } = require('../lib/format');
+
+const APP_SHELL_PATH = path.join(__dirname, '..', 'build', 'index.html');
+const SITE_NAME = 'Flex Living';
+
+// Fills each star of renderStars up to its --fill in the surrounding text colour
+const STAR_STYLES = `.star { background: linear-gradient(90deg, currentColor var(--fill), rgba(156, 163, 175, 0.6) var(--fill));
+        -webkit-background-clip: text; background-clip: text; -webkit-text-fill-color: transparent; }`;
+
+// submitted_at is stored as 'YYYY-MM-DD HH:mm:ss' in UTC
+const toIsoDate = (submittedAt) => submittedAt ? String(submittedAt).slice(0, 10) : null;
+
+const describeLocation = (listing) => [listing.city, listing.country].filter(Boolean).join(', ');
+
+// schema.org LodgingBusiness with its approved reviews, ratings stay on the dashboard's 0-10 scale
+function buildStructuredData({ listing, summary, reviews, url }) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'LodgingBusiness',
+        '@id': url,
+        name: listing.name,
+        url
+    };
+    if (listing.photoUrl) data.image = listing.photoUrl;
+    if (listing.address || listing.city) {
+        data.address = {
+            '@type': 'PostalAddress',
+            streetAddress: listing.address || undefined,
+            addressLocality: listing.city || undefined,
+            addressCountry: listing.country || undefined
+        };
+    }
+    // Search engines reject an aggregate without a value, so unrated listings go without one
+    if (summary.rated > 0) {
+        data.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: summary.averageRating,
+            bestRating: 10,
+            worstRating: 0,
+            ratingCount: summary.rated,
+            reviewCount: summary.total
+        };
+    }
+    if (reviews.length > 0) {
+        data.review = reviews.map(review => ({
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.guestName || 'Guest' },
+            datePublished: toIsoDate(review.submittedAt) || undefined,
+            reviewBody: review.publicReview || undefined,
+            reviewRating: review.rating === null ? undefined : {
+                '@type': 'Rating',
+                ratingValue: review.rating,
+                bestRating: 10,
+                worstRating: 0
+            }
+        }));
+    }
+    return data;
+}
+
+function renderHeadTags({ title, description, url, image, structuredData }) {
+    return [
+        `<title>${escapeHtml(title)}</title>`,
+        `<meta name="description" content="${escapeHtml(description)}" />`,
+        `<link rel="canonical" href="${escapeHtml(url)}" />`,
+        '<meta property="og:type" content="website" />',
+        `<meta property="og:site_name" content="${SITE_NAME}" />`,
+        `<meta property="og:title" content="${escapeHtml(title)}" />`,
+        `<meta property="og:description" content="${escapeHtml(description)}" />`,
+        `<meta property="og:url" content="${escapeHtml(url)}" />`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : '',
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />`,
+        `<style>${STAR_STYLES}</style>`,
+        structuredData ? `<script type="application/ld+json">${inlineJson(structuredData)}</script>` : ''
+    ].filter(Boolean).join('\n    ');
+}
+
+// Fills the built React app's index.html when it exists, so the client loads over the rendered markup.
+// Without a build (development) the page is served on its own. The markup goes in through replacer
+// functions, a replacement string would read "$&" or "$'" in review text as a pattern
+function renderDocument({ head, body }) {
+    if (fs.existsSync(APP_SHELL_PATH)) {
+        return fs.readFileSync(APP_SHELL_PATH, 'utf8')
+            .replace(/<title>[\s\S]*?<\/title>/, '')
+            .replace(/<meta\s+name="description"[^>]*>/, '')
+            .replace('</head>', () => `${head}\n</head>`)
+            .replace(/<div id="root"><\/div>/, () => `<div id="root">${body}</div>`);
+    }
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    ${head}
+</head>
+<body>
+<div id="root">${body}</div>
+</body>
+</html>`;
+}
+
+function renderReview(review) {
+    const reply = review.reply ? `
+            <div class="mt-4 ml-6 pl-4 border-l-2 border-gray-300">
+                <p class="text-sm font-semibold text-gray-900">Response from Flex Living</p>
+                <p class="text-gray-700 leading-relaxed whitespace-pre-line">${escapeHtml(review.reply.body)}</p>
+            </div>` : '';
+    return `
+        <article class="border-l-4 border-indigo-500 bg-gray-50 p-6 rounded-r-xl">
+            <div class="flex justify-between items-start mb-4">
+                <div>
+                    <h3 class="font-semibold text-gray-900 text-lg">${escapeHtml(review.guestName || 'Guest')}</h3>
+                    <p class="text-sm text-gray-500">
+                        ${review.rating === null ? '' : `<span class="text-yellow-400">${renderStars(review.rating)}</span>`}
+                        <time datetime="${escapeHtml(toIsoDate(review.submittedAt))}">${escapeHtml(formatDate(review.submittedAt))}</time>
+                    </p>
+                </div>
+                ${review.rating === null ? '' : `<span class="text-xl font-bold text-indigo-600">${review.rating.toFixed(1)}</span>`}
+            </div>
+            <p class="text-gray-700 leading-relaxed text-lg">"${escapeHtml(review.publicReview)}"</p>${reply}
+        </article>`;
+}
+
+// One property: details, rating summary, category averages and the latest approved reviews
+function renderPropertyPage({ listing, summary, reviews, url }) {
+    const location = describeLocation(listing);
+    const title = `${listing.name} Reviews | ${SITE_NAME}`;
+    const description = summary.total === 0
+        ? `Guest reviews of ${listing.name}${location ? ` in ${location}` : ''} by ${SITE_NAME}.`
+        : `${summary.total} verified guest review${summary.total === 1 ? '' : 's'} of ${listing.name}`
+            + `${location ? ` in ${location}` : ''}${summary.rated > 0 ? `, rated ${formatAverage(summary.averageRating)} out of 10` : ''}.`;
+
+    const categories = summary.categoryAverages.length > 0 ? `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8 p-6 bg-gray-50 rounded-lg">
+            ${summary.categoryAverages.map(({ category, average }) => `
+            <div class="text-center">
+                <p class="font-semibold text-gray-900 text-lg">${formatAverage(average)}</p>
+                <p class="text-sm text-gray-600">${escapeHtml(formatCategory(category))}</p>
+            </div>`).join('')}
+        </div>` : '';
+
+    const body = `
+<div class="min-h-screen bg-gray-50">
+    <main class="max-w-4xl mx-auto px-4 py-8">
+        <a href="/properties" class="text-sm text-gray-600">← All properties</a>
+        <header class="bg-gradient-to-r from-teal-500 to-cyan-500 rounded-xl p-12 text-white text-center my-8">
+            <h1 class="text-4xl font-bold mb-4">${escapeHtml(listing.name)}</h1>
+            ${location ? `<p class="text-xl opacity-90 mb-6">${escapeHtml(location)}</p>` : ''}
+            <p class="text-lg font-semibold">${summary.averageRating === null ? '' : `${renderStars(summary.averageRating)} `}${formatAverage(summary.averageRating)} (${summary.total} reviews)</p>
+        </header>
+        <section class="bg-white rounded-xl p-8 shadow-sm">
+            <h2 class="text-2xl font-semibold text-gray-900 mb-8">Guest Reviews</h2>
+            ${categories}
+            <div class="space-y-6">
+                ${reviews.length > 0 ? reviews.map(renderReview).join('') : '<p class="text-center py-12 text-gray-500">No reviews yet</p>'}
+            </div>
+        </section>
+    </main>
+</div>`;
+
+    return renderDocument({
+        head: renderHeadTags({
+            title,
+            description,
+            url,
+            image: listing.photoUrl,
+            structuredData: buildStructuredData({ listing, summary, reviews, url })
+        }),
+        body
+    });
+}
+
+// The property index, linking every listing so crawlers can find the pages
+function renderPropertyIndex({ listings, url, propertyUrl }) {
+    const items = listings.map(listing => {
+        const location = describeLocation(listing);
+        return `
+            <li class="bg-white rounded-xl shadow-sm p-6">
+                <a href="${escapeHtml(propertyUrl(listing))}" class="text-lg font-semibold text-gray-900">${escapeHtml(listing.name)}</a>
+                ${location ? `<p class="text-sm text-gray-600">${escapeHtml(location)}</p>` : ''}
+                <p class="text-sm text-gray-700">${formatAverage(listing.averageRating)} (${listing.approvedCount} review${listing.approvedCount === 1 ? '' : 's'})</p>
+            </li>`;
+    }).join('');
+
+    const body = `
+<div class="min-h-screen bg-gray-50">
+    <main class="max-w-5xl mx-auto px-4 py-8">
+        <header class="bg-gradient-to-r from-teal-500 to-cyan-500 rounded-xl p-12 text-white text-center mb-8">
+            <h1 class="text-4xl font-bold mb-4">Our Properties</h1>
+            <p class="text-xl opacity-90">Flexible stays across London, reviewed by real guests</p>
+        </header>
+        <ul class="grid grid-cols-1 md:grid-cols-2 gap-6">${items}
+        </ul>
+    </main>
+</div>`;
+
+    return renderDocument({
+        head: renderHeadTags({
+            title: `Our Properties | ${SITE_NAME}`,
+            description: `Verified guest reviews for every ${SITE_NAME} property.`,
+            url
+        }),
+        body
+    });
+}
+
+function renderNotFoundPage({ url }) {
+    return renderDocument({
+        head: `<title>Property not found | ${SITE_NAME}</title>\n    <meta name="robots" content="noindex" />`,
+        body: `
+<main class="max-w-4xl mx-auto px-4 py-16 text-center">
+    <h1 class="text-2xl font-semibold text-gray-900 mb-2">Property not found</h1>
+    <p class="text-gray-600 mb-6">This property does not exist or is no longer listed.</p>
+    <a href="${escapeHtml(url)}" class="text-indigo-600 font-medium">See all properties</a>
+</main>`
+    });
+}
+
+// Sitemap entries: { loc, lastmod? } with lastmod as an ISO timestamp
+function renderSitemap(entries) {
+    const urls = entries.map(({ loc, lastmod }) => `
+    <url>
+        <loc>${escapeHtml(loc)}</loc>${lastmod ? `
+        <lastmod>${escapeHtml(lastmod.slice(0, 10))}</lastmod>` : ''}
+    </url>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+// The dashboard, API and embed widget stay out of search results, the property pages are listed in the sitemap
+function renderRobots({ sitemapUrl }) {
+    return [
+        'User-agent: *',
+        'Allow: /properties',
+        'Disallow: /api/',
+        'Disallow: /embed/',
+        `Sitemap: ${sitemapUrl}`,
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    buildStructuredData,
+    renderPropertyPage,
+    renderPropertyIndex,
+    renderNotFoundPage,
+    renderSitemap,
+    renderRobots
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { renderPropertyPage } = require('./render');
+
+const APP_SHELL = '<!DOCTYPE html><html><head><title>React App</title><meta name="description" content="Dashboard" /></head>'
+    + '<body><div id="root"></div></body></html>';
+
+const listing = { id: 7, name: 'Soho Loft $& Studio', city: 'London', country: 'UK' };
+const summary = { total: 1, rated: 1, averageRating: 9, categoryAverages: [] };
+const review = {
+    id: 1,
+    guestName: "Ana $'",
+    rating: 9,
+    publicReview: 'Price $& more, worth $` every penny $$',
+    submittedAt: '2025-01-10 10:00:00',
+    reply: null
+};
+
+const render = () => renderPropertyPage({ listing, summary, reviews: [review], url: 'https://example.com/properties/7' });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('renderPropertyPage in the app shell', () => {
+    beforeEach(() => {
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue(APP_SHELL);
+    });
+
+    test('dollar patterns in listing and review text are inserted as written', () => {
+        const html = render();
+
+        expect(html).toContain('Price $&amp; more, worth $` every penny $$');
+        expect(html).toContain('Ana $&#39;');
+        expect(html).toContain('<title>Soho Loft $&amp; Studio Reviews | Flex Living</title>');
+        expect(html.match(/<div id="root">/g)).toHaveLength(1);
+        expect(html.match(/<\/head>/g)).toHaveLength(1);
+    });
+
+    test('the shell title and description are replaced by the page\'s own', () => {
+        const html = render();
+
+        expect(html).not.toContain('React App');
+        expect(html).not.toContain('content="Dashboard"');
+    });
+});
+
+test('without a build the page is served on its own', () => {
+    jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+
+    expect(render()).toMatch(/^<!DOCTYPE html>[\s\S]*<div id="root">[\s\S]*Price \$&amp; more/);
+});
@@ -1,115 +1,172 @@
 const express = require('express')
 const cors = require('cors')
-const axios = require('axios')
 const path = require('path');
 require('dotenv').config();
+const reviewStore = require('./db/reviews');
+const listingStore = require('./db/listings');
+const syncStore = require('./db/sync');
+const moderationStore = require('./db/moderation');
+const channels = require('./channels');
+const { runSync, isSyncRunning, startSyncScheduler, describeUpstream } = require('./sync/engine');
+const integrationRoutes = require('./routes/integrations');
+const listingRoutes = require('./routes/listings');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const replyRoutes = require('./routes/replies');
+const replyStore = require('./db/replies');
+const alertRoutes = require('./routes/alerts');
+const embedRoutes = require('./routes/embed');
+const propertyRoutes = require('./routes/properties');
+const seoRoutes = require('./routes/seo');
+const reportRoutes = require('./routes/reports');
+const viewRoutes = require('./routes/views');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const webhookEventRoutes = require('./routes/webhookEvents');
+const { startWebhookRetries } = require('./webhooks/processor');
+const { triggerAlerts } = require('./alerts/engine');
+const liveEvents = require('./lib/liveEvents');
+const { authenticate, requireRole, ensureAdminUser } = require('./lib/auth');
+const {
+    MAX_SELECT_ALL,
+    InvalidFilterError,
+    parseReviewFilters,
+    parseStatisticsQuery,
+    parseTrendsQuery,
+    parsePagination,
+    parseBulkIds,
+    parseModerationChange
+} = require('./lib/reviewFilters');
+const { InvalidTransitionError } = require('./lib/moderation');
+const { describeUnavailability, sendUnavailable } = require('./lib/httpClient');
 
 const app = express()
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json())
+// Inbound channel webhooks authenticate with their signature and need the raw body, so they come before the JSON parser
+app.use('/api/webhooks', webhookRoutes)
+app.use(express.json({ limit: '10mb' }))
+// Server-rendered property pages, sitemap and robots.txt, ahead of the static build's own robots.txt
+app.use(seoRoutes)
 app.use(express.static(path.join(__dirname, 'build')))
+app.use(authenticate)
 
-// Hostaway API configuration
-const HOSTAWAY_CONFIG = {
-    baseURL: 'https://api.hostaway.com/v1',
-    accountId: process.env.HOSTAWAY_ACCOUNT_ID || '61148',
-    apiKey: process.env.HOSTAWAY_API_KEY || 'f94377ebbbb479490bb3ec364649168dc443dda2e4830facaf5de2e74ccc9152'
-};
-
-// In memory storage for review approvals (This would use a database in production)
-
-let reviewApprovals = new Map();
-
-// Mock review data for sandbox environment
-const mockReviews = [
-    {
-        id: 7453,
-        type: "guest-to-host",
-        status: "published",
-        rating: null,
-        publicReview: "Shane and family are wonderful! Would definitely host again. The property was immaculate and they followed all house rules perfectly. Communication was excellent throughout their stay.",
-        reviewCategory: [
-            { category: "cleanliness", rating: 9},
-            { category: "location", rating: 10},
-            { category: "amenities", rating: 9},
-            { category: "hospitality", rating: 10}
-        ],
-        submittedAt: "2024-11-28 16:20:12",
-        guestName: "Lisa Rodriguez",
-        listingName: "2B N1 A - 29 Shoreditch Heights"
-    }
-];
+// Routes
+// Reads need a viewer login, moderation and syncs a moderator, settings and accounts an admin.
+// Approved reviews for a property page stay public
 
-// Helper function to calculate overall rating from categories
-function calculateOverallRating(categories){
-    if (!categories || categories.length === 0) return 7.5;
+// Login, logout and the current user
+app.use('/api/auth', authRoutes);
 
-    const total = categories.reduce((sum, cat) => sum + (cat.rating || 0), 0);
-    return Number((total / categories.length).toFixed(1));
-}
+// Dashboard accounts (admin only)
+app.use('/api/users', userRoutes);
 
-// Routes
+// GET /api/reviews - Filtered, sorted and paginated reviews from every channel
+// Query: search, listingId, property, minRating, status (pending|approved|hidden|flagged), channel, from, to (YYYY-MM-DD),
+//        sentiment (positive|neutral|negative), theme (a lexicon theme key), themeSentiment (with theme),
+//        sortBy (date-desc|date-asc|rating-desc|rating-asc), limit (max 100), offset
+app.get('/api/reviews', requireRole('viewer'), async (req, res) => {
+    try{
+        const filters = parseReviewFilters(req.query);
+        const { limit, offset } = parsePagination(req.query);
+        const { reviews, total } = reviewStore.queryReviews(filters, { limit, offset });
 
-// GET /api/reviews/hostaway - Fetch reviews from Hostaway API
-app.get('/api/reviews/hostaway', async (req, res) => {
+        res.json({
+            success: true,
+            data: reviews,
+            total,
+            limit,
+            offset,
+            hasMore: offset + reviews.length < total,
+            summary: reviewStore.summarizeReviews(filters),
+            facets: reviewStore.getReviewFacets()
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('API Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reviews',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/reviews/ids - Ids of every review matching the /api/reviews filters, for "select all matching"
+app.get('/api/reviews/ids', requireRole('viewer'), async (req, res) => {
     try{
-        console.log('Fetching reviews from Hostaway API...')
+        const filters = parseReviewFilters(req.query);
+        const ids = reviewStore.queryReviewIds(filters, { limit: MAX_SELECT_ALL + 1 });
+        const truncated = ids.length > MAX_SELECT_ALL;
 
-        // first, should try to fetch from HostAway API
-        let apiReviews = [];
-        try{
-            const response = await axios.get(`${HOSTAWAY_CONFIG.baseURL}/reviews`, {
-                headers: {
-                    'Authorization': `Bearer ${HOSTAWAY_CONFIG.apiKey}`,
-                    'X-HOSTAWAY-ACCOUNT-ID': HOSTAWAY_CONFIG.accountId
-                },
-                params: {
-                    limit: req.query.limit || 100,
-                    offset: req.query.offset || 0,
-                    sortBy: req.query.sortBy || 'submittedAt',
-                    sortOrder: req.query.sortOrder || 'desc'
-                },
-                timeout: 10000
+        res.json({
+            success: true,
+            data: truncated ? ids.slice(0, MAX_SELECT_ALL) : ids,
+            total: reviewStore.summarizeReviews(filters).total,
+            truncated
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
             });
+        }
+        console.error('Review ids error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch review ids',
+            message: error.message
+        });
+    }
+});
 
-            if (response.data && response.data.result && response.data.result.length > 0){
-                apiReviews = response.data.result;
-                console.log(`Fetched ${apiReviews.length} reviews from Hostaway API`);
-            }
-        } catch(apiError){
-            console.log('Hostaway API returned no data (expected for sandbox), using mock data')
+// GET /api/reviews/hostaway - Hostaway reviews from the local store, kept fresh by the background sync.
+// While Hostaway is failing the stored reviews are still returned with degraded: true, with nothing stored it answers 503.
+// Mock reviews only appear when HOSTAWAY_MOCK_DATA is enabled, and source says so
+app.get('/api/reviews/hostaway', requireRole('viewer'), async (req, res) => {
+    try{
+        const adapter = channels.getAdapter('hostaway');
+        const reviews = reviewStore.getReviews({ source: 'hostaway' });
+        const syncState = syncStore.getSyncState('hostaway');
+        const upstream = describeUpstream(adapter);
+        const lastSuccess = syncStore.getLastSuccessfulRun('hostaway');
+        const problem = upstream.mockData
+            ? null
+            : (describeUnavailability(upstream) || (syncState && syncState.lastError ? { code: 'sync_failed', message: syncState.lastError } : null));
+
+        if (problem && reviews.length === 0){
+            return sendUnavailable(res, adapter.displayName, {
+                ...problem,
+                message: `No Hostaway reviews have been synced yet and the last attempt failed: ${problem.message}`
+            }, { upstream });
         }
 
-        // If no API reviews, use the mock data (which is expected for sandbox)
-        const reviews = apiReviews.length > 0 ? apiReviews : mockReviews;
-
-        // Normalise the data structure
-        const normalizedReviews = reviews.map(review => {
-            const reviewId = review.id.toString();
-            return {
-                id: review.id,
-                type: review.type,
-                status: review.status,
-                rating: review.rating || calculateOverallRating(review.reviewCategory),
-                publicReview: review.publicReview,
-                reviewCategory: review.reviewCategory || [],
-                submittedAt: review.submittedAt,
-                guestName: review.guestName,
-                listingName: review.listingName,
-                approved: reviewApprovals.get(reviewId) || false, // Default to pending approval
-                channel: 'hostaway'
-            };
-        });
+        let message = 'Data from Hostaway API';
+        if (upstream.mockData){
+            message = 'Mock data (HOSTAWAY_MOCK_DATA is enabled)';
+        } else if (problem){
+            message = `Hostaway is unavailable (${problem.message}), showing reviews from the last successful sync${lastSuccess ? ` at ${lastSuccess.finishedAt}` : ''}`;
+        } else if (reviews.length === 0){
+            message = 'No reviews have been synced from Hostaway yet';
+        }
 
         res.json({
             success: true,
-            data: normalizedReviews,
-            total: normalizedReviews.length,
-            source: apiReviews.length > 0 ? 'hostaway_api' : 'mock_data',
-            message: apiReviews.length > 0 ? 'Data from Hostaway API' : 'Using mock data (sandbox environment)'
+            data: reviews,
+            total: reviews.length,
+            source: syncState ? syncState.lastSource : null,
+            degraded: Boolean(problem),
+            lastSyncedAt: lastSuccess ? lastSuccess.finishedAt : null,
+            upstream,
+            message
         });
     } catch (error){
         console.error('API Error:', error.message);
@@ -121,106 +178,305 @@ app.get('/api/reviews/hostaway', async (req, res) => {
     }
 });
 
-// PATCH /api/reviews/:id/approval - Updates the review approval status
-app.patch('/api/reviews/:id/approval', async (req, res) => {
+// GET /api/channels - Registered channel adapters and their sync state
+app.get('/api/channels', requireRole('viewer'), async (req, res) => {
     try{
-        const reviewId = req.params.id;
-        const { approved } = req.body;
+        res.json({
+            success: true,
+            data: channels.listAdapters().map(adapter => ({
+                channel: adapter.channel,
+                displayName: adapter.displayName,
+                configured: adapter.isConfigured(),
+                supportsImport: typeof adapter.parseExport === 'function',
+                reviewCount: reviewStore.countReviews({ source: adapter.channel }),
+                syncState: syncStore.getSyncState(adapter.channel)
+            }))
+        });
+    } catch (error){
+        console.error('Channels error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch channels',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/channels/:channel/import - Imports an uploaded channel export (JSON body, or text/csv for Booking.com)
+app.post('/api/channels/:channel/import', requireRole('moderator'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    try{
+        const adapter = channels.getAdapter(req.params.channel);
+        if (!adapter || typeof adapter.parseExport !== 'function'){
+            return res.status(404).json({
+                success: false,
+                error: `Channel '${req.params.channel}' does not support imports`
+            });
+        }
 
-        if (typeof approved !== 'boolean'){
+        let records;
+        try{
+            records = adapter.parseExport(req.body);
+        } catch (parseError){
             return res.status(400).json({
                 success: false,
-                error: 'Invalid approval status. Must be boolean.'
-            })
+                error: 'Invalid export file',
+                message: parseError.message
+            });
         }
 
-        // Store approval status (in production this would also be saved in a database)
-        reviewApprovals.set(reviewId, approved);
+        const imported = reviewStore.upsertReviews(records.map(adapter.normalize));
+        console.log(`Imported ${imported} ${adapter.displayName} reviews`);
+        triggerAlerts();
+        liveEvents.publish('reviews.changed', { reason: 'import', channel: adapter.channel, count: imported });
+
+        res.json({
+            success: true,
+            message: `Imported ${imported} reviews from ${adapter.displayName}`,
+            imported
+        });
+    } catch (error){
+        console.error('Import error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import reviews',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/sync/status - Sync cursor, running flag and recent runs for each channel, ?channel= narrows it to one
+app.get('/api/sync/status', requireRole('viewer'), async (req, res) => {
+    try{
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const adapters = req.query.channel
+            ? channels.listAdapters().filter(adapter => adapter.channel === req.query.channel)
+            : channels.listAdapters();
+
+        res.json({
+            success: true,
+            data: adapters.map(adapter => ({
+                channel: adapter.channel,
+                running: isSyncRunning(adapter.channel),
+                state: syncStore.getSyncState(adapter.channel),
+                upstream: describeUpstream(adapter),
+                runs: syncStore.getRecentRuns({ source: adapter.channel, limit })
+            }))
+        });
+    } catch (error){
+        console.error('Sync status error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch sync status',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/sync/:channel - Triggers a sync in the background, ?mode=full re-pages every review
+app.post('/api/sync/:channel', requireRole('moderator'), async (req, res) => {
+    const { channel } = req.params;
+    const mode = req.query.mode || (req.body && req.body.mode);
+    const adapter = channels.getAdapter(channel);
+
+    if (!adapter || !adapter.isConfigured()){
+        return res.status(404).json({
+            success: false,
+            error: `Channel '${channel}' is not configured for syncing`
+        });
+    }
+
+    if (mode && !['full', 'incremental'].includes(mode)){
+        return res.status(400).json({
+            success: false,
+            error: "Invalid sync mode. Must be 'full' or 'incremental'."
+        });
+    }
+
+    // A sync now would fail straight away, say so instead of reporting it started
+    const unavailable = adapter.getHealth && !adapter.mockData ? describeUnavailability(adapter.getHealth()) : null;
+    if (unavailable){
+        return sendUnavailable(res, adapter.displayName, unavailable);
+    }
+
+    const alreadyRunning = isSyncRunning(channel);
+    runSync(channel, { mode }).catch(error => console.error(`${adapter.displayName} sync failed:`, error.message));
+
+    res.status(202).json({
+        success: true,
+        message: alreadyRunning ? 'Sync already in progress' : 'Sync started'
+    });
+});
+
+// Moves one review to a new moderation state and answers the request, shared by the state and legacy approval routes
+function moderateReview(req, res, { state, reason }) {
+    try{
+        const reviewId = req.params.id;
+        const review = reviewStore.setModerationState(reviewId, state, { user: req.user, reason });
+        if (!review){
+            return res.status(404).json({
+                success: false,
+                error: 'Review not found'
+            });
+        }
 
-        console.log(`Review ${reviewId} ${approved ? 'approved' : 'hidden'}`);
+        console.log(`Review ${reviewId} ${state} by ${req.user.email}${reason ? ` (${reason})` : ''}`);
+        if (state === 'flagged') triggerAlerts();
+        liveEvents.publish('reviews.moderated', {
+            reviews: [{ id: review.id, moderationState: review.moderationState, moderatedAt: review.moderatedAt }],
+            by: req.user.email
+        });
 
         res.json({
             success: true,
-            message: `Review ${approved ? 'approved' : 'hidden'} successfully`,
+            message: `Review ${state} successfully`,
             reviewId,
-            approved
+            moderationState: review.moderationState,
+            approved: review.approved
         });
     } catch (error){
-        console.error('Approval update error:', error.message);
+        if (error instanceof InvalidTransitionError){
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Moderation update error:', error.message);
         res.status(500).json({
             success: false,
-            error: 'Failed to update approval status',
+            error: 'Failed to update moderation state',
             message: error.message
         });
     }
+}
+
+// PATCH /api/reviews/:id/moderation - Moves a review to approved, hidden or flagged, with an optional reason
+app.patch('/api/reviews/:id/moderation', requireRole('moderator'), (req, res) => {
+    try{
+        moderateReview(req, res, parseModerationChange(req.body));
+    } catch (error){
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
-// GET /api/reviews/statistics - Get aggregated review statistics
-app.get('/api/reviews/statistics', async (req, res) => {
+// PATCH /api/reviews/:id/approval - Older boolean form, approved: true approves and false hides
+app.patch('/api/reviews/:id/approval', requireRole('moderator'), (req, res) => {
+    const { approved, reason } = req.body || {};
+
+    if (typeof approved !== 'boolean'){
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid approval status. Must be boolean.'
+        })
+    }
+
     try{
-        // This would typically fetch from database,uses mock data for this demo
-        const reviews = mockReviews.map(review => ({
-            ...review,
-            rating: review.rating || calculateOverallRating(review.reviewCategory),
-            approved: reviewApprovals.get(review.id.toString()) || false
-        }));
-
-        const totalReviews = reviews.length;
-        const averageRating = reviews.length > 0
-            ? (reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length).toFixed(1)
-            : 0;
-        const approvedCount = reviews.filter(review => review.approved).length;
-        const pendingCount = totalReviews - approvedCount;
-
-        // property specific stats
-        const propertyStats = {};
-        reviews.forEach(review => {
-            if(!propertyStats[review.listingName]){
-                propertyStats[review.listingName] = {
-                    total: 0,
-                    approved: 0,
-                    averageRating: 0,
-                    totalRating: 0
-                };
-            }
-            propertyStats[review.listingName].total++;
-            propertyStats[review.listingName].totalRating += review.rating;
-            if (review.approved) {
-                propertyStats[review.listingName].approved++;
+        moderateReview(req, res, parseModerationChange({ state: approved ? 'approved' : 'hidden', reason }));
+    } catch (error){
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST /api/reviews/bulk/moderation - Moves up to 100 reviews to the same moderation state
+// Body: { ids: [..], state, reason? }, each id gets its own result so one bad id or transition doesn't fail the batch
+app.post('/api/reviews/bulk/moderation', requireRole('moderator'), async (req, res) => {
+    try{
+        const { state, reason } = parseModerationChange(req.body);
+        const ids = parseBulkIds((req.body || {}).ids);
+
+        const moderated = [];
+        const results = ids.map(id => {
+            try{
+                const review = reviewStore.setModerationState(id, state, { user: req.user, reason });
+                if (!review) return { id, success: false, error: 'Review not found' };
+
+                moderated.push({ id: review.id, moderationState: review.moderationState, moderatedAt: review.moderatedAt });
+                return { id, success: true, moderationState: review.moderationState };
+            } catch (itemError){
+                return { id, success: false, error: itemError.message };
             }
         });
+        const succeeded = results.filter(result => result.success).length;
+
+        console.log(`Bulk ${state} of ${ids.length} reviews by ${req.user.email}: ${succeeded} succeeded`);
+        if (state === 'flagged' && succeeded > 0) triggerAlerts();
+        if (moderated.length > 0) liveEvents.publish('reviews.moderated', { reviews: moderated, by: req.user.email });
 
-        // Calculate average ratings per property
-        Object.keys(propertyStats).forEach(property => {
-            propertyStats[property].averageRating = 
-                (propertyStats[property].totalRating / propertyStats[property].total).toFixed(1);
+        res.json({
+            success: true,
+            data: results,
+            succeeded,
+            failed: results.length - succeeded
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Bulk moderation error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update moderation state',
+            message: error.message
         });
+    }
+});
 
+// GET /api/reviews/:id/history - Moderation changes for a review, newest first
+app.get('/api/reviews/:id/history', requireRole('viewer'), async (req, res) => {
+    try{
+        const review = reviewStore.getReviewById(req.params.id);
+        if (!review){
+            return res.status(404).json({
+                success: false,
+                error: 'Review not found'
+            });
+        }
+
+        const history = moderationStore.getReviewHistory(review.id);
         res.json({
             success: true,
-            data: {
-                overall: {
-                    totalReviews,
-                    averageRating: parseFloat(averageRating),
-                    approvedCount,
-                    pendingCount,
-                    approvalRate: totalReviews > 0 ? ((approvedCount / totalReviews) * 100).toFixed(1) : 0
-                },
-                byProperty: propertyStats,
-                recentActivity: reviews
-                .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
-                .slice(0, 5)
-                .map(review => ({
-                    id: review.id,
-                    guestName: review.guestName,
-                    listingName: review.listingName,
-                    rating: review.rating,
-                    submittedAt: review.submittedAt,
-                    approved: review.approved
-                }))
-            }
+            data: history,
+            total: history.length,
+            reviewId: review.id
         });
     } catch (error){
+        console.error('Review history error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch review history',
+            message: error.message
+        });
+    }
+});
+
+// Manager replies, published back through the review's channel
+app.use('/api/reviews/:id/reply', replyRoutes);
+
+// GET /api/reviews/statistics - Aggregated review statistics
+// Query: from, to (YYYY-MM-DD), listingId, channel, groupBy (day|week|month) adds a timeSeries
+app.get('/api/reviews/statistics', requireRole('viewer'), async (req, res) => {
+    try{
+        const { filters, groupBy } = parseStatisticsQuery(req.query);
+
+        res.json({
+            success: true,
+            data: reviewStore.getReviewStatistics(filters, { groupBy })
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('Statistics error:', error.message);
         res.status(500).json({
             success: false,
@@ -230,31 +486,65 @@ app.get('/api/reviews/statistics', async (req, res) => {
     }
 });
 
-// GET /api/reviews/property/:listingId - Get reviews for specific property
-app.get('/api/reviews/property/:listingId', async (req, res) => {
+// GET /api/reviews/trends - Time series for the trend charts
+// Query: from, to (YYYY-MM-DD), channel, groupBy (day|week|month, default week), listingIds (comma-separated, max 6)
+app.get('/api/reviews/trends', requireRole('viewer'), async (req, res) => {
+    try{
+        const { filters, groupBy, listingIds } = parseTrendsQuery(req.query);
+
+        res.json({
+            success: true,
+            data: reviewStore.getReviewTrends(filters, { groupBy, listingIds })
+        });
+    } catch (error){
+        if (error instanceof InvalidFilterError){
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Trends error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trends',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/reviews/property/:listingId - Get reviews for specific property, by listing id (see /api/listings)
+app.get('/api/reviews/property/:listingId', (req, res, next) => {
+    // Anonymous callers only get the approved reviews shown on the public property page
+    if (req.query.approved_only === 'true') return next();
+    requireRole('viewer')(req, res, next);
+}, async (req, res) => {
     try{
         const {listingId} = req.params;
         const {approved_only } = req.query;
 
-        // In production once againe this would query the database by listing the ID
-        let reviews = mockReviews
-            .filter(review => review.listingName.includes(listingId) || review.id.toString() === listingId)
-            .map(review => ({
-                ...review,
-                rating: review.rating || calculateOverallRating(review.reviewCategory),
-                approved: reviewApprovals.get(review.id.toString()) || false
-            }));
+        const listing = listingStore.getListingById(listingId);
+        if (!listing){
+            return res.status(404).json({
+                success: false,
+                error: 'Listing not found'
+            });
+        }
+
+        let reviews = reviewStore.getReviewsForListing(listing.id);
 
-            // Filter to approved only if requested
+            // Filter to approved only if requested, the public page only sees published replies
             if (approved_only === 'true'){
-                reviews = reviews.filter(review => review.approved);
+                reviews = reviews
+                    .filter(review => review.moderationState === 'approved')
+                    .map(review => ({ ...review, reply: replyStore.toPublicReply(review.reply) }));
             }
 
             res.json({
                 success: true,
                 data: reviews,
                 total: reviews.length,
-                listingId
+                listingId: listing.id,
+                listing
             });
     } catch (error){
         console.error('Property reviews error:', error.message);
@@ -266,13 +556,48 @@ app.get('/api/reviews/property/:listingId', async (req, res) => {
     }
 });
 
+// Public property pages: the listing index, listing details and approved reviews
+app.use('/api/properties', propertyRoutes);
+
+// Listings synced from Hostaway
+app.use('/api/listings', requireRole('viewer'), listingRoutes);
+
+// Integration settings (Google Places)
+app.use('/api/integrations', integrationRoutes);
+
+// Alert rules, their delivery log and the in-app notification inbox
+app.use('/api/alerts', alertRoutes);
+
+// CSV, XLSX and PDF exports of the filtered reviews
+app.use('/api/reports', requireRole('viewer'), reportRoutes);
+
+// Saved dashboard views of the logged in user
+app.use('/api/views', requireRole('viewer'), viewRoutes);
+
+// Live dashboard updates as Server-Sent Events
+app.use('/api/events', requireRole('viewer'), eventRoutes);
+
+// Received webhook events, with manual retries (admin only)
+app.use('/api/webhooks/events', requireRole('admin'), webhookEventRoutes);
+
+// Public review widget for listing websites, see embed/widget.js
+app.use('/embed', embedRoutes);
+
 // Health Check endpoint
 app.get('/api/health', (req, res) => {
+    // Channel APIs the server depends on, status is "degraded" while one of them is unavailable
+    const upstreams = Object.fromEntries(channels.listAdapters()
+        .filter(adapter => adapter.getHealth)
+        .map(adapter => [adapter.channel, describeUpstream(adapter)]));
+    const degraded = Object.values(upstreams).some(upstream => !upstream.mockData && describeUnavailability(upstream));
+
     res.json({
         success: true,
+        status: degraded ? 'degraded' : 'ok',
         message: 'Flex Living Reviews API is running',
         timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        upstreams
     });
 });
 
@@ -303,11 +628,56 @@ app.listen(PORT, () => {
     console.log(`Flex Living Reviews API running on port ${PORT}`)
     console.log(`Dashboard is available at http://localhost:${PORT}`)
     console.log(`API endpoints:`)
+    console.log(`  POST /api/auth/login`)
+    console.log(`  POST /api/auth/logout`)
+    console.log(`  GET /api/auth/me`)
+    console.log(`  GET|POST|PATCH|DELETE /api/users`)
+    console.log(`  GET /api/reviews`)
+    console.log(`  GET /api/reviews/ids`)
     console.log(`  GET /api/reviews/hostaway`)
+    console.log(`  PATCH /api/reviews/:id/moderation`)
     console.log(`  PATCH /api/reviews/:id/approval`)
+    console.log(`  POST /api/reviews/bulk/moderation`)
+    console.log(`  GET /api/reviews/:id/history`)
+    console.log(`  GET|PUT|DELETE /api/reviews/:id/reply`)
+    console.log(`  POST /api/reviews/:id/reply/publish`)
     console.log(`  GET /api/reviews/statistics`)
+    console.log(`  GET /api/reviews/trends`)
     console.log(`  GET /api/reviews/property/:listingId`)
+    console.log(`  GET /api/properties`)
+    console.log(`  GET /api/properties/:listingId`)
+    console.log(`  GET /api/properties/:listingId/reviews`)
+    console.log(`  GET /api/listings`)
+    console.log(`  GET /api/listings/:id`)
+    console.log(`  GET /api/channels`)
+    console.log(`  POST /api/channels/:channel/import`)
+    console.log(`  GET /api/sync/status`)
+    console.log(`  POST /api/sync/:channel`)
+    console.log(`  GET|PUT /api/integrations/google`)
+    console.log(`  GET|POST|PUT|DELETE /api/alerts/rules`)
+    console.log(`  POST /api/alerts/rules/:id/test`)
+    console.log(`  GET /api/alerts/deliveries`)
+    console.log(`  GET /api/alerts/notifications`)
+    console.log(`  POST /api/alerts/notifications/:id/read`)
+    console.log(`  POST /api/alerts/notifications/read-all`)
+    console.log(`  GET /api/reports?format=csv|xlsx|pdf`)
+    console.log(`  GET|POST|PUT|DELETE /api/views`)
+    console.log(`  GET /api/events (Server-Sent Events)`)
+    console.log(`  POST /api/webhooks/:channel`)
+    console.log(`  GET /api/webhooks/events, /api/webhooks/events/:id`)
+    console.log(`  POST /api/webhooks/events/:id/retry`)
     console.log(`  GET /api/health`)
+    console.log(`  GET /embed/:listingId`)
+    console.log(`  GET /properties, /properties/:listingId (server-rendered)`)
+    console.log(`  GET /sitemap.xml, /robots.txt`)
+    console.log(`  GET /embed/widget.js`)
+
+    ensureAdminUser();
+    // Picks up reviews stored before text analysis existed, and re-scores everything after a lexicon edit
+    const analyzed = reviewStore.analyzePendingReviews();
+    if (analyzed > 0) console.log(`Analysed sentiment and themes for ${analyzed} reviews`);
+    startSyncScheduler();
+    startWebhookRetries();
 });
 
 module.exports = app;
\ No newline at end of file
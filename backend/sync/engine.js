@@ -0,0 +1,155 @@
+const { SYNC_CONFIG } = require('../config');
+const reviewStore = require('../db/reviews');
+const listingStore = require('../db/listings');
+const syncStore = require('../db/sync');
+const channels = require('../channels');
+const { triggerAlerts } = require('../alerts/engine');
+const liveEvents = require('../lib/liveEvents');
+
+// Mock mode and the health of the channel's API client, for adapters that call an API through lib/httpClient
+function describeUpstream(adapter) {
+    if (!adapter || !adapter.getHealth) return null;
+    return { mockData: Boolean(adapter.mockData), ...adapter.getHealth() };
+}
+
+// Lets open dashboards show the running flag and the real last sync time
+function publishSyncStatus(source, running) {
+    liveEvents.publish('sync.status', {
+        channel: source,
+        running,
+        state: syncStore.getSyncState(source),
+        lastRun: syncStore.getRecentRuns({ source, limit: 1 })[0] || null,
+        upstream: describeUpstream(channels.getAdapter(source))
+    });
+}
+
+// A failed listing sync is logged but doesn't stop the review sync, reviews link up by name meanwhile
+async function syncListings(adapter) {
+    let synced = 0;
+    try {
+        for await (const page of adapter.fetchListings()) {
+            synced += listingStore.upsertListings(page.map(adapter.normalizeListing));
+        }
+        if (synced > 0) console.log(`${adapter.displayName} listings synced: ${synced}`);
+    } catch (error) {
+        console.error(`${adapter.displayName} listing sync failed:`, error.message);
+    }
+    return synced;
+}
+
+// An incremental sync stops at the cursor and never sees edits to older reviews, so runs that didn't ask for a
+// mode go through everything again once the last successful full sync is SYNC_CONFIG.fullSyncHours old
+function isFullSyncDue(source) {
+    if (!SYNC_CONFIG.fullSyncHours) return false;
+    const lastFull = syncStore.getLastSuccessfulRun(source, { mode: 'full' });
+    return !lastFull || Date.now() - Date.parse(lastFull.startedAt) >= SYNC_CONFIG.fullSyncHours * 60 * 60 * 1000;
+}
+
+async function syncChannel(adapter, requestedMode) {
+    const source = adapter.channel;
+    const state = syncStore.getSyncState(source);
+    const cursorBefore = state ? state.cursor : null;
+    const mode = requestedMode === 'full' || !cursorBefore || adapter.supportsIncremental === false
+        || (!requestedMode && isFullSyncDue(source))
+        ? 'full'
+        : 'incremental';
+    const runId = syncStore.startRun(source, mode, cursorBefore);
+    const totals = { pages: 0, fetched: 0, upserted: 0 };
+    let cursor = cursorBefore;
+
+    console.log(`Starting ${mode} ${adapter.displayName} sync${cursorBefore ? ` (cursor ${cursorBefore})` : ''}`);
+    publishSyncStatus(source, true);
+
+    try {
+        if (adapter.fetchListings) await syncListings(adapter);
+
+        for await (const page of adapter.fetchPages({ cursor: cursorBefore, mode })) {
+            totals.pages++;
+            totals.fetched += page.length;
+
+            // Reviews submitted at the cursor second are re-upserted, which is harmless and avoids gaps
+            const normalized = page.map(adapter.normalize);
+            const fresh = mode === 'incremental'
+                ? normalized.filter(review => (review.submittedAt || '') >= cursorBefore)
+                : normalized;
+
+            totals.upserted += reviewStore.upsertReviews(fresh);
+            fresh.forEach(review => {
+                if (review.submittedAt && (!cursor || review.submittedAt > cursor)) {
+                    cursor = review.submittedAt;
+                }
+            });
+
+            // Pages are newest first, so an incremental sync is done once it reaches already synced reviews
+            if (mode === 'incremental' && fresh.length < page.length) break;
+        }
+
+        syncStore.recordSync(source, { lastSource: totals.fetched > 0 ? adapter.dataSource : null, cursor });
+
+        syncStore.finishRun(runId, { status: 'succeeded', ...totals, cursorAfter: cursor });
+        console.log(`${adapter.displayName} sync finished: ${totals.upserted} reviews upserted from ${totals.pages} page(s)`);
+    } catch (error) {
+        console.error(`${adapter.displayName} sync failed:`, error.message);
+        // Anything upserted before the failure is kept, the cursor stays put so the next run retries the gap.
+        // Nothing stands in for the missing reviews, the dashboard shows the stored ones and the error
+        syncStore.recordSync(source, { error: error.message });
+        syncStore.finishRun(runId, { status: 'failed', ...totals, cursorAfter: cursorBefore, error: error.message });
+    }
+
+    // Runs after failures too, reviews upserted before the error still need checking
+    triggerAlerts();
+    publishSyncStatus(source, false);
+    if (totals.upserted > 0) {
+        liveEvents.publish('reviews.changed', { reason: 'sync', channel: source, count: totals.upserted });
+    }
+    return syncStore.getRecentRuns({ source, limit: 1 })[0];
+}
+
+// One in-flight sync per channel, concurrent triggers share the running one
+const currentSyncs = new Map();
+
+function runSync(channel, { mode } = {}) {
+    const adapter = channels.getAdapter(channel);
+    if (!adapter) {
+        return Promise.reject(new Error(`Unknown channel '${channel}'`));
+    }
+
+    if (!currentSyncs.has(channel)) {
+        currentSyncs.set(channel, syncChannel(adapter, mode).finally(() => {
+            currentSyncs.delete(channel);
+        }));
+    }
+    return currentSyncs.get(channel);
+}
+
+function isSyncRunning(channel) {
+    return currentSyncs.has(channel);
+}
+
+// Syncs every configured channel one after another
+async function runAllSyncs() {
+    for (const adapter of channels.listAdapters().filter(a => a.isConfigured())) {
+        await runSync(adapter.channel);
+    }
+}
+
+// Runs a sync straight away and then every SYNC_INTERVAL_MINUTES, returns a function that stops it
+function startSyncScheduler() {
+    syncStore.failInterruptedRuns();
+    // syncChannel records its own failures, this catches anything thrown outside it (e.g. a database error)
+    const syncAll = () => runAllSyncs().catch(error => console.error('Scheduled sync failed:', error.message));
+    syncAll();
+
+    if (!SYNC_CONFIG.intervalMinutes) return () => {};
+
+    const timer = setInterval(syncAll, SYNC_CONFIG.intervalMinutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    describeUpstream,
+    runSync,
+    isSyncRunning,
+    startSyncScheduler
+};
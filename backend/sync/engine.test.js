@@ -0,0 +1,44 @@
+const { HOSTAWAY_CONFIG, SYNC_CONFIG } = require('../config');
+const db = require('../db');
+const { runSync } = require('./engine');
+
+// Bundled mock reviews stand in for the Hostaway API
+HOSTAWAY_CONFIG.mockData = true;
+
+// Moves the last full run back in time, as if it happened that many hours ago
+const ageLastFullSync = (hours) => db.prepare(`
+    UPDATE sync_runs SET started_at = ? WHERE id = (SELECT MAX(id) FROM sync_runs WHERE mode = 'full')
+`).run(new Date(Date.now() - hours * 60 * 60 * 1000).toISOString());
+
+beforeEach(() => {
+    SYNC_CONFIG.fullSyncHours = 24;
+});
+
+test('the first sync is full, later ones are incremental', async () => {
+    const first = await runSync('hostaway');
+    expect(first).toMatchObject({ mode: 'full', status: 'succeeded' });
+    expect(first.upserted).toBeGreaterThan(0);
+
+    expect(await runSync('hostaway')).toMatchObject({ mode: 'incremental', status: 'succeeded' });
+});
+
+test('a full sync runs again once the last one is older than the full sync period', async () => {
+    ageLastFullSync(23);
+    expect((await runSync('hostaway')).mode).toBe('incremental');
+
+    ageLastFullSync(25);
+    expect((await runSync('hostaway')).mode).toBe('full');
+    expect((await runSync('hostaway')).mode).toBe('incremental');
+});
+
+test('an explicitly requested mode is kept', async () => {
+    ageLastFullSync(48);
+    expect((await runSync('hostaway', { mode: 'incremental' })).mode).toBe('incremental');
+    expect((await runSync('hostaway', { mode: 'full' })).mode).toBe('full');
+});
+
+test('periodic full syncs can be turned off', async () => {
+    SYNC_CONFIG.fullSyncHours = 0;
+    ageLastFullSync(48);
+    expect((await runSync('hostaway')).mode).toBe('incremental');
+});
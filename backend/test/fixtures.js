@@ -0,0 +1,16 @@
+// Shared test data, required by the *.test.js suites next to the code
+
+// A normalised Hostaway review as the adapters hand it to reviewStore.upsertReviews, fields override the defaults
+const review = (externalId, fields) => ({
+    source: 'hostaway',
+    channel: 'airbnb',
+    externalId,
+    rating: 9,
+    reviewCategory: [],
+    submittedAt: '2025-01-10 10:00:00',
+    ...fields
+});
+
+module.exports = {
+    review
+};
@@ -0,0 +1,166 @@
+// Inbound review webhooks: verifies the sender, stores the raw event once, then upserts its reviews.
+// Events that fail are retried with a doubling delay, the admin event log shows what happened to each one
+const crypto = require('crypto');
+const { WEBHOOK_CONFIG } = require('../config');
+const webhookStore = require('../db/webhooks');
+const reviewStore = require('../db/reviews');
+const channels = require('../channels');
+const { triggerAlerts } = require('../alerts/engine');
+const liveEvents = require('../lib/liveEvents');
+
+class WebhookRejectedError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'WebhookRejectedError';
+        this.status = status;
+    }
+}
+
+// Adapter and secret for a channel, null when the channel doesn't exist or has no webhook secret configured
+function getWebhookChannel(channel) {
+    const adapter = channels.getAdapter(channel);
+    const secret = WEBHOOK_CONFIG.secrets[channel];
+    return adapter && secret ? { adapter, secret } : null;
+}
+
+function safeEqual(actual, expected) {
+    const a = Buffer.from(String(actual));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Rejects a request whose X-Webhook-Timestamp (unix seconds) is missing, unreadable or further than the
+// tolerance from now, so a captured request can't be replayed later
+function checkTimestamp(timestamp, now) {
+    const sentAt = Number(timestamp);
+    if (!timestamp || !Number.isInteger(sentAt)) {
+        throw new WebhookRejectedError(401, 'Missing or invalid X-Webhook-Timestamp');
+    }
+    if (Math.abs(now - sentAt * 1000) > WEBHOOK_CONFIG.toleranceSeconds * 1000) {
+        throw new WebhookRejectedError(401, 'Webhook timestamp is outside the allowed window');
+    }
+}
+
+// Accepts an HMAC-SHA256 of "<timestamp>.<raw body>" (X-Webhook-Signature: sha256=<hex> with X-Webhook-Timestamp),
+// the shared secret itself (X-Webhook-Secret) or Basic auth with the secret as password, which is what Hostaway's
+// unified webhooks send. The last two carry no timestamp to sign, a timestamp is checked when one is sent and
+// replays are otherwise caught by event id deduplication. Throws WebhookRejectedError when the request fails
+function verifyRequest(headers, rawBody, secret, now = Date.now()) {
+    const timestamp = headers['x-webhook-timestamp'];
+    const signature = headers['x-webhook-signature'];
+    let verified = false;
+    if (signature) {
+        checkTimestamp(timestamp, now);
+        const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+        verified = safeEqual(signature.replace(/^sha256=/, ''), expected);
+    } else if (headers['x-webhook-secret']) {
+        verified = safeEqual(headers['x-webhook-secret'], secret);
+    } else {
+        const basic = /^Basic\s+(\S+)$/i.exec(headers.authorization || '');
+        if (basic) {
+            const credentials = Buffer.from(basic[1], 'base64').toString('utf8');
+            verified = safeEqual(credentials.slice(credentials.indexOf(':') + 1), secret);
+        }
+    }
+
+    if (!verified) {
+        throw new WebhookRejectedError(401, 'Invalid webhook signature');
+    }
+    if (timestamp && !signature) {
+        checkTimestamp(timestamp, now);
+    }
+}
+
+// The sender's event id when it sends one, otherwise a hash of the body so redelivered events still deduplicate
+function describeEvent(payload, rawBody) {
+    const eventId = payload.eventId ?? payload.id;
+    return {
+        eventId: eventId !== undefined && eventId !== null
+            ? String(eventId)
+            : `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`,
+        eventType: payload.event ?? payload.type ?? null
+    };
+}
+
+// Raw review records in the payload. Adapters with their own webhook format implement parseWebhook,
+// the generic format carries `reviews`, `review` or `data`
+function extractReviews(adapter, payload) {
+    if (adapter.parseWebhook) return adapter.parseWebhook(payload);
+    if (Array.isArray(payload.reviews)) return payload.reviews;
+    const record = payload.review || payload.data;
+    return record ? [record] : [];
+}
+
+function nextAttemptAt(attempts) {
+    if (attempts >= WEBHOOK_CONFIG.maxAttempts) return null;
+    const delay = WEBHOOK_CONFIG.retryDelaySeconds * 1000 * 2 ** (attempts - 1);
+    return new Date(Date.now() + delay).toISOString();
+}
+
+// Runs a stored event through normalisation and alert evaluation, failures are recorded for a later retry
+function processEvent(event) {
+    const adapter = channels.getAdapter(event.channel);
+    try {
+        if (!adapter) throw new Error(`Unknown channel '${event.channel}'`);
+
+        const records = extractReviews(adapter, JSON.parse(event.payload));
+        const upserted = reviewStore.upsertReviews(records.map(adapter.normalize));
+        if (upserted > 0) {
+            triggerAlerts();
+            liveEvents.publish('reviews.changed', { reason: 'webhook', channel: event.channel, count: upserted });
+        }
+        return webhookStore.markProcessed(event.id, upserted);
+    } catch (error) {
+        const failed = webhookStore.markFailed(event.id, error.message, nextAttemptAt(event.attempts + 1));
+        console.error(`Webhook event ${event.id} (${event.channel}) failed on attempt ${failed.attempts}:`, error.message);
+        return failed;
+    }
+}
+
+// Verifies, stores and processes one delivery. Returns { event, duplicate }, throws WebhookRejectedError for
+// requests that are never stored (unknown channel, bad or stale signature, unreadable body)
+function receiveWebhook(channel, headers, rawBody) {
+    const target = getWebhookChannel(channel);
+    if (!target) {
+        throw new WebhookRejectedError(404, `Webhooks are not enabled for channel '${channel}'`);
+    }
+    verifyRequest(headers, rawBody, target.secret);
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+        throw new WebhookRejectedError(400, 'Webhook body must be JSON');
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new WebhookRejectedError(400, 'Webhook body must be a JSON object');
+    }
+
+    const { eventId, eventType } = describeEvent(payload, rawBody);
+    const stored = webhookStore.recordEvent({ channel, eventId, eventType, payload: rawBody.toString('utf8') });
+    if (!stored) {
+        return { event: webhookStore.getEventByEventId(channel, eventId), duplicate: true };
+    }
+    return { event: processEvent(stored), duplicate: false };
+}
+
+function retryDueEvents() {
+    webhookStore.getDueRetries().forEach(processEvent);
+}
+
+// Retries failed events as they come due, returns a function that stops it
+function startWebhookRetries() {
+    webhookStore.getPendingEvents().forEach(processEvent);
+    retryDueEvents();
+    const timer = setInterval(retryDueEvents, Math.min(WEBHOOK_CONFIG.retryDelaySeconds, 60) * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    WebhookRejectedError,
+    verifyRequest,
+    receiveWebhook,
+    processEvent,
+    startWebhookRetries
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { WEBHOOK_CONFIG } = require('../config');
+const reviewStore = require('../db/reviews');
+const webhookStore = require('../db/webhooks');
+const { WebhookRejectedError, verifyRequest, receiveWebhook, startWebhookRetries } = require('./processor');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+
+const sign = (body, timestamp, secret = SECRET) => ({
+    'x-webhook-timestamp': String(timestamp),
+    'x-webhook-signature': `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+});
+
+const reviewEvent = (id, publicReview = 'Spotless flat, great host.') => JSON.stringify({
+    object: 'review',
+    event: 'review.created',
+    data: {
+        id,
+        type: 'guest-to-host',
+        status: 'published',
+        rating: 9,
+        publicReview,
+        reviewCategory: [],
+        submittedAt: '2025-02-28 09:00:00',
+        guestName: 'Webhook Guest',
+        listingName: 'Soho Loft',
+        channelId: 2018
+    }
+});
+
+const rejection = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error instanceof WebhookRejectedError ? { status: error.status, message: error.message } : error;
+    }
+    return null;
+};
+
+beforeAll(() => {
+    WEBHOOK_CONFIG.secrets.hostaway = SECRET;
+    WEBHOOK_CONFIG.maxAttempts = 3;
+    WEBHOOK_CONFIG.retryDelaySeconds = 30;
+    WEBHOOK_CONFIG.toleranceSeconds = 300;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('verifyRequest', () => {
+    const body = Buffer.from(reviewEvent(1));
+    const timestamp = NOW / 1000;
+
+    test('accepts a signature of the timestamp and body made with the secret', () => {
+        expect(rejection(() => verifyRequest(sign(body, timestamp), body, SECRET, NOW))).toBeNull();
+    });
+
+    test('rejects a signature made with another secret or over another body', () => {
+        expect(rejection(() => verifyRequest(sign(body, timestamp, 'other'), body, SECRET, NOW)))
+            .toEqual({ status: 401, message: 'Invalid webhook signature' });
+        expect(rejection(() => verifyRequest(sign(body, timestamp), Buffer.from(reviewEvent(2)), SECRET, NOW)))
+            .toEqual({ status: 401, message: 'Invalid webhook signature' });
+    });
+
+    test('rejects a signature whose timestamp was changed', () => {
+        const headers = { ...sign(body, timestamp), 'x-webhook-timestamp': String(timestamp + 10) };
+        expect(rejection(() => verifyRequest(headers, body, SECRET, NOW)).message).toBe('Invalid webhook signature');
+    });
+
+    test('rejects signed requests outside the tolerance window', () => {
+        expect(rejection(() => verifyRequest(sign(body, timestamp - 301), body, SECRET, NOW)))
+            .toEqual({ status: 401, message: 'Webhook timestamp is outside the allowed window' });
+        expect(rejection(() => verifyRequest(sign(body, timestamp + 301), body, SECRET, NOW)).status).toBe(401);
+        expect(rejection(() => verifyRequest(sign(body, timestamp - 299), body, SECRET, NOW))).toBeNull();
+    });
+
+    test('rejects a signature without a usable timestamp', () => {
+        const { 'x-webhook-timestamp': omitted, ...headers } = sign(body, timestamp);
+        expect(rejection(() => verifyRequest(headers, body, SECRET, NOW)).message).toBe('Missing or invalid X-Webhook-Timestamp');
+        expect(rejection(() => verifyRequest({ ...headers, 'x-webhook-timestamp': 'yesterday' }, body, SECRET, NOW)).status)
+            .toBe(401);
+    });
+
+    test('accepts the shared secret in a header or as the Basic auth password', () => {
+        const basic = `Basic ${Buffer.from(`hostaway:${SECRET}`).toString('base64')}`;
+        expect(rejection(() => verifyRequest({ 'x-webhook-secret': SECRET }, body, SECRET, NOW))).toBeNull();
+        expect(rejection(() => verifyRequest({ authorization: basic }, body, SECRET, NOW))).toBeNull();
+        expect(rejection(() => verifyRequest({ 'x-webhook-secret': 'wrong' }, body, SECRET, NOW)).status).toBe(401);
+    });
+
+    test('checks a timestamp sent alongside the shared secret', () => {
+        const headers = { 'x-webhook-secret': SECRET, 'x-webhook-timestamp': String(timestamp - 3600) };
+        expect(rejection(() => verifyRequest(headers, body, SECRET, NOW)).message)
+            .toBe('Webhook timestamp is outside the allowed window');
+    });
+
+    test('rejects requests without credentials', () => {
+        expect(rejection(() => verifyRequest({}, body, SECRET, NOW)).status).toBe(401);
+    });
+});
+
+describe('receiveWebhook', () => {
+    const deliver = (body, channel = 'hostaway') =>
+        receiveWebhook(channel, sign(body, Math.floor(Date.now() / 1000)), Buffer.from(body));
+
+    test('channels without a secret answer 404', () => {
+        expect(rejection(() => deliver(reviewEvent(10), 'booking')).status).toBe(404);
+    });
+
+    test('stores and processes an event, a redelivery is a duplicate', () => {
+        const body = JSON.stringify({ ...JSON.parse(reviewEvent(11)), eventId: 'evt-11' });
+
+        const first = deliver(body);
+        expect(first.duplicate).toBe(false);
+        expect(first.event).toMatchObject({ eventId: 'evt-11', status: 'processed', attempts: 1, reviewCount: 1 });
+
+        const upsert = jest.spyOn(reviewStore, 'upsertReviews');
+        const second = deliver(body);
+        expect(second.duplicate).toBe(true);
+        expect(second.event.id).toBe(first.event.id);
+        expect(upsert).not.toHaveBeenCalled();
+    });
+
+    test('events without an id are deduplicated by their body', () => {
+        const body = reviewEvent(12);
+        const first = deliver(body);
+        expect(first.event.eventId).toMatch(/^sha256:/);
+        expect(deliver(body)).toMatchObject({ duplicate: true, event: { id: first.event.id } });
+    });
+
+    test('bodies that are not a JSON object are rejected before being stored', () => {
+        expect(rejection(() => deliver('not json')).status).toBe(400);
+        expect(rejection(() => deliver('[1, 2]')).status).toBe(400);
+    });
+
+    test('a failing event is retried with a doubling delay until it is dead', () => {
+        jest.useFakeTimers({ now: NOW });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(reviewStore, 'upsertReviews').mockImplementation(() => {
+            throw new Error('database is locked');
+        });
+
+        const { event } = deliver(JSON.stringify({ ...JSON.parse(reviewEvent(13)), eventId: 'evt-13' }));
+        expect(event).toMatchObject({ status: 'failed', attempts: 1, lastError: 'database is locked' });
+        expect(Date.parse(event.nextAttemptAt) - NOW).toBe(30000);
+
+        const stop = startWebhookRetries();
+        jest.advanceTimersByTime(30000);
+        const second = webhookStore.getEvent(event.id);
+        expect(second).toMatchObject({ status: 'failed', attempts: 2 });
+        expect(Date.parse(second.nextAttemptAt) - Date.parse(event.nextAttemptAt)).toBe(60000);
+
+        jest.advanceTimersByTime(60000);
+        expect(webhookStore.getEvent(event.id)).toMatchObject({ status: 'dead', attempts: 3, nextAttemptAt: null });
+
+        jest.advanceTimersByTime(600000);
+        expect(webhookStore.getEvent(event.id).attempts).toBe(3);
+        stop();
+    });
+});
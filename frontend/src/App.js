@@ -1,5 +1,65 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Star, Filter, Users, TrendingUp, CheckCircle, Clock, BarChart3, AlertTriangle, Search, Download, ExternalLink } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Filter, Users, TrendingUp, CheckCircle, Clock, BarChart3, AlertTriangle, Search, Download, ExternalLink, LogOut, History, MessageSquare, Webhook } from 'lucide-react';
+import GoogleIntegrationModal from './components/GoogleIntegrationModal';
+import LoginScreen from './components/LoginScreen';
+import ReviewHistoryDrawer from './components/ReviewHistoryDrawer';
+import BulkActionsBar from './components/BulkActionsBar';
+import ReviewReplyComposer from './components/ReviewReplyComposer';
+import TrendsPanel from './components/TrendsPanel';
+import StarRating from './components/StarRating';
+import NotificationInbox from './components/NotificationInbox';
+import AlertRulesModal from './components/AlertRulesModal';
+import WebhookEventsModal from './components/WebhookEventsModal';
+import SavedViewsPanel from './components/SavedViewsPanel';
+import Highlighted from './components/Highlighted';
+import { API_BASE_URL, apiFetch, getSession, clearSession, hasRole, SESSION_EXPIRED_EVENT } from './api';
+import { MODERATION_STATES, MODERATION_ACTIONS, REASON_STATES, formatModerationState } from './moderation';
+import { SENTIMENTS, formatTheme } from './sentiment';
+import { formatChannelName, formatCategoryName, formatDate, formatAverage, formatApprovalRate } from './format';
+import { Link } from './router';
+import { readDashboardState, buildDashboardQuery } from './dashboardUrl';
+import useLiveEvents from './useLiveEvents';
+
+/**
+ * Number of reviews requested per page from /api/reviews
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Largest page /api/reviews returns, live refreshes reload at most this many loaded reviews
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Number of review ids sent per /api/reviews/bulk/moderation request (the server's maximum)
+ */
+const BULK_BATCH_SIZE = 100;
+
+/**
+ * Analytics shown until /api/reviews/statistics has responded
+ */
+const EMPTY_STATISTICS = {
+  overall: {
+    totalReviews: 0, averageRating: 0, approvedCount: 0, pendingCount: 0, hiddenCount: 0, flaggedCount: 0,
+    approvalRate: null, lowRatedCount: 0, positiveCount: 0, negativeCount: 0
+  },
+  byProperty: {},
+  byChannel: {},
+  recentActivity: []
+};
+
+/**
+ * Reads one channel's entry of /api/sync/status, or a sync.status live event, into the header's sync state
+ *
+ * @param {Object} channel - { running, state, upstream }
+ * @returns {Object} { running, lastSyncedAt, lastError, upstream }
+ */
+const toSyncStatus = (channel) => ({
+  running: channel.running,
+  lastSyncedAt: channel.state ? channel.state.lastSyncedAt : null,
+  lastError: channel.state ? channel.state.lastError : null,
+  upstream: channel.upstream || null // Circuit and mock mode of channels with an API client
+});
 
 /**
  * Flex Living Reviews Dashboard - Main application component
@@ -10,7 +70,7 @@ import { Star, Filter, Users, TrendingUp, CheckCircle, Clock, BarChart3, AlertTr
  * Features:
  * - Manager Dashboard: Review approval workflow and filtering
  * - Analytics: Performance insights and trend analysis  
- * - Property Display: Public-facing review showcase
+ * - Property Pages: link to the public pages at /properties (see PropertyPages)
  * 
  * @author Sean-Robert Ntonya
  * @version 1.0
@@ -20,344 +80,641 @@ const FlexLivingDashboard = () => {
   // STATE MANAGEMENT
   // =========================================================================
 
-  // Core review data - stores all reviews from API
+  // Logged in manager (token, expiry and user), null shows the login screen
+  const [session, setSession] = useState(getSession);
+
+  // Current page(s) of reviews returned by the server for the active filters
   const [reviews, setReviews] = useState([]);
-  // Filtered subset of reviews based on current search/filter criteria
-  const [filteredReviews, setFilteredReviews] = useState([]);
+  // Pagination info for the dashboard list (total matches and whether more pages exist)
+  const [pageInfo, setPageInfo] = useState({ total: 0, hasMore: false });
+  // Server-computed counts for the whole filtered set, and distinct values for the filter dropdowns
+  const [summary, setSummary] = useState({ total: 0, avgRating: null, unrated: 0, approved: 0, pending: 0, hidden: 0, flagged: 0 });
+  const [facets, setFacets] = useState({ properties: [], listings: [], channels: [], themes: [] });
+  // Server-computed statistics for the Analytics tab, scoped to the property, channel and date filters
+  const [statistics, setStatistics] = useState(null);
+
+  // Tab, search, date range and filters start from the URL, so reloads and shared links keep them
+  const [initialView] = useState(() => readDashboardState(window.location.search));
 
   // UI state for tab navigation and loading indicators
-  const [activeTab, setActiveTab] = useState('dashboard'); // Current active tab
-  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [activeTab, setActiveTab] = useState(initialView.activeTab); // Current active tab
+  const [loading, setLoading] = useState(true); // Loading state for the first API call
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for "Load more" pages
   // User friendly errors
   const [error, setError] = useState(null);
   // Search and filtering state
-  const [searchTerm, setSearchTerm] = useState(''); // Text search across reviews
-  const [dateRange, setDateRange] = useState({ start: '', end: '' }); // Date range filter
-  const [filters, setFilters] = useState({
-    property: '',           // Selected property filter
-    rating: '',            // Minimum rating filter (6+, 7+, 8+, 9+)
-    status: '',            // Approval status filter (approved/pending)
-    date: '',              // Single date filter (legacy)
-    sortBy: 'date-desc',   // Sort order (date-desc, date-asc, rating-desc, rating-asc)
-    channel: ''            // Review channel filter (hostaway, google, etc.)
-  });
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm); // Text search across reviews
+  const [debouncedSearch, setDebouncedSearch] = useState(initialView.searchTerm.trim()); // Search term sent to the API
+  const [dateRange, setDateRange] = useState(initialView.dateRange); // Date range filter
+  const [filters, setFilters] = useState(initialView.filters); // See DEFAULT_FILTERS in dashboardUrl.js
+  // Google Reviews integration status and configuration modal visibility
+  const [googleStatus, setGoogleStatus] = useState(null);
+  const [showGoogleConfig, setShowGoogleConfig] = useState(false);
+  // Alert rules modal visibility
+  const [showAlertRules, setShowAlertRules] = useState(false);
+  // Inbound webhook event log visibility (admin only)
+  const [showWebhookEvents, setShowWebhookEvents] = useState(false);
+  // Review whose moderation history drawer is open
+  const [historyReview, setHistoryReview] = useState(null);
+  // Review ids selected for bulk moderation, and the progress of the running/last bulk action
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkProgress, setBulkProgress] = useState(null);
+  // Sync state per channel ({ running, lastSyncedAt, lastError, upstream }), kept current by live updates
+  const [syncStatus, setSyncStatus] = useState({});
+  // Set when a live update means the loaded reviews or counts may be out of date
+  const [staleAt, setStaleAt] = useState(null);
+  // Report format for the export button (csv, xlsx or pdf) and whether a download is running
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
 
   /**
-   * API Base URL configuration
-   * Switches between production Railway backend and local development
-   * Production: Points to Railway-deployed Express server
-   * Development: Uses relative URLs (proxy or same origin)
+   * Builds the /api/reviews query string for the current filters
+   *
+   * @returns {URLSearchParams} Filter parameters understood by the backend
    */
-  const API_BASE_URL = process.env.NODE_ENV === 'production'
-    ? 'https://flexlivingreviews-production.up.railway.app'
-    : '';
+  const reviewQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (debouncedSearch) params.set('search', debouncedSearch);
+    if (filters.listingId) params.set('listingId', filters.listingId);
+    if (filters.rating) params.set('minRating', filters.rating);
+    if (filters.status) params.set('status', filters.status);
+    if (filters.channel) params.set('channel', filters.channel);
+    if (filters.sentiment) params.set('sentiment', filters.sentiment);
+    if (filters.theme) params.set('theme', filters.theme);
+    if (filters.theme && filters.themeSentiment) params.set('themeSentiment', filters.themeSentiment);
+    if (dateRange.start) params.set('from', dateRange.start);
+    if (dateRange.end) params.set('to', dateRange.end);
+    params.set('sortBy', filters.sortBy);
+    return params;
+  }, [debouncedSearch, filters, dateRange]);
 
   /**
-   * Fetches reviews from the backend API
-   * 
-   * The backend connects to Hostaway API and falls back to mock data
-   * if the API is unavailable (expected in sandbox environment).
-   * Updates both reviews and filteredReviews state with normalized data.
-   * 
+   * Fetches one page of reviews from the backend API
+   *
+   * @async
+   * @param {URLSearchParams} query - Filter parameters
+   * @param {number} offset - Index of the first review to return
+   * @param {number} [limit] - Page size
+   * @returns {Object} API response body (data, total, hasMore, summary, facets)
+   */
+  const fetchReviewPage = useCallback(async (query, offset, limit = PAGE_SIZE) => {
+    const params = new URLSearchParams(query);
+    params.set('limit', limit);
+    params.set('offset', offset);
+    const response = await apiFetch(`${API_BASE_URL}/api/reviews?${params}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return data;
+  }, []);
+
+  /**
+   * Fetches reviews for the dashboard list
+   *
+   * The backend filters, sorts and paginates reviews from every channel
+   * (Hostaway, Airbnb, Booking.com) out of its local store, which background
+   * syncs keep up to date (mock data only with HOSTAWAY_MOCK_DATA enabled).
+   * Replaces the list, or appends the page when an offset is given.
+   *
    * @async
    * @function fetchReviews
+   * @param {Object} [options]
+   * @param {number} [options.offset] - Offset of the page to append (0 starts over)
    */
-  const fetchReviews = useCallback(async () => {
+  const fetchReviews = useCallback(async ({ offset = 0 } = {}) => {
+    const append = offset > 0;
     try {
-      setLoading(true);
+      if (append) setLoadingMore(true);
       setError(null); // Clears previous errors
-      // Call backend API endpoint that handles Hostaway integration
-      const response = await fetch(`${API_BASE_URL}/api/reviews/hostaway`);
-      const data = await response.json();
+      const data = await fetchReviewPage(reviewQuery, offset);
 
-      if (data.success) {
-        // Update state with normalized review data
-        setReviews(data.data);
-        setFilteredReviews(data.data);
-      } else {
-        console.error('Failed to fetch reviews:', data.error);
-        // TODO: Add user-facing error message
-      }
+      setReviews(prev => append ? [...prev, ...data.data] : data.data);
+      setPageInfo({ total: data.total, hasMore: data.hasMore });
+      setSummary(data.summary);
+      setFacets(data.facets);
     } catch (error) {
       setError("Failed to load reviews. Please try again later");
       console.error('Network error:', error);
-      // TODO: Add retry mechanism and user notification
     } finally {
       setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [fetchReviewPage, reviewQuery]);
+
+  /**
+   * Fetches statistics (overall, by property and by channel) for the Analytics tab
+   * Scoped to the dashboard's property, channel and date range filters
+   *
+   * @async
+   * @function fetchStatistics
+   */
+  const fetchStatistics = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.listingId) params.set('listingId', filters.listingId);
+      if (filters.channel) params.set('channel', filters.channel);
+      if (dateRange.start) params.set('from', dateRange.start);
+      if (dateRange.end) params.set('to', dateRange.end);
+
+      const response = await apiFetch(`${API_BASE_URL}/api/reviews/statistics?${params}`);
+      const data = await response.json();
+      if (data.success) setStatistics(data.data);
+    } catch (error) {
+      console.error('Failed to fetch statistics:', error);
+    }
+  }, [filters.listingId, filters.channel, dateRange]);
+
+  /**
+   * Fetches the Google Reviews integration status for the Analytics panel
+   *
+   * @async
+   * @function fetchGoogleStatus
+   */
+  const fetchGoogleStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/integrations/google`);
+      const data = await response.json();
+      if (data.success) setGoogleStatus(data.data);
+    } catch (error) {
+      console.error('Failed to fetch Google integration status:', error);
+    }
+  }, []);
+
+  /**
+   * Fetches each channel's sync state for the "Last synced" header
+   *
+   * @async
+   * @function fetchSyncStatus
+   */
+  const fetchSyncStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/sync/status?limit=1`);
+      const data = await response.json();
+      if (!data.success) return;
+      setSyncStatus(Object.fromEntries(data.data.map(channel => [channel.channel, toSyncStatus(channel)])));
+    } catch (error) {
+      console.error('Failed to fetch sync status:', error);
+    }
+  }, []);
+
+  /**
+   * Reloads the reviews already on screen, keeping how far the list has been paged
+   * Used after live updates, so other managers' changes and new reviews show up in place
+   *
+   * @async
+   * @function refreshLoadedReviews
+   */
+  const refreshLoadedReviews = useCallback(async () => {
+    const limit = Math.min(Math.max(reviews.length, PAGE_SIZE), MAX_PAGE_SIZE);
+    try {
+      const data = await fetchReviewPage(reviewQuery, 0, limit);
+      const freshIds = new Set(data.data.map(review => review.id));
+      setReviews(prev => [...data.data, ...prev.slice(limit).filter(review => !freshIds.has(review.id))]);
+      setPageInfo({ total: data.total, hasMore: data.hasMore });
+      setSummary(data.summary);
+      setFacets(data.facets);
+    } catch (error) {
+      console.error('Failed to refresh reviews:', error);
+    }
+  }, [fetchReviewPage, reviewQuery, reviews.length]);
+
+  /**
+   * Applies a live update from another manager's session, a sync or an import
+   *
+   * @param {string} type - Event type from /api/events
+   * @param {Object} data - Event payload
+   */
+  const handleLiveEvent = (type, data) => {
+    if (type === 'reviews.moderated') {
+      const changes = new Map(data.reviews.map(change => [change.id, change]));
+      setReviews(prev => prev.map(review => changes.has(review.id)
+        ? {
+          ...review,
+          moderationState: changes.get(review.id).moderationState,
+          approved: changes.get(review.id).moderationState === 'approved',
+          moderatedAt: changes.get(review.id).moderatedAt
+        }
+        : review));
+    }
+    if (type === 'review.reply') {
+      setReviews(prev => prev.map(review => review.id === data.reviewId ? { ...review, reply: data.reply } : review));
+    }
+    if (type === 'sync.status') {
+      setSyncStatus(prev => ({
+        ...prev,
+        [data.channel]: toSyncStatus(data)
+      }));
     }
-  }, [API_BASE_URL]);
+    // Counts, filter matches and new reviews need the server, so these reload the list shortly after
+    if (['reviews.moderated', 'reviews.changed', 'resync'].includes(type)) {
+      setStaleAt(Date.now());
+    }
+  };
+
+  const live = useLiveEvents(API_BASE_URL, session ? session.token : null, handleLiveEvent);
+
+  /**
+   * Live refresh effect
+   * Waits for a burst of updates (e.g. a bulk action) to settle before reloading once
+   */
+  useEffect(() => {
+    if (!staleAt) return undefined;
+    const timer = setTimeout(() => {
+      setStaleAt(null);
+      refreshLoadedReviews();
+      fetchStatistics();
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [staleAt, refreshLoadedReviews, fetchStatistics]);
+
+  /**
+   * Session expiry effect
+   * Returns to the login screen when the API rejects the stored token
+   */
+  useEffect(() => {
+    const onExpired = () => setSession(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, onExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, onExpired);
+  }, []);
 
   /**
    * Initial data loading effect
-   * Runs once when component mounts to fetch reviews from API
+   * Runs after login to fetch the integration data
    */
   useEffect(() => {
-    fetchReviews();
-  }, [fetchReviews]);
+    if (!session) return;
+    fetchGoogleStatus();
+    fetchSyncStatus();
+  }, [session, fetchGoogleStatus, fetchSyncStatus]);
+
+  /**
+   * Statistics effect
+   * Reloads the analytics whenever the property, channel or date range filters change
+   */
+  useEffect(() => {
+    if (!session) return;
+    fetchStatistics();
+  }, [session, fetchStatistics]);
+
+  /**
+   * Search debounce effect
+   * Waits for typing to pause before the search term is sent to the API
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   /**
    * Filtering and sorting effect
-   * 
-   * Runs whenever reviews, filters, search term, or date range changes.
-   * Applies all active filters and sorting to the reviews dataset.
-   * This is the core filtering logic that powers the dashboard's search functionality.
+   *
+   * Runs whenever filters, the search term or the date range change.
+   * Filtering, sorting and pagination all happen on the server, this just
+   * reloads the first page for the new query.
    */
   useEffect(() => {
-    let filtered = reviews.filter(review => {
-      let include = true;
-
-      // TEXT SEARCH FILTER
-      // Searches across guest name, review content, and property name
-      if (searchTerm) {
-        const searchLower = searchTerm.toLowerCase();
-        include = include && (
-          review.guestName.toLowerCase().includes(searchLower) ||
-          review.publicReview.toLowerCase().includes(searchLower) ||
-          review.listingName.toLowerCase().includes(searchLower)
-        );
-      }
+    if (!session) return;
+    fetchReviews();
+  }, [session, fetchReviews]);
 
-      // PROPERTY FILTER
-      // Exact match filter for specific property selection
-      if (filters.property && review.listingName !== filters.property) {
-        include = false;
-      }
+  /**
+   * Selection reset effect
+   * A selection only makes sense for the filters it was made under
+   */
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [reviewQuery]);
 
-      // RATING FILTER  
-      // Minimum rating threshold filter (6+, 7+, 8+, 9+ stars)
-      if (filters.rating && (review.rating || 0) < parseInt(filters.rating)) {
-        include = false;
-      }
+  /**
+   * Updates the search box, ranking by best match while searching
+   * Starting a search switches the default newest-first order to best match, clearing it switches back
+   *
+   * @param {string} value - New search box text
+   */
+  const updateSearch = (value) => {
+    const searching = value.trim() !== '';
+    setSearchTerm(value);
+    setFilters(prev => {
+      if (searching && prev.sortBy === 'date-desc') return { ...prev, sortBy: 'relevance' };
+      if (!searching && prev.sortBy === 'relevance') return { ...prev, sortBy: 'date-desc' };
+      return prev;
+    });
+  };
 
-      // STATUS FILTER
-      // Filter by approval status (approved/pending)
-      if (filters.status === 'approved' && !review.approved) include = false;
-      if (filters.status === 'pending' && review.approved) include = false;
+  /**
+   * Query string describing the current view (tab, search, date range and filters)
+   * Uses the debounced search so the URL isn't rewritten on every keystroke
+   */
+  const viewQuery = useMemo(
+    () => buildDashboardQuery({ activeTab, searchTerm: debouncedSearch, dateRange, filters }),
+    [activeTab, debouncedSearch, dateRange, filters]
+  );
 
-      // CHANNEL FILTER
-      // Filter by review source platform (hostaway, google, etc.)
-      if (filters.channel && review.channel !== filters.channel) include = false;
+  /**
+   * Switches the dashboard to the view described by a query string
+   *
+   * @param {string} query - Query string from the URL or a saved view
+   */
+  const applyView = useCallback((query) => {
+    const view = readDashboardState(query);
+    setActiveTab(view.activeTab);
+    setSearchTerm(view.searchTerm);
+    setDebouncedSearch(view.searchTerm.trim());
+    setDateRange(view.dateRange);
+    setFilters(view.filters);
+  }, []);
 
-      // DATE RANGE FILTER
-      // Filter reviews within specified date range
-      if (dateRange.start && new Date(review.submittedAt) < new Date(dateRange.start)) {
-        include = false;
-      }
-      if (dateRange.end && new Date(review.submittedAt) > new Date(dateRange.end)) {
-        include = false;
-      }
+  /**
+   * URL sync effect
+   * Replaces the current history entry, so changing filters doesn't fill up the back button
+   */
+  useEffect(() => {
+    const url = `${window.location.pathname}${viewQuery ? `?${viewQuery}` : ''}`;
+    if (url !== window.location.pathname + window.location.search) {
+      window.history.replaceState(null, '', url);
+    }
+  }, [viewQuery]);
 
-      return include;
-    });
+  /**
+   * Back/forward effect
+   * Entries added by pushState (e.g. opening a shared link in-app) restore their own view
+   */
+  useEffect(() => {
+    const onPopState = () => applyView(window.location.search);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyView]);
 
-    // SORTING LOGIC
-    // Apply selected sorting criteria to filtered results
-    filtered.sort((a, b) => {
-      switch (filters.sortBy) {
-        case 'date-asc':
-          return new Date(a.submittedAt) - new Date(b.submittedAt);
-        case 'date-desc':
-          return new Date(b.submittedAt) - new Date(a.submittedAt);
-        case 'rating-asc':
-          return (a.rating || 0) - (b.rating || 0);
-        case 'rating-desc':
-          return (b.rating || 0) - (a.rating || 0);
-        default:
-          // Default to newest first
-          return new Date(b.submittedAt) - new Date(a.submittedAt);
-      }
-    });
+  /**
+   * Returns to the login screen and ends the session on the server
+   *
+   * The session is dropped locally first so the live event stream is aborted
+   * straight away rather than after the logout request.
+   *
+   * @async
+   */
+  const logout = async () => {
+    const { token } = session;
+    clearSession();
+    setSession(null);
+    try {
+      await apiFetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  };
 
-    // Update filtered results state
-    setFilteredReviews(filtered);
-  }, [reviews, filters, searchTerm, dateRange]);
+  /**
+   * Prompts for the optional reason kept in the moderation history
+   *
+   * @param {string} state - Target moderation state
+   * @param {string} subject - What is being moderated (e.g. "this review")
+   * @returns {string|null|undefined} Reason, null when none is needed, undefined when cancelled
+   */
+  const promptForReason = (state, subject) => {
+    if (!REASON_STATES.includes(state)) return null;
+    const reason = window.prompt(`Reason for ${state === 'hidden' ? 'hiding' : 'flagging'} ${subject} (optional)`);
+    return reason === null ? undefined : reason;
+  };
 
   /**
-   * Toggles the approval status of a review
+   * Moves a review to a new moderation state
    * 
    * Updates both local state (for immediate UI feedback) and backend via API.
-   * This is the core function for the review approval workflow.
+   * This is the core function for the review moderation workflow.
+   * 
+   * Hiding and flagging ask for an optional reason, which is kept in the moderation history.
    * 
    * @param {number} reviewId - The ID of the review to update
-   * @param {boolean} approved - New approval status (true = approved, false = hidden)
+   * @param {string} state - New moderation state (approved, hidden or flagged)
    */
-  const toggleApproval = async (reviewId, approved) => {
+  const moderateReview = async (reviewId, state) => {
+    const reason = promptForReason(state, 'this review');
+    if (reason === undefined) return; // Cancelled
+
     try {
-      // Call backend API to persist the approval change
-      const response = await fetch(`${API_BASE_URL}/api/reviews/${reviewId}/approval`, {
+      // Call backend API to persist the moderation change
+      const response = await apiFetch(`${API_BASE_URL}/api/reviews/${reviewId}/moderation`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ approved }),
+        body: JSON.stringify({ state, reason }),
       });
 
       if (response.ok) {
-        // Update local state immediately for responsive UI
-        // This optimistic update provides instant feedback to users
+        // Update local state immediately for responsive UI, dropping the review
+        // when it no longer matches the active status filter
         setReviews(prev =>
-          prev.map(review =>
-            review.id === reviewId ? { ...review, approved } : review
-          )
+          prev
+            .map(review => review.id === reviewId
+              ? { ...review, moderationState: state, approved: state === 'approved' }
+              : review)
+            .filter(review => !filters.status || review.moderationState === filters.status)
         );
+
+        // Counts and analytics depend on moderation state
+        const data = await fetchReviewPage(reviewQuery, 0, 1);
+        setSummary(data.summary);
+        setPageInfo(prev => ({ ...prev, total: data.total }));
+        fetchStatistics();
       } else {
-        // TODO: Add error handling and user notification
-        console.error('Failed to update approval status');
+        const data = await response.json();
+        setError(data.error || 'Failed to update moderation state');
       }
     } catch (error) {
-      console.error('Failed to update approval status:', error);
+      console.error('Failed to update moderation state:', error);
       // TODO: Revert optimistic update on error
     }
   };
 
   /**
-   * Generates star rating display component
-   * 
-   * Converts numeric rating (0-10 scale) to visual star representation.
-   * Handles full stars, half stars, and empty stars for precise ratings.
-   * 
-   * @param {number} rating - Rating value (0-10 scale)
-   * @returns {JSX.Element} Star rating component with filled/half/empty stars
+   * Stores a saved or published reply on the review it belongs to
+   *
+   * @param {number} reviewId - Review the reply belongs to
+   * @param {Object|null} reply - Reply returned by the API, null once a draft is deleted
    */
-  const generateStars = (rating) => {
-    // Ensure rating is within valid bounds (0-10)
-    const safeRating = Math.max(0, Math.min(10, rating || 0));
-
-    // Convert 10-point scale to 5-star display
-    const fullStars = Math.floor(safeRating / 2);         // Number of full stars
-    const halfStar = (safeRating % 2) >= 1;               // Whether to show half star
-    const emptyStars = Math.max(0, 5 - fullStars - (halfStar ? 1 : 0)); // Remaining empty stars
-
-    return (
-      <div className="flex items-center gap-1">
-        {/* Render full stars */}
-        {[...Array(fullStars)].map((_, i) => (
-          <Star key={i} className="w-4 h-4 fill-yellow-400 text-yellow-400" />
-        ))}
-
-        {/* Render half star if needed */}
-        {halfStar && (
-          <Star className="w-4 h-4 fill-yellow-400/50 text-yellow-400" />
-        )}
-
-        {/* Render empty stars */}
-        {[...Array(emptyStars)].map((_, i) => (
-          <Star key={`empty-${i}`} className="w-4 h-4 text-gray-300" />
-        ))}
-      </div>
-    );
+  const updateReply = (reviewId, reply) => {
+    setReviews(prev => prev.map(review => review.id === reviewId ? { ...review, reply } : review));
   };
 
   /**
-   * Formats date string for user-friendly display
-   * 
-   * @param {string} dateString - ISO date string from API
-   * @returns {string} Formatted date string (e.g., "Nov 28, 2024")
-   */
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
+   * Adds or removes one review from the bulk selection
+   *
+   * @param {number} reviewId - Review to toggle
+   */
+  const toggleSelected = (reviewId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(reviewId)) next.delete(reviewId);
+      else next.add(reviewId);
+      return next;
     });
   };
 
   /**
-   * Formats review category names for display
-   * Converts snake_case API field names to human-readable titles
-   * 
-   * @param {string} category - Category name from API (e.g., "respect_house_rules")
-   * @returns {string} Formatted category name (e.g., "Respect House Rules")
+   * Selects every loaded review, or clears the selection when they already are
    */
-  const formatCategoryName = (category) => {
-    return category.split('_').map(word =>
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
+  const togglePageSelection = () => {
+    const pageSelected = reviews.length > 0 && reviews.every(review => selectedIds.has(review.id));
+    setSelectedIds(pageSelected ? new Set() : new Set(reviews.map(review => review.id)));
   };
 
   /**
-   * Calculates key statistics for the current filtered dataset
-   * Used in the dashboard overview cards and analytics
-   * 
-   * @returns {Object} Statistics object with total, avgRating, approved, pending counts
+   * Selects every review matching the current filters, including pages not loaded yet
+   *
+   * @async
    */
-  const getStats = () => {
-    const total = filteredReviews.length;
-    const avgRating = total > 0
-      ? (filteredReviews.reduce((sum, review) => sum + (review.rating || 0), 0) / total).toFixed(1)
-      : '0.0';
-    const approved = filteredReviews.filter(review => review.approved).length;
-    const pending = total - approved;
-
-    return { total, avgRating, approved, pending };
+  const selectAllMatching = async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/reviews/ids?${reviewQuery}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setSelectedIds(new Set(data.data));
+      if (data.truncated) {
+        setError(`Only the first ${data.data.length} of ${data.total} matching reviews were selected`);
+      }
+    } catch (error) {
+      setError('Failed to select matching reviews. Please try again later');
+      console.error('Select all error:', error);
+    }
   };
 
   /**
-   * Generates analytics data for performance insights
-   * Calculates metrics by property, channel, and identifies issues
-   * 
-   * @returns {Object} Analytics data including property performance and action items
-   */
-  const getAnalytics = () => {
-    const byProperty = {};     // Performance metrics by property
-    const byChannel = {};      // Performance metrics by review channel
-    const lowRatedReviews = reviews.filter(r => r.rating < 8).length; // Reviews needing attention
-
-    // Aggregate data by property and channel
-    reviews.forEach(review => {
-      // BY PROPERTY AGGREGATION
-      if (!byProperty[review.listingName]) {
-        byProperty[review.listingName] = {
-          count: 0,
-          totalRating: 0,
-          approved: 0
-        };
-      }
-      byProperty[review.listingName].count++;
-      byProperty[review.listingName].totalRating += review.rating;
-      if (review.approved) byProperty[review.listingName].approved++;
-
-      // BY CHANNEL AGGREGATION
-      if (!byChannel[review.channel]) {
-        byChannel[review.channel] = {
-          count: 0,
-          totalRating: 0
-        };
+   * Moves every selected review to the same moderation state
+   *
+   * Ids are sent in batches so progress can be shown, each batch reports a
+   * result per review and failures (including moves the state machine
+   * doesn't allow) are listed instead of stopping the run.
+   *
+   * @async
+   * @param {string} state - New moderation state for the selection
+   */
+  const bulkModerate = async (state) => {
+    const reason = promptForReason(state, `${selectedIds.size} reviews`);
+    if (reason === undefined) return; // Cancelled
+
+    const ids = [...selectedIds];
+    const failures = [];
+    let done = 0;
+    setBulkProgress({ state, done, total: ids.length, failures, finished: false });
+
+    for (let i = 0; i < ids.length; i += BULK_BATCH_SIZE) {
+      const batch = ids.slice(i, i + BULK_BATCH_SIZE);
+      try {
+        const response = await apiFetch(`${API_BASE_URL}/api/reviews/bulk/moderation`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ids: batch, state, reason })
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        data.data.filter(result => !result.success).forEach(result => failures.push(result));
+      } catch (error) {
+        // The whole batch failed (network or server error)
+        batch.forEach(id => failures.push({ id, error: error.message }));
       }
-      byChannel[review.channel].count++;
-      byChannel[review.channel].totalRating += review.rating;
-    });
+      done += batch.length;
+      const update = { done, failures: [...failures] };
+      setBulkProgress(prev => ({ ...prev, ...update }));
+    }
+
+    setBulkProgress(prev => ({ ...prev, finished: true }));
+    // Keep only the failures selected so they can be retried
+    setSelectedIds(new Set(failures.map(failure => failure.id)));
+
+    fetchReviews();
+    fetchStatistics();
+  };
+
+  /**
+   * Generates star rating display component
+   *
+   * @param {number} rating - Rating value (0-10 scale)
+   * @returns {JSX.Element} Five stars with full, half and empty stars
+   */
+  const generateStars = (rating) => {
+    return <StarRating rating={rating} />;
+  };
 
-    return { byProperty, byChannel, lowRatedReviews };
+  /**
+   * Describes where a review's 0-10 score came from, shown as a tooltip next to it
+   *
+   * @param {Object} review - Review with rawRating, ratingScale and ratingSource
+   * @returns {string} e.g. "4/5 on Airbnb" or "Averaged from category scores, no overall rating on Hostaway"
+   */
+  const describeRating = (review) => {
+    if (review.unrated) return `No rating given on ${formatChannelName(review.channel)}`;
+    return review.ratingSource === 'categories'
+      ? `Averaged from category scores, no overall rating on ${formatChannelName(review.channel)}`
+      : `${review.rawRating}/${review.ratingScale} on ${formatChannelName(review.channel)}`;
   };
 
   /**
-   * Exports filtered reviews to CSV format
-   * Generates downloadable CSV file with current filter/search results
-   */
-  const exportReviews = () => {
-    // Create CSV content with headers and data rows
-    const csvContent = "data:text/csv;charset=utf-8," +
-      "Property,Guest,Rating,Review,Date,Channel,Status\n" +
-      filteredReviews.map(r =>
-        `"${r.listingName}","${r.guestName}",${r.rating},"${r.publicReview.replace(/"/g, '""')}","${r.submittedAt}","${r.channel}","${r.approved ? 'Approved' : 'Pending'}"`
-      ).join("\n");
-
-    // Trigger download
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", "reviews_export.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+   * Downloads a report of the reviews matching the current filters
+   * The backend streams the file, so large exports don't have to be paged through in the browser
+   *
+   * @async
+   */
+  const exportReviews = async () => {
+    setExporting(true);
+    try {
+      const params = new URLSearchParams(reviewQuery);
+      params.set('format', exportFormat);
+      const response = await apiFetch(`${API_BASE_URL}/api/reports?${params}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || 'Failed to export reviews. Please try again later');
+        return;
+      }
+
+      // Keeps the file name the server chose, e.g. flex-living-reviews-2025-03-01.xlsx
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `reviews.${exportFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to export reviews. Please try again later');
+      console.error('Export error:', error);
+    } finally {
+      setExporting(false);
+    }
   };
 
-  const stats = getStats();                                              // Current statistics
-  const analytics = getAnalytics();                                      // Analytics data
-  const properties = [...new Set(reviews.map(review => review.listingName))]; // Unique properties
-  const channels = [...new Set(reviews.map(review => review.channel))];  // Unique channels
-  const approvedReviews = reviews.filter(review => review.approved);     // Approved reviews only
+  const avgRating = formatAverage(summary.avgRating);                    // Average of the rated reviews in the filtered set
+  const analytics = statistics || EMPTY_STATISTICS;                      // Server-computed analytics
+  const listings = facets.listings;                                      // Synced listings (id, name)
+  const channels = facets.channels;                                      // Unique channels
+  const themes = facets.themes || [];                                    // Lexicon themes (key, label)
+  const user = session ? session.user : null;                            // Logged in manager
+  const syncing = Object.values(syncStatus).some(status => status.running);   // Any channel syncing
+  const lastSyncedAt = Object.values(syncStatus)                         // Most recent sync of any channel
+    .map(status => status.lastSyncedAt)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const degradedChannels = Object.entries(syncStatus)                    // Channels whose API is failing
+    .filter(([, status]) => status.upstream && !status.upstream.mockData
+      && (status.upstream.circuit !== 'closed' || status.upstream.rateLimitedUntil || status.lastError));
+  const mockChannels = Object.keys(syncStatus)                           // Channels serving bundled mock data
+    .filter(channel => syncStatus[channel].upstream?.mockData);
+  const canModerate = hasRole(user, 'moderator');                        // Approve/hide reviews
+  const canAdminister = hasRole(user, 'admin');                          // Integration settings
+
+  /**
+   * Login screen until the manager has signed in
+   */
+  if (!session) {
+    return <LoginScreen apiBaseUrl={API_BASE_URL} onLogin={setSession} />;
+  }
 
   /**
    * Loading state display
@@ -386,12 +743,59 @@ const FlexLivingDashboard = () => {
               <p className="text-xl opacity-90">Manage and monitor guest reviews across all properties</p>
             </div>
             <div className="text-right">
-              <p className="text-sm opacity-75">Last updated</p>
-              <p className="text-lg font-semibold">{new Date().toLocaleTimeString()}</p>
+              <p className="text-sm opacity-75 flex items-center justify-end gap-2">
+                <span
+                  className={`w-2 h-2 rounded-full ${live ? 'bg-green-300' : 'bg-gray-300'}`}
+                  title={live ? 'Live updates connected' : 'Live updates reconnecting'}
+                ></span>
+                {syncing ? 'Syncing now · last synced' : 'Last synced'}
+              </p>
+              <p className="text-lg font-semibold">
+                {lastSyncedAt ? new Date(lastSyncedAt).toLocaleString() : 'Not synced yet'}
+              </p>
+              <div className="flex items-center justify-end gap-3 mt-3 text-sm">
+                <span className="opacity-90">{user.name || user.email} ({user.role})</span>
+                <NotificationInbox apiBaseUrl={API_BASE_URL} />
+                {canAdminister && (
+                  <button
+                    onClick={() => setShowWebhookEvents(true)}
+                    className="flex items-center gap-1 px-3 py-1 bg-white/20 rounded-lg hover:bg-white/30 transition-colors"
+                    title="Inbound webhook events"
+                  >
+                    <Webhook className="w-4 h-4" />
+                    Webhooks
+                  </button>
+                )}
+                <button
+                  onClick={logout}
+                  className="flex items-center gap-1 px-3 py-1 bg-white/20 rounded-lg hover:bg-white/30 transition-colors"
+                >
+                  <LogOut className="w-4 h-4" />
+                  Sign Out
+                </button>
+              </div>
             </div>
           </div>
         </div>
 
+        {/* Degraded mode: a channel API is failing, the dashboard shows what was stored before */}
+        {degradedChannels.map(([channel, status]) => (
+          <div key={channel} className="bg-amber-50 border border-amber-200 text-amber-900 rounded-lg p-4 mb-4 flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+            <p className="text-sm">
+              <span className="font-medium">{formatChannelName(channel)} is unavailable</span>
+              {' '}({status.upstream.lastError || status.lastError}).
+              {' '}Showing reviews from the last successful sync
+              {status.upstream.retryAt && `, requests resume after ${new Date(status.upstream.retryAt).toLocaleTimeString()}`}.
+            </p>
+          </div>
+        ))}
+        {mockChannels.length > 0 && (
+          <div className="bg-gray-100 border border-gray-200 text-gray-700 rounded-lg p-3 mb-4 text-sm">
+            Mock data mode: {mockChannels.map(formatChannelName).join(', ')} reviews are sample data, not your account's.
+          </div>
+        )}
+
         {/* ===== NAVIGATION TABS ===== */}
         <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg mb-8 w-fit">
           <button
@@ -412,15 +816,14 @@ const FlexLivingDashboard = () => {
           >
             Analytics
           </button>
-          <button
-            onClick={() => setActiveTab('property')}
-            className={`px-6 py-3 rounded-md font-medium transition-all ${activeTab === 'property'
-              ? 'bg-white text-indigo-600 shadow-sm'
-              : 'text-gray-600 hover:text-indigo-600'
-              }`}
+          {/* Public pages live on their own routes, outside the dashboard */}
+          <Link
+            to="/properties"
+            className="px-6 py-3 rounded-md font-medium transition-all text-gray-600 hover:text-indigo-600 flex items-center gap-1"
           >
-            Property Display
-          </button>
+            Property Pages
+            <ExternalLink className="w-4 h-4" />
+          </Link>
         </div>
         {/* ===== ERROR DISPLAY ===== */}
         {error && (
@@ -447,7 +850,7 @@ const FlexLivingDashboard = () => {
               <div className="bg-gradient-to-r from-pink-500 to-red-500 p-6 rounded-xl text-white">
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-3xl font-bold">{stats.total}</p>
+                    <p className="text-3xl font-bold">{summary.total}</p>
                     <p className="opacity-90">Total Reviews</p>
                   </div>
                   <Users className="w-8 h-8 opacity-80" />
@@ -458,8 +861,11 @@ const FlexLivingDashboard = () => {
               <div className="bg-gradient-to-r from-blue-500 to-cyan-500 p-6 rounded-xl text-white">
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-3xl font-bold">{stats.avgRating}</p>
+                    <p className="text-3xl font-bold">{avgRating}</p>
                     <p className="opacity-90">Average Rating</p>
+                    {summary.unrated > 0 && (
+                      <p className="text-sm opacity-75">{summary.unrated} unrated not counted</p>
+                    )}
                   </div>
                   <TrendingUp className="w-8 h-8 opacity-80" />
                 </div>
@@ -469,7 +875,7 @@ const FlexLivingDashboard = () => {
               <div className="bg-gradient-to-r from-green-500 to-emerald-500 p-6 rounded-xl text-white">
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-3xl font-bold">{stats.approved}</p>
+                    <p className="text-3xl font-bold">{summary.approved}</p>
                     <p className="opacity-90">Approved Reviews</p>
                   </div>
                   <CheckCircle className="w-8 h-8 opacity-80" />
@@ -480,8 +886,9 @@ const FlexLivingDashboard = () => {
               <div className="bg-gradient-to-r from-yellow-500 to-orange-500 p-6 rounded-xl text-white">
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-3xl font-bold">{stats.pending}</p>
+                    <p className="text-3xl font-bold">{summary.pending}</p>
                     <p className="opacity-90">Pending Approval</p>
+                    <p className="text-sm opacity-75">{summary.flagged} flagged · {summary.hidden} hidden</p>
                   </div>
                   <Clock className="w-8 h-8 opacity-80" />
                 </div>
@@ -497,9 +904,9 @@ const FlexLivingDashboard = () => {
                     <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
                     <input
                       type="text"
-                      placeholder="Search reviews, guests, or properties..."
+                      placeholder='Search reviews... e.g. wifi, guest:lisa, listing:shoreditch, "check in"'
                       value={searchTerm}
-                      onChange={(e) => setSearchTerm(e.target.value)}
+                      onChange={(e) => updateSearch(e.target.value)}
                       className="pl-10 pr-4 py-3 w-full border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
                     />
                   </div>
@@ -521,101 +928,160 @@ const FlexLivingDashboard = () => {
                   </div>
                 </div>
 
-                {/* Export Button */}
-                <button
-                  onClick={exportReviews}
-                  className="flex items-center gap-2 px-4 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
-                >
-                  <Download className="w-4 h-4" />
-                  Export CSV
-                </button>
+                {/* Export Controls */}
+                <div className="flex gap-2">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    title="Export format"
+                  >
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (one sheet per property)</option>
+                    <option value="pdf">PDF owner summary</option>
+                  </select>
+                  <button
+                    onClick={exportReviews}
+                    disabled={exporting}
+                    className="flex items-center gap-2 px-4 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  >
+                    <Download className="w-4 h-4" />
+                    {exporting ? 'Exporting...' : 'Export'}
+                  </button>
+                </div>
               </div>
             </div>
 
             {/* Main Content Area: Filters + Reviews */}
             <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
 
-              {/* ===== SIDEBAR FILTERS ===== */}
-              <div className="bg-white rounded-xl p-6 shadow-sm h-fit">
-                <div className="flex items-center gap-2 mb-6">
-                  <Filter className="w-5 h-5 text-indigo-600" />
-                  <h3 className="font-semibold text-gray-900">Filters</h3>
-                </div>
+              {/* ===== SIDEBAR: SAVED VIEWS AND FILTERS ===== */}
+              <div className="space-y-8 h-fit">
+                <SavedViewsPanel apiBaseUrl={API_BASE_URL} currentQuery={viewQuery} onApply={applyView} />
 
-                <div className="space-y-4">
-                  {/* Property Filter */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Property</label>
-                    <select
-                      value={filters.property}
-                      onChange={(e) => setFilters(prev => ({ ...prev, property: e.target.value }))}
-                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                      <option value="">All Properties</option>
-                      {properties.map(property => (
-                        <option key={property} value={property}>{property}</option>
-                      ))}
-                    </select>
+                <div className="bg-white rounded-xl p-6 shadow-sm">
+                  <div className="flex items-center gap-2 mb-6">
+                    <Filter className="w-5 h-5 text-indigo-600" />
+                    <h3 className="font-semibold text-gray-900">Filters</h3>
                   </div>
 
-                  {/* Channel Filter */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Channel</label>
-                    <select
-                      value={filters.channel}
-                      onChange={(e) => setFilters(prev => ({ ...prev, channel: e.target.value }))}
-                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                      <option value="">All Channels</option>
-                      {channels.map(channel => (
-                        <option key={channel} value={channel}>{channel}</option>
-                      ))}
-                    </select>
-                  </div>
+                  <div className="space-y-4">
+                    {/* Property Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Property</label>
+                      <select
+                        value={filters.listingId}
+                        onChange={(e) => setFilters(prev => ({ ...prev, listingId: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">All Properties</option>
+                        {listings.map(listing => (
+                          <option key={listing.id} value={listing.id}>{listing.name}</option>
+                        ))}
+                      </select>
+                    </div>
 
-                  {/* Status Filter */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
-                    <select
-                      value={filters.status}
-                      onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
-                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                      <option value="">All Status</option>
-                      <option value="approved">Approved</option>
-                      <option value="pending">Pending</option>
-                    </select>
-                  </div>
+                    {/* Channel Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Channel</label>
+                      <select
+                        value={filters.channel}
+                        onChange={(e) => setFilters(prev => ({ ...prev, channel: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">All Channels</option>
+                        {channels.map(channel => (
+                          <option key={channel} value={channel}>{formatChannelName(channel)}</option>
+                        ))}
+                      </select>
+                    </div>
 
-                  {/* Minimum Rating Filter */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Min Rating</label>
-                    <select
-                      value={filters.rating}
-                      onChange={(e) => setFilters(prev => ({ ...prev, rating: e.target.value }))}
-                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                      <option value="">Any Rating</option>
-                      <option value="9">9+ Stars</option>
-                      <option value="8">8+ Stars</option>
-                      <option value="7">7+ Stars</option>
-                      <option value="6">6+ Stars</option>
-                    </select>
-                  </div>
+                    {/* Status Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+                      <select
+                        value={filters.status}
+                        onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">All Status</option>
+                        {Object.entries(MODERATION_STATES).map(([state, { label }]) => (
+                          <option key={state} value={state}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
 
-                  {/* Sort Order */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Sort By</label>
-                    <select
-                      value={filters.sortBy}
-                      onChange={(e) => setFilters(prev => ({ ...prev, sortBy: e.target.value }))}
-                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                      <option value="date-desc">Newest First</option>
-                      <option value="date-asc">Oldest First</option>
-                      <option value="rating-desc">Highest Rating</option>
-                      <option value="rating-asc">Lowest Rating</option>
-                    </select>
+                    {/* Sentiment Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Sentiment</label>
+                      <select
+                        value={filters.sentiment}
+                        onChange={(e) => setFilters(prev => ({ ...prev, sentiment: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">Any Sentiment</option>
+                        {Object.entries(SENTIMENTS).map(([sentiment, { label }]) => (
+                          <option key={sentiment} value={sentiment}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {/* Theme Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Theme</label>
+                      <select
+                        value={filters.theme}
+                        onChange={(e) => setFilters(prev => ({ ...prev, theme: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">All Themes</option>
+                        {themes.map(theme => (
+                          <option key={theme.key} value={theme.key}>{theme.label}</option>
+                        ))}
+                      </select>
+                      {filters.theme && (
+                        <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={filters.themeSentiment === 'negative'}
+                            onChange={(e) => setFilters(prev => ({ ...prev, themeSentiment: e.target.checked ? 'negative' : '' }))}
+                          />
+                          Only complaints
+                        </label>
+                      )}
+                    </div>
+
+                    {/* Minimum Rating Filter */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Min Rating</label>
+                      <select
+                        value={filters.rating}
+                        onChange={(e) => setFilters(prev => ({ ...prev, rating: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="">Any Rating</option>
+                        <option value="9">9+ Stars</option>
+                        <option value="8">8+ Stars</option>
+                        <option value="7">7+ Stars</option>
+                        <option value="6">6+ Stars</option>
+                      </select>
+                    </div>
+
+                    {/* Sort Order */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Sort By</label>
+                      <select
+                        value={filters.sortBy}
+                        onChange={(e) => setFilters(prev => ({ ...prev, sortBy: e.target.value }))}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        <option value="date-desc">Newest First</option>
+                        <option value="date-asc">Oldest First</option>
+                        <option value="rating-desc">Highest Rating</option>
+                        <option value="rating-asc">Lowest Rating</option>
+                        {searchTerm.trim() && <option value="relevance">Best Match</option>}
+                      </select>
+                    </div>
                   </div>
                 </div>
               </div>
@@ -623,7 +1089,22 @@ const FlexLivingDashboard = () => {
               {/* ===== REVIEWS LIST ===== */}
               <div className="lg:col-span-3">
                 <div className="bg-white rounded-xl p-6 shadow-sm">
-                  {filteredReviews.length === 0 ? (
+                  {/* Bulk Moderation Controls */}
+                  {canModerate && reviews.length > 0 && (
+                    <BulkActionsBar
+                      selectedCount={selectedIds.size}
+                      pageSelected={reviews.every(review => selectedIds.has(review.id))}
+                      matchingTotal={pageInfo.total}
+                      progress={bulkProgress}
+                      onTogglePage={togglePageSelection}
+                      onSelectAllMatching={selectAllMatching}
+                      onClear={() => setSelectedIds(new Set())}
+                      onModerate={bulkModerate}
+                      onDismissProgress={() => setBulkProgress(null)}
+                    />
+                  )}
+
+                  {reviews.length === 0 ? (
                     // Empty state when no reviews match filters
                     <div className="text-center py-12 text-gray-500">
                       No reviews found matching your filters
@@ -631,44 +1112,62 @@ const FlexLivingDashboard = () => {
                   ) : (
                     // Reviews list with individual review cards
                     <div className="space-y-6">
-                      {filteredReviews.map(review => (
+                      {reviews.map(review => (
                         <div
                           key={review.id}
-                          className={`border-2 rounded-xl p-6 transition-all hover:shadow-md ${review.approved
+                          className={`border-2 rounded-xl p-6 transition-all hover:shadow-md ${review.moderationState === 'approved'
                               ? 'border-green-200 bg-green-50'           // Approved: green styling
-                              : review.rating < 8
-                                ? 'border-orange-200 bg-orange-50'        // Low rating: orange warning
-                                : 'border-gray-200 bg-gray-50 hover:border-indigo-300' // Default: gray
+                              : review.moderationState === 'hidden'
+                                ? 'border-gray-200 bg-gray-100 opacity-75' // Hidden: muted
+                                : review.moderationState === 'flagged'
+                                  ? 'border-purple-200 bg-purple-50'      // Flagged: needs a second look
+                                  : review.rating !== null && review.rating < 8
+                                    ? 'border-orange-200 bg-orange-50'    // Low rating: orange warning
+                                    : 'border-gray-200 bg-gray-50 hover:border-indigo-300' // Default: gray
                             }`}
                         >
                           {/* Review Header: Guest info, channel, rating */}
                           <div className="flex justify-between items-start mb-4">
                             <div className="flex-1">
                               <div className="flex items-center gap-3 mb-2">
-                                <h4 className="font-semibold text-gray-900">{review.guestName}</h4>
+                                {canModerate && (
+                                  <input
+                                    type="checkbox"
+                                    checked={selectedIds.has(review.id)}
+                                    onChange={() => toggleSelected(review.id)}
+                                    aria-label={`Select review by ${review.guestName}`}
+                                  />
+                                )}
+                                <h4 className="font-semibold text-gray-900"><Highlighted segments={review.highlights?.guest} text={review.guestName} /></h4>
 
                                 {/* Channel Badge */}
                                 <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
-                                  {review.channel}
+                                  {formatChannelName(review.channel)}
                                 </span>
 
                                 {/* Low Rating Warning */}
-                                {review.rating < 8 && (
+                                {review.rating !== null && review.rating < 8 && (
                                   <span className="px-2 py-1 bg-orange-100 text-orange-800 text-xs rounded-full flex items-center gap-1">
                                     <AlertTriangle className="w-3 h-3" />
                                     Needs Attention
                                   </span>
                                 )}
                               </div>
-                              <p className="text-sm text-gray-600">{review.listingName}</p>
+                              <p className="text-sm text-gray-600"><Highlighted segments={review.highlights?.listing} text={review.listingName} /></p>
                               <p className="text-xs text-gray-500">{formatDate(review.submittedAt)}</p>
                             </div>
 
                             {/* Rating Display */}
-                            <div className="flex items-center gap-2">
-                              {generateStars(review.rating || 0)}
-                              <span className="font-medium">{(review.rating || 0).toFixed(1)}</span>
-                            </div>
+                            {review.unrated ? (
+                              <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded-full" title={describeRating(review)}>
+                                Unrated
+                              </span>
+                            ) : (
+                              <div className="flex items-center gap-2" title={describeRating(review)}>
+                                {generateStars(review.rating)}
+                                <span className="font-medium">{review.rating.toFixed(1)}</span>
+                              </div>
+                            )}
                           </div>
 
                           {/* Review Categories (if available) */}
@@ -691,39 +1190,89 @@ const FlexLivingDashboard = () => {
                           )}
 
                           {/* Review Text */}
-                          <p className="text-gray-700 mb-4 leading-relaxed">{review.publicReview}</p>
+                          <p className="text-gray-700 mb-4 leading-relaxed">
+                            <Highlighted segments={review.highlights?.review} text={review.publicReview} />
+                          </p>
+                          {review.highlights?.reply && (
+                            <p className="text-sm text-gray-600 mb-4 border-l-2 border-yellow-300 pl-3">
+                              <span className="font-medium">Matched in reply:</span> <Highlighted segments={review.highlights.reply} />
+                            </p>
+                          )}
+
+                          {/* Text Analysis: overall sentiment and the themes mentioned, coloured by how they came across */}
+                          {(review.sentiment || review.themes?.length > 0) && (
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                              {review.sentiment && (
+                                <span className={`px-2 py-1 text-xs rounded-full ${SENTIMENTS[review.sentiment.label].badge}`}>
+                                  {SENTIMENTS[review.sentiment.label].label} sentiment
+                                </span>
+                              )}
+                              {review.themes.map(theme => (
+                                <span
+                                  key={theme.theme}
+                                  className={`px-2 py-1 text-xs rounded-full border ${theme.sentiment === 'negative'
+                                    ? 'border-red-300 text-red-700'
+                                    : theme.sentiment === 'positive'
+                                      ? 'border-green-300 text-green-700'
+                                      : 'border-gray-300 text-gray-600'}`}
+                                >
+                                  {formatTheme(themes, theme.theme)}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+
+                          {/* Host Response: draft or published reply */}
+                          <ReviewReplyComposer
+                            apiBaseUrl={API_BASE_URL}
+                            review={review}
+                            canEdit={canModerate}
+                            onChange={(reply) => updateReply(review.id, reply)}
+                          />
 
                           {/* Approval Action Buttons */}
                           <div className="flex justify-end gap-2">
-                            {review.approved ? (
-                              // Already approved - show status with option to hide
+                            <button
+                              onClick={() => setHistoryReview(review)}
+                              className="px-4 py-2 text-gray-600 rounded-lg font-medium flex items-center gap-2 hover:bg-gray-100 transition-colors"
+                              title="Moderation history"
+                            >
+                              <History className="w-4 h-4" />
+                              History
+                            </button>
+                            {/* Current state, then a button for each state it can move to */}
+                            <span className={`px-3 py-2 rounded-lg text-sm font-medium ${MODERATION_STATES[review.moderationState].badge}`}>
+                              {formatModerationState(review.moderationState)}
+                            </span>
+                            {MODERATION_STATES[review.moderationState].transitions.map(state => (
                               <button
-                                onClick={() => toggleApproval(review.id, false)}
-                                className="px-4 py-2 bg-green-100 text-green-800 rounded-lg font-medium flex items-center gap-2 hover:bg-green-200 transition-colors"
+                                key={state}
+                                onClick={() => moderateReview(review.id, state)}
+                                disabled={!canModerate}
+                                className={`px-4 py-2 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${MODERATION_ACTIONS[state].className}`}
                               >
-                                <CheckCircle className="w-4 h-4" />
-                                Approved
+                                {MODERATION_ACTIONS[state].label}
                               </button>
-                            ) : (
-                              // Pending approval - show approve/hide options
-                              <>
-                                <button
-                                  onClick={() => toggleApproval(review.id, true)}
-                                  className="px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition-colors"
-                                >
-                                  Approve
-                                </button>
-                                <button
-                                  onClick={() => toggleApproval(review.id, false)}
-                                  className="px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition-colors"
-                                >
-                                  Hide
-                                </button>
-                              </>
-                            )}
+                            ))}
                           </div>
                         </div>
                       ))}
+
+                      {/* Pagination: count and next page */}
+                      <div className="flex justify-between items-center pt-2">
+                        <p className="text-sm text-gray-500">
+                          Showing {reviews.length} of {pageInfo.total} reviews
+                        </p>
+                        {pageInfo.hasMore && (
+                          <button
+                            onClick={() => fetchReviews({ offset: reviews.length })}
+                            disabled={loadingMore}
+                            className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                          >
+                            {loadingMore ? 'Loading...' : 'Load more'}
+                          </button>
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
@@ -736,6 +1285,14 @@ const FlexLivingDashboard = () => {
         {/* Performance insights and trend analysis */}
         {activeTab === 'analytics' && (
           <div>
+            {/* Trend Charts: rating, category scores, volume and approval rate over time */}
+            <TrendsPanel
+              apiBaseUrl={API_BASE_URL}
+              listings={listings}
+              channel={filters.channel}
+              formatCategoryName={formatCategoryName}
+            />
+
             {/* Performance by Property Section */}
             <div className="bg-white rounded-xl p-6 shadow-sm mb-8">
               <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
@@ -748,13 +1305,13 @@ const FlexLivingDashboard = () => {
                     <div className="flex justify-between items-center mb-2">
                       <h4 className="font-medium">{property}</h4>
                       <span className="text-lg font-bold text-indigo-600">
-                        {(data.totalRating / data.count).toFixed(1)} ⭐
+                        {formatAverage(data.averageRating)} ⭐
                       </span>
                     </div>
                     <div className="grid grid-cols-3 gap-4 text-sm">
                       <div>
                         <span className="text-gray-600">Total Reviews:</span>
-                        <span className="font-medium ml-2">{data.count}</span>
+                        <span className="font-medium ml-2">{data.total}</span>
                       </div>
                       <div>
                         <span className="text-gray-600">Approved:</span>
@@ -763,7 +1320,7 @@ const FlexLivingDashboard = () => {
                       <div>
                         <span className="text-gray-600">Approval Rate:</span>
                         <span className="font-medium ml-2">
-                          {((data.approved / data.count) * 100).toFixed(0)}%
+                          {formatApprovalRate(data.approvalRate)}
                         </span>
                       </div>
                     </div>
@@ -772,6 +1329,49 @@ const FlexLivingDashboard = () => {
               </div>
             </div>
 
+            {/* Top Themes per Property: what guests keep bringing up, complaints first to catch */}
+            <div className="bg-white rounded-xl p-6 shadow-sm mb-8">
+              <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
+                <MessageSquare className="w-5 h-5 text-indigo-600" />
+                Top Themes per Property
+              </h3>
+              <div className="space-y-4">
+                {Object.entries(analytics.byProperty).map(([property, data]) => (
+                  <div key={property} className="border border-gray-200 rounded-lg p-4">
+                    <h4 className="font-medium mb-3">{property}</h4>
+                    {!data.topThemes || data.topThemes.length === 0 ? (
+                      <p className="text-sm text-gray-500">No themes mentioned yet</p>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        {data.topThemes.map(theme => (
+                          <button
+                            key={theme.theme}
+                            onClick={() => {
+                              // Opens the dashboard on this property's complaints about the theme
+                              setFilters(prev => ({
+                                ...prev,
+                                listingId: data.listingId ? String(data.listingId) : '',
+                                theme: theme.theme,
+                                themeSentiment: theme.negative > 0 ? 'negative' : ''
+                              }));
+                              setActiveTab('dashboard');
+                            }}
+                            className={`px-3 py-1 text-sm rounded-full transition-colors ${theme.negative > 0
+                              ? 'bg-red-50 text-red-800 hover:bg-red-100'
+                              : 'bg-gray-100 text-gray-800 hover:bg-gray-200'}`}
+                            title={`${theme.positive} positive, ${theme.negative} negative`}
+                          >
+                            {theme.label}: {theme.reviews} review{theme.reviews === 1 ? '' : 's'}
+                            {theme.negative > 0 && ` (${theme.negative} negative)`}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
             {/* Channel Performance and Action Items Grid */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
 
@@ -782,11 +1382,11 @@ const FlexLivingDashboard = () => {
                   {Object.entries(analytics.byChannel).map(([channel, data]) => (
                     <div key={channel} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                       <div>
-                        <h4 className="font-medium capitalize">{channel}</h4>
-                        <p className="text-sm text-gray-600">{data.count} reviews</p>
+                        <h4 className="font-medium">{formatChannelName(channel)}</h4>
+                        <p className="text-sm text-gray-600">{data.total} reviews</p>
                       </div>
                       <div className="text-right">
-                        <p className="font-bold text-lg">{(data.totalRating / data.count).toFixed(1)}</p>
+                        <p className="font-bold text-lg">{formatAverage(data.averageRating)}</p>
                         <p className="text-xs text-gray-600">avg rating</p>
                       </div>
                     </div>
@@ -804,22 +1404,42 @@ const FlexLivingDashboard = () => {
                   <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg">
                     <p className="font-medium text-orange-800">Low-Rated Reviews</p>
                     <p className="text-sm text-orange-600">
-                      {analytics.lowRatedReviews} reviews below 8.0 stars need attention
+                      {analytics.overall.lowRatedCount} reviews below 8.0 stars need attention
                     </p>
                   </div>
                   <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg">
                     <p className="font-medium text-blue-800">Pending Approvals</p>
                     <p className="text-sm text-blue-600">
-                      {stats.pending} reviews awaiting approval
+                      {analytics.overall.pendingCount} reviews awaiting approval
+                    </p>
+                  </div>
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="font-medium text-red-800">Negative Sentiment</p>
+                    <p className="text-sm text-red-600">
+                      {analytics.overall.negativeCount} reviews read as negative, whatever their rating
+                    </p>
+                  </div>
+                  <div className="p-3 bg-purple-50 border border-purple-200 rounded-lg">
+                    <p className="font-medium text-purple-800">Flagged Reviews</p>
+                    <p className="text-sm text-purple-600">
+                      {analytics.overall.flaggedCount} reviews flagged for a second look
                     </p>
                   </div>
                   <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
-                    <p className="font-medium text-green-800">Response Rate</p>
+                    <p className="font-medium text-green-800">Approval Rate</p>
                     <p className="text-sm text-green-600">
-                      {((stats.approved / stats.total) * 100).toFixed(0)}% of reviews are approved
+                      {analytics.overall.approvalRate === null
+                        ? '– no reviews have been approved or hidden yet'
+                        : `${formatApprovalRate(analytics.overall.approvalRate)} of moderated reviews are approved (${analytics.overall.hiddenCount} hidden)`}
                     </p>
                   </div>
                 </div>
+                <button
+                  onClick={() => setShowAlertRules(true)}
+                  className="mt-4 px-4 py-2 bg-orange-600 text-white rounded-lg text-sm hover:bg-orange-700 transition-colors"
+                >
+                  Manage Alert Rules
+                </button>
               </div>
             </div>
 
@@ -831,178 +1451,86 @@ const FlexLivingDashboard = () => {
               </h3>
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <div className="flex items-start gap-3">
-                  <div className="w-2 h-2 bg-blue-500 rounded-full mt-2"></div>
+                  <div className={`w-2 h-2 rounded-full mt-2 ${googleStatus?.configured ? 'bg-green-500' : 'bg-blue-500'}`}></div>
                   <div>
-                    <p className="font-medium text-blue-900">Integration Status: Available</p>
-                    <p className="text-sm text-blue-700 mt-1">
-                      Google Reviews can be integrated using the Places API. This would require:
+                    <p className="font-medium text-blue-900">
+                      Integration Status: {googleStatus?.configured ? 'Active' : 'Available'}
                     </p>
-                    <ul className="text-sm text-blue-700 mt-2 space-y-1 ml-4">
-                      <li>• Google Places API key with Places Details enabled</li>
-                      <li>• Property place IDs for each listing</li>
-                      <li>• Rate limiting consideration (daily quotas)</li>
-                      <li>• Real-time sync or scheduled batch processing</li>
-                    </ul>
-                    <button className="mt-3 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors">
-                      Configure Google Integration
-                    </button>
+                    {googleStatus?.configured ? (
+                      <p className="text-sm text-blue-700 mt-1">
+                        Importing reviews for {googleStatus.places.length} listing(s),
+                        {' '}{googleStatus.quotaUsedToday}/{googleStatus.dailyQuota} Places API requests used today.
+                        {googleStatus.syncState?.lastSyncedAt && ` Last import ${new Date(googleStatus.syncState.lastSyncedAt).toLocaleString()}.`}
+                      </p>
+                    ) : (
+                      <>
+                        <p className="text-sm text-blue-700 mt-1">
+                          Google Reviews can be integrated using the Places API. This would require:
+                        </p>
+                        <ul className="text-sm text-blue-700 mt-2 space-y-1 ml-4">
+                          <li>• Google Places API key with Places Details enabled</li>
+                          <li>• Property place IDs for each listing</li>
+                          <li>• Rate limiting consideration (daily quotas)</li>
+                          <li>• Real-time sync or scheduled batch processing</li>
+                        </ul>
+                      </>
+                    )}
+                    {canAdminister && (
+                      <button
+                        onClick={() => setShowGoogleConfig(true)}
+                        className="mt-3 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                      >
+                        Configure Google Integration
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
+
+            {/* Alert Rules Modal */}
+            {showAlertRules && (
+              <AlertRulesModal
+                apiBaseUrl={API_BASE_URL}
+                listings={listings}
+                canEdit={canModerate}
+                formatCategoryName={formatCategoryName}
+                onClose={() => setShowAlertRules(false)}
+              />
+            )}
+
+            {/* Google Integration Configuration Modal */}
+            {showGoogleConfig && (
+              <GoogleIntegrationModal
+                apiBaseUrl={API_BASE_URL}
+                listings={listings}
+                onSaved={setGoogleStatus}
+                onClose={() => {
+                  setShowGoogleConfig(false);
+                  // Pick up any Google reviews imported while the modal was open
+                  fetchReviews();
+                }}
+              />
+            )}
           </div>
         )}
 
-        {/* ===== PROPERTY DISPLAY TAB ===== */}
-        {/* Public-facing property page with approved reviews */}
-        {activeTab === 'property' && (
-          <div className="max-w-4xl mx-auto">
-
-            {/* Property Hero Section */}
-            <div className="bg-gradient-to-r from-teal-500 to-cyan-500 rounded-xl p-12 text-white text-center mb-8 relative overflow-hidden">
-              <div className="absolute inset-0 bg-black opacity-20"></div>
-              <div className="relative z-10">
-                <h1 className="text-4xl font-bold mb-4">Shoreditch Heights Apartment</h1>
-                <p className="text-xl opacity-90 mb-6">Modern 2-bedroom apartment in the heart of London</p>
-                <div className="flex justify-center items-center gap-6 text-lg">
-                  <div className="flex items-center gap-2">
-                    {generateStars(stats.avgRating * 2)}
-                    <span className="font-semibold">{stats.avgRating} ({approvedReviews.length} reviews)</span>
-                  </div>
-                </div>
-              </div>
-            </div>
-
-            {/* Property Features */}
-            <div className="bg-white rounded-xl p-8 shadow-sm mb-8">
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center">
-                <div className="p-4">
-                  <div className="w-12 h-12 bg-indigo-100 rounded-lg flex items-center justify-center mx-auto mb-3">
-                    <Users className="w-6 h-6 text-indigo-600" />
-                  </div>
-                  <h3 className="font-semibold text-gray-900">Sleeps 4</h3>
-                  <p className="text-gray-600">2 bedrooms, 1 bathroom</p>
-                </div>
-                <div className="p-4">
-                  <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center mx-auto mb-3">
-                    <CheckCircle className="w-6 h-6 text-green-600" />
-                  </div>
-                  <h3 className="font-semibold text-gray-900">Top Rated</h3>
-                  <p className="text-gray-600">Highly rated by guests</p>
-                </div>
-                <div className="p-4">
-                  <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center mx-auto mb-3">
-                    <TrendingUp className="w-6 h-6 text-blue-600" />
-                  </div>
-                  <h3 className="font-semibold text-gray-900">Prime Location</h3>
-                  <p className="text-gray-600">Shoreditch, London</p>
-                </div>
-              </div>
-            </div>
-
-            {/* Guest Reviews Section */}
-            <div className="bg-white rounded-xl p-8 shadow-sm">
-              <div className="flex justify-between items-center mb-8">
-                <h2 className="text-2xl font-semibold text-gray-900">Guest Reviews</h2>
-                <div className="text-right">
-                  <div className="flex items-center gap-2 mb-1">
-                    {generateStars(parseFloat(stats.avgRating) * 2)}
-                    <span className="text-2xl font-bold text-gray-900">{stats.avgRating}</span>
-                  </div>
-                  <p className="text-sm text-gray-600">{approvedReviews.length} verified reviews</p>
-                </div>
-              </div>
-
-              {/* Review Categories Summary */}
-              {approvedReviews.length > 0 && (
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8 p-6 bg-gray-50 rounded-lg">
-                  {['cleanliness', 'location', 'amenities', 'hospitality'].map(category => {
-                    const categoryReviews = approvedReviews.filter(r =>
-                      r.reviewCategory?.some(c => c.category === category)
-                    );
-                    const avgScore = categoryReviews.length > 0
-                      ? (categoryReviews.reduce((sum, r) => {
-                        const catData = r.reviewCategory.find(c => c.category === category);
-                        return sum + (catData?.rating || 0);
-                      }, 0) / categoryReviews.length).toFixed(1)
-                      : '0.0';
-
-                    return (
-                      <div key={category} className="text-center">
-                        <p className="font-semibold text-gray-900 text-lg">{avgScore}</p>
-                        <p className="text-sm text-gray-600 capitalize">{formatCategoryName(category)}</p>
-                      </div>
-                    );
-                  })}
-                </div>
-              )}
-
-              {/* Reviews Display */}
-              {approvedReviews.length === 0 ? (
-                // Empty state for no approved reviews
-                <div className="text-center py-12 text-gray-500">
-                  <Star className="w-16 h-16 text-gray-300 mx-auto mb-4" />
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">No reviews yet</h3>
-                  <p>Be the first to share your experience!</p>
-                </div>
-              ) : (
-                // Display approved reviews only
-                <div className="space-y-6">
-                  {approvedReviews
-                    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
-                    .map(review => (
-                      <div key={review.id} className="border-l-4 border-indigo-500 bg-gray-50 p-6 rounded-r-xl hover:bg-gray-100 transition-colors">
-                        <div className="flex justify-between items-start mb-4">
-                          <div>
-                            <h4 className="font-semibold text-gray-900 text-lg">{review.guestName}</h4>
-                            <div className="flex items-center gap-3 mt-1">
-                              <div className="flex items-center gap-1">
-                                {generateStars(review.rating || 0)}
-                              </div>
-                              <span className="text-sm text-gray-500">{formatDate(review.submittedAt)}</span>
-                              <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
-                                {review.channel}
-                              </span>
-                            </div>
-                          </div>
-                          <span className="text-xl font-bold text-indigo-600">
-                            {(review.rating || 0).toFixed(1)}
-                          </span>
-                        </div>
-
-                        {/* Review categories for this review */}
-                        {review.reviewCategory?.length > 0 && (
-                          <div className="flex flex-wrap gap-2 mb-4">
-                            {review.reviewCategory.map(cat => (
-                              <span
-                                key={cat.category}
-                                className="px-3 py-1 bg-indigo-100 text-indigo-800 text-xs rounded-full"
-                              >
-                                {formatCategoryName(cat.category)}: {cat.rating}/10
-                              </span>
-                            ))}
-                          </div>
-                        )}
+        {/* Inbound Webhook Events Modal (admin only, opened from the header) */}
+        {canAdminister && showWebhookEvents && (
+          <WebhookEventsModal
+            apiBaseUrl={API_BASE_URL}
+            formatChannelName={formatChannelName}
+            onClose={() => setShowWebhookEvents(false)}
+          />
+        )}
 
-                        {/* Review text in quotation marks for public display */}
-                        <p className="text-gray-700 leading-relaxed text-lg">"{review.publicReview}"</p>
-                      </div>
-                    ))}
-                </div>
-              )}
-
-              {/* Call to Action for Bookings */}
-              <div className="mt-8 p-6 bg-gradient-to-r from-indigo-50 to-purple-50 rounded-lg border border-indigo-200">
-                <div className="text-center">
-                  <h3 className="text-lg font-semibold text-gray-900 mb-2">Ready to experience Flex Living?</h3>
-                  <p className="text-gray-600 mb-4">Join hundreds of satisfied guests who have made unforgettable memories.</p>
-                  <button className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
-                    Book Your Stay
-                  </button>
-                </div>
-              </div>
-            </div>
-          </div>
+        {/* Moderation History Drawer */}
+        {historyReview && (
+          <ReviewHistoryDrawer
+            apiBaseUrl={API_BASE_URL}
+            review={historyReview}
+            onClose={() => setHistoryReview(null)}
+          />
         )}
       </div>
     </div>
@@ -0,0 +1,30 @@
+import React from 'react';
+import App from './App';
+import PropertyIndexPage from './components/PropertyIndexPage';
+import PropertyPage from './components/PropertyPage';
+import { API_BASE_URL } from './api';
+import { usePath } from './router';
+
+/**
+ * Top-level routes
+ *
+ * /properties and /properties/:listingId are the public property pages and
+ * need no login; every other path is the manager dashboard.
+ */
+const AppRouter = () => {
+  const path = usePath();
+
+  if (/^\/properties\/?$/.test(path)) {
+    return <PropertyIndexPage apiBaseUrl={API_BASE_URL} />;
+  }
+
+  const match = path.match(/^\/properties\/(\d+)\/?$/);
+  if (match) {
+    // Keyed so moving between properties starts from a clean page
+    return <PropertyPage key={match[1]} apiBaseUrl={API_BASE_URL} listingId={match[1]} />;
+  }
+
+  return <App />;
+};
+
+export default AppRouter;
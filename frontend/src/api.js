@@ -0,0 +1,98 @@
+/**
+ * Dashboard session storage and authenticated requests
+ *
+ * The session (bearer token, expiry and user) returned by /api/auth/login is
+ * kept in localStorage so a page reload doesn't log the manager out.
+ */
+
+const SESSION_KEY = 'flexLivingSession';
+
+/**
+ * API Base URL configuration
+ * Switches between production Railway backend and local development
+ * Production: Points to Railway-deployed Express server
+ * Development: Uses relative URLs (proxy or same origin)
+ */
+export const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? 'https://flexlivingreviews-production.up.railway.app'
+  : '';
+
+/**
+ * Event fired on window when the API rejects the stored session
+ */
+export const SESSION_EXPIRED_EVENT = 'flexliving:session-expired';
+
+/**
+ * Roles in increasing order of access, each includes the ones before it
+ */
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+/**
+ * Reads the stored session, dropping it once it has expired
+ *
+ * @returns {Object|null} Session with token, expiresAt and user, or null
+ */
+export const getSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) return session;
+  } catch (error) {
+    // Unreadable value, treated as logged out
+  }
+  localStorage.removeItem(SESSION_KEY);
+  return null;
+};
+
+/**
+ * Stores the session returned by /api/auth/login
+ *
+ * @param {Object} session - Session with token, expiresAt and user
+ */
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+/**
+ * Removes the stored session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+/**
+ * Drops the stored session and fires SESSION_EXPIRED_EVENT so the app shows the login screen
+ */
+export const expireSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+/**
+ * Checks whether a user's role includes the given role
+ *
+ * @param {Object|null} user - Logged in user
+ * @param {string} role - Required role (viewer, moderator or admin)
+ * @returns {boolean} Whether the user has at least that role
+ */
+export const hasRole = (user, role) => {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+};
+
+/**
+ * fetch() with the session's bearer token attached
+ * A 401 response expires the session (see expireSession)
+ *
+ * @async
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Response} The fetch response
+ */
+export const apiFetch = async (url, options = {}) => {
+  const session = getSession();
+  const headers = { ...options.headers };
+  if (session) headers.Authorization = `Bearer ${session.token}`;
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && session) expireSession();
+  return response;
+};
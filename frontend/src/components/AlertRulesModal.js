@@ -0,0 +1,491 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, Send, Trash2 } from 'lucide-react';
+import { apiFetch } from '../api';
+
+/**
+ * Condition types offered by the backend (CONDITION_TYPES in backend/alerts/engine.js)
+ */
+const CONDITIONS = {
+  rating_below: 'Rating below',
+  category_below: 'Category score below',
+  keyword: 'Review mentions keyword',
+  flagged: 'Review is flagged'
+};
+
+/**
+ * Delivery channels, the inbox is the bell in the dashboard header
+ */
+const CHANNELS = { inbox: 'Dashboard inbox', webhook: 'Webhook', email: 'Email' };
+
+// Category keys suggested for category rules, any key sent by a channel works
+const SUGGESTED_CATEGORIES = ['cleanliness', 'communication', 'respect_house_rules', 'check_in', 'accuracy', 'location', 'value'];
+
+const EMPTY_FORM = {
+  name: '',
+  conditionType: 'rating_below',
+  threshold: '6',
+  category: 'cleanliness',
+  keyword: '',
+  listingId: '',
+  channels: ['inbox'],
+  webhookUrl: '',
+  emailTo: '',
+  enabled: true
+};
+
+/**
+ * Describes a rule's condition in a sentence
+ *
+ * @param {Object} rule - Alert rule from the API
+ * @param {Function} formatCategoryName - Formats a category key for display
+ * @returns {string} e.g. "Cleanliness below 5"
+ */
+const describeCondition = (rule, formatCategoryName) => {
+  switch (rule.conditionType) {
+    case 'rating_below': return `Rating below ${rule.threshold}`;
+    case 'category_below': return `${formatCategoryName(rule.category)} below ${rule.threshold}`;
+    case 'keyword': return `Mentions "${rule.keyword}"`;
+    case 'flagged': return 'Review flagged';
+    default: return rule.conditionType;
+  }
+};
+
+/**
+ * Alert rule settings
+ *
+ * Lists the alert rules with their recent deliveries, and lets moderators
+ * create, edit, test and delete them. A rule watches new reviews and reviews
+ * moderated after it was created, and sends each match to the dashboard
+ * inbox, a webhook and/or an email address.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Object[]} props.listings - Listings a rule can be limited to ({ id, name })
+ * @param {boolean} props.canEdit - Whether the user may change rules (moderator or above)
+ * @param {Function} props.formatCategoryName - Formats a category key for display
+ * @param {Function} props.onClose - Closes the modal
+ */
+const AlertRulesModal = ({ apiBaseUrl, listings, canEdit, formatCategoryName, onClose }) => {
+  const [rules, setRules] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [editing, setEditing] = useState(null); // null, 'new' or the id of the rule being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Sends a request to the alerts API
+   *
+   * @async
+   * @param {string} path - Path below /api/alerts
+   * @param {Object} [options] - fetch options
+   * @returns {Object|null} Response body, or null when the request failed
+   */
+  const request = useCallback(async (path, options = {}) => {
+    try {
+      setError(null);
+      const response = await apiFetch(`${apiBaseUrl}/api/alerts${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Alerts request failed:', err);
+      return null;
+    }
+  }, [apiBaseUrl]);
+
+  /**
+   * Reloads the rules and the delivery log
+   *
+   * @async
+   */
+  const reload = useCallback(async () => {
+    const rulesData = await request('/rules');
+    const deliveriesData = await request('/deliveries?limit=20');
+    if (rulesData) setRules(rulesData.data);
+    if (deliveriesData) setDeliveries(deliveriesData.data);
+  }, [request]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Opens the form for a new rule, or for editing an existing one
+   *
+   * @param {Object} [rule] - Rule to edit
+   */
+  const startEditing = (rule) => {
+    setMessage(null);
+    if (!rule) {
+      setEditing('new');
+      setForm(EMPTY_FORM);
+      return;
+    }
+    setEditing(rule.id);
+    setForm({
+      ...EMPTY_FORM,
+      ...rule,
+      threshold: rule.threshold === null ? EMPTY_FORM.threshold : String(rule.threshold),
+      category: rule.category || EMPTY_FORM.category,
+      keyword: rule.keyword || '',
+      listingId: rule.listingId === null ? '' : String(rule.listingId),
+      webhookUrl: rule.webhookUrl || '',
+      emailTo: rule.emailTo || ''
+    });
+  };
+
+  /**
+   * Adds or removes a delivery channel on the form
+   *
+   * @param {string} channel - Channel key
+   */
+  const toggleChannel = (channel) => {
+    setForm(prev => ({
+      ...prev,
+      channels: prev.channels.includes(channel)
+        ? prev.channels.filter(c => c !== channel)
+        : [...prev.channels, channel]
+    }));
+  };
+
+  /**
+   * Creates or updates the rule in the form
+   *
+   * @async
+   */
+  const saveRule = async () => {
+    setSaving(true);
+    const body = {
+      name: form.name,
+      conditionType: form.conditionType,
+      threshold: parseFloat(form.threshold),
+      category: form.category,
+      keyword: form.keyword,
+      listingId: form.listingId ? parseInt(form.listingId, 10) : null,
+      channels: form.channels,
+      webhookUrl: form.webhookUrl.trim(),
+      emailTo: form.emailTo.trim(),
+      enabled: form.enabled
+    };
+    const data = editing === 'new'
+      ? await request('/rules', { method: 'POST', body: JSON.stringify(body) })
+      : await request(`/rules/${editing}`, { method: 'PUT', body: JSON.stringify(body) });
+    if (data) {
+      setMessage(`Rule "${data.data.name}" saved`);
+      setEditing(null);
+      reload();
+    }
+    setSaving(false);
+  };
+
+  /**
+   * Turns a rule on or off
+   *
+   * @async
+   * @param {Object} rule - Rule to toggle
+   */
+  const toggleEnabled = async (rule) => {
+    if (await request(`/rules/${rule.id}`, { method: 'PUT', body: JSON.stringify({ enabled: !rule.enabled }) })) {
+      reload();
+    }
+  };
+
+  /**
+   * Deletes a rule after confirmation
+   *
+   * @async
+   * @param {Object} rule - Rule to delete
+   */
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.name}"?`)) return;
+    const data = await request(`/rules/${rule.id}`, { method: 'DELETE' });
+    if (data) {
+      setMessage(data.message);
+      if (editing === rule.id) setEditing(null);
+      reload();
+    }
+  };
+
+  /**
+   * Sends a test alert on every channel of a rule
+   *
+   * @async
+   * @param {Object} rule - Rule to test
+   */
+  const testRule = async (rule) => {
+    const data = await request(`/rules/${rule.id}/test`, { method: 'POST' });
+    if (data) {
+      const failure = data.data.find(result => result.status === 'failed');
+      if (failure) setError(`${data.message}: ${failure.error}`);
+      else setMessage(data.message);
+      reload();
+    }
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-xl font-semibold flex items-center gap-2">
+            <Bell className="w-5 h-5 text-orange-600" />
+            Alert Rules
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">x</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+        )}
+        {message && !error && (
+          <div className="bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-4 text-sm">{message}</div>
+        )}
+
+        {!rules ? (
+          <p className="text-gray-500">Loading alert rules...</p>
+        ) : (
+          <>
+            {/* Rule List */}
+            <div className="space-y-3 mb-6">
+              {rules.length === 0 && (
+                <p className="text-sm text-gray-500">No alert rules yet. Rules only fire for reviews that arrive or are moderated after they are created.</p>
+              )}
+              {rules.map(rule => (
+                <div key={rule.id} className={`border rounded-lg p-3 ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+                  <div className="flex justify-between items-start gap-3">
+                    <div>
+                      <p className="font-medium text-gray-900">{rule.name}{!rule.enabled && <span className="text-xs text-gray-500"> (paused)</span>}</p>
+                      <p className="text-sm text-gray-600">
+                        {describeCondition(rule, formatCategoryName)} · {rule.listingName || 'All properties'}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {rule.channels.map(channel => CHANNELS[channel] || channel).join(', ')}
+                        {rule.webhookUrl && ` · ${rule.webhookUrl}`}
+                        {rule.emailTo && ` · ${rule.emailTo}`}
+                      </p>
+                    </div>
+                    {canEdit && (
+                      <div className="flex items-center gap-2 shrink-0">
+                        <button onClick={() => testRule(rule)} className="flex items-center gap-1 px-2 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200" title="Send a test alert">
+                          <Send className="w-3 h-3" />
+                          Test
+                        </button>
+                        <button onClick={() => toggleEnabled(rule)} className="px-2 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">
+                          {rule.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                        <button onClick={() => startEditing(rule)} className="px-2 py-1 text-sm text-indigo-600 hover:text-indigo-800">Edit</button>
+                        <button onClick={() => deleteRule(rule)} className="px-2 py-1 text-red-600 hover:text-red-800" title="Delete rule">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {canEdit && editing === null && (
+              <button
+                onClick={() => startEditing()}
+                className="mb-8 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors"
+              >
+                New Rule
+              </button>
+            )}
+
+            {/* Rule Form */}
+            {canEdit && editing !== null && (
+              <div className="border border-indigo-200 bg-indigo-50/40 rounded-lg p-4 mb-8 space-y-4">
+                <h4 className="font-semibold text-gray-900">{editing === 'new' ? 'New rule' : 'Edit rule'}</h4>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={form.name}
+                      placeholder="e.g. Cleanliness complaints"
+                      onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Property</label>
+                    <select
+                      value={form.listingId}
+                      onChange={(e) => setForm(prev => ({ ...prev, listingId: e.target.value }))}
+                      className={inputClass}
+                    >
+                      <option value="">All properties</option>
+                      {listings.map(listing => (
+                        <option key={listing.id} value={listing.id}>{listing.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Condition</label>
+                    <select
+                      value={form.conditionType}
+                      onChange={(e) => setForm(prev => ({ ...prev, conditionType: e.target.value }))}
+                      className={inputClass}
+                    >
+                      {Object.entries(CONDITIONS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    {form.conditionType === 'category_below' && (
+                      <>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                        <select
+                          value={form.category}
+                          onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                          className={`${inputClass} mb-2`}
+                        >
+                          {[...new Set([form.category, ...SUGGESTED_CATEGORIES])].map(key => (
+                            <option key={key} value={key}>{formatCategoryName(key)}</option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+                    {(form.conditionType === 'rating_below' || form.conditionType === 'category_below') && (
+                      <>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Below (out of 10)</label>
+                        <input
+                          type="number"
+                          min="0.5"
+                          max="10"
+                          step="0.5"
+                          value={form.threshold}
+                          onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </>
+                    )}
+                    {form.conditionType === 'keyword' && (
+                      <>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Keyword or phrase</label>
+                        <input
+                          type="text"
+                          value={form.keyword}
+                          placeholder="e.g. mould"
+                          onChange={(e) => setForm(prev => ({ ...prev, keyword: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Send to</p>
+                  <div className="flex flex-wrap gap-4">
+                    {Object.entries(CHANNELS).map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input type="checkbox" checked={form.channels.includes(key)} onChange={() => toggleChannel(key)} />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                {form.channels.includes('webhook') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Webhook URL</label>
+                    <input
+                      type="url"
+                      value={form.webhookUrl}
+                      placeholder="https://hooks.example.com/reviews"
+                      onChange={(e) => setForm(prev => ({ ...prev, webhookUrl: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+                {form.channels.includes('email') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Email to</label>
+                    <input
+                      type="email"
+                      value={form.emailTo}
+                      placeholder="ops@flexliving.com"
+                      onChange={(e) => setForm(prev => ({ ...prev, emailTo: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                  Enabled
+                </label>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={saveRule}
+                    disabled={saving}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  >
+                    Save Rule
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg text-sm hover:bg-gray-200 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Delivery Log */}
+            <h4 className="font-semibold text-gray-900 mb-3">Recent deliveries</h4>
+            {deliveries.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing has been sent yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 font-medium">When</th>
+                    <th className="py-2 font-medium">Rule</th>
+                    <th className="py-2 font-medium">Channel</th>
+                    <th className="py-2 font-medium">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map(delivery => (
+                    <tr key={delivery.id} className="border-b border-gray-100 align-top">
+                      <td className="py-2 text-gray-600 whitespace-nowrap pr-3">{new Date(delivery.attemptedAt).toLocaleString()}</td>
+                      <td className="py-2 pr-3">
+                        {delivery.ruleName}
+                        <span className="text-xs text-gray-500">{delivery.reviewId ? ` · review ${delivery.reviewId}` : ' · test'}</span>
+                      </td>
+                      <td className="py-2 pr-3">{CHANNELS[delivery.channel] || delivery.channel}</td>
+                      <td className={`py-2 ${delivery.status === 'failed' ? 'text-red-600' : 'text-green-700'}`}>
+                        {delivery.status === 'failed' ? `Failed: ${delivery.error}` : 'Sent'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesModal;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { MODERATION_ACTIONS } from '../moderation';
+
+/**
+ * Bulk moderation toolbar above the review list
+ *
+ * Selection controls (this page, or every review matching the filters),
+ * approve/hide/flag buttons for the selection, and the progress and
+ * per-review failures of the last bulk action.
+ *
+ * @param {Object} props
+ * @param {number} props.selectedCount - Number of selected reviews
+ * @param {boolean} props.pageSelected - Whether every loaded review is selected
+ * @param {number} props.matchingTotal - Number of reviews matching the current filters
+ * @param {Object|null} props.progress - Bulk action progress ({ state, done, total, failures, finished })
+ * @param {Function} props.onTogglePage - Selects or clears every loaded review
+ * @param {Function} props.onSelectAllMatching - Selects every review matching the filters
+ * @param {Function} props.onClear - Clears the selection
+ * @param {Function} props.onModerate - Moves the selection to the given moderation state
+ * @param {Function} props.onDismissProgress - Hides the finished progress panel
+ */
+const BulkActionsBar = ({
+  selectedCount,
+  pageSelected,
+  matchingTotal,
+  progress,
+  onTogglePage,
+  onSelectAllMatching,
+  onClear,
+  onModerate,
+  onDismissProgress
+}) => {
+  const running = Boolean(progress && !progress.finished);
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={pageSelected} onChange={onTogglePage} disabled={running} />
+          Select page
+        </label>
+
+        {selectedCount > 0 ? (
+          <span className="text-sm font-medium text-gray-900">{selectedCount} selected</span>
+        ) : (
+          <span className="text-sm text-gray-500">No reviews selected</span>
+        )}
+
+        {selectedCount < matchingTotal && (
+          <button
+            onClick={onSelectAllMatching}
+            disabled={running}
+            className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          >
+            Select all {matchingTotal} matching filters
+          </button>
+        )}
+        {selectedCount > 0 && (
+          <button onClick={onClear} disabled={running} className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50">
+            Clear
+          </button>
+        )}
+
+        <div className="flex gap-2 ml-auto">
+          {Object.entries(MODERATION_ACTIONS).map(([state, action]) => (
+            <button
+              key={state}
+              onClick={() => onModerate(state)}
+              disabled={selectedCount === 0 || running}
+              className={`px-3 py-2 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50 ${action.className}`}
+            >
+              {action.label} selected
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Progress and partial failures of the last bulk action */}
+      {progress && (
+        <div className="mt-3 p-3 border border-gray-200 rounded-lg">
+          <div className="flex justify-between items-center text-sm mb-2">
+            <span className="text-gray-700">
+              {MODERATION_ACTIONS[progress.state].progressLabel} {progress.done} of {progress.total} reviews
+              {progress.finished && ` - done, ${progress.failures.length} failed`}
+            </span>
+            {progress.finished && (
+              <button onClick={onDismissProgress} className="text-gray-500 hover:text-gray-800">x</button>
+            )}
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-2 ${progress.failures.length > 0 ? 'bg-orange-500' : 'bg-indigo-600'}`}
+              style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          {progress.failures.length > 0 && (
+            <ul className="mt-2 text-sm text-red-700 space-y-1 max-h-32 overflow-y-auto">
+              {progress.failures.map(failure => (
+                <li key={failure.id}>Review {failure.id}: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ExternalLink, RefreshCw, Trash2 } from 'lucide-react';
+import { apiFetch } from '../api';
+
+/**
+ * Google Reviews integration settings
+ *
+ * Configuration screen behind the "Configure Google Integration" button.
+ * Lets managers set the Places API key and daily quota, map each listing to
+ * its Google place ID and trigger an import.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Object[]} props.listings - Synced listings shown in the place ID mapping table ({ id, name })
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Function} props.onSaved - Called with the latest integration status after any change
+ */
+const GoogleIntegrationModal = ({ apiBaseUrl, listings, onClose, onSaved }) => {
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState({ enabled: false, apiKey: '', dailyQuota: '', refreshHours: '' });
+  const [placeIds, setPlaceIds] = useState({});
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Applies an integration status response to the form and mapping inputs
+   *
+   * @param {Object} data - Status payload from /api/integrations/google
+   */
+  const applyStatus = useCallback((data) => {
+    setStatus(data);
+    setForm({
+      enabled: data.enabled,
+      apiKey: '',
+      dailyQuota: String(data.dailyQuota),
+      refreshHours: String(data.refreshHours)
+    });
+    setPlaceIds(Object.fromEntries(data.places.map(place => [place.listingId, place.placeId])));
+    onSaved(data);
+  }, [onSaved]);
+
+  /**
+   * Sends a request to the integration API and applies the returned status
+   *
+   * @async
+   * @param {string} path - Path below /api/integrations/google
+   * @param {Object} [options] - fetch options
+   * @returns {boolean} Whether the request succeeded
+   */
+  const request = useCallback(async (path, options = {}) => {
+    try {
+      setError(null);
+      const response = await apiFetch(`${apiBaseUrl}/api/integrations/google${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return false;
+      }
+      applyStatus(data.data);
+      return true;
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Google integration request failed:', err);
+      return false;
+    }
+  }, [apiBaseUrl, applyStatus]);
+
+  useEffect(() => {
+    request('');
+  }, [request]);
+
+  /**
+   * Saves the API key, quota and refresh settings
+   * An empty API key field leaves the stored key unchanged
+   */
+  const saveSettings = async () => {
+    setSaving(true);
+    const body = {
+      enabled: form.enabled,
+      dailyQuota: parseInt(form.dailyQuota, 10),
+      refreshHours: parseFloat(form.refreshHours)
+    };
+    if (form.apiKey.trim()) body.apiKey = form.apiKey.trim();
+
+    if (await request('', { method: 'PUT', body: JSON.stringify(body) })) {
+      setMessage('Settings saved');
+    }
+    setSaving(false);
+  };
+
+  /**
+   * Saves or removes the place ID for a listing
+   *
+   * @param {Object} listing - Listing the place ID belongs to ({ id, name })
+   */
+  const savePlace = async (listing) => {
+    const placeId = (placeIds[listing.id] || '').trim();
+    const path = `/places/${listing.id}`;
+    const ok = placeId
+      ? await request(path, { method: 'PUT', body: JSON.stringify({ placeId }) })
+      : await request(path, { method: 'DELETE' });
+    if (ok) setMessage(placeId ? `Place ID saved for ${listing.name}` : `Mapping removed for ${listing.name}`);
+  };
+
+  /**
+   * Starts a Google import in the background and refreshes the status shortly after
+   */
+  const syncNow = async () => {
+    try {
+      setError(null);
+      const response = await apiFetch(`${apiBaseUrl}/api/sync/google`, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return;
+      }
+      setMessage(data.message);
+      setTimeout(() => request(''), 2000);
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Google sync request failed:', err);
+    }
+  };
+
+  // Mapped listings come first so the configured ones are easy to find
+  const placesByListing = status ? Object.fromEntries(status.places.map(p => [p.listingId, p])) : {};
+  const mappingRows = [
+    ...listings.filter(listing => placesByListing[listing.id]),
+    ...listings.filter(listing => !placesByListing[listing.id])
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-xl font-semibold flex items-center gap-2">
+            <ExternalLink className="w-5 h-5 text-blue-600" />
+            Configure Google Integration
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">x</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+        )}
+        {message && !error && (
+          <div className="bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-4 text-sm">{message}</div>
+        )}
+
+        {!status ? (
+          <p className="text-gray-500">Loading integration settings...</p>
+        ) : (
+          <>
+            {/* Places API Settings */}
+            <div className="space-y-4 mb-8">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Import Google reviews
+              </label>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Places API key</label>
+                <input
+                  type="password"
+                  value={form.apiKey}
+                  placeholder={status.apiKeyPreview || 'Paste a key with Places Details enabled'}
+                  onChange={(e) => setForm(prev => ({ ...prev, apiKey: e.target.value }))}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Daily request quota</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.dailyQuota}
+                    onChange={(e) => setForm(prev => ({ ...prev, dailyQuota: e.target.value }))}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">{status.quotaUsedToday} used today</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Refresh each place every (hours)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.refreshHours}
+                    onChange={(e) => setForm(prev => ({ ...prev, refreshHours: e.target.value }))}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+              </div>
+              <button
+                onClick={saveSettings}
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                Save Settings
+              </button>
+            </div>
+
+            {/* Listing to Place ID Mapping */}
+            <h4 className="font-semibold text-gray-900 mb-3">Listing place IDs</h4>
+            <div className="space-y-3 mb-8">
+              {mappingRows.length === 0 && (
+                <p className="text-sm text-gray-500">No listings synced yet, place IDs are mapped to synced listings.</p>
+              )}
+              {mappingRows.map(listing => {
+                const place = placesByListing[listing.id];
+                return (
+                  <div key={listing.id} className="border border-gray-200 rounded-lg p-3">
+                    <p className="text-sm font-medium text-gray-900 mb-2">{listing.name}</p>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={placeIds[listing.id] || ''}
+                        placeholder="Google place ID (e.g. ChIJ...)"
+                        onChange={(e) => setPlaceIds(prev => ({ ...prev, [listing.id]: e.target.value }))}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <button
+                        onClick={() => savePlace(listing)}
+                        className="px-3 py-2 bg-gray-100 text-gray-800 rounded-lg text-sm hover:bg-gray-200 transition-colors"
+                      >
+                        Save
+                      </button>
+                      {place && (
+                        <button
+                          onClick={() => {
+                            setPlaceIds(prev => ({ ...prev, [listing.id]: '' }));
+                            request(`/places/${listing.id}`, { method: 'DELETE' });
+                          }}
+                          className="px-3 py-2 text-red-600 hover:text-red-800"
+                          title="Remove mapping"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                    {place && (
+                      <p className={`text-xs mt-1 ${place.lastError ? 'text-red-600' : 'text-gray-500'}`}>
+                        {place.lastError
+                          ? `Last fetch failed: ${place.lastError}`
+                          : place.lastFetchedAt
+                            ? `Last fetched ${new Date(place.lastFetchedAt).toLocaleString()}`
+                            : 'Not fetched yet'}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Import Controls */}
+            <div className="flex justify-between items-center">
+              <p className="text-sm text-gray-600">
+                {status.syncState?.lastSyncedAt
+                  ? `Last import ${new Date(status.syncState.lastSyncedAt).toLocaleString()}`
+                  : 'No import has run yet'}
+              </p>
+              <button
+                onClick={syncNow}
+                disabled={!status.configured || status.running}
+                className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Import Now
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GoogleIntegrationModal;
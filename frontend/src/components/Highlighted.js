@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * Text with search matches marked
+ *
+ * Renders the highlight segments the API returns for a search
+ * ([{ text, match }]), or the plain text when the field didn't match.
+ *
+ * @param {Object} props
+ * @param {Object[]} [props.segments] - Highlight segments for the field
+ * @param {string} props.text - Text shown when there are no segments
+ */
+const Highlighted = ({ segments, text }) => {
+  if (!segments) return <>{text}</>;
+
+  return (
+    <>
+      {segments.map((segment, index) => segment.match
+        ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>)}
+    </>
+  );
+};
+
+export default Highlighted;
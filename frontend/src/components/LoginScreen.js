@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { saveSession } from '../api';
+
+/**
+ * Manager login screen
+ *
+ * Shown instead of the dashboard until the user signs in. Accounts are
+ * created by an admin (the first admin comes from ADMIN_EMAIL / ADMIN_PASSWORD).
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Function} props.onLogin - Called with the new session after a successful login
+ */
+const LoginScreen = ({ apiBaseUrl, onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Exchanges the email and password for a session token
+   *
+   * @async
+   * @param {Event} e - Form submit event
+   */
+  const login = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return;
+      }
+      saveSession(data.data);
+      onLogin(data.data);
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Login failed:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <form onSubmit={login} className="bg-white rounded-xl shadow-sm w-full max-w-md p-8">
+        <div className="flex items-center gap-2 mb-2">
+          <Star className="w-6 h-6 text-indigo-600 fill-current" />
+          <h1 className="text-2xl font-bold text-gray-900">Flex Living Reviews</h1>
+        </div>
+        <p className="text-gray-600 mb-6">Sign in to manage guest reviews</p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+        )}
+
+        <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+        <input
+          type="email"
+          value={email}
+          autoComplete="username"
+          required
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+
+        <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+        <input
+          type="password"
+          value={password}
+          autoComplete="current-password"
+          required
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full p-3 mb-6 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
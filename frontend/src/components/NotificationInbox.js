@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell } from 'lucide-react';
+import { apiFetch } from '../api';
+
+// How often the unread count is refreshed while the dashboard is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Notification bell for the dashboard header
+ *
+ * Shows the number of unread alert notifications and opens the inbox of
+ * alerts delivered to the "inbox" channel. Opening a notification marks it
+ * read; the count is polled so alerts from background syncs show up.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ */
+const NotificationInbox = ({ apiBaseUrl }) => {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState(null);
+  const [unread, setUnread] = useState(0);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the latest notifications and the unread count
+   *
+   * @async
+   */
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/api/alerts/notifications`);
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return;
+      }
+      setError(null);
+      setNotifications(data.data);
+      setUnread(data.unread);
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Failed to fetch notifications:', err);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  /**
+   * Marks one notification read, or all of them when no id is given
+   *
+   * @async
+   * @param {number} [id] - Notification to mark read
+   */
+  const markRead = async (id) => {
+    try {
+      const path = id === undefined ? 'read-all' : `${id}/read`;
+      const response = await apiFetch(`${apiBaseUrl}/api/alerts/notifications/${path}`, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return;
+      }
+      const readAt = new Date().toISOString();
+      setNotifications(prev => (prev || []).map(notification => id === undefined || notification.id === id
+        ? { ...notification, read: true, readAt: notification.readAt || readAt }
+        : notification));
+      setUnread(data.unread);
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Failed to mark notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => {
+          if (!open) loadNotifications();
+          setOpen(!open);
+        }}
+        className="relative p-2 bg-white/20 rounded-lg hover:bg-white/30 transition-colors"
+        title="Alert notifications"
+      >
+        <Bell className="w-4 h-4" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-semibold rounded-full flex items-center justify-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-h-[28rem] overflow-y-auto bg-white text-gray-900 text-left rounded-xl shadow-xl border border-gray-200 z-40">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200">
+            <h4 className="font-semibold">Notifications</h4>
+            {unread > 0 && (
+              <button onClick={() => markRead()} className="text-sm text-indigo-600 hover:text-indigo-800">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {error && <p className="px-4 py-3 text-sm text-red-700">{error}</p>}
+
+          {notifications && notifications.length === 0 && (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No alerts yet</p>
+          )}
+
+          {notifications && notifications.map(notification => (
+            <button
+              key={notification.id}
+              onClick={() => !notification.read && markRead(notification.id)}
+              className={`block w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${notification.read ? '' : 'bg-indigo-50'}`}
+            >
+              <div className="flex items-start gap-2">
+                {!notification.read && <span className="w-2 h-2 mt-1.5 rounded-full bg-indigo-600 shrink-0"></span>}
+                <div className="min-w-0">
+                  <p className="text-sm font-medium">{notification.title}</p>
+                  {notification.body && (
+                    <p className="text-xs text-gray-600 mt-1 whitespace-pre-line line-clamp-3">{notification.body}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationInbox;
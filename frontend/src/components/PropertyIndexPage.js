@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { MapPin, Star } from 'lucide-react';
+import { apiFetch } from '../api';
+import { Link } from '../router';
+import { formatAverage } from '../format';
+
+/**
+ * Public index of every property, linking to each property's page
+ *
+ * Ratings and review counts only cover approved reviews, the same ones the
+ * property pages show.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ */
+const PropertyIndexPage = ({ apiBaseUrl }) => {
+  const [properties, setProperties] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    document.title = 'Our Properties | Flex Living';
+
+    /**
+     * Loads the property list
+     *
+     * @async
+     */
+    const loadProperties = async () => {
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/api/properties`);
+        const data = await response.json();
+        if (!data.success) {
+          setError(data.error);
+          return;
+        }
+        setProperties(data.data);
+      } catch (err) {
+        setError('Could not load properties, please try again later');
+        console.error('Failed to fetch properties:', err);
+      }
+    };
+    loadProperties();
+  }, [apiBaseUrl]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-5xl mx-auto px-4 py-8">
+        <div className="bg-gradient-to-r from-teal-500 to-cyan-500 rounded-xl p-12 text-white text-center mb-8">
+          <h1 className="text-4xl font-bold mb-4">Our Properties</h1>
+          <p className="text-xl opacity-90">Flexible stays across London, reviewed by real guests</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-4 mb-8">{error}</div>
+        )}
+
+        {!properties && !error && <p className="text-center text-gray-500">Loading properties...</p>}
+
+        {properties && properties.length === 0 && (
+          <p className="text-center text-gray-500">No properties are listed yet.</p>
+        )}
+
+        {properties && properties.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {properties.map(property => (
+              <Link
+                key={property.id}
+                to={`/properties/${property.id}`}
+                className="block bg-white rounded-xl shadow-sm overflow-hidden hover:shadow-md transition-shadow"
+              >
+                {property.photoUrl ? (
+                  <img src={property.photoUrl} alt={property.name} className="w-full h-48 object-cover" />
+                ) : (
+                  <div className="w-full h-48 bg-gradient-to-r from-teal-400 to-cyan-400"></div>
+                )}
+                <div className="p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 mb-1">{property.name}</h2>
+                  {(property.city || property.country) && (
+                    <p className="text-sm text-gray-600 flex items-center gap-1 mb-3">
+                      <MapPin className="w-4 h-4" />
+                      {[property.city, property.country].filter(Boolean).join(', ')}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-700 flex items-center gap-1">
+                    <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+                    <span className="font-semibold">{formatAverage(property.averageRating)}</span>
+                    <span className="text-gray-500">
+                      ({property.approvedCount} review{property.approvedCount === 1 ? '' : 's'})
+                    </span>
+                  </p>
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PropertyIndexPage;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star, Users, CheckCircle, MapPin, ArrowLeft } from 'lucide-react';
+import { apiFetch } from '../api';
+import { Link } from '../router';
+import StarRating from './StarRating';
+import { formatAverage, formatCategoryName, formatChannelName, formatDate } from '../format';
+
+/**
+ * Number of reviews loaded per "Show more reviews" click
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Describes the size of a listing from whatever the PMS sent
+ *
+ * @param {Object} listing - Listing with bedrooms and bathrooms, either may be null
+ * @returns {string|null} e.g. "2 bedrooms, 1 bathroom"
+ */
+const describeRooms = (listing) => {
+  const parts = [];
+  if (listing.bedrooms !== null) parts.push(listing.bedrooms === 0 ? 'Studio' : `${listing.bedrooms} bedroom${listing.bedrooms === 1 ? '' : 's'}`);
+  if (listing.bathrooms !== null) parts.push(`${listing.bathrooms} bathroom${listing.bathrooms === 1 ? '' : 's'}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+/**
+ * Public page for one property
+ *
+ * Shows the listing's own details and its approved reviews only. The rating
+ * and category averages come from the server and cover every approved review
+ * of the listing, not just the ones loaded so far.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {string} props.listingId - Listing id from the URL
+ */
+const PropertyPage = ({ apiBaseUrl, listingId }) => {
+  const [listing, setListing] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [pageInfo, setPageInfo] = useState({ total: 0, hasMore: false });
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads a page of approved reviews
+   *
+   * @async
+   * @param {number} offset - Offset of the page to append (0 starts over)
+   */
+  const loadReviews = useCallback(async (offset) => {
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+      const response = await apiFetch(`${apiBaseUrl}/api/properties/${listingId}/reviews?${params}`);
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return;
+      }
+      setReviews(prev => offset > 0 ? [...prev, ...data.data] : data.data);
+      setPageInfo({ total: data.total, hasMore: data.hasMore });
+    } catch (err) {
+      setError('Could not load reviews, please try again later');
+      console.error('Failed to fetch property reviews:', err);
+    }
+  }, [apiBaseUrl, listingId]);
+
+  useEffect(() => {
+    /**
+     * Loads the listing and its first page of reviews
+     *
+     * @async
+     */
+    const loadListing = async () => {
+      setListing(null);
+      setNotFound(false);
+      setError(null);
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/api/properties/${listingId}`);
+        if (response.status === 404) {
+          setNotFound(true);
+          return;
+        }
+        const data = await response.json();
+        if (!data.success) {
+          setError(data.error);
+          return;
+        }
+        setListing(data.data);
+        document.title = `${data.data.name} | Flex Living`;
+        loadReviews(0);
+      } catch (err) {
+        setError('Could not load this property, please try again later');
+        console.error('Failed to fetch property:', err);
+      }
+    };
+    loadListing();
+  }, [apiBaseUrl, listingId, loadReviews]);
+
+  if (notFound || error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-semibold text-gray-900 mb-2">{notFound ? 'Property not found' : 'Something went wrong'}</h1>
+          <p className="text-gray-600 mb-6">{notFound ? 'This property does not exist or is no longer listed.' : error}</p>
+          <Link to="/properties" className="text-indigo-600 hover:text-indigo-800 font-medium">See all properties</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!listing) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-teal-500"></div>
+      </div>
+    );
+  }
+
+  const { summary } = listing;
+  const location = [listing.city, listing.country].filter(Boolean).join(', ');
+  const rooms = describeRooms(listing);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <Link to="/properties" className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-indigo-600 mb-4">
+          <ArrowLeft className="w-4 h-4" />
+          All properties
+        </Link>
+
+        {/* Property Hero Section */}
+        <div
+          className="bg-gradient-to-r from-teal-500 to-cyan-500 bg-cover bg-center rounded-xl p-12 text-white text-center mb-8 relative overflow-hidden"
+          style={listing.photoUrl ? { backgroundImage: `url(${listing.photoUrl})` } : undefined}
+        >
+          <div className="absolute inset-0 bg-black opacity-20"></div>
+          <div className="relative z-10">
+            <h1 className="text-4xl font-bold mb-4">{listing.name}</h1>
+            {location && <p className="text-xl opacity-90 mb-6">{location}</p>}
+            <div className="flex justify-center items-center gap-6 text-lg">
+              <div className="flex items-center gap-2">
+                <StarRating rating={summary.averageRating} />
+                <span className="font-semibold">{formatAverage(summary.averageRating)} ({summary.total} reviews)</span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Property Features, each only when the PMS has the details */}
+        {(listing.maxGuests || rooms || location) && (
+          <div className="bg-white rounded-xl p-8 shadow-sm mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center">
+              {(listing.maxGuests || rooms) && (
+                <div className="p-4">
+                  <div className="w-12 h-12 bg-indigo-100 rounded-lg flex items-center justify-center mx-auto mb-3">
+                    <Users className="w-6 h-6 text-indigo-600" />
+                  </div>
+                  <h3 className="font-semibold text-gray-900">{listing.maxGuests ? `Sleeps ${listing.maxGuests}` : 'Space'}</h3>
+                  {rooms && <p className="text-gray-600">{rooms}</p>}
+                </div>
+              )}
+              <div className="p-4">
+                <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center mx-auto mb-3">
+                  <CheckCircle className="w-6 h-6 text-green-600" />
+                </div>
+                <h3 className="font-semibold text-gray-900">Verified Reviews</h3>
+                <p className="text-gray-600">{summary.total} from real guests</p>
+              </div>
+              {location && (
+                <div className="p-4">
+                  <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center mx-auto mb-3">
+                    <MapPin className="w-6 h-6 text-blue-600" />
+                  </div>
+                  <h3 className="font-semibold text-gray-900">Location</h3>
+                  <p className="text-gray-600">{listing.address || location}</p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Guest Reviews Section */}
+        <div className="bg-white rounded-xl p-8 shadow-sm">
+          <div className="flex justify-between items-center mb-8">
+            <h2 className="text-2xl font-semibold text-gray-900">Guest Reviews</h2>
+            <div className="text-right">
+              <div className="flex items-center gap-2 mb-1">
+                <StarRating rating={summary.averageRating} />
+                <span className="text-2xl font-bold text-gray-900">{formatAverage(summary.averageRating)}</span>
+              </div>
+              <p className="text-sm text-gray-600">{summary.total} verified reviews</p>
+            </div>
+          </div>
+
+          {/* Review Categories Summary */}
+          {summary.categoryAverages.length > 0 && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8 p-6 bg-gray-50 rounded-lg">
+              {summary.categoryAverages.map(({ category, average }) => (
+                <div key={category} className="text-center">
+                  <p className="font-semibold text-gray-900 text-lg">{formatAverage(average)}</p>
+                  <p className="text-sm text-gray-600">{formatCategoryName(category)}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Reviews Display */}
+          {reviews.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Star className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No reviews yet</h3>
+              <p>Be the first to share your experience!</p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {reviews.map(review => (
+                <div key={review.id} className="border-l-4 border-indigo-500 bg-gray-50 p-6 rounded-r-xl hover:bg-gray-100 transition-colors">
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h4 className="font-semibold text-gray-900 text-lg">{review.guestName}</h4>
+                      <div className="flex items-center gap-3 mt-1">
+                        {!review.unrated && <StarRating rating={review.rating} />}
+                        <span className="text-sm text-gray-500">{formatDate(review.submittedAt)}</span>
+                        <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                          {formatChannelName(review.channel)}
+                        </span>
+                      </div>
+                    </div>
+                    {!review.unrated && (
+                      <span className="text-xl font-bold text-indigo-600">{review.rating.toFixed(1)}</span>
+                    )}
+                  </div>
+
+                  {/* Review categories for this review */}
+                  {review.reviewCategory?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-4">
+                      {review.reviewCategory.map(cat => (
+                        <span key={cat.category} className="px-3 py-1 bg-indigo-100 text-indigo-800 text-xs rounded-full">
+                          {formatCategoryName(cat.category)}: {cat.rating}/10
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Review text in quotation marks for public display */}
+                  <p className="text-gray-700 leading-relaxed text-lg">"{review.publicReview}"</p>
+
+                  {/* Host response, the API only sends published replies */}
+                  {review.reply && (
+                    <div className="mt-4 ml-6 pl-4 border-l-2 border-gray-300">
+                      <p className="text-sm font-semibold text-gray-900">Response from Flex Living</p>
+                      <p className="text-gray-700 leading-relaxed whitespace-pre-line">{review.reply.body}</p>
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {pageInfo.hasMore && (
+                <div className="text-center">
+                  <button
+                    onClick={() => loadReviews(reviews.length)}
+                    className="px-4 py-2 border border-indigo-300 text-indigo-700 rounded-lg font-medium hover:bg-indigo-50 transition-colors"
+                  >
+                    Show more reviews
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Call to Action for Bookings */}
+          <div className="mt-8 p-6 bg-gradient-to-r from-indigo-50 to-purple-50 rounded-lg border border-indigo-200">
+            <div className="text-center">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Ready to experience Flex Living?</h3>
+              <p className="text-gray-600 mb-4">Join hundreds of satisfied guests who have made unforgettable memories.</p>
+              <button className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                Book Your Stay
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PropertyPage;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { History } from 'lucide-react';
+import { apiFetch } from '../api';
+import { MODERATION_STATES } from '../moderation';
+
+/**
+ * Renders a moderation state as a coloured badge
+ *
+ * @param {Object} props
+ * @param {string} props.state - Moderation state key (e.g. "approved")
+ */
+const StateBadge = ({ state }) => {
+  const style = MODERATION_STATES[state] || { label: state, badge: 'bg-gray-100 text-gray-800' };
+  return <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.badge}`}>{style.label}</span>;
+};
+
+/**
+ * Moderation history drawer
+ *
+ * Slides in from the right of the dashboard and lists every approval change
+ * for one review: who made it, when, the state before and after, and the reason.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Object} props.review - Review whose history is shown
+ * @param {Function} props.onClose - Closes the drawer
+ */
+const ReviewHistoryDrawer = ({ apiBaseUrl, review, onClose }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    /**
+     * Loads the moderation trail for the review
+     *
+     * @async
+     */
+    const loadHistory = async () => {
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/api/reviews/${review.id}/history`);
+        const data = await response.json();
+        if (!data.success) {
+          setError(data.error);
+          return;
+        }
+        setHistory(data.data);
+      } catch (err) {
+        setError('Could not reach the server');
+        console.error('Failed to fetch review history:', err);
+      }
+    };
+    loadHistory();
+  }, [apiBaseUrl, review.id]);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50" onClick={onClose}>
+      <div className="bg-white w-full max-w-md h-full overflow-y-auto p-6 shadow-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xl font-semibold flex items-center gap-2">
+            <History className="w-5 h-5 text-indigo-600" />
+            Moderation History
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">x</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-6">{review.guestName} · {review.listingName}</p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+        )}
+
+        {!history && !error && <p className="text-gray-500">Loading history...</p>}
+
+        {history && history.length === 0 && (
+          <p className="text-gray-500">No moderation changes yet, this review is still pending.</p>
+        )}
+
+        {history && history.length > 0 && (
+          <ol className="space-y-4">
+            {history.map(event => (
+              <li key={event.id} className="border-l-2 border-indigo-200 pl-4">
+                <div className="flex items-center gap-2 mb-1">
+                  <StateBadge state={event.previousState} />
+                  <span className="text-gray-400">→</span>
+                  <StateBadge state={event.newState} />
+                </div>
+                <p className="text-sm text-gray-900">{event.userEmail || 'Unknown user'}</p>
+                <p className="text-xs text-gray-500">{new Date(event.createdAt).toLocaleString()}</p>
+                {event.reason && (
+                  <p className="text-sm text-gray-700 mt-1 italic">"{event.reason}"</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewHistoryDrawer;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { MessageSquare } from 'lucide-react';
+import { apiFetch } from '../api';
+
+/**
+ * Reply composer shown under a review card
+ *
+ * Managers write a response, keep it as a draft and publish it to the channel
+ * the review came from. Editing a published reply turns it back into a draft
+ * until it is republished, the channel keeps the last published text meanwhile.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Object} props.review - Review being replied to, with its current `reply`
+ * @param {boolean} props.canEdit - Whether the user may save and publish replies
+ * @param {Function} props.onChange - Called with the updated reply (or null) after every change
+ */
+const ReviewReplyComposer = ({ apiBaseUrl, review, canEdit, onChange }) => {
+  const reply = review.reply;
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState(reply ? reply.body : '');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends a request to the reply API and reports the returned reply
+   *
+   * @async
+   * @param {string} path - Path below /api/reviews/:id/reply
+   * @param {Object} options - fetch options
+   * @returns {boolean} Whether the request succeeded
+   */
+  const request = async (path, options) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/api/reviews/${review.id}/reply${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      // A failed publish still returns the reply so its error is kept
+      if (data.data !== undefined) onChange(data.data);
+      if (!data.success) {
+        setError(data.error);
+        return false;
+      }
+      return true;
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Reply request failed:', err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Saves the text as a draft
+   */
+  const saveDraft = async () => {
+    if (await request('', { method: 'PUT', body: JSON.stringify({ body: text }) })) setEditing(false);
+  };
+
+  /**
+   * Saves and publishes text to the review's channel
+   *
+   * @param {string} body - Reply text to publish
+   */
+  const publish = async (body) => {
+    if (await request('/publish', { method: 'POST', body: JSON.stringify({ body }) })) setEditing(false);
+  };
+
+  /**
+   * Throws away unpublished changes, or the whole draft when it was never published
+   */
+  const discard = async () => {
+    if (!window.confirm(reply.publishedBody ? 'Discard the unpublished changes to this reply?' : 'Delete this draft reply?')) return;
+    if (await request('', { method: 'DELETE' })) {
+      setText(reply && reply.publishedBody ? reply.publishedBody : '');
+      setEditing(false);
+    }
+  };
+
+  if (!reply && !editing) {
+    return canEdit ? (
+      <button
+        onClick={() => setEditing(true)}
+        className="mb-4 text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+      >
+        <MessageSquare className="w-4 h-4" />
+        Reply to guest
+      </button>
+    ) : null;
+  }
+
+  return (
+    <div className="mb-4 p-4 bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center gap-2 mb-2">
+        <MessageSquare className="w-4 h-4 text-indigo-600" />
+        <span className="text-sm font-medium text-gray-900">Host response</span>
+        {reply && (
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${reply.status === 'published'
+            ? 'bg-green-100 text-green-800'
+            : 'bg-yellow-100 text-yellow-800'}`}
+          >
+            {reply.status === 'published' ? 'Published' : 'Draft'}
+          </span>
+        )}
+        {reply && reply.publishedAt && (
+          <span className="text-xs text-gray-500">Published {new Date(reply.publishedAt).toLocaleString()}</span>
+        )}
+      </div>
+
+      {(error || (reply && reply.publishError)) && (
+        <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-2 mb-2 text-sm">
+          {error || `Last publish failed: ${reply.publishError}`}
+        </div>
+      )}
+
+      {editing ? (
+        <>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            maxLength={1000}
+            placeholder={`Reply to ${review.guestName}...`}
+            className="w-full p-3 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              onClick={() => { setText(reply ? reply.body : ''); setEditing(false); }}
+              className="px-3 py-2 text-gray-600 rounded-lg text-sm hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={saveDraft}
+              disabled={busy || !text.trim()}
+              className="px-3 py-2 bg-gray-100 text-gray-800 rounded-lg text-sm hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              Save Draft
+            </button>
+            <button
+              onClick={() => publish(text)}
+              disabled={busy || !text.trim()}
+              className="px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+              {busy ? 'Publishing...' : 'Publish'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{reply.body}</p>
+          {canEdit && (
+            <div className="flex justify-end gap-2 mt-2">
+              {reply.status === 'draft' && (
+                <button
+                  onClick={discard}
+                  disabled={busy}
+                  className="px-3 py-2 text-gray-600 rounded-lg text-sm hover:bg-gray-100 transition-colors disabled:opacity-50"
+                >
+                  {reply.publishedBody ? 'Discard Changes' : 'Delete Draft'}
+                </button>
+              )}
+              <button
+                onClick={() => { setText(reply.body); setEditing(true); }}
+                className="px-3 py-2 bg-gray-100 text-gray-800 rounded-lg text-sm hover:bg-gray-200 transition-colors"
+              >
+                Edit
+              </button>
+              {reply.status === 'draft' && (
+                <button
+                  onClick={() => publish(reply.body)}
+                  disabled={busy}
+                  className="px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                >
+                  {busy ? 'Publishing...' : 'Publish'}
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReviewReplyComposer;
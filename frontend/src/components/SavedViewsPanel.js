@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bookmark, Link2, Trash2 } from 'lucide-react';
+import { apiFetch } from '../api';
+
+/**
+ * Saved views sidebar
+ *
+ * Lists the logged in user's named views (e.g. "My triage queue") and switches
+ * the dashboard to one on click. The current filters can be saved under a new
+ * name, saved over an existing view by reusing its name, or shared as a link.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {string} props.currentQuery - Query string of the dashboard's current view
+ * @param {Function} props.onApply - Called with a view's query string to switch to it
+ */
+const SavedViewsPanel = ({ apiBaseUrl, currentQuery, onApply }) => {
+  const [views, setViews] = useState(null);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends a request to the saved views API
+   *
+   * @async
+   * @param {string} path - Path below /api/views
+   * @param {Object} [options] - fetch options
+   * @returns {Object|null} Response payload, or null when the request failed
+   */
+  const request = useCallback(async (path, options = {}) => {
+    try {
+      setError(null);
+      const response = await apiFetch(`${apiBaseUrl}/api/views${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Saved views request failed:', err);
+      return null;
+    }
+  }, [apiBaseUrl]);
+
+  /**
+   * Reloads the list of saved views
+   *
+   * @async
+   */
+  const loadViews = useCallback(async () => {
+    const data = await request('');
+    if (data) setViews(data.data);
+  }, [request]);
+
+  useEffect(() => {
+    loadViews();
+  }, [loadViews]);
+
+  /**
+   * Saves the current view, replacing the query of an existing view with the same name
+   *
+   * @async
+   * @param {Event} event - Form submit
+   */
+  const saveView = async (event) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const existing = (views || []).find(view => view.name === trimmed);
+    const data = existing
+      ? await request(`/${existing.id}`, { method: 'PUT', body: JSON.stringify({ query: currentQuery }) })
+      : await request('', { method: 'POST', body: JSON.stringify({ name: trimmed, query: currentQuery }) });
+    if (!data) return;
+
+    setName('');
+    setMessage(existing ? `Updated "${trimmed}"` : `Saved "${trimmed}"`);
+    loadViews();
+  };
+
+  /**
+   * Deletes a saved view
+   *
+   * @async
+   * @param {Object} view - View to delete
+   */
+  const deleteView = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+    if (await request(`/${view.id}`, { method: 'DELETE' })) {
+      setMessage(null);
+      loadViews();
+    }
+  };
+
+  /**
+   * Copies a link to the current view, anyone with dashboard access sees the same reviews
+   *
+   * @async
+   */
+  const copyLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${currentQuery ? `?${currentQuery}` : ''}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage('Link copied');
+    } catch (err) {
+      // Clipboard access can be blocked, the address bar has the same link
+      setMessage('Copy the link from the address bar');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Bookmark className="w-5 h-5 text-indigo-600" />
+          <h3 className="font-semibold text-gray-900">Saved Views</h3>
+        </div>
+        <button
+          onClick={copyLink}
+          className="text-gray-500 hover:text-indigo-600"
+          title="Copy a link to the current view"
+        >
+          <Link2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {message && !error && <p className="text-sm text-green-700 mb-3">{message}</p>}
+
+      {!views && !error && <p className="text-sm text-gray-500 mb-3">Loading views...</p>}
+
+      {views && views.length === 0 && (
+        <p className="text-sm text-gray-500 mb-3">No saved views yet. Set some filters and save them below.</p>
+      )}
+
+      {views && views.length > 0 && (
+        <ul className="space-y-1 mb-4">
+          {views.map(view => {
+            const active = view.query === currentQuery;
+            return (
+              <li key={view.id} className="flex items-center gap-2">
+                <button
+                  onClick={() => onApply(view.query)}
+                  className={`flex-1 text-left px-3 py-2 text-sm rounded-lg transition-colors ${active
+                    ? 'bg-indigo-50 text-indigo-700 font-medium'
+                    : 'text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {view.name}
+                </button>
+                <button
+                  onClick={() => deleteView(view)}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Delete view"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={saveView} className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          maxLength={80}
+          placeholder="Name this view"
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 min-w-0 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          Save
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SavedViewsPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+
+/**
+ * Star rating display
+ *
+ * Converts a 0-10 rating to five stars with full, half and empty stars.
+ *
+ * @param {Object} props
+ * @param {number} props.rating - Rating value (0-10 scale)
+ */
+const StarRating = ({ rating }) => {
+  // Ensure rating is within valid bounds (0-10)
+  const safeRating = Math.max(0, Math.min(10, rating || 0));
+
+  // Convert 10-point scale to 5-star display
+  const fullStars = Math.floor(safeRating / 2);         // Number of full stars
+  const halfStar = (safeRating % 2) >= 1;               // Whether to show half star
+  const emptyStars = Math.max(0, 5 - fullStars - (halfStar ? 1 : 0)); // Remaining empty stars
+
+  return (
+    <div className="flex items-center gap-1">
+      {/* Render full stars */}
+      {[...Array(fullStars)].map((_, i) => (
+        <Star key={i} className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+      ))}
+
+      {/* Render half star if needed */}
+      {halfStar && (
+        <Star className="w-4 h-4 fill-yellow-400/50 text-yellow-400" />
+      )}
+
+      {/* Render empty stars */}
+      {[...Array(emptyStars)].map((_, i) => (
+        <Star key={`empty-${i}`} className="w-4 h-4 text-gray-300" />
+      ))}
+    </div>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 40 };
+const TICKS = 4;
+
+/**
+ * Line chart for one metric over time, one line per series
+ *
+ * Drawn as plain SVG so the dashboard doesn't need a charting library.
+ * Periods are spaced evenly along the x axis; a series without a value for
+ * a period gets a gap there rather than a made-up point. Hovering shows the
+ * value of every series for the period under the cursor.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Chart heading
+ * @param {string[]} props.periods - Period start dates (YYYY-MM-DD), oldest first
+ * @param {Object[]} props.series - Lines to draw ({ key, label, color, values: { [period]: number|null } })
+ * @param {number[]} [props.domain] - Fixed y axis range [min, max], derived from the data when omitted
+ * @param {Function} props.formatPeriod - Formats a period for the axis and tooltip
+ * @param {Function} [props.formatValue] - Formats a value for the axis and tooltip
+ */
+const TrendChart = ({ title, periods, series, domain, formatPeriod, formatValue = (value) => String(value) }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const values = series.flatMap(line => periods.map(period => line.values[period])).filter(value => value !== null && value !== undefined);
+  const [min, max] = domain || [0, Math.max(1, ...values)];
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) => PADDING.left + (periods.length > 1 ? (index / (periods.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - ((value - min) / (max - min || 1)) * plotHeight;
+
+  /**
+   * Builds the SVG path for a series, starting a new segment after every missing value
+   *
+   * @param {Object} line - Series with values keyed by period
+   * @returns {string} Path data
+   */
+  const linePath = (line) => {
+    let drawing = false;
+    return periods.map((period, index) => {
+      const value = line.values[period];
+      if (value === null || value === undefined) {
+        drawing = false;
+        return '';
+      }
+      const command = drawing ? 'L' : 'M';
+      drawing = true;
+      return `${command}${x(index).toFixed(1)},${y(value).toFixed(1)}`;
+    }).join(' ');
+  };
+
+  /**
+   * Finds the period closest to the cursor
+   *
+   * @param {MouseEvent} event - Mouse move over the chart
+   */
+  const onMouseMove = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const cursorX = ((event.clientX - bounds.left) / bounds.width) * WIDTH;
+    const index = periods.length > 1
+      ? Math.round(((cursorX - PADDING.left) / plotWidth) * (periods.length - 1))
+      : 0;
+    setHovered(Math.max(0, Math.min(periods.length - 1, index)));
+  };
+
+  // Roughly six x axis labels whatever the number of periods
+  const labelEvery = Math.max(1, Math.ceil(periods.length / 6));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <h4 className="font-medium text-gray-900 mb-2">{title}</h4>
+      {periods.length === 0 || values.length === 0 ? (
+        <p className="text-sm text-gray-500 py-12 text-center">No reviews in this range</p>
+      ) : (
+        <div className="relative">
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            onMouseMove={onMouseMove}
+            onMouseLeave={() => setHovered(null)}
+          >
+            {/* Horizontal grid lines with y axis labels */}
+            {Array.from({ length: TICKS + 1 }, (_, tick) => {
+              const value = min + ((max - min) * tick) / TICKS;
+              return (
+                <g key={tick}>
+                  <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" />
+                  <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+                    {formatValue(Number(value.toFixed(1)))}
+                  </text>
+                </g>
+              );
+            })}
+
+            {/* X axis labels */}
+            {periods.map((period, index) => index % labelEvery === 0 && (
+              <text key={period} x={x(index)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#6b7280">
+                {formatPeriod(period)}
+              </text>
+            ))}
+
+            {/* Hover guide */}
+            {hovered !== null && (
+              <line x1={x(hovered)} x2={x(hovered)} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke="#9ca3af" strokeDasharray="4 4" />
+            )}
+
+            {/* One line per series, with a dot on each value so single points are visible */}
+            {series.map(line => (
+              <g key={line.key}>
+                <path d={linePath(line)} fill="none" stroke={line.color} strokeWidth="2" />
+                {periods.map((period, index) => {
+                  const value = line.values[period];
+                  if (value === null || value === undefined) return null;
+                  return <circle key={period} cx={x(index)} cy={y(value)} r={hovered === index ? 4 : 2.5} fill={line.color} />;
+                })}
+              </g>
+            ))}
+          </svg>
+
+          {/* Tooltip for the hovered period */}
+          {hovered !== null && (
+            <div
+              className="absolute top-0 bg-white border border-gray-200 rounded-lg shadow-sm p-2 text-xs pointer-events-none"
+              style={x(hovered) > WIDTH / 2 ? { right: `${((WIDTH - x(hovered)) / WIDTH) * 100 + 2}%` } : { left: `${(x(hovered) / WIDTH) * 100 + 2}%` }}
+            >
+              <p className="font-medium text-gray-900 mb-1">{formatPeriod(periods[hovered])}</p>
+              {series.map(line => (
+                <p key={line.key} className="flex items-center gap-2 text-gray-700">
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: line.color }}></span>
+                  {line.label}: {line.values[periods[hovered]] === null || line.values[periods[hovered]] === undefined
+                    ? '–'
+                    : formatValue(line.values[periods[hovered]])}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { apiFetch } from '../api';
+import TrendChart from './TrendChart';
+
+// Line colours for compared properties, in selection order
+const SERIES_COLORS = ['#4f46e5', '#0d9488', '#ea580c', '#db2777', '#65a30d', '#0284c7'];
+// Matches MAX_COMPARE_LISTINGS in backend/lib/reviewFilters.js
+const MAX_COMPARE = SERIES_COLORS.length;
+
+/**
+ * Default date range: the last twelve months
+ *
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+const lastTwelveMonths = () => {
+  const end = new Date();
+  const start = new Date(end);
+  start.setFullYear(end.getFullYear() - 1);
+  return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+};
+
+/**
+ * Trend charts for the Analytics tab
+ *
+ * Average rating, a chosen category score, review volume and approval rate
+ * over time, for a date range and grouping of its own. Selecting properties
+ * draws one line per property so they can be compared; with none selected the
+ * charts show every property together.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Object[]} props.listings - Listings that can be compared ({ id, name })
+ * @param {string} props.channel - Channel filter from the dashboard, empty for all channels
+ * @param {Function} props.formatCategoryName - Formats a category key for display
+ */
+const TrendsPanel = ({ apiBaseUrl, listings, channel, formatCategoryName }) => {
+  const [range, setRange] = useState(lastTwelveMonths);
+  const [groupBy, setGroupBy] = useState('week');
+  const [compareIds, setCompareIds] = useState([]);
+  const [category, setCategory] = useState('cleanliness');
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    /**
+     * Loads the time series for the current controls
+     *
+     * @async
+     */
+    const loadTrends = async () => {
+      try {
+        const params = new URLSearchParams({ groupBy });
+        if (range.start) params.set('from', range.start);
+        if (range.end) params.set('to', range.end);
+        if (channel) params.set('channel', channel);
+        if (compareIds.length > 0) params.set('listingIds', compareIds.join(','));
+
+        const response = await apiFetch(`${apiBaseUrl}/api/reviews/trends?${params}`);
+        const data = await response.json();
+        if (!data.success) {
+          setError(data.error);
+          return;
+        }
+        setError(null);
+        setTrends(data.data);
+      } catch (err) {
+        setError('Could not reach the server');
+        console.error('Failed to fetch trends:', err);
+      }
+    };
+    loadTrends();
+  }, [apiBaseUrl, range, groupBy, channel, compareIds]);
+
+  /**
+   * Adds a property to the comparison, or removes it
+   *
+   * @param {number} listingId - Listing to toggle
+   */
+  const toggleCompare = (listingId) => {
+    setCompareIds(prev => prev.includes(listingId)
+      ? prev.filter(id => id !== listingId)
+      : prev.length < MAX_COMPARE ? [...prev, listingId] : prev);
+  };
+
+  /**
+   * Formats a period start for the chart axes
+   *
+   * @param {string} period - YYYY-MM-DD
+   * @returns {string} e.g. "12 Mar" for days and weeks, "Mar 2025" for months
+   */
+  const formatPeriod = (period) => {
+    const date = new Date(`${period}T00:00:00`);
+    return groupBy === 'month'
+      ? date.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })
+      : date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  };
+
+  // Every period any series has a value for, so compared lines share one x axis
+  const periods = useMemo(() => trends
+    ? [...new Set(trends.series.flatMap(line => line.points.map(point => point.period)))].sort()
+    : [], [trends]);
+
+  /**
+   * Turns the API series into chart lines for one metric
+   *
+   * @param {Function} pick - Reads the metric from a point
+   * @returns {Object[]} Chart series
+   */
+  const linesFor = (pick) => (trends ? trends.series : []).map((line, index) => ({
+    key: line.listingId === null ? 'all' : line.listingId,
+    label: line.name,
+    color: SERIES_COLORS[index % SERIES_COLORS.length],
+    values: Object.fromEntries(line.points.map(point => [point.period, pick(point)]))
+  }));
+
+  const categories = trends ? trends.categories : [];
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm mb-8">
+      <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
+        <TrendingUp className="w-5 h-5 text-indigo-600" />
+        Trends
+      </h3>
+
+      {/* Controls: date range, grouping and the properties to compare */}
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={range.start}
+            onChange={(e) => setRange(prev => ({ ...prev, start: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={range.end}
+            onChange={(e) => setRange(prev => ({ ...prev, end: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Group by</label>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+          </select>
+        </div>
+        <button
+          onClick={() => setRange({ start: '', end: '' })}
+          className="px-3 py-2 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          All time
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <p className="text-sm font-medium text-gray-700 mb-2">
+          Compare properties {compareIds.length === 0 && <span className="font-normal text-gray-500">(showing all properties combined)</span>}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {listings.map(listing => {
+            const index = compareIds.indexOf(listing.id);
+            const selected = index !== -1;
+            return (
+              <button
+                key={listing.id}
+                onClick={() => toggleCompare(listing.id)}
+                disabled={!selected && compareIds.length >= MAX_COMPARE}
+                className={`px-3 py-1 text-sm rounded-full border transition-colors disabled:opacity-50 ${selected
+                  ? 'text-white border-transparent'
+                  : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                style={selected ? { backgroundColor: SERIES_COLORS[index] } : undefined}
+              >
+                {listing.name}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+      )}
+
+      {!trends && !error && <p className="text-gray-500">Loading trends...</p>}
+
+      {trends && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <TrendChart
+            title="Average rating"
+            periods={periods}
+            series={linesFor(point => point.averageRating)}
+            domain={[0, 10]}
+            formatPeriod={formatPeriod}
+          />
+          <div>
+            <TrendChart
+              title={`${formatCategoryName(category)} score`}
+              periods={periods}
+              series={linesFor(point => point.categories[category] ?? null)}
+              domain={[0, 10]}
+              formatPeriod={formatPeriod}
+            />
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="mt-2 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {[...new Set([category, ...categories])].map(key => (
+                <option key={key} value={key}>{formatCategoryName(key)}</option>
+              ))}
+            </select>
+          </div>
+          <TrendChart
+            title="Review volume"
+            periods={periods}
+            series={linesFor(point => point.count)}
+            formatPeriod={formatPeriod}
+          />
+          <TrendChart
+            title="Approval rate"
+            periods={periods}
+            series={linesFor(point => point.approvalRate)}
+            domain={[0, 100]}
+            formatPeriod={formatPeriod}
+            formatValue={(value) => `${Math.round(value)}%`}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendsPanel;
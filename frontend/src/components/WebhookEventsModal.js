@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Webhook, RotateCcw } from 'lucide-react';
+import { apiFetch } from '../api';
+
+/**
+ * Event states (status in backend/db/migrations/015_webhook_events.sql) with their badge colours
+ */
+const STATUSES = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-700' },
+  processed: { label: 'Processed', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Retrying', className: 'bg-yellow-100 text-yellow-800' },
+  dead: { label: 'Gave up', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Pretty-prints a stored payload, falls back to the raw text when it isn't JSON
+ *
+ * @param {string} payload - Raw request body
+ * @returns {string} Indented JSON or the body as received
+ */
+const formatPayload = (payload) => {
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2);
+  } catch (err) {
+    return payload;
+  }
+};
+
+/**
+ * Inbound webhook event log (admin only)
+ *
+ * Lists the review webhooks channels have pushed to /api/webhooks/:channel,
+ * newest first, with what happened to each one. Failed events are retried
+ * automatically; an admin can open an event to see its raw payload and retry
+ * a failed or abandoned one straight away.
+ *
+ * @param {Object} props
+ * @param {string} props.apiBaseUrl - Backend base URL
+ * @param {Function} props.formatChannelName - Formats a channel key for display
+ * @param {Function} props.onClose - Closes the modal
+ */
+const WebhookEventsModal = ({ apiBaseUrl, formatChannelName, onClose }) => {
+  const [events, setEvents] = useState(null);
+  const [counts, setCounts] = useState(null);
+  const [status, setStatus] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [retrying, setRetrying] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends a request to the webhook events API
+   *
+   * @async
+   * @param {string} path - Path below /api/webhooks/events
+   * @param {Object} [options] - fetch options
+   * @returns {Object|null} Response body, or null when the request failed
+   */
+  const request = useCallback(async (path, options = {}) => {
+    try {
+      setError(null);
+      const response = await apiFetch(`${apiBaseUrl}/api/webhooks/events${path}`, options);
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError('Could not reach the server');
+      console.error('Webhook events request failed:', err);
+      return null;
+    }
+  }, [apiBaseUrl]);
+
+  /**
+   * Reloads the event list for the chosen status
+   *
+   * @async
+   */
+  const reload = useCallback(async () => {
+    const data = await request(status ? `?status=${status}` : '');
+    if (data) {
+      setEvents(data.data);
+      setCounts(data.counts);
+    }
+  }, [request, status]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Opens an event with its payload, or closes it when it is already open
+   *
+   * @async
+   * @param {Object} event - Event from the list
+   */
+  const toggleEvent = async (event) => {
+    if (selected && selected.id === event.id) {
+      setSelected(null);
+      return;
+    }
+    const data = await request(`/${event.id}`);
+    if (data) setSelected(data.data);
+  };
+
+  /**
+   * Processes a failed event again
+   *
+   * @async
+   * @param {Object} event - Event to retry
+   */
+  const retryEvent = async (event) => {
+    setRetrying(event.id);
+    const data = await request(`/${event.id}/retry`, { method: 'POST' });
+    setRetrying(null);
+    if (!data) return;
+
+    setMessage(data.data.status === 'processed'
+      ? `Event ${event.id} processed, ${data.data.reviewCount} review(s) updated`
+      : `Event ${event.id} failed again: ${data.data.lastError}`);
+    if (selected && selected.id === event.id) setSelected(data.data);
+    reload();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-xl font-semibold flex items-center gap-2">
+            <Webhook className="w-5 h-5 text-blue-600" />
+            Inbound Webhook Events
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">x</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 mb-4 text-sm">{error}</div>
+        )}
+        {message && !error && (
+          <div className="bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-4 text-sm">{message}</div>
+        )}
+
+        {/* Status filter with the number of events in each state */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            onClick={() => setStatus('')}
+            className={`px-3 py-1 text-sm rounded-full border transition-colors ${status === ''
+              ? 'bg-blue-600 text-white border-transparent'
+              : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+          >
+            All
+          </button>
+          {Object.entries(STATUSES).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setStatus(key)}
+              className={`px-3 py-1 text-sm rounded-full border transition-colors ${status === key
+                ? 'bg-blue-600 text-white border-transparent'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+            >
+              {label}{counts && ` (${counts[key]})`}
+            </button>
+          ))}
+        </div>
+
+        {!events && !error && <p className="text-gray-500">Loading webhook events...</p>}
+
+        {events && events.length === 0 && (
+          <p className="text-sm text-gray-500">
+            No webhook events{status && ` with this status`}. Channels post reviews to /api/webhooks/:channel once a webhook secret is set for them.
+          </p>
+        )}
+
+        {events && events.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-3 font-medium">Received</th>
+                  <th className="py-2 pr-3 font-medium">Channel</th>
+                  <th className="py-2 pr-3 font-medium">Event</th>
+                  <th className="py-2 pr-3 font-medium">Status</th>
+                  <th className="py-2 pr-3 font-medium">Attempts</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <React.Fragment key={event.id}>
+                    <tr
+                      onClick={() => toggleEvent(event)}
+                      className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer align-top"
+                    >
+                      <td className="py-2 pr-3 whitespace-nowrap">{new Date(event.receivedAt).toLocaleString()}</td>
+                      <td className="py-2 pr-3">{formatChannelName(event.channel)}</td>
+                      <td className="py-2 pr-3">
+                        <p>{event.eventType || 'Unknown event'}</p>
+                        {event.status === 'processed' && (
+                          <p className="text-xs text-gray-500">{event.reviewCount} review(s) updated</p>
+                        )}
+                        {event.lastError && event.status !== 'processed' && (
+                          <p className="text-xs text-red-600 break-words">{event.lastError}</p>
+                        )}
+                      </td>
+                      <td className="py-2 pr-3">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUSES[event.status].className}`}>
+                          {STATUSES[event.status].label}
+                        </span>
+                        {event.status === 'failed' && event.nextAttemptAt && (
+                          <p className="text-xs text-gray-500 mt-1">Next try {new Date(event.nextAttemptAt).toLocaleTimeString()}</p>
+                        )}
+                      </td>
+                      <td className="py-2 pr-3">{event.attempts}</td>
+                      <td className="py-2 text-right">
+                        {['failed', 'dead'].includes(event.status) && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              retryEvent(event);
+                            }}
+                            disabled={retrying === event.id}
+                            className="inline-flex items-center gap-1 px-3 py-1 text-xs bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            {retrying === event.id ? 'Retrying...' : 'Retry'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {selected && selected.id === event.id && (
+                      <tr className="border-b border-gray-100">
+                        <td colSpan={6} className="py-3">
+                          <p className="text-xs text-gray-500 mb-2">Event id {selected.eventId}</p>
+                          <pre className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs overflow-x-auto max-h-64">
+                            {formatPayload(selected.payload)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhookEventsModal;
@@ -0,0 +1,78 @@
+/**
+ * Dashboard state <-> URL query string
+ *
+ * The dashboard keeps its tab, search, date range and filters in the URL so a
+ * reload keeps them and a link shows a colleague the same reviews. The filter
+ * parameters use the names GET /api/reviews understands; saved views store the
+ * same query string.
+ */
+
+/**
+ * Filter values when nothing is set in the URL
+ */
+export const DEFAULT_FILTERS = {
+  listingId: '',          // Selected property filter (listing id)
+  rating: '',            // Minimum rating filter (6+, 7+, 8+, 9+)
+  status: '',            // Moderation state filter (pending/approved/hidden/flagged)
+  date: '',              // Single date filter (legacy)
+  sortBy: 'date-desc',   // Sort order (date-desc, date-asc, rating-desc, rating-asc)
+  channel: '',           // Review channel filter (hostaway, google, etc.)
+  sentiment: '',         // Overall sentiment filter (positive/neutral/negative)
+  theme: '',             // Theme mentioned in the review text (noise, wifi, ...)
+  themeSentiment: ''     // 'negative' narrows the theme filter to complaints
+};
+
+const TABS = ['dashboard', 'analytics'];
+
+// Filter state key -> URL parameter, for the keys whose names differ
+const FILTER_PARAMS = {
+  listingId: 'listingId',
+  rating: 'minRating',
+  status: 'status',
+  channel: 'channel',
+  sentiment: 'sentiment',
+  theme: 'theme',
+  themeSentiment: 'themeSentiment',
+  sortBy: 'sortBy'
+};
+
+/**
+ * Reads the dashboard state from a query string, unknown or missing values fall back to the defaults
+ *
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} { activeTab, searchTerm, dateRange, filters }
+ */
+export const readDashboardState = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (params.get(param)) filters[key] = params.get(param);
+  });
+
+  return {
+    activeTab: TABS.includes(params.get('tab')) ? params.get('tab') : 'dashboard',
+    searchTerm: params.get('search') || '',
+    dateRange: { start: params.get('from') || '', end: params.get('to') || '' },
+    filters
+  };
+};
+
+/**
+ * Builds the query string for a dashboard state, leaving out defaults so links stay short
+ *
+ * @param {Object} state - { activeTab, searchTerm, dateRange, filters }
+ * @returns {string} Query string without the leading "?"
+ */
+export const buildDashboardQuery = ({ activeTab, searchTerm, dateRange, filters }) => {
+  const params = new URLSearchParams();
+  if (activeTab !== 'dashboard') params.set('tab', activeTab);
+  if (searchTerm.trim()) params.set('search', searchTerm.trim());
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) params.set(param, filters[key]);
+  });
+  // themeSentiment means nothing without a theme, the API rejects it on its own
+  if (!filters.theme) params.delete('themeSentiment');
+  if (dateRange.start) params.set('from', dateRange.start);
+  if (dateRange.end) params.set('to', dateRange.end);
+  return params.toString();
+};
@@ -0,0 +1,73 @@
+/**
+ * Display formatting shared by the dashboard and the public property pages
+ */
+
+/**
+ * Display names for the channel keys the backend adapters tag reviews with
+ */
+export const CHANNEL_LABELS = {
+  hostaway: 'Hostaway',
+  airbnb: 'Airbnb',
+  booking: 'Booking.com',
+  vrbo: 'Vrbo',
+  expedia: 'Expedia',
+  direct: 'Direct',
+  google: 'Google'
+};
+
+/**
+ * Formats review channel keys for display
+ *
+ * @param {string} channel - Channel key from API (e.g. "booking")
+ * @returns {string} Display name (e.g. "Booking.com")
+ */
+export const formatChannelName = (channel) => {
+  return CHANNEL_LABELS[channel] || channel;
+};
+
+/**
+ * Formats review category names for display
+ * Converts snake_case API field names to human-readable titles
+ *
+ * @param {string} category - Category name from API (e.g. "respect_house_rules")
+ * @returns {string} Formatted category name (e.g. "Respect House Rules")
+ */
+export const formatCategoryName = (category) => {
+  return category.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+/**
+ * Formats date string for user-friendly display
+ *
+ * @param {string} dateString - Date string from API
+ * @returns {string} Formatted date string (e.g. "Nov 28, 2024")
+ */
+export const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Formats an average rating
+ *
+ * @param {number|null} average - Average rating, null when nothing is rated
+ * @returns {string} Rating with one decimal place, or a dash
+ */
+export const formatAverage = (average) => {
+  return average === null || average === undefined ? '–' : average.toFixed(1);
+};
+
+/**
+ * Formats an approval rate
+ *
+ * @param {number|null} rate - Percentage of decided reviews that were approved, null when none are decided
+ * @returns {string} Whole percentage (e.g. "83%"), or a dash
+ */
+export const formatApprovalRate = (rate) => {
+  return rate === null || rate === undefined ? '–' : `${rate.toFixed(0)}%`;
+};
@@ -0,0 +1,36 @@
+/**
+ * Review moderation states and the moves allowed between them
+ *
+ * Mirrors the state machine in backend/lib/moderation.js: a review starts
+ * pending and never returns to it, any decided state can be changed again.
+ */
+export const MODERATION_STATES = {
+  pending: { label: 'Pending', badge: 'bg-yellow-100 text-yellow-800', transitions: ['approved', 'hidden', 'flagged'] },
+  approved: { label: 'Approved', badge: 'bg-green-100 text-green-800', transitions: ['hidden', 'flagged'] },
+  hidden: { label: 'Hidden', badge: 'bg-gray-200 text-gray-700', transitions: ['approved', 'flagged'] },
+  flagged: { label: 'Flagged', badge: 'bg-purple-100 text-purple-800', transitions: ['approved', 'hidden'] }
+};
+
+/**
+ * Button labels and colours for moving a review into each state
+ */
+export const MODERATION_ACTIONS = {
+  approved: { label: 'Approve', progressLabel: 'Approving', className: 'bg-green-600 hover:bg-green-700' },
+  hidden: { label: 'Hide', progressLabel: 'Hiding', className: 'bg-red-600 hover:bg-red-700' },
+  flagged: { label: 'Flag', progressLabel: 'Flagging', className: 'bg-purple-600 hover:bg-purple-700' }
+};
+
+/**
+ * States that ask the moderator for a reason before they are applied
+ */
+export const REASON_STATES = ['hidden', 'flagged'];
+
+/**
+ * Display label for a moderation state
+ *
+ * @param {string} state - Moderation state key (e.g. "flagged")
+ * @returns {string} Label (e.g. "Flagged")
+ */
+export const formatModerationState = (state) => {
+  return MODERATION_STATES[state] ? MODERATION_STATES[state].label : state;
+};
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Minimal client-side routing on the History API
+ *
+ * The app only has a handful of routes (the dashboard and the public
+ * property pages), so paths are matched by hand instead of pulling in a
+ * router library. The Express server and the dev server both answer unknown
+ * paths with index.html, so every route can be opened directly.
+ */
+
+const NAVIGATE_EVENT = 'flexliving:navigate';
+
+/**
+ * Moves to another route without reloading the page
+ *
+ * @param {string} path - Path to show, e.g. "/properties/3"
+ */
+export const navigate = (path) => {
+  if (path === window.location.pathname + window.location.search) return;
+  window.history.pushState(null, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  window.scrollTo(0, 0);
+};
+
+/**
+ * Current path, updated on navigate() and the browser's back and forward buttons
+ *
+ * @returns {string} window.location.pathname
+ */
+export const usePath = () => {
+  const [path, setPath] = useState(window.location.pathname);
+
+  useEffect(() => {
+    const update = () => setPath(window.location.pathname);
+    window.addEventListener('popstate', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return path;
+};
+
+/**
+ * Anchor that navigates in-app on a plain click, and still opens in a new tab with modifier keys
+ *
+ * @param {Object} props
+ * @param {string} props.to - Path to link to
+ */
+export const Link = ({ to, children, ...props }) => {
+  /**
+   * Handles the click in-app unless the browser should open the link itself
+   *
+   * @param {MouseEvent} event - Click on the link
+   */
+  const onClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    navigate(to);
+  };
+
+  return <a href={to} onClick={onClick} {...props}>{children}</a>;
+};
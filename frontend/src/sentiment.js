@@ -0,0 +1,23 @@
+/**
+ * Review sentiment labels and badge colours
+ *
+ * Sentiment and themes are computed by the backend's text analysis
+ * (backend/analysis/analyzer.js), the dashboard only displays them.
+ */
+export const SENTIMENTS = {
+  positive: { label: 'Positive', badge: 'bg-green-100 text-green-800' },
+  neutral: { label: 'Neutral', badge: 'bg-gray-100 text-gray-700' },
+  negative: { label: 'Negative', badge: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Display label for a theme key, falling back to the key for themes the facets don't list
+ *
+ * @param {Object[]} themes - Theme facets from /api/reviews ({ key, label })
+ * @param {string} key - Theme key (e.g. "check_in")
+ * @returns {string} Label (e.g. "Check-in")
+ */
+export const formatTheme = (themes, key) => {
+  const theme = themes.find(t => t.key === key);
+  return theme ? theme.label : key;
+};
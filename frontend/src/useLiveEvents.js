@@ -0,0 +1,121 @@
+import { useState, useEffect, useRef } from 'react';
+import { apiFetch, expireSession } from './api';
+
+/**
+ * Wait before each reconnect attempt, the last one repeats
+ */
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Parses one Server-Sent Events block into its fields
+ *
+ * @param {string} block - Lines of one event, without the blank line that ends it
+ * @returns {Object} { id, type, data }, data is undefined for comment-only blocks
+ */
+const parseEventBlock = (block) => {
+  const event = { type: 'message' };
+  const data = [];
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') event.type = value;
+    if (field === 'data') data.push(value);
+    if (field === 'id') event.id = value;
+  });
+  if (data.length > 0) event.data = data.join('\n');
+  return event;
+};
+
+/**
+ * Live dashboard updates from GET /api/events
+ *
+ * Reads the Server-Sent Events stream with fetch rather than EventSource so
+ * the session's bearer token can be sent as a header. Reconnects with a
+ * growing delay after a drop and sends Last-Event-ID so the server can replay
+ * what was missed (or answer with a "resync" event when it can't). The
+ * stream belongs to one session: it is aborted as soon as the token changes
+ * or is cleared (logout, expiry), and the server ends it once the session is
+ * gone on its side. A 401 or 403 isn't retried, every attempt would be
+ * refused the same way, the session is expired instead.
+ *
+ * @param {string} apiBaseUrl - Backend base URL
+ * @param {string|null} token - Session token, connects only while one is set
+ * @param {Function} onEvent - Called with (type, data) for every event
+ * @returns {boolean} Whether the stream is currently connected
+ */
+const useLiveEvents = (apiBaseUrl, token, onEvent) => {
+  const [connected, setConnected] = useState(false);
+  // The latest handler, so a new callback on every render doesn't reconnect the stream
+  const handlerRef = useRef(onEvent);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const controller = new AbortController();
+    let lastEventId = null;
+    let attempt = 0;
+    let retryTimer = null;
+
+    /**
+     * Opens the stream and dispatches events until it ends, then schedules a reconnect
+     *
+     * @async
+     */
+    const connect = async () => {
+      try {
+        const headers = { Accept: 'text/event-stream' };
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+        const response = await apiFetch(`${apiBaseUrl}/api/events`, { headers, signal: controller.signal });
+        if (response.status === 401 || response.status === 403) {
+          setConnected(false);
+          expireSession();
+          return;
+        }
+        if (!response.ok || !response.body) throw new Error(`Event stream answered ${response.status}`);
+
+        setConnected(true);
+        attempt = 0;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const event = parseEventBlock(block);
+            if (event.id) lastEventId = event.id;
+            if (event.data !== undefined) handlerRef.current(event.type, JSON.parse(event.data));
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live updates disconnected:', error);
+      }
+      if (controller.signal.aborted) return;
+
+      setConnected(false);
+      retryTimer = setTimeout(connect, RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]);
+      attempt++;
+    };
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      setConnected(false);
+    };
+  }, [apiBaseUrl, token]);
+
+  return connected;
+};
+
+export default useLiveEvents;